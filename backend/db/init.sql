@@ -1,28 +1,61 @@
 -- Users table: Supports both OAuth and email/password authentication
 CREATE TABLE IF NOT EXISTS users (
     id SERIAL PRIMARY KEY,
-    provider_id VARCHAR(255) UNIQUE, -- NULL for email/password users
+    provider_id VARCHAR(255) UNIQUE, -- identity the account was created with; NULL for email/password users (see user_identities)
     email VARCHAR(255) UNIQUE NOT NULL,
     firstname VARCHAR(255), -- Split name into firstname and lastname for better handling (used all lowercaps for postgres sensitivity issues)
     lastname VARCHAR(255),
     address VARCHAR(500),
     password_hash VARCHAR(255), -- NULL for OAuth users
     picture VARCHAR(500),
-    provider VARCHAR(50) NOT NULL DEFAULT 'email', -- email, google, azure
+    provider VARCHAR(50) NOT NULL DEFAULT 'email', -- how the account was created: email, google, azure, or the name of a configured OIDC provider
     role VARCHAR(20) CHECK (role IN ('senior', 'volunteer', 'caregiver', 'admin')) DEFAULT NULL, -- Allow NULL for incomplete registrations
     rating DECIMAL(3,2) DEFAULT 5.0, -- average rating out of 5
     location VARCHAR(6), -- postal code
+    phone VARCHAR(16), -- mobile number in E.164, e.g. +6591234567; used by the SMS/chat notification channels
     email_verified BOOLEAN DEFAULT FALSE,
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    last_login TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    last_login TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deletion_scheduled_for TIMESTAMPTZ, -- set while a self-service account deletion waits out its grace period
+    deleted_at TIMESTAMPTZ -- when the account was anonymised; the row stays so ratings and messages keep their author
 );
 
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_provider ON users(provider);
 CREATE INDEX IF NOT EXISTS idx_users_provider_id ON users(provider_id);
+-- Accounts waiting out their deletion grace period
+CREATE INDEX IF NOT EXISTS idx_users_deletion_due ON users(deletion_scheduled_for) WHERE deletion_scheduled_for IS NOT NULL;
+
+-- Recurring requests; each occurrence becomes its own row in requests
+CREATE TABLE IF NOT EXISTS request_series (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(255),
+    category VARCHAR(50),
+    description TEXT,
+    urgency VARCHAR(10) CHECK (urgency IN ('low', 'medium', 'high', 'urgent')) NOT NULL,
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+    repeat_every INT NOT NULL DEFAULT 1 CHECK (repeat_every >= 1), -- every N days/weeks
+    days_of_week SMALLINT[], -- weekly only, 0 = Sunday
+    start_time TIME, -- optional preferred window for every occurrence (local time)
+    end_time TIME,
+    starts_on DATE NOT NULL,
+    ends_on DATE, -- NULL = open-ended
+    max_occurrences INT, -- NULL = no limit
+    occurrences_generated INT NOT NULL DEFAULT 0,
+    generated_until DATE, -- last date the scheduler has looked at
+    instant_match BOOLEAN DEFAULT FALSE,
+    standing_helper_id INT REFERENCES users(id) ON DELETE SET NULL, -- helper who takes every occurrence
+    invited_helper_id INT REFERENCES users(id) ON DELETE SET NULL, -- asked to become the standing helper; set until they accept or decline
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'ended', 'cancelled')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_series_user ON request_series(user_id);
+CREATE INDEX IF NOT EXISTS idx_request_series_due ON request_series(status, generated_until);
 
 -- Help requests (normal or urgent)
 CREATE TABLE IF NOT EXISTS requests (
@@ -35,7 +68,15 @@ CREATE TABLE IF NOT EXISTS requests (
     status VARCHAR(20) DEFAULT 'pending',
     is_flagged BOOLEAN DEFAULT FALSE,
     flag_reason TEXT,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    is_panic BOOLEAN DEFAULT FALSE, -- panic button requests skip the normal offer flow
+    emergency_type VARCHAR(50), -- only set for panic requests
+    panic_location VARCHAR(500), -- where the senior is right now, if different from their address
+    preferred_start TIMESTAMPTZ, -- preferred time window; NULL = any time
+    preferred_end TIMESTAMPTZ,
+    series_id INT REFERENCES request_series(id) ON DELETE CASCADE, -- set for occurrences of a recurring request
+    occurrence_date DATE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(series_id, occurrence_date)
 );
 
 -- Matches (which helper took which request)
@@ -45,9 +86,53 @@ CREATE TABLE IF NOT EXISTS matches (
     helper_id INT REFERENCES users(id),
     matched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     completed_at TIMESTAMP,
-    status VARCHAR(20) DEFAULT 'active' -- active, completed, cancelled
+    status VARCHAR(20) DEFAULT 'active', -- active, completed, cancelled
+    score_breakdown JSONB -- why auto-matching picked this helper (NULL for manual matches)
+);
+
+-- A request has at most one active match, however often its event is redelivered
+CREATE UNIQUE INDEX IF NOT EXISTS idx_matches_one_active_per_request ON matches(request_id) WHERE status = 'active';
+
+-- Transactional outbox: events written with the change that caused them, published by request-service's relay
+CREATE TABLE IF NOT EXISTS outbox_events (
+    id BIGSERIAL PRIMARY KEY,
+    aggregate_type VARCHAR(50) NOT NULL, -- e.g. 'request'
+    aggregate_id INT NOT NULL,
+    exchange VARCHAR(100), -- NULL = straight to the queue named by routing_key
+    routing_key VARCHAR(100) NOT NULL, -- queue name, or e.g. 'match.created.v1' on the domain event exchange
+    payload JSONB NOT NULL,
+    attempts INT DEFAULT 0,
+    last_error TEXT,
+    available_at TIMESTAMPTZ DEFAULT NOW(), -- pushed back while a relay is publishing it and after a failed publish
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    published_at TIMESTAMPTZ -- NULL until RabbitMQ confirmed it
 );
 
+CREATE INDEX IF NOT EXISTS idx_outbox_events_unpublished ON outbox_events(available_at, id) WHERE published_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_outbox_events_aggregate ON outbox_events(aggregate_type, aggregate_id);
+
+-- Domain events each consumer has already handled, so redeliveries are skipped
+CREATE TABLE IF NOT EXISTS processed_events (
+    consumer VARCHAR(50) NOT NULL,
+    event_id UUID NOT NULL,
+    processed_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (consumer, event_id)
+);
+
+-- Every domain event seen on the event bus, for the admin audit log
+CREATE TABLE IF NOT EXISTS domain_events (
+    event_id UUID PRIMARY KEY,
+    type VARCHAR(100) NOT NULL, -- e.g. 'match.created'
+    version INT NOT NULL,
+    source VARCHAR(50), -- publishing service
+    occurred_at TIMESTAMPTZ NOT NULL,
+    data JSONB NOT NULL,
+    received_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_domain_events_type ON domain_events(type, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_domain_events_occurred ON domain_events(occurred_at DESC);
+
 -- Optional: Ratings (so seniors can rate helpers)
 CREATE TABLE IF NOT EXISTS ratings (
     id SERIAL PRIMARY KEY,
@@ -76,15 +161,34 @@ CREATE TABLE IF NOT EXISTS offers (
   created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Panic escalation steps (each step widens the radius of notified helpers)
+CREATE TABLE IF NOT EXISTS panic_escalations (
+    id SERIAL PRIMARY KEY,
+    request_id INT REFERENCES requests(id) ON DELETE CASCADE,
+    step INT NOT NULL, -- 0 = innermost radius ring, 1 = next ring, ...
+    radius_km NUMERIC(5, 1), -- NULL = island-wide
+    notified_helper_ids INT[] NOT NULL DEFAULT '{}',
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'acknowledged', 'escalated', 'exhausted')),
+    acknowledged_by INT REFERENCES users(id) ON DELETE SET NULL,
+    acknowledged_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    escalate_at TIMESTAMP NOT NULL,
+    UNIQUE(request_id, step)
+);
+
+CREATE INDEX IF NOT EXISTS idx_panic_escalations_request ON panic_escalations(request_id);
+CREATE INDEX IF NOT EXISTS idx_panic_escalations_pending ON panic_escalations(status, escalate_at);
+
 -- Notifications table
 CREATE TABLE IF NOT EXISTS notifications (
     id SERIAL PRIMARY KEY,
     user_id INT REFERENCES users(id) ON DELETE CASCADE,
     request_id INT REFERENCES requests(id) ON DELETE CASCADE,
-    type VARCHAR(50) NOT NULL, -- offer, match, response, reply, status_update
+    type VARCHAR(50) NOT NULL, -- offer, match, response, reply, status_update, panic
     title VARCHAR(255) NOT NULL,
     message TEXT,
     read_at TIMESTAMP,
+    event_id UUID, -- domain event that caused it, so a redelivered event adds no duplicate
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -93,17 +197,34 @@ CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id);
 CREATE INDEX IF NOT EXISTS idx_notifications_request ON notifications(request_id);
 CREATE INDEX IF NOT EXISTS idx_notifications_created ON notifications(created_at);
 CREATE INDEX IF NOT EXISTS idx_notifications_read ON notifications(read_at);
+-- Inbox listing and unread badge
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id) WHERE read_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_event_user ON notifications(event_id, user_id);
 
 -- Notification preferences for users
 CREATE TABLE IF NOT EXISTS notification_preferences (
     id SERIAL PRIMARY KEY,
     user_id INT REFERENCES users(id) ON DELETE CASCADE UNIQUE,
-    enabled BOOLEAN DEFAULT TRUE,
+    enabled BOOLEAN DEFAULT TRUE, -- email channel
     email VARCHAR(255),
+    inapp_enabled BOOLEAN DEFAULT TRUE, -- in-app inbox channel
+    sms_enabled BOOLEAN DEFAULT FALSE, -- SMS channel, to users.phone
+    chat_enabled BOOLEAN DEFAULT FALSE, -- chat-app channel, to users.phone
+    urgent_channel VARCHAR(10) DEFAULT 'email' CHECK (urgent_channel IN ('email', 'sms', 'chat')), -- instant matches and panic alerts
+    locale VARCHAR(10) DEFAULT 'en', -- email template variant, e.g. en, zh, ms
     notify_new_responses BOOLEAN DEFAULT TRUE,
     notify_new_offers BOOLEAN DEFAULT TRUE,
     notify_request_updates BOOLEAN DEFAULT TRUE,
     notify_replies BOOLEAN DEFAULT TRUE,
+    -- Email delivery per type: send straight away or batch into a digest
+    new_responses_frequency VARCHAR(10) DEFAULT 'instant' CHECK (new_responses_frequency IN ('instant', 'daily', 'weekly')),
+    new_offers_frequency VARCHAR(10) DEFAULT 'instant' CHECK (new_offers_frequency IN ('instant', 'daily', 'weekly')),
+    request_updates_frequency VARCHAR(10) DEFAULT 'instant' CHECK (request_updates_frequency IN ('instant', 'daily', 'weekly')),
+    replies_frequency VARCHAR(10) DEFAULT 'instant' CHECK (replies_frequency IN ('instant', 'daily', 'weekly')),
+    -- Local time range without emails (may run past midnight); NULL = no quiet hours
+    quiet_hours_start TIME,
+    quiet_hours_end TIME,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -111,6 +232,297 @@ CREATE TABLE IF NOT EXISTS notification_preferences (
 -- Create index for faster lookups
 CREATE INDEX IF NOT EXISTS idx_notification_prefs_user ON notification_preferences(user_id);
 
+-- Emails held back for a digest or until quiet hours end; the digest scheduler
+-- sends every due item of a user as one email
+CREATE TABLE IF NOT EXISTS notification_digest_items (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL, -- notification type, e.g. offer, match, status_update
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('instant', 'daily', 'weekly')), -- instant = held by quiet hours
+    title VARCHAR(255) NOT NULL,
+    summary TEXT,
+    request_id INT REFERENCES requests(id) ON DELETE SET NULL,
+    deliver_after TIMESTAMPTZ NOT NULL,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_digest_items_due ON notification_digest_items(deliver_after) WHERE sent_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_digest_items_user ON notification_digest_items(user_id) WHERE sent_at IS NULL;
+
+-- Outbound email/SMS/chat messages. notification-service queues every message
+-- here and a worker delivers it, retrying failures with backoff
+CREATE TABLE IF NOT EXISTS outbound_messages (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE SET NULL, -- NULL when the recipient has no account
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'sms', 'chat')),
+    recipient VARCHAR(255) NOT NULL, -- email address or phone number
+    template VARCHAR(100) NOT NULL, -- backend/shared/templates/<template>
+    data JSONB NOT NULL DEFAULT '{}', -- template values
+    label VARCHAR(100), -- for logs, e.g. 'offer notification'
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'bounced', 'skipped')),
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+    locked_until TIMESTAMPTZ, -- lease of the worker sending it; due again once it passes
+    last_error TEXT,
+    provider_message_id VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_due ON outbound_messages(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_leased ON outbound_messages(locked_until) WHERE status = 'sending';
+CREATE INDEX IF NOT EXISTS idx_outbound_messages_user ON outbound_messages(user_id, created_at DESC);
+
+-- Every delivery attempt and how it went
+CREATE TABLE IF NOT EXISTS message_delivery_log (
+    id SERIAL PRIMARY KEY,
+    message_id INT REFERENCES outbound_messages(id) ON DELETE CASCADE,
+    attempt INT NOT NULL,
+    outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('sent', 'retry', 'failed', 'bounced', 'skipped')), -- skipped = channel switched off
+    error TEXT,
+    provider_message_id VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_log_message ON message_delivery_log(message_id);
+
+-- Helper skill profiles: which request categories a helper is good at
+CREATE TABLE IF NOT EXISTS helper_skills (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    category VARCHAR(50) NOT NULL CHECK (category IN ('shopping', 'transport', 'home_repair', 'tech_support', 'healthcare', 'meal_prep', 'companionship')),
+    proficiency INT NOT NULL DEFAULT 3 CHECK (proficiency BETWEEN 1 AND 5), -- self-rated
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, category)
+);
+
+-- Helper certifications (first aid, CPR, ...)
+CREATE TABLE IF NOT EXISTS helper_certifications (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL, -- e.g. first_aid, cpr, dementia_care, driving_licence
+    issued_by VARCHAR(255),
+    expires_at DATE, -- NULL = does not expire
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, name)
+);
+
+-- Weekly availability slots (local time, Asia/Singapore)
+-- Helpers with no slots at all are treated as flexible
+CREATE TABLE IF NOT EXISTS helper_availability (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = Sunday
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time)
+);
+
+-- Dates a helper is away, inclusive
+CREATE TABLE IF NOT EXISTS helper_blackout_dates (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_helper_skills_user ON helper_skills(user_id);
+CREATE INDEX IF NOT EXISTS idx_helper_skills_category ON helper_skills(category);
+CREATE INDEX IF NOT EXISTS idx_helper_certifications_user ON helper_certifications(user_id);
+CREATE INDEX IF NOT EXISTS idx_helper_availability_user_day ON helper_availability(user_id, day_of_week);
+CREATE INDEX IF NOT EXISTS idx_helper_blackout_dates_user ON helper_blackout_dates(user_id, start_date, end_date);
+
+-- One-time codes for email verification and password reset (auth-service).
+-- Only an HMAC of the code is kept; requesting a new code replaces the row
+CREATE TABLE IF NOT EXISTS otp_codes (
+    email VARCHAR(255) NOT NULL,
+    type VARCHAR(30) NOT NULL, -- signup, password_reset, magic_link (hash covers the link token and the device id)
+    code_hash CHAR(64) NOT NULL,
+    attempts INT NOT NULL DEFAULT 0, -- wrong guesses so far
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (email, type)
+);
+
+-- Progressive cooldowns after too many wrong codes. The row outlives the
+-- cooldown so a repeat offender moves up a level
+CREATE TABLE IF NOT EXISTS otp_cooldowns (
+    email VARCHAR(255) NOT NULL,
+    type VARCHAR(30) NOT NULL,
+    level INT NOT NULL DEFAULT 0, -- index into OTPService.COOLDOWN_PERIODS
+    expires_at TIMESTAMPTZ NOT NULL,
+    set_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (email, type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_otp_codes_expires_at ON otp_codes(expires_at);
+CREATE INDEX IF NOT EXISTS idx_otp_cooldowns_expires_at ON otp_cooldowns(expires_at);
+
+-- Sliding-window log for auth-service rate limits: one row per attempt on a
+-- guarded endpoint, counted per IP and per email. Failed logins and reset
+-- codes are logged under '<endpoint>:failure' and drive account lockouts
+CREATE TABLE IF NOT EXISTS auth_rate_events (
+    id BIGSERIAL PRIMARY KEY,
+    endpoint VARCHAR(50) NOT NULL, -- e.g. login, verify-reset-otp, login:failure
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('ip', 'email')),
+    key VARCHAR(255) NOT NULL, -- the IP address or lower-cased email
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_rate_events_lookup ON auth_rate_events(endpoint, scope, key, created_at);
+CREATE INDEX IF NOT EXISTS idx_auth_rate_events_created_at ON auth_rate_events(created_at);
+
+-- Temporary lockouts after repeated failures. A row stays as history once it
+-- expires or an admin clears it
+CREATE TABLE IF NOT EXISTS account_lockouts (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE, -- NULL when no account has this email
+    reason VARCHAR(50) NOT NULL, -- the endpoint whose failures caused it
+    failed_attempts INT NOT NULL,
+    ip_address VARCHAR(64), -- where the last failure came from
+    locked_until TIMESTAMPTZ NOT NULL,
+    notified_at TIMESTAMPTZ, -- when the owner was emailed
+    cleared_at TIMESTAMPTZ,
+    cleared_by INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_lockouts_email ON account_lockouts(email, locked_until) WHERE cleared_at IS NULL;
+
+-- Login sessions, one per device. The access JWT carries the session id (sid)
+-- and the browser holds a rotating refresh token; only hashes are stored.
+-- Revoking a session stops both its refresh token and its access tokens
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash CHAR(64) NOT NULL,
+    previous_token_hash CHAR(64), -- the token just rotated out; presenting it again means it was copied
+    rotated_at TIMESTAMPTZ,
+    provider VARCHAR(50), -- how the user logged in: email, google, azure
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    mfa_method VARCHAR(20) -- second factor this session was verified with: totp, recovery or passkey
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at ON user_sessions(expires_at);
+
+-- TOTP two-factor authentication. Secrets are AES-GCM encrypted; a secret
+-- stays in pending_secret until the first code from the app confirms it
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id INT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    totp_secret TEXT,
+    pending_secret TEXT,
+    totp_enabled_at TIMESTAMPTZ,
+    last_used_step BIGINT, -- a code is accepted once, even within its 30s window
+    failed_attempts INT DEFAULT 0,
+    locked_until TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Single-use recovery codes (hashed) for when the authenticator app is lost
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id) WHERE used_at IS NULL;
+
+-- WebAuthn passkeys
+CREATE TABLE IF NOT EXISTS webauthn_credentials (
+    id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    credential_id TEXT NOT NULL UNIQUE, -- base64url
+    public_key BYTEA NOT NULL,
+    counter BIGINT NOT NULL DEFAULT 0,
+    transports TEXT[],
+    device_type VARCHAR(20), -- singleDevice or multiDevice (synced)
+    backed_up BOOLEAN DEFAULT FALSE,
+    name VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user ON webauthn_credentials(user_id);
+
+-- Outstanding WebAuthn challenges; each is used once
+CREATE TABLE IF NOT EXISTS webauthn_challenges (
+    id SERIAL PRIMARY KEY,
+    user_id INT REFERENCES users(id) ON DELETE CASCADE, -- NULL for passwordless login
+    purpose VARCHAR(20) NOT NULL, -- register, login
+    challenge TEXT NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webauthn_challenges_expires_at ON webauthn_challenges(expires_at);
+
+-- Sign-in identities from OIDC providers; a user can link several, and a
+-- login with any of them resolves to the same account. Password sign-in
+-- stays on users.password_hash
+CREATE TABLE IF NOT EXISTS user_identities (
+    id SERIAL PRIMARY KEY,
+    user_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL, -- google, azure, or the name of a configured OIDC provider
+    subject VARCHAR(255) NOT NULL, -- the provider's id for the user (namespaced for configured providers)
+    email VARCHAR(255), -- address the provider reported, shown when listing linked accounts
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ,
+    UNIQUE (provider, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user ON user_identities(user_id);
+
+-- Caregivers looking after seniors. The caregiver invites; the link becomes
+-- active once the senior accepts or an admin approves it
+CREATE TABLE IF NOT EXISTS caregiver_links (
+    id SERIAL PRIMARY KEY,
+    caregiver_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    senior_id INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'declined', 'revoked')),
+    message TEXT, -- note from the caregiver shown with the invite
+    approved_by INT REFERENCES users(id) ON DELETE SET NULL, -- the senior, or the admin who approved on their behalf
+    revoked_by INT REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    responded_at TIMESTAMPTZ, -- accepted, approved or declined
+    revoked_at TIMESTAMPTZ
+);
+
+-- One open (pending or active) link per caregiver and senior
+CREATE UNIQUE INDEX IF NOT EXISTS idx_caregiver_links_open ON caregiver_links(caregiver_id, senior_id) WHERE status IN ('pending', 'active');
+CREATE INDEX IF NOT EXISTS idx_caregiver_links_senior ON caregiver_links(senior_id, status);
+
+-- Everything a caregiver did on a senior's behalf ("performed by caregiver X for senior Y")
+CREATE TABLE IF NOT EXISTS caregiver_actions (
+    id BIGSERIAL PRIMARY KEY,
+    caregiver_id INT REFERENCES users(id) ON DELETE SET NULL,
+    senior_id INT REFERENCES users(id) ON DELETE CASCADE,
+    action VARCHAR(50) NOT NULL, -- e.g. 'request.posted', 'offer.accepted', 'matches.viewed', 'rating.submitted'
+    service VARCHAR(50), -- where it happened
+    request_id INT REFERENCES requests(id) ON DELETE SET NULL,
+    match_id INT REFERENCES matches(id) ON DELETE SET NULL,
+    details JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_caregiver_actions_senior ON caregiver_actions(senior_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_caregiver_actions_caregiver ON caregiver_actions(caregiver_id, created_at DESC);
+
 -- ========================================
 -- SAMPLE DATA INSERTS
 -- ========================================
@@ -150,6 +562,11 @@ INSERT INTO users (provider_id, email, firstname, lastname, address, password_ha
 -- Admin User
 (NULL, 'kampungconnectsit@gmail.com', 'System', 'Admin', 'Admin Office', '$2a$12$BcC1Ctbv25OU0/sx7w/30OPPig3i33UXlM8qbH/O5ZWiA0NN1hwkG', NULL, 'email', 'admin', 5.0, NULL, TRUE, TRUE, NOW());
 
+-- Each OAuth sample user signs in with the identity they registered with
+INSERT INTO user_identities (user_id, provider, subject, email)
+SELECT id, provider, provider_id, email FROM users WHERE provider_id IS NOT NULL
+ON CONFLICT (provider, subject) DO NOTHING;
+
 -- Sample Requests from seniors
 INSERT INTO requests (user_id, title, category, description, urgency, status, created_at) VALUES
 -- Requests from Robert Wong (user_id 2)
@@ -237,6 +654,35 @@ INSERT INTO offers (request_id, helper_id, status, created_at) VALUES
 (5, 16, 'accepted', NOW() - INTERVAL '2 days'),
 (8, 18, 'accepted', NOW() - INTERVAL '9 days');
 
+-- Sample helper skills and certifications
+INSERT INTO helper_skills (user_id, category, proficiency) VALUES
+(15, 'transport', 5), (15, 'shopping', 4),
+(16, 'tech_support', 5), (16, 'companionship', 4),
+(17, 'home_repair', 4), (17, 'shopping', 3),
+(18, 'meal_prep', 5), (18, 'companionship', 5),
+(19, 'healthcare', 5), (19, 'home_repair', 3),
+(20, 'healthcare', 4), (20, 'transport', 3),
+(21, 'companionship', 4), (21, 'meal_prep', 3);
+
+INSERT INTO helper_certifications (user_id, name, issued_by, expires_at) VALUES
+(15, 'driving_licence', 'Singapore Police Force', NULL),
+(19, 'first_aid', 'Singapore Red Cross', CURRENT_DATE + INTERVAL '1 year'),
+(19, 'dementia_care', 'Dementia Singapore', NULL),
+(20, 'first_aid', 'Singapore Red Cross', CURRENT_DATE + INTERVAL '6 months'),
+(20, 'cpr', 'Singapore Heart Foundation', CURRENT_DATE + INTERVAL '6 months');
+
+-- Sample weekly availability (Linda and Rachel have none, so they are flexible)
+INSERT INTO helper_availability (user_id, day_of_week, start_time, end_time) VALUES
+(15, 0, '08:00', '13:00'), (15, 6, '08:00', '18:00'),
+(16, 1, '18:00', '22:00'), (16, 3, '18:00', '22:00'), (16, 5, '18:00', '22:00'),
+(17, 6, '09:00', '17:00'), (17, 0, '09:00', '17:00'),
+(18, 2, '10:00', '16:00'), (18, 4, '10:00', '16:00'),
+(20, 1, '09:00', '18:00'), (20, 2, '09:00', '18:00'), (20, 3, '09:00', '18:00'),
+(20, 4, '09:00', '18:00'), (20, 5, '09:00', '18:00');
+
+INSERT INTO helper_blackout_dates (user_id, start_date, end_date, reason) VALUES
+(17, CURRENT_DATE + 10, CURRENT_DATE + 17, 'Overseas trip');
+
 -- ========================================
 -- SOCIAL FEATURES TABLES
 -- ========================================
@@ -2,10 +2,16 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { Pool } = require('pg');
+const axios = require('axios');
 const AuthMiddleware = require('../shared/auth-middleware');
+const dlq = require('./dlq');
+const EventBus = require('../shared/event-bus');
 
 const app = express();
 const authMiddleware = new AuthMiddleware();
+const eventBus = new EventBus('admin-service');
+
+const NOTIFICATION_SERVICE_URL = process.env.NOTIFICATION_SERVICE_URL || 'http://notification-service:5000';
 
 // Database connection
 const pool = new Pool({
@@ -53,6 +59,12 @@ app.use(express.json());
 // Admin-only middleware
 const requireAdmin = authMiddleware.requireRole('admin');
 
+// Admins must have signed in with a second factor (TOTP or passkey) before
+// any /api/admin call. ADMIN_REQUIRE_2FA=false turns this off for local dev.
+if (process.env.ADMIN_REQUIRE_2FA !== 'false') {
+    app.use('/api/admin', authMiddleware.authenticateToken, requireAdmin, authMiddleware.requireTwoFactor);
+}
+
 // Health check
 app.get('/', (req, res) => {
     res.json({
@@ -188,9 +200,25 @@ app.get('/api/admin/stats/system-health',
                     (SELECT COUNT(*) FROM pg_stat_activity WHERE state = 'active') as active_connections
             `);
 
+            // Outbound message queue (email, SMS, chat)
+            const deliveryStats = await pool.query(`
+                SELECT 
+                    COUNT(*) FILTER (WHERE status IN ('pending', 'sending')) as pending,
+                    COUNT(*) FILTER (WHERE status = 'pending' AND attempts > 0) as retrying,
+                    COUNT(*) FILTER (WHERE status = 'sent' AND sent_at >= NOW() - INTERVAL '24 hours') as sent_24h,
+                    COUNT(*) FILTER (WHERE status = 'failed' AND created_at >= NOW() - INTERVAL '24 hours') as failed_24h,
+                    COUNT(*) FILTER (WHERE status = 'bounced' AND created_at >= NOW() - INTERVAL '24 hours') as bounced_24h,
+                    MIN(created_at) FILTER (WHERE status IN ('pending', 'sending')) as oldest_pending_at
+                FROM outbound_messages
+            `);
+
             res.json({
                 ...healthMetrics.rows[0],
                 ...dbStats.rows[0],
+                email: {
+                    smtp: await fetchSmtpStatus(),
+                    queue: deliveryStats.rows[0]
+                },
                 timestamp: new Date().toISOString()
             });
         } catch (error) {
@@ -200,6 +228,22 @@ app.get('/api/admin/stats/system-health',
     }
 );
 
+// Last SMTP connection check from notification-service; unreachable counts as not verified
+async function fetchSmtpStatus() {
+    try {
+        const { data } = await axios.get(`${NOTIFICATION_SERVICE_URL}/health`, { timeout: 3000 });
+        return {
+            reachable: true,
+            enabled: data.smtp?.enabled === true,
+            verified: data.smtp?.connection?.success === true,
+            message: data.smtp?.connection?.message || null,
+            checked_at: data.smtp?.connection?.checkedAt || null
+        };
+    } catch (error) {
+        return { reachable: false, enabled: false, verified: false, message: error.message, checked_at: null };
+    }
+}
+
 // Get urgency distribution
 app.get('/api/admin/stats/urgency-distribution',
     authMiddleware.authenticateToken,
@@ -517,6 +561,73 @@ app.get('/api/admin/users/:id',
     }
 );
 
+// Get a user's outbound messages with every delivery attempt
+app.get('/api/admin/users/:id/deliveries',
+    authMiddleware.authenticateToken,
+    requireAdmin,
+    async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { page = 1, limit = 20, status, channel } = req.query;
+
+            const offset = (page - 1) * limit;
+            let conditions = ['m.user_id = $1'];
+            let params = [id];
+            let paramCount = 2;
+
+            if (status) {
+                conditions.push(`m.status = $${paramCount++}`);
+                params.push(status);
+            }
+            if (channel) {
+                conditions.push(`m.channel = $${paramCount++}`);
+                params.push(channel);
+            }
+
+            const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+            const countResult = await pool.query(
+                `SELECT COUNT(*) FROM outbound_messages m ${whereClause}`,
+                params
+            );
+            const totalMessages = parseInt(countResult.rows[0].count);
+
+            params.push(parseInt(limit), offset);
+            const messages = await pool.query(
+                `SELECT 
+                    m.id, m.channel, m.recipient, m.template, m.label, m.status,
+                    m.attempts, m.next_attempt_at, m.last_error, m.provider_message_id,
+                    m.created_at, m.sent_at,
+                    COALESCE(
+                        (SELECT json_agg(l ORDER BY l.attempt)
+                         FROM (SELECT attempt, outcome, error, provider_message_id, created_at
+                               FROM message_delivery_log
+                               WHERE message_id = m.id) l),
+                        '[]'
+                    ) as attempt_log
+                FROM outbound_messages m
+                ${whereClause}
+                ORDER BY m.created_at DESC
+                LIMIT $${paramCount++} OFFSET $${paramCount}`,
+                params
+            );
+
+            res.json({
+                deliveries: messages.rows,
+                pagination: {
+                    total: totalMessages,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(totalMessages / limit)
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching user deliveries:', error);
+            res.status(500).json({ error: 'Failed to fetch user deliveries' });
+        }
+    }
+);
+
 // Update user status (activate/deactivate)
 app.patch('/api/admin/users/:id/status',
     authMiddleware.authenticateToken,
@@ -1406,6 +1517,556 @@ app.get('/api/admin/audit-logs',
     }
 );
 
+// ============= ACCOUNT LOCKOUTS =============
+
+// Lockouts auth-service set after repeated failed logins or reset codes
+app.get('/api/admin/lockouts',
+    authMiddleware.authenticateToken,
+    requireAdmin,
+    async (req, res) => {
+        try {
+            const { page = 1, limit = 50, status = 'active', email } = req.query;
+
+            const offset = (page - 1) * limit;
+            let conditions = [];
+            let params = [];
+            let paramCount = 1;
+
+            if (status === 'active') {
+                conditions.push('lo.cleared_at IS NULL AND lo.locked_until > NOW()');
+            } else if (status === 'cleared') {
+                conditions.push('lo.cleared_at IS NOT NULL');
+            } else if (status === 'expired') {
+                conditions.push('lo.cleared_at IS NULL AND lo.locked_until <= NOW()');
+            }
+            if (email) {
+                conditions.push(`lo.email ILIKE $${paramCount++}`);
+                params.push(`%${email}%`);
+            }
+
+            const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const countResult = await pool.query(
+                `SELECT COUNT(*) FROM account_lockouts lo ${whereClause}`,
+                params
+            );
+            const totalLockouts = parseInt(countResult.rows[0].count);
+
+            params.push(parseInt(limit), offset);
+            const lockouts = await pool.query(
+                `SELECT 
+                    lo.*,
+                    (lo.cleared_at IS NULL AND lo.locked_until > NOW()) as active,
+                    u.firstname,
+                    u.lastname,
+                    u.role,
+                    a.email as cleared_by_email
+                FROM account_lockouts lo
+                LEFT JOIN users u ON lo.user_id = u.id
+                LEFT JOIN users a ON lo.cleared_by = a.id
+                ${whereClause}
+                ORDER BY lo.created_at DESC
+                LIMIT $${paramCount++} OFFSET $${paramCount}`,
+                params
+            );
+
+            res.json({
+                lockouts: lockouts.rows,
+                pagination: {
+                    total: totalLockouts,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(totalLockouts / limit)
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching lockouts:', error);
+            res.status(500).json({ error: 'Failed to fetch lockouts' });
+        }
+    }
+);
+
+// Unlock an account early. Also forgets the email's recent attempts so its
+// rate limits start from zero
+app.post('/api/admin/lockouts/:id/clear',
+    authMiddleware.authenticateToken,
+    requireAdmin,
+    async (req, res) => {
+        const client = await pool.connect();
+        try {
+            const { id } = req.params;
+            const { reason } = req.body;
+
+            await client.query('BEGIN');
+
+            const result = await client.query(
+                `UPDATE account_lockouts
+                SET cleared_at = NOW(), cleared_by = $2
+                WHERE id = $1 AND cleared_at IS NULL AND locked_until > NOW()
+                RETURNING *`,
+                [id, req.user.id]
+            );
+
+            if (result.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ error: 'No active lockout with this id' });
+            }
+
+            const lockout = result.rows[0];
+            await client.query(
+                `DELETE FROM auth_rate_events WHERE scope = 'email' AND key = $1`,
+                [lockout.email]
+            );
+            await client.query(
+                `INSERT INTO admin_actions (admin_id, action_type, target_user_id, reason, created_at)
+                VALUES ($1, 'clear_lockout', $2, $3, NOW())`,
+                [
+                    req.user.id,
+                    lockout.user_id,
+                    `Lockout #${lockout.id} for ${lockout.email}${reason ? `: ${reason}` : ''}`
+                ]
+            );
+
+            await client.query('COMMIT');
+
+            res.json({
+                message: 'Lockout cleared',
+                lockout
+            });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error clearing lockout:', error);
+            res.status(500).json({ error: 'Failed to clear lockout' });
+        } finally {
+            client.release();
+        }
+    }
+);
+
+// ============= CAREGIVER LINKS =============
+
+// List caregiver-senior links (pending ones are waiting for approval)
+app.get('/api/admin/caregiver-links',
+    authMiddleware.authenticateToken,
+    requireAdmin,
+    async (req, res) => {
+        try {
+            const { page = 1, limit = 50, status, user_id } = req.query;
+
+            const offset = (page - 1) * limit;
+            let conditions = [];
+            let params = [];
+            let paramCount = 1;
+
+            if (status) {
+                conditions.push(`l.status = $${paramCount++}`);
+                params.push(status);
+            }
+            if (user_id) {
+                conditions.push(`(l.caregiver_id = $${paramCount} OR l.senior_id = $${paramCount})`);
+                paramCount++;
+                params.push(parseInt(user_id));
+            }
+
+            const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const countResult = await pool.query(
+                `SELECT COUNT(*) FROM caregiver_links l ${whereClause}`,
+                params
+            );
+            const totalLinks = parseInt(countResult.rows[0].count);
+
+            params.push(parseInt(limit), offset);
+            const links = await pool.query(
+                `SELECT 
+                    l.*,
+                    c.firstname as caregiver_firstname,
+                    c.lastname as caregiver_lastname,
+                    c.email as caregiver_email,
+                    s.firstname as senior_firstname,
+                    s.lastname as senior_lastname,
+                    s.email as senior_email
+                FROM caregiver_links l
+                JOIN users c ON l.caregiver_id = c.id
+                JOIN users s ON l.senior_id = s.id
+                ${whereClause}
+                ORDER BY l.created_at DESC
+                LIMIT $${paramCount++} OFFSET $${paramCount}`,
+                params
+            );
+
+            res.json({
+                links: links.rows,
+                pagination: {
+                    total: totalLinks,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(totalLinks / limit)
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching caregiver links:', error);
+            res.status(500).json({ error: 'Failed to fetch caregiver links' });
+        }
+    }
+);
+
+// Approve or reject a pending link for a senior who cannot respond themselves
+const decideCaregiverLink = (approve) => async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `UPDATE caregiver_links
+            SET status = $2, approved_by = CASE WHEN $2 = 'active' THEN $3::int END, responded_at = NOW()
+            WHERE id = $1 AND status = 'pending'
+            RETURNING *`,
+            [id, approve ? 'active' : 'declined', req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'No pending caregiver link with this id' });
+        }
+
+        const link = result.rows[0];
+        await client.query(
+            `INSERT INTO admin_actions (admin_id, action_type, target_user_id, reason, created_at)
+            VALUES ($1, $2, $3, $4, NOW())`,
+            [
+                req.user.id,
+                approve ? 'approve_caregiver_link' : 'reject_caregiver_link',
+                link.senior_id,
+                `Caregiver link #${link.id} (caregiver ${link.caregiver_id})${reason ? `: ${reason}` : ''}`
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: approve ? 'Caregiver link approved' : 'Caregiver link rejected',
+            link
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error deciding caregiver link:', error);
+        res.status(500).json({ error: 'Failed to update caregiver link' });
+    } finally {
+        client.release();
+    }
+};
+
+app.post('/api/admin/caregiver-links/:id/approve',
+    authMiddleware.authenticateToken,
+    requireAdmin,
+    decideCaregiverLink(true)
+);
+
+app.post('/api/admin/caregiver-links/:id/reject',
+    authMiddleware.authenticateToken,
+    requireAdmin,
+    decideCaregiverLink(false)
+);
+
+// Actions caregivers took on behalf of seniors
+app.get('/api/admin/caregiver-actions',
+    authMiddleware.authenticateToken,
+    requireAdmin,
+    async (req, res) => {
+        try {
+            const { page = 1, limit = 50, senior_id, caregiver_id, action } = req.query;
+
+            const offset = (page - 1) * limit;
+            let conditions = [];
+            let params = [];
+            let paramCount = 1;
+
+            if (senior_id) {
+                conditions.push(`a.senior_id = $${paramCount++}`);
+                params.push(parseInt(senior_id));
+            }
+            if (caregiver_id) {
+                conditions.push(`a.caregiver_id = $${paramCount++}`);
+                params.push(parseInt(caregiver_id));
+            }
+            if (action) {
+                conditions.push(`a.action = $${paramCount++}`);
+                params.push(action);
+            }
+
+            const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const countResult = await pool.query(
+                `SELECT COUNT(*) FROM caregiver_actions a ${whereClause}`,
+                params
+            );
+            const totalActions = parseInt(countResult.rows[0].count);
+
+            params.push(parseInt(limit), offset);
+            const actions = await pool.query(
+                `SELECT 
+                    a.*,
+                    CONCAT(c.firstname, ' ', c.lastname) as caregiver_name,
+                    CONCAT(s.firstname, ' ', s.lastname) as senior_name
+                FROM caregiver_actions a
+                LEFT JOIN users c ON a.caregiver_id = c.id
+                LEFT JOIN users s ON a.senior_id = s.id
+                ${whereClause}
+                ORDER BY a.created_at DESC
+                LIMIT $${paramCount++} OFFSET $${paramCount}`,
+                params
+            );
+
+            res.json({
+                actions: actions.rows,
+                pagination: {
+                    total: totalActions,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(totalActions / limit)
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching caregiver actions:', error);
+            res.status(500).json({ error: 'Failed to fetch caregiver actions' });
+        }
+    }
+);
+
+// ============= DOMAIN EVENT LOG =============
+
+// Record every domain event on the bus; event_id makes redeliveries no-ops
+eventBus.subscribe('admin-service.audit', {
+    '#': async (event) => {
+        await pool.query(
+            `INSERT INTO domain_events (event_id, type, version, source, occurred_at, data)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (event_id) DO NOTHING`,
+            [event.event_id, event.type, event.version, event.source, event.occurred_at, event.data]
+        );
+    }
+});
+
+// Get domain events (what happened across services)
+app.get('/api/admin/audit-logs/events',
+    authMiddleware.authenticateToken,
+    requireAdmin,
+    async (req, res) => {
+        try {
+            const {
+                page = 1,
+                limit = 50,
+                type,
+                source,
+                user_id
+            } = req.query;
+
+            const offset = (page - 1) * limit;
+            let conditions = [];
+            let params = [];
+            let paramCount = 1;
+
+            if (type) {
+                conditions.push(`e.type = $${paramCount++}`);
+                params.push(type);
+            }
+            if (source) {
+                conditions.push(`e.source = $${paramCount++}`);
+                params.push(source);
+            }
+            if (user_id) {
+                // Any event this user took part in, whatever role the payload gives them
+                conditions.push(`EXISTS (
+                    SELECT 1 FROM jsonb_each_text(e.data) d
+                    WHERE d.key IN ('user_id', 'senior_id', 'helper_id', 'rater_id', 'ratee_id', 'requester_id', 'recipient_id')
+                      AND d.value = $${paramCount++}
+                )`);
+                params.push(String(parseInt(user_id)));
+            }
+
+            const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const countResult = await pool.query(
+                `SELECT COUNT(*) FROM domain_events e ${whereClause}`,
+                params
+            );
+            const totalEvents = parseInt(countResult.rows[0].count);
+
+            params.push(parseInt(limit), offset);
+            const events = await pool.query(
+                `SELECT e.*
+                FROM domain_events e
+                ${whereClause}
+                ORDER BY e.occurred_at DESC
+                LIMIT $${paramCount++} OFFSET $${paramCount}`,
+                params
+            );
+
+            res.json({
+                events: events.rows,
+                pagination: {
+                    total: totalEvents,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(totalEvents / limit)
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching domain events:', error);
+            res.status(500).json({ error: 'Failed to fetch domain events' });
+        }
+    }
+);
+
+// ============= DEAD LETTER QUEUES =============
+
+// Only queues with a managed DLQ can be browsed
+const requireDlqQueue = (req, res, next) => {
+    if (!dlq.DLQ_QUEUES.includes(req.params.queue)) {
+        return res.status(404).json({ error: `No dead letter queue for ${req.params.queue}` });
+    }
+    next();
+};
+
+const logDlqAction = (adminId, actionType, reason) => pool.query(
+    `INSERT INTO admin_actions (admin_id, action_type, reason, created_at)
+    VALUES ($1, $2, $3, NOW())`,
+    [adminId, actionType, reason]
+);
+
+// List dead letters
+app.get('/api/admin/dlq/:queue',
+    authMiddleware.authenticateToken,
+    requireAdmin,
+    requireDlqQueue,
+    async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+            res.json(await dlq.listMessages(req.params.queue, { limit, offset }));
+        } catch (error) {
+            console.error('Error listing dead letters:', error);
+            res.status(500).json({ error: 'Failed to list dead letters' });
+        }
+    }
+);
+
+// Inspect a dead letter with its full payload and headers
+app.get('/api/admin/dlq/:queue/messages/:messageId',
+    authMiddleware.authenticateToken,
+    requireAdmin,
+    requireDlqQueue,
+    async (req, res) => {
+        try {
+            const message = await dlq.getMessage(req.params.queue, req.params.messageId);
+
+            if (!message) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+
+            res.json({ message });
+        } catch (error) {
+            console.error('Error fetching dead letter:', error);
+            res.status(500).json({ error: 'Failed to fetch dead letter' });
+        }
+    }
+);
+
+// Replay one dead letter onto its original queue
+app.post('/api/admin/dlq/:queue/messages/:messageId/replay',
+    authMiddleware.authenticateToken,
+    requireAdmin,
+    requireDlqQueue,
+    async (req, res) => {
+        try {
+            const { queue, messageId } = req.params;
+            const replayed = await dlq.replayMessages(queue, { messageId });
+
+            if (replayed.length === 0) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+
+            await logDlqAction(req.user.id, 'dlq_replay', `Replayed ${messageId} from ${queue}.dlq`);
+
+            res.json({ message: 'Message replayed', replayed });
+        } catch (error) {
+            console.error('Error replaying dead letter:', error);
+            res.status(500).json({ error: 'Failed to replay dead letter' });
+        }
+    }
+);
+
+// Replay every dead letter; poison messages only with includePoison
+app.post('/api/admin/dlq/:queue/replay',
+    authMiddleware.authenticateToken,
+    requireAdmin,
+    requireDlqQueue,
+    async (req, res) => {
+        try {
+            const { queue } = req.params;
+            const includePoison = req.body?.includePoison === true;
+            const replayed = await dlq.replayMessages(queue, { includePoison });
+
+            await logDlqAction(req.user.id, 'dlq_replay',
+                `Replayed ${replayed.length} message(s) from ${queue}.dlq${includePoison ? ' (including poison)' : ''}`);
+
+            res.json({ message: `${replayed.length} message(s) replayed`, replayed });
+        } catch (error) {
+            console.error('Error replaying dead letters:', error);
+            res.status(500).json({ error: 'Failed to replay dead letters' });
+        }
+    }
+);
+
+// Drop one dead letter
+app.delete('/api/admin/dlq/:queue/messages/:messageId',
+    authMiddleware.authenticateToken,
+    requireAdmin,
+    requireDlqQueue,
+    async (req, res) => {
+        try {
+            const { queue, messageId } = req.params;
+            const purged = await dlq.purgeMessages(queue, { messageId });
+
+            if (purged === 0) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+
+            await logDlqAction(req.user.id, 'dlq_purge', `Purged ${messageId} from ${queue}.dlq`);
+
+            res.json({ message: 'Message purged', purged });
+        } catch (error) {
+            console.error('Error purging dead letter:', error);
+            res.status(500).json({ error: 'Failed to purge dead letter' });
+        }
+    }
+);
+
+// Empty the whole dead letter queue
+app.delete('/api/admin/dlq/:queue',
+    authMiddleware.authenticateToken,
+    requireAdmin,
+    requireDlqQueue,
+    async (req, res) => {
+        try {
+            const { queue } = req.params;
+            const purged = await dlq.purgeMessages(queue);
+
+            await logDlqAction(req.user.id, 'dlq_purge', `Purged all ${purged} message(s) from ${queue}.dlq`);
+
+            res.json({ message: `${purged} message(s) purged`, purged });
+        } catch (error) {
+            console.error('Error purging dead letter queue:', error);
+            res.status(500).json({ error: 'Failed to purge dead letter queue' });
+        }
+    }
+);
+
 // ============= EXPORT DATA =============
 
 // Export users data as CSV
@@ -1503,6 +2164,7 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
     console.log(`🚀 Admin service running on port ${PORT}`);
     console.log(`🔐 Admin authentication: enabled`);
+    console.log(`🔐 Admin two-factor: ${process.env.ADMIN_REQUIRE_2FA === 'false' ? 'optional' : 'required'}`);
 });
 
 // Graceful shutdown
@@ -0,0 +1,238 @@
+class AccountDataError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AccountDataError';
+        this.status = status;
+    }
+}
+
+// Everything exported for a user: section name → query with $1 = user id
+const EXPORT_SECTIONS = {
+    profile: `
+        SELECT id, email, firstname, lastname, address, picture, provider, role, rating, location, phone,
+               email_verified, is_active, created_at, updated_at, last_login, deletion_scheduled_for
+        FROM users WHERE id = $1`,
+    helper_skills: `SELECT category, proficiency, created_at, updated_at FROM helper_skills WHERE user_id = $1`,
+    helper_certifications: `SELECT * FROM helper_certifications WHERE user_id = $1`,
+    helper_availability: `SELECT * FROM helper_availability WHERE user_id = $1`,
+    helper_blackout_dates: `SELECT * FROM helper_blackout_dates WHERE user_id = $1`,
+    notification_preferences: `SELECT * FROM notification_preferences WHERE user_id = $1`,
+    request_series: `SELECT * FROM request_series WHERE user_id = $1 ORDER BY created_at`,
+    requests: `SELECT * FROM requests WHERE user_id = $1 ORDER BY created_at`,
+    responses: `SELECT * FROM responses WHERE user_id = $1 ORDER BY created_at`,
+    offers: `SELECT * FROM offers WHERE helper_id = $1 ORDER BY created_at`,
+    matches: `
+        SELECT m.*, r.title AS request_title, r.user_id AS senior_id
+        FROM matches m
+        JOIN requests r ON r.id = m.request_id
+        WHERE m.helper_id = $1 OR r.user_id = $1
+        ORDER BY m.matched_at`,
+    ratings_given: `SELECT * FROM ratings WHERE rater_id = $1 ORDER BY created_at`,
+    ratings_received: `SELECT * FROM ratings WHERE ratee_id = $1 ORDER BY created_at`,
+    messages: `SELECT * FROM messages WHERE sender_id = $1 OR receiver_id = $1 ORDER BY created_at`,
+    friendships: `SELECT * FROM friendships WHERE user_id = $1 OR friend_id = $1 ORDER BY created_at`,
+    activities_created: `SELECT * FROM activities WHERE creator_id = $1 ORDER BY created_at`,
+    activity_participation: `
+        SELECT p.*, a.title AS activity_title, a.scheduled_at
+        FROM activity_participants p
+        JOIN activities a ON a.id = p.activity_id
+        WHERE p.user_id = $1
+        ORDER BY p.created_at`,
+    notifications: `SELECT * FROM notifications WHERE user_id = $1 ORDER BY created_at`,
+    caregiver_links: `
+        SELECT id, caregiver_id, senior_id, status, message, created_at, responded_at, revoked_at
+        FROM caregiver_links WHERE caregiver_id = $1 OR senior_id = $1 ORDER BY created_at`,
+    caregiver_actions: `SELECT * FROM caregiver_actions WHERE caregiver_id = $1 OR senior_id = $1 ORDER BY created_at`,
+    identities: `SELECT provider, email, created_at, last_used_at FROM user_identities WHERE user_id = $1 ORDER BY created_at`,
+    sessions: `
+        SELECT id, provider, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at
+        FROM user_sessions WHERE user_id = $1 ORDER BY created_at`
+};
+
+/**
+ * Personal data export and self-service account deletion (PDPA)
+ *
+ * exportData() gathers everything stored about a user across the services'
+ * tables. Deletion is scheduled first and can be cancelled during the grace
+ * period (ACCOUNT_DELETION_GRACE_DAYS, default 14). After that the account is
+ * anonymised rather than deleted: the users row is scrubbed and kept, so
+ * ratings and messages stay with the other people involved but no longer
+ * point to a person, while data only about the user is removed.
+ */
+class AccountDataService {
+    constructor(pool) {
+        this.pool = pool;
+        this.GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+    }
+
+    /**
+     * All of the user's data as { exportedAt, <section>: rows }
+     */
+    async exportData(userId) {
+        const data = { exportedAt: new Date().toISOString() };
+
+        for (const [section, query] of Object.entries(EXPORT_SECTIONS)) {
+            const result = await this.pool.query(query, [userId]);
+            data[section] = section === 'profile' ? result.rows[0] || null : result.rows;
+        }
+        return data;
+    }
+
+    async getScheduledDeletion(userId) {
+        const result = await this.pool.query(
+            `SELECT deletion_scheduled_for FROM users WHERE id = $1`,
+            [userId]
+        );
+        return result.rows[0]?.deletion_scheduled_for || null;
+    }
+
+    /**
+     * Start the grace period. Returns when the account will be anonymised.
+     */
+    async scheduleDeletion(userId) {
+        const result = await this.pool.query(
+            `UPDATE users
+             SET deletion_scheduled_for = NOW() + make_interval(days => $2), updated_at = NOW()
+             WHERE id = $1 AND deleted_at IS NULL AND deletion_scheduled_for IS NULL
+             RETURNING deletion_scheduled_for`,
+            [userId, this.GRACE_DAYS]
+        );
+        if (result.rows.length === 0) {
+            throw new AccountDataError('Account deletion is already scheduled', 409);
+        }
+        return result.rows[0].deletion_scheduled_for;
+    }
+
+    /**
+     * Keep the account. Returns false when no deletion was scheduled.
+     */
+    async cancelDeletion(userId) {
+        const result = await this.pool.query(
+            `UPDATE users
+             SET deletion_scheduled_for = NULL, updated_at = NOW()
+             WHERE id = $1 AND deletion_scheduled_for IS NOT NULL AND deleted_at IS NULL`,
+            [userId]
+        );
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Anonymise one account in a single transaction
+     */
+    async anonymise(userId) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const user = await client.query(
+                `SELECT email FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`,
+                [userId]
+            );
+            if (user.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return false;
+            }
+            const email = user.rows[0].email;
+
+            // Open requests of the user are called off; requests they were
+            // helping with go back to pending for another helper
+            await client.query(
+                `UPDATE matches SET status = 'cancelled'
+                 WHERE status = 'active' AND request_id IN (SELECT id FROM requests WHERE user_id = $1)`,
+                [userId]
+            );
+            await client.query(
+                `UPDATE requests SET status = 'cancelled', panic_location = NULL
+                 WHERE user_id = $1 AND status NOT IN ('completed', 'fulfilled', 'cancelled')`,
+                [userId]
+            );
+            await client.query(
+                `UPDATE request_series SET status = 'cancelled' WHERE user_id = $1 AND status = 'active'`,
+                [userId]
+            );
+            await client.query(
+                `UPDATE request_series SET standing_helper_id = NULL WHERE standing_helper_id = $1`,
+                [userId]
+            );
+            await client.query(
+                `UPDATE request_series SET invited_helper_id = NULL WHERE invited_helper_id = $1`,
+                [userId]
+            );
+            await client.query(
+                `WITH dropped AS (
+                     UPDATE matches SET status = 'cancelled'
+                     WHERE helper_id = $1 AND status = 'active'
+                     RETURNING request_id
+                 )
+                 UPDATE requests SET status = 'pending'
+                 WHERE id IN (SELECT request_id FROM dropped) AND status = 'matched'`,
+                [userId]
+            );
+            await client.query(
+                `UPDATE activities SET status = 'cancelled', updated_at = NOW()
+                 WHERE creator_id = $1 AND status = 'scheduled'`,
+                [userId]
+            );
+
+            // Data that is only about the user
+            for (const table of [
+                'user_sessions', 'user_identities', 'user_two_factor', 'recovery_codes', 'webauthn_credentials',
+                'notifications', 'notification_preferences', 'notification_digest_items', 'outbound_messages',
+                'helper_skills', 'helper_certifications', 'helper_availability', 'helper_blackout_dates',
+                'friendships', 'activity_participants'
+            ]) {
+                const column = table === 'friendships' ? 'user_id = $1 OR friend_id' : 'user_id';
+                await client.query(`DELETE FROM ${table} WHERE ${column} = $1`, [userId]);
+            }
+            await client.query(`DELETE FROM offers WHERE helper_id = $1 AND status = 'pending'`, [userId]);
+            await client.query(`DELETE FROM caregiver_links WHERE caregiver_id = $1 OR senior_id = $1`, [userId]);
+            await client.query(`DELETE FROM otp_codes WHERE email = $1`, [email]);
+
+            // The row stays (ratings, messages, matches point to it) without anything identifying
+            await client.query(
+                `UPDATE users
+                 SET email = 'deleted-user-' || id || '@deleted.invalid',
+                     firstname = 'Deleted', lastname = 'User',
+                     address = NULL, password_hash = NULL, provider_id = NULL, picture = NULL,
+                     location = NULL, phone = NULL, is_active = FALSE, email_verified = FALSE,
+                     deletion_scheduled_for = NULL, deleted_at = NOW(), updated_at = NOW()
+                 WHERE id = $1`,
+                [userId]
+            );
+
+            await client.query('COMMIT');
+            return true;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Anonymise every account whose grace period has ended
+     */
+    async purgeDueAccounts() {
+        const due = await this.pool.query(
+            `SELECT id FROM users
+             WHERE deletion_scheduled_for <= NOW() AND deleted_at IS NULL
+             ORDER BY deletion_scheduled_for`
+        );
+
+        for (const { id } of due.rows) {
+            try {
+                if (await this.anonymise(id)) {
+                    console.log(`🗑️  Anonymised account ${id} after its deletion grace period`);
+                }
+            } catch (error) {
+                console.error(`Failed to anonymise account ${id}:`, error);
+            }
+        }
+    }
+}
+
+AccountDataService.AccountDataError = AccountDataError;
+
+module.exports = AccountDataService;
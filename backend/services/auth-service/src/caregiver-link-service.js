@@ -0,0 +1,147 @@
+class CaregiverLinkError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CaregiverLinkError';
+        this.status = status;
+    }
+}
+
+const LINK_COLUMNS = `
+    l.id, l.caregiver_id, l.senior_id, l.status, l.message, l.approved_by,
+    l.created_at, l.responded_at, l.revoked_at,
+    CONCAT(c.firstname, ' ', c.lastname) AS caregiver_name, c.email AS caregiver_email,
+    CONCAT(s.firstname, ' ', s.lastname) AS senior_name, s.email AS senior_email`;
+
+/**
+ * Caregiver-to-senior links (table caregiver_links)
+ *
+ * A caregiver invites a senior by email; the link turns active when the
+ * senior accepts (or an admin approves it in admin-service). Either side can
+ * revoke it later. While active, the caregiver can act for the senior in
+ * other services (see backend/shared/caregiver-delegation.js), and every
+ * such action is kept in caregiver_actions.
+ */
+class CaregiverLinkService {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    async getLink(linkId) {
+        const result = await this.pool.query(
+            `SELECT ${LINK_COLUMNS}
+             FROM caregiver_links l
+             JOIN users c ON c.id = l.caregiver_id
+             JOIN users s ON s.id = l.senior_id
+             WHERE l.id = $1`,
+            [linkId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Invite the senior with this email. Throws CaregiverLinkError when there
+     * is no such senior or the two are already linked or invited.
+     */
+    async invite(caregiverId, seniorEmail, message = null) {
+        const senior = await this.pool.query(
+            `SELECT id FROM users WHERE email = $1 AND role = 'senior' AND is_active = TRUE`,
+            [seniorEmail.toLowerCase()]
+        );
+        if (senior.rows.length === 0) {
+            throw new CaregiverLinkError('No senior account with that email', 404);
+        }
+
+        try {
+            const result = await this.pool.query(
+                `INSERT INTO caregiver_links (caregiver_id, senior_id, message)
+                 VALUES ($1, $2, $3)
+                 RETURNING id`,
+                [caregiverId, senior.rows[0].id, message]
+            );
+            return this.getLink(result.rows[0].id);
+        } catch (error) {
+            // idx_caregiver_links_open: a pending or active link already exists
+            if (error.code === '23505') {
+                throw new CaregiverLinkError('You have already invited or are linked to this senior', 409);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Links the user is part of: as caregiver, or as senior (incoming invites included)
+     */
+    async listLinks(userId) {
+        const result = await this.pool.query(
+            `SELECT ${LINK_COLUMNS}
+             FROM caregiver_links l
+             JOIN users c ON c.id = l.caregiver_id
+             JOIN users s ON s.id = l.senior_id
+             WHERE l.caregiver_id = $1 OR l.senior_id = $1
+             ORDER BY (l.status = 'pending') DESC, l.created_at DESC`,
+            [userId]
+        );
+        return result.rows;
+    }
+
+    /**
+     * The senior accepts or declines a pending invite. Returns null when there
+     * is no pending invite with this id for them.
+     */
+    async respond(seniorId, linkId, accept) {
+        const result = await this.pool.query(
+            `UPDATE caregiver_links
+             SET status = $3, approved_by = CASE WHEN $3 = 'active' THEN $2::int END, responded_at = NOW()
+             WHERE id = $1 AND senior_id = $2 AND status = 'pending'
+             RETURNING id`,
+            [linkId, seniorId, accept ? 'active' : 'declined']
+        );
+        return result.rows.length > 0 ? this.getLink(linkId) : null;
+    }
+
+    /**
+     * End a pending or active link; either the caregiver or the senior may.
+     * Returns null when it is not theirs or already ended.
+     */
+    async revoke(userId, linkId) {
+        const result = await this.pool.query(
+            `UPDATE caregiver_links
+             SET status = 'revoked', revoked_by = $2, revoked_at = NOW()
+             WHERE id = $1 AND (caregiver_id = $2 OR senior_id = $2) AND status IN ('pending', 'active')
+             RETURNING id`,
+            [linkId, userId]
+        );
+        return result.rows.length > 0 ? this.getLink(linkId) : null;
+    }
+
+    /**
+     * Actions taken through links: for a senior, what caregivers did for them;
+     * for a caregiver, what they did. Newest first.
+     */
+    async listActions(userId, { page = 1, limit = 50 } = {}) {
+        const offset = (page - 1) * limit;
+
+        const count = await this.pool.query(
+            `SELECT COUNT(*) FROM caregiver_actions WHERE senior_id = $1 OR caregiver_id = $1`,
+            [userId]
+        );
+        const result = await this.pool.query(
+            `SELECT a.id, a.caregiver_id, a.senior_id, a.action, a.service, a.request_id, a.match_id, a.details, a.created_at,
+                    CONCAT(c.firstname, ' ', c.lastname) AS caregiver_name,
+                    CONCAT(s.firstname, ' ', s.lastname) AS senior_name
+             FROM caregiver_actions a
+             LEFT JOIN users c ON c.id = a.caregiver_id
+             LEFT JOIN users s ON s.id = a.senior_id
+             WHERE a.senior_id = $1 OR a.caregiver_id = $1
+             ORDER BY a.created_at DESC
+             LIMIT $2 OFFSET $3`,
+            [userId, limit, offset]
+        );
+
+        return { actions: result.rows, total: parseInt(count.rows[0].count) };
+    }
+}
+
+CaregiverLinkService.CaregiverLinkError = CaregiverLinkError;
+
+module.exports = CaregiverLinkService;
@@ -85,102 +85,6 @@ class DatabaseService {
         }
     }
 
-    async findOrCreateUser(userData) {
-        const client = await this.pool.connect();
-        
-        try {
-            // Try to find existing user
-            const findQuery = `
-                SELECT * FROM users 
-                WHERE provider_id = $1 OR email = $2
-            `;
-            const findResult = await client.query(findQuery, [userData.id, userData.email]);
-            
-            // If user exists → update
-            if (findResult.rows.length > 0) {
-                const existingUser = findResult.rows[0];
-                
-                // Extract names
-                const firstname = userData.firstname || 
-                                (userData.name ? userData.name.trim().split(' ')[0] : '') || '';
-                const lastname = userData.lastname || 
-                            (userData.name ? userData.name.trim().split(' ').slice(1).join(' ') : '') || '';
-                
-                // If the existing user was created with email/password (provider_id is NULL)
-                // and now logging in with OAuth, update the provider_id and provider
-                if (!existingUser.provider_id && existingUser.provider === 'email' && userData.provider !== 'email') {
-                    console.log(`Linking OAuth account (${userData.provider}) to existing email account: ${userData.email}`);
-                    const linkQuery = `
-                        UPDATE users 
-                        SET firstname = $1, lastname = $2, picture = $3, provider_id = $4, provider = $5, 
-                            email_verified = TRUE, updated_at = CURRENT_TIMESTAMP 
-                        WHERE email = $6
-                        RETURNING id, provider_id, email, firstname, lastname, password_hash, picture, provider, role, rating, location, email_verified, is_active, created_at, updated_at
-                    `;
-                    
-                    const linkResult = await client.query(linkQuery, [
-                        firstname,
-                        lastname,
-                        userData.picture || null,
-                        userData.id,
-                        userData.provider,
-                        userData.email
-                    ]);
-                    
-                    return linkResult.rows[0];
-                } else {
-                    // Normal update for existing OAuth users
-                    const updateQuery = `
-                        UPDATE users 
-                        SET firstname = $1, lastname = $2, picture = $3, email_verified = TRUE, updated_at = CURRENT_TIMESTAMP 
-                        WHERE provider_id = $4 OR email = $5
-                        RETURNING id, provider_id, email, firstname, lastname, password_hash, picture, provider, role, rating, location, email_verified, is_active, created_at, updated_at
-                    `;
-                    
-                    const updateResult = await client.query(updateQuery, [
-                        firstname,
-                        lastname,
-                        userData.picture || null,
-                        userData.id,
-                        userData.email
-                    ]);
-
-                    return updateResult.rows[0];
-                }
-            }
-
-            // Otherwise → insert a new user
-            const insertQuery = `
-                INSERT INTO users (provider_id, email, firstname, lastname, picture, provider, role, email_verified)
-                VALUES ($1, $2, $3, $4, $5, $6, NULL, TRUE)
-                RETURNING id, provider_id, email, firstname, lastname, password_hash, picture, provider, role, rating, location, email_verified, is_active, created_at, updated_at
-            `;
-            
-            const nameStr = (typeof userData.name === 'string' && userData.name) ? userData.name.trim() : '';
-            const nameParts = nameStr ? nameStr.split(' ') : ['', ''];
-            const firstname = userData.firstname || nameParts[0] || '';
-            const lastname = userData.lastname || nameParts.slice(1).join(' ') || '';
-
-            const insertResult = await client.query(insertQuery, [
-                userData.id,
-                userData.email,
-                firstname,
-                lastname,
-                userData.picture || null,
-                userData.provider
-            ]);
-
-            // Return the raw DB row directly
-            return insertResult.rows[0];
-
-        } catch (error) {
-            console.error('Database error:', error);
-            throw error;
-        } finally {
-            client.release();
-        }
-    }
-
     async createEmailUser(userData) {
         const client = await this.pool.connect();
         
@@ -311,7 +215,7 @@ class DatabaseService {
         const client = await this.pool.connect();
         
         try {
-            const query = 'SELECT id, provider_id, email, firstname, lastname, password_hash, picture, provider, role, rating, location, email_verified, is_active, created_at, updated_at, last_login FROM users WHERE id = $1';
+            const query = 'SELECT id, provider_id, email, firstname, lastname, password_hash, picture, provider, role, rating, location, phone, email_verified, is_active, created_at, updated_at, last_login FROM users WHERE id = $1';
             const result = await client.query(query, [userId]);
             return result.rows[0] || null;  // Return raw DB row or null
         } catch (error) {
@@ -427,15 +331,19 @@ class DatabaseService {
         try {
             const query = `
                 UPDATE users 
-                SET firstname = $1, lastname = $2, location = $3, updated_at = CURRENT_TIMESTAMP 
+                SET firstname = $1, lastname = $2, location = $3,
+                    phone = CASE WHEN $5 THEN $6 ELSE phone END, -- phone is only changed when given
+                    updated_at = CURRENT_TIMESTAMP 
                 WHERE id = $4
-                RETURNING id, email, firstname, lastname, provider, role, location, picture, email_verified, created_at, updated_at
+                RETURNING id, email, firstname, lastname, provider, role, location, phone, picture, email_verified, created_at, updated_at
             `;
             const result = await client.query(query, [
                 profileData.firstname,
                 profileData.lastname,
                 profileData.location || null,
-                userId
+                userId,
+                profileData.phone !== undefined,
+                profileData.phone || null
             ]);
             return result.rows[0] || null; // Return raw DB row or null
         } catch (error) {
@@ -446,6 +354,130 @@ class DatabaseService {
         }
     }
 
+    async getHelperSkills(userId) {
+        const client = await this.pool.connect();
+        
+        try {
+            const skills = await client.query(
+                `SELECT category, proficiency FROM helper_skills WHERE user_id = $1 ORDER BY proficiency DESC, category`,
+                [userId]
+            );
+            const certifications = await client.query(
+                `SELECT name, issued_by, expires_at FROM helper_certifications WHERE user_id = $1 ORDER BY name`,
+                [userId]
+            );
+            return { skills: skills.rows, certifications: certifications.rows };
+        } catch (error) {
+            console.error('Database error:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Replace a helper's skills and/or certifications. Passing undefined for
+     * either list leaves it untouched.
+     */
+    async updateHelperSkills(userId, skills, certifications) {
+        const client = await this.pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+
+            if (skills !== undefined) {
+                await client.query('DELETE FROM helper_skills WHERE user_id = $1', [userId]);
+                for (const skill of skills) {
+                    await client.query(
+                        `INSERT INTO helper_skills (user_id, category, proficiency) VALUES ($1, $2, $3)`,
+                        [userId, skill.category, skill.proficiency]
+                    );
+                }
+            }
+
+            if (certifications !== undefined) {
+                await client.query('DELETE FROM helper_certifications WHERE user_id = $1', [userId]);
+                for (const cert of certifications) {
+                    await client.query(
+                        `INSERT INTO helper_certifications (user_id, name, issued_by, expires_at) VALUES ($1, $2, $3, $4)`,
+                        [userId, cert.name, cert.issued_by || null, cert.expires_at || null]
+                    );
+                }
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Database error:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async getHelperAvailability(userId) {
+        const client = await this.pool.connect();
+        
+        try {
+            const slots = await client.query(
+                `SELECT day_of_week, to_char(start_time, 'HH24:MI') AS start_time, to_char(end_time, 'HH24:MI') AS end_time
+                 FROM helper_availability WHERE user_id = $1 ORDER BY day_of_week, start_time`,
+                [userId]
+            );
+            const blackouts = await client.query(
+                `SELECT to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date, reason
+                 FROM helper_blackout_dates WHERE user_id = $1 AND end_date >= CURRENT_DATE ORDER BY start_date`,
+                [userId]
+            );
+            return { slots: slots.rows, blackouts: blackouts.rows };
+        } catch (error) {
+            console.error('Database error:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Replace a helper's weekly slots and/or blackout dates. Passing
+     * undefined for either list leaves it untouched.
+     */
+    async updateHelperAvailability(userId, slots, blackouts) {
+        const client = await this.pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+
+            if (slots !== undefined) {
+                await client.query('DELETE FROM helper_availability WHERE user_id = $1', [userId]);
+                for (const slot of slots) {
+                    await client.query(
+                        `INSERT INTO helper_availability (user_id, day_of_week, start_time, end_time) VALUES ($1, $2, $3, $4)`,
+                        [userId, slot.day_of_week, slot.start_time, slot.end_time]
+                    );
+                }
+            }
+
+            if (blackouts !== undefined) {
+                await client.query('DELETE FROM helper_blackout_dates WHERE user_id = $1', [userId]);
+                for (const blackout of blackouts) {
+                    await client.query(
+                        `INSERT INTO helper_blackout_dates (user_id, start_date, end_date, reason) VALUES ($1, $2, $3, $4)`,
+                        [userId, blackout.start_date, blackout.end_date, blackout.reason || null]
+                    );
+                }
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Database error:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
     async updateLastLogin(userId) {
         const client = await this.pool.connect();
         
@@ -0,0 +1,219 @@
+class IdentityError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'IdentityError';
+        this.status = status;
+    }
+}
+
+const USER_COLUMNS = `
+    u.id, u.provider_id, u.email, u.firstname, u.lastname, u.password_hash, u.picture, u.provider, u.role,
+    u.rating, u.location, u.email_verified, u.is_active, u.created_at, u.updated_at`;
+
+// Split "Tan Ah Kow" into firstname and lastname when the provider only gives a full name
+function profileNames(profile) {
+    const nameStr = (typeof profile.name === 'string' && profile.name) ? profile.name.trim() : '';
+    const nameParts = nameStr ? nameStr.split(' ') : ['', ''];
+    return {
+        firstname: profile.firstname || nameParts[0] || '',
+        lastname: profile.lastname || nameParts.slice(1).join(' ') || ''
+    };
+}
+
+/**
+ * OIDC sign-in identities (table user_identities)
+ *
+ * An account can have several identities (Google, Azure AD, configured OIDC
+ * providers) next to its password, and a login with any of them resolves to
+ * that account. Identities are only ever added by creating an account with
+ * one or by linking it from the profile page while signed in; a login whose
+ * email matches an existing account is refused instead of being attached
+ * silently, since not every provider proves the user owns that address.
+ *
+ * Profiles are the shape oidc-providers.js produces:
+ * { id, email, name, firstname, lastname, picture, provider }.
+ */
+class IdentityService {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * The account to sign in for this identity, created on its first login.
+     * Throws IdentityError (409) when the email already belongs to an account
+     * this identity is not linked to.
+     */
+    async resolveLogin(profile) {
+        const email = profile.email?.toLowerCase();
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            let user = await this.findUser(client, profile.provider, profile.id);
+
+            // Accounts created before user_identities only have users.provider_id
+            if (!user) {
+                const legacy = await client.query(
+                    `SELECT ${USER_COLUMNS} FROM users u WHERE u.provider_id = $1 AND u.provider = $2`,
+                    [profile.id, profile.provider]
+                );
+                if (legacy.rows.length > 0) {
+                    user = legacy.rows[0];
+                    await client.query(
+                        `INSERT INTO user_identities (user_id, provider, subject, email)
+                         VALUES ($1, $2, $3, $4)
+                         ON CONFLICT (provider, subject) DO NOTHING`,
+                        [user.id, profile.provider, profile.id, email]
+                    );
+                }
+            }
+
+            if (user) {
+                await client.query(
+                    `UPDATE user_identities SET email = $3, last_used_at = NOW()
+                     WHERE provider = $1 AND subject = $2`,
+                    [profile.provider, profile.id, email]
+                );
+                // The provider vouches for the address only when it is the account's own
+                const updated = await client.query(
+                    `UPDATE users u
+                     SET picture = COALESCE(u.picture, $2),
+                         email_verified = u.email_verified OR COALESCE(u.email = $3, FALSE),
+                         updated_at = CURRENT_TIMESTAMP
+                     WHERE u.id = $1
+                     RETURNING ${USER_COLUMNS}`,
+                    [user.id, profile.picture || null, email]
+                );
+                await client.query('COMMIT');
+                return updated.rows[0];
+            }
+
+            const existing = await client.query(`SELECT id FROM users WHERE email = $1`, [email]);
+            if (existing.rows.length > 0) {
+                throw new IdentityError(
+                    'An account with this email already exists. Sign in with your password or an email sign-in link, then link this account from your profile.',
+                    409
+                );
+            }
+
+            const { firstname, lastname } = profileNames(profile);
+            const created = await client.query(
+                `INSERT INTO users (provider_id, email, firstname, lastname, picture, provider, role, email_verified)
+                 VALUES ($1, $2, $3, $4, $5, $6, NULL, TRUE)
+                 RETURNING id, provider_id, email, firstname, lastname, password_hash, picture, provider, role, rating, location, email_verified, is_active, created_at, updated_at`,
+                [profile.id, email, firstname, lastname, profile.picture || null, profile.provider]
+            );
+            await client.query(
+                `INSERT INTO user_identities (user_id, provider, subject, email, last_used_at)
+                 VALUES ($1, $2, $3, $4, NOW())`,
+                [created.rows[0].id, profile.provider, profile.id, email]
+            );
+
+            await client.query('COMMIT');
+            return created.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async findUser(client, provider, subject) {
+        const result = await client.query(
+            `SELECT ${USER_COLUMNS}
+             FROM user_identities i
+             JOIN users u ON u.id = i.user_id
+             WHERE i.provider = $1 AND i.subject = $2`,
+            [provider, subject]
+        );
+        return result.rows[0] || null;
+    }
+
+    async listIdentities(userId) {
+        const result = await this.pool.query(
+            `SELECT id, provider, email, created_at, last_used_at
+             FROM user_identities WHERE user_id = $1
+             ORDER BY created_at`,
+            [userId]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Add an identity to a signed-in user's account. Throws IdentityError (409)
+     * when it already signs in to a different account.
+     */
+    async link(userId, profile) {
+        const email = profile.email?.toLowerCase() || null;
+        const inUse = new IdentityError('That account is already linked to a different KampungConnect account', 409);
+
+        // An identity that created some other account before user_identities existed
+        const legacy = await this.pool.query(
+            `SELECT id FROM users WHERE provider_id = $1 AND provider = $2 AND id <> $3`,
+            [profile.id, profile.provider, userId]
+        );
+        if (legacy.rows.length > 0) throw inUse;
+
+        const result = await this.pool.query(
+            `INSERT INTO user_identities (user_id, provider, subject, email)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (provider, subject) DO UPDATE SET email = EXCLUDED.email
+             WHERE user_identities.user_id = EXCLUDED.user_id
+             RETURNING id, provider, email, created_at, last_used_at`,
+            [userId, profile.provider, profile.id, email]
+        );
+        if (result.rows.length === 0) throw inUse;
+
+        return result.rows[0];
+    }
+
+    /**
+     * Remove one of the user's identities. The last way to sign in (no
+     * password and no other identity) cannot be removed.
+     */
+    async unlink(userId, identityId) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const user = await client.query(
+                `SELECT password_hash FROM users WHERE id = $1 FOR UPDATE`,
+                [userId]
+            );
+            const identities = await client.query(
+                `SELECT id, provider, subject FROM user_identities WHERE user_id = $1`,
+                [userId]
+            );
+            const identity = identities.rows.find(row => row.id === identityId);
+            if (!identity) {
+                throw new IdentityError('Linked account not found', 404);
+            }
+            if (!user.rows[0]?.password_hash && identities.rows.length === 1) {
+                throw new IdentityError('Set a password or link another account before removing your only way to sign in', 409);
+            }
+
+            await client.query(`DELETE FROM user_identities WHERE id = $1`, [identityId]);
+            // Otherwise the legacy lookup in resolveLogin would link it straight back
+            await client.query(
+                `UPDATE users SET provider_id = NULL, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND provider_id = $2`,
+                [userId, identity.subject]
+            );
+
+            await client.query('COMMIT');
+            return identity;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+IdentityService.IdentityError = IdentityError;
+
+module.exports = IdentityService;
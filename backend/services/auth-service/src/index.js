@@ -4,6 +4,7 @@ const cors = require('cors');
 const passport = require('passport');
 const session = require('express-session');
 const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
 
 // Import our custom modules
 const JWTUtils = require('./jwt-utils');
@@ -11,13 +12,36 @@ const OIDCProviders = require('./oidc-providers');
 const DatabaseService = require('./database-service');
 const PasswordService = require('./password-service');
 const OTPService = require('./otp-service');
+const PostgresOTPStore = require('./otp-store');
+const SessionService = require('./session-service');
+const CaregiverLinkService = require('./caregiver-link-service');
+const TwoFactorService = require('./two-factor-service');
+const PasskeyService = require('./passkey-service');
+const RateLimitService = require('./rate-limit-service');
+const AccountDataService = require('./account-data-service');
+const IdentityService = require('./identity-service');
+const archiver = require('archiver');
 
 const app = express();
 const jwtUtils = new JWTUtils();
 const oidcProviders = new OIDCProviders();
 const dbService = new DatabaseService();
 const passwordService = new PasswordService();
-const otpService = new OTPService();
+const otpService = new OTPService(new PostgresOTPStore(dbService.pool));
+const sessionService = new SessionService(dbService.pool);
+const caregiverLinkService = new CaregiverLinkService(dbService.pool);
+const twoFactorService = new TwoFactorService(dbService.pool);
+const passkeyService = new PasskeyService(dbService.pool);
+const rateLimitService = new RateLimitService(dbService.pool, otpService);
+const accountDataService = new AccountDataService(dbService.pool);
+const identityService = new IdentityService(dbService.pool);
+
+// Behind a load balancer or ingress, TRUST_PROXY (e.g. 1 for one hop) makes
+// req.ip the client's address, which rate limits and sessions rely on
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY);
+    app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 
 // Middleware setup
 // Allow multiple origins for local development and production
@@ -55,6 +79,188 @@ app.use(session({
 app.use(passport.initialize());
 app.use(passport.session());
 
+// Login sessions: a short-lived access token (auth_token, readable by the
+// frontend) plus a rotating refresh token (refresh_token, httpOnly)
+function setAuthCookies(res, accessToken, refreshToken = null) {
+    res.cookie('auth_token', accessToken, {
+        httpOnly: false, // Allow frontend to read the token
+        secure: false, // Set to true in production with HTTPS
+        maxAge: jwtUtils.accessTokenTtlSeconds * 1000
+    });
+
+    if (refreshToken) {
+        res.cookie('refresh_token', refreshToken, {
+            httpOnly: true,
+            secure: false, // Set to true in production with HTTPS
+            sameSite: 'lax',
+            maxAge: sessionService.refreshTokenMaxAge
+        });
+    }
+}
+
+function clearAuthCookies(res) {
+    res.clearCookie('auth_token');
+    res.clearCookie('refresh_token');
+}
+
+// Start a session for this device after a successful login and set both cookies.
+// mfaMethod is the second factor the login passed, if any
+async function startSession(req, res, tokenPayload, mfaMethod = null) {
+    const { sessionId, refreshToken } = await sessionService.createSession(tokenPayload.id, {
+        provider: tokenPayload.provider,
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip,
+        mfaMethod
+    });
+
+    setAuthCookies(res, jwtUtils.generateAccessToken(tokenPayload, sessionId, mfaMethod), refreshToken);
+}
+
+// Answer a wrong password or reset code. The failure counts towards a lockout;
+// if it was the one that locked the account, say so instead (423)
+async function rejectFailedAttempt(req, res, endpoint, email, user, status, error) {
+    const lockout = await rateLimitService.recordFailure(endpoint, req, email, user);
+    if (lockout) {
+        return rateLimitService.sendLocked(res, lockout);
+    }
+    return res.status(status).json({ error });
+}
+
+// Users with two-factor authentication on finish their login in a second
+// step; this httpOnly cookie remembers who passed the first one
+const MFA_TOKEN_TTL_SECONDS = 5 * 60;
+
+function startSecondFactor(res, user) {
+    res.cookie('mfa_token', jwtUtils.generateStepToken({ id: user.id }, 'mfa', MFA_TOKEN_TTL_SECONDS), {
+        httpOnly: true,
+        secure: false, // Set to true in production with HTTPS
+        sameSite: 'lax',
+        maxAge: MFA_TOKEN_TTL_SECONDS * 1000
+    });
+}
+
+function pendingSecondFactorUserId(req) {
+    const token = req.cookies?.mfa_token;
+    if (!token) return null;
+
+    try {
+        return jwtUtils.verifyStepToken(token, 'mfa').id;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Second step of a login: start the session and describe the user for the frontend
+async function completeLogin(req, res, user, mfaMethod) {
+    const previousLogin = await dbService.updateLastLogin(user.id);
+
+    await startSession(req, res, {
+        id: user.id,
+        email: user.email,
+        firstname: user.firstname,
+        lastname: user.lastname,
+        provider: user.provider,
+        role: user.role,
+        lastLogin: previousLogin
+    }, mfaMethod);
+    res.clearCookie('mfa_token');
+
+    return {
+        id: user.id,
+        email: user.email,
+        firstname: user.firstname,
+        lastname: user.lastname,
+        role: user.role,
+        provider: user.provider,
+        location: user.location
+    };
+}
+
+// Mark the caller's session as verified with a second factor and re-issue its access token
+async function upgradeSession(req, res, mfaMethod) {
+    if (!req.user.sid) return;
+
+    await sessionService.markMfa(req.user.sid, req.user.id, mfaMethod);
+    const { iat, exp, sid, mfa, ...tokenPayload } = req.user;
+    setAuthCookies(res, jwtUtils.generateAccessToken(tokenPayload, req.user.sid, mfaMethod));
+}
+
+// Adding or removing a second factor (or deleting the account) needs a session
+// that already passed one, so a stolen password alone cannot do it
+async function requireVerifiedSession(req, res, next) {
+    try {
+        if (req.user.mfa) return next();
+
+        const methods = await twoFactorService.loginMethods(req.user.id);
+        if (methods.length === 0) return next();
+
+        res.status(403).json({
+            error: 'Sign in again with your second factor to make this change',
+            code: 'TWO_FACTOR_REQUIRED'
+        });
+    } catch (error) {
+        console.error('Two-factor session check error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+// Linking or removing a sign-in method needs the password again, or for
+// accounts without one a sign-in within the last few minutes
+const REAUTH_WINDOW_MINUTES = 10;
+
+async function confirmReauthentication(req, res) {
+    const user = await dbService.getUserById(req.user.id);
+    if (!user) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+
+    if (user.password_hash) {
+        if (!req.body.password || !(await passwordService.verifyPassword(req.body.password, user.password_hash))) {
+            res.status(401).json({ error: 'Password is incorrect', code: 'REAUTH_REQUIRED' });
+            return null;
+        }
+    } else if (!req.user.sid || !(await sessionService.isRecentSignIn(req.user.sid, user.id, REAUTH_WINDOW_MINUTES))) {
+        res.status(401).json({
+            error: `Sign out and sign in again, then make this change within ${REAUTH_WINDOW_MINUTES} minutes`,
+            code: 'REAUTH_REQUIRED'
+        });
+        return null;
+    }
+    return user;
+}
+
+// Linking an identity is an OIDC round trip; this httpOnly cookie carries
+// who asked for it (and for which provider) through to the callback
+const LINK_TOKEN_TTL_SECONDS = 10 * 60;
+
+function pendingIdentityLink(req, provider) {
+    const token = req.cookies?.link_identity;
+    if (!token) return null;
+
+    try {
+        const link = jwtUtils.verifyStepToken(token, 'link');
+        return link.provider === provider ? link : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// JWT check plus the session behind it, so a revoked device is locked out straight away
+function authenticate(req, res, next) {
+    jwtUtils.authenticateToken(req, res, async () => {
+        try {
+            if (req.user.sid && !(await sessionService.isActive(req.user.sid, req.user.id))) {
+                return res.status(401).json({ error: 'Session has been revoked. Please log in again.' });
+            }
+            next();
+        } catch (error) {
+            console.error('Session check error:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+}
+
 // Health check endpoint
 app.get('/', (req, res) => {
     res.json({
@@ -68,6 +274,40 @@ app.get('/', (req, res) => {
 const authRoutes = oidcProviders.getAuthRoutes();
 const availableProviders = oidcProviders.getAvailableProviders();
 
+// Generic OIDC providers need their issuer discovered before passport can use them
+const ensureOidcStrategy = (provider) => async (req, res, next) => {
+    if (!oidcProviders.isGenericProvider(provider)) return next();
+
+    try {
+        await oidcProviders.ensureGenericStrategy(provider);
+        next();
+    } catch (error) {
+        res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:8080'}/login.html?error=auth_failed&provider=${provider}`);
+    }
+};
+
+const BUILT_IN_PROVIDER_NAMES = { google: 'Google', azure: 'Microsoft' };
+
+function providerDisplayName(provider) {
+    return authRoutes[provider]?.displayName || BUILT_IN_PROVIDER_NAMES[provider] || provider;
+}
+
+// Email the user whenever an identity is linked or unlinked, in case it was not them
+async function sendSignInMethodNotice(userId, provider, change) {
+    try {
+        const user = await dbService.getUserById(userId);
+        await otpService.sendNotice(user.email, 'sign-in-method-changed', {
+            title: change === 'linked' ? 'Sign-in Method Linked' : 'Sign-in Method Removed',
+            userName: user.firstname ? `${user.firstname} ${user.lastname || ''}`.trim() : 'User',
+            providerName: providerDisplayName(provider),
+            linked: change === 'linked',
+            profileUrl: `${process.env.FRONTEND_URL || 'http://localhost:8080'}/profile.html#sign-in-methods`
+        });
+    } catch (error) {
+        console.error('Failed to send sign-in method notice:', error);
+    }
+}
+
 // Set up routes for each configured provider
 availableProviders.forEach(provider => {
     const routes = authRoutes[provider];
@@ -76,22 +316,20 @@ availableProviders.forEach(provider => {
         console.log(`Setting up ${provider} routes:`, routes.auth, routes.callback);
 
         // Initiate OIDC authentication for this provider
-        app.get(routes.auth, (req, res, next) => {
-            // For Azure and Google, check if prompt parameter is provided for account selection
-            if ((provider === 'azure' || provider === 'google') && req.query.prompt) {
-                passport.authenticate(provider, {
-                    scope: routes.scope,
-                    prompt: req.query.prompt // Pass through the prompt parameter (select_account, consent, etc.)
-                })(req, res, next);
-            } else {
-                passport.authenticate(provider, {
-                    scope: routes.scope
-                })(req, res, next);
+        app.get(routes.auth, ensureOidcStrategy(provider), (req, res, next) => {
+            // Generic providers send the scopes configured for them
+            const options = oidcProviders.isGenericProvider(provider) ? {} : { scope: routes.scope };
+
+            // Pass through the prompt parameter for account selection (select_account, consent, etc.)
+            if (req.query.prompt) {
+                options.prompt = req.query.prompt;
             }
+            passport.authenticate(provider, options)(req, res, next);
         });
 
         // OIDC callback handler for this provider
         app.get(routes.callback,
+            ensureOidcStrategy(provider),
             (req, res, next) => {
                 passport.authenticate(provider, (err, user, info) => {
                     if (err) {
@@ -119,17 +357,51 @@ availableProviders.forEach(provider => {
                 })(req, res, next);
             },
             async (req, res) => {
+                const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+
+                // Linking from the profile page rather than signing in
+                const link = pendingIdentityLink(req, provider);
+                if (link) {
+                    res.clearCookie('link_identity');
+                    try {
+                        await identityService.link(link.id, req.user);
+                        console.log(`🔐 User ${link.id} linked a ${provider} identity`);
+                        await sendSignInMethodNotice(link.id, provider, 'linked');
+                        return res.redirect(`${frontendUrl}/profile.html?linked=${provider}#sign-in-methods`);
+                    } catch (error) {
+                        if (error instanceof IdentityService.IdentityError) {
+                            return res.redirect(`${frontendUrl}/profile.html?link_error=${encodeURIComponent(error.message)}#sign-in-methods`);
+                        }
+                        console.error(`${provider} identity link error:`, error);
+                        return res.redirect(`${frontendUrl}/profile.html?link_error=${encodeURIComponent('Failed to link the account. Please try again.')}#sign-in-methods`);
+                    }
+                }
+
                 try {
-                    // Store user in database
-                    const dbUser = await dbService.findOrCreateUser(req.user);
+                    // Any identity linked to an account signs in to that account
+                    let dbUser;
+                    try {
+                        dbUser = await identityService.resolveLogin(req.user);
+                    } catch (error) {
+                        if (error instanceof IdentityService.IdentityError) {
+                            console.log(`❌ ${provider} login refused for ${req.user.email}: ${error.message}`);
+                            return res.redirect(`${frontendUrl}/login.html?error=account_exists&provider=${provider}&email=${encodeURIComponent(req.user.email || '')}`);
+                        }
+                        throw error;
+                    }
 
                     // Check if user account is active
                     if (!dbUser.is_active) {
                         console.log(`❌ Login blocked: User account is suspended (${dbUser.email})`);
-                        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
                         return res.redirect(`${frontendUrl}/login.html?error=account_suspended&message=${encodeURIComponent('Your account has been suspended. Please contact the administrator.')}`);
                     }
 
+                    // Two-factor users finish on the login page with a code or passkey
+                    if ((await twoFactorService.loginMethods(dbUser.id)).length > 0) {
+                        startSecondFactor(res, dbUser);
+                        return res.redirect(`${frontendUrl}/login.html?two_factor=required`);
+                    }
+
                     // Update last login timestamp (returns previous login time)
                     const previousLogin = await dbService.updateLastLogin(dbUser.id);
 
@@ -144,17 +416,9 @@ availableProviders.forEach(provider => {
                         lastLogin: previousLogin
                     };
 
-                    const token = jwtUtils.generateToken(tokenPayload);
-
-                    // Set token in cookie
-                    res.cookie('auth_token', token, {
-                        httpOnly: false, // Allow frontend to read the token
-                        secure: false, // Set to true in production with HTTPS
-                        maxAge: 24 * 60 * 60 * 1000 // 24 hours
-                    });
+                    // Start a device session: short-lived access token plus refresh token cookies
+                    await startSession(req, res, tokenPayload);
 
-                    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
-                    
                     // Check if user needs to select a role
                     if (!dbUser.role || dbUser.role === 'undefined' || dbUser.role === '') {
                         console.log(`User ${dbUser.email} needs to select a role, redirecting to role selection`);
@@ -171,7 +435,6 @@ availableProviders.forEach(provider => {
 
                 } catch (error) {
                     console.error(`${provider} authentication callback error:`, error);
-                    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
                     res.redirect(`${frontendUrl}/login.html?error=server_error`);
                 }
             }
@@ -231,7 +494,7 @@ app.post('/register', async (req, res) => {
 
         // Generate and send OTP
         const otp = otpService.generateOTP();
-        otpService.storeOTP(email.toLowerCase(), otp, 'signup');
+        await otpService.storeOTP(email.toLowerCase(), otp, 'signup');
         
         await otpService.sendOTP(email.toLowerCase(), otp, 'signup', {
             firstname: firstname.trim(),
@@ -251,7 +514,7 @@ app.post('/register', async (req, res) => {
 });
 
 // Verify email and complete registration (Step 2: Verify OTP and create actual user)
-app.post('/verify-email', async (req, res) => {
+app.post('/verify-email', rateLimitService.guard('verify-email'), async (req, res) => {
     try {
         const { email, otp } = req.body;
 
@@ -262,7 +525,7 @@ app.post('/verify-email', async (req, res) => {
         }
 
         // Verify OTP
-        const verification = otpService.verifyOTP(email.toLowerCase(), otp, 'signup');
+        const verification = await otpService.verifyOTP(email.toLowerCase(), otp, 'signup');
         if (!verification.valid) {
             return res.status(400).json({ error: verification.error });
         }
@@ -310,14 +573,8 @@ app.post('/verify-email', async (req, res) => {
             lastLogin: previousLogin
         };
 
-        const token = jwtUtils.generateToken(tokenPayload);
-
-        // Set token in cookie
-        res.cookie('auth_token', token, {
-            httpOnly: false,
-            secure: false, // Set to true in production with HTTPS
-            maxAge: 24 * 60 * 60 * 1000 // 24 hours
-        });
+        // Start a device session: short-lived access token plus refresh token cookies
+        await startSession(req, res, tokenPayload);
 
         res.status(201).json({
             success: true,
@@ -340,7 +597,7 @@ app.post('/verify-email', async (req, res) => {
 });
 
 // Resend OTP for signup
-app.post('/resend-otp', async (req, res) => {
+app.post('/resend-otp', rateLimitService.guard('resend-otp'), async (req, res) => {
     try {
         const { email, type } = req.body;
 
@@ -395,7 +652,7 @@ app.post('/resend-otp', async (req, res) => {
 });
 
 // Login with email and password
-app.post('/login', async (req, res) => {
+app.post('/login', rateLimitService.guard('login'), async (req, res) => {
     try {
         const { email, password } = req.body;
 
@@ -409,9 +666,8 @@ app.post('/login', async (req, res) => {
         // Find user by email
         const user = await dbService.findUserByEmail(email.toLowerCase());
         if (!user) {
-            return res.status(401).json({
-                error: 'Invalid email or password'
-            });
+            // Unknown emails count too, so lockouts do not reveal which accounts exist
+            return rejectFailedAttempt(req, res, 'login', email.toLowerCase(), null, 401, 'Invalid email or password');
         }
 
         // Check if user account is active (double-check since findUserByEmail already filters by is_active)
@@ -431,8 +687,19 @@ app.post('/login', async (req, res) => {
         // Verify password
         const isPasswordValid = await passwordService.verifyPassword(password, user.password_hash);
         if (!isPasswordValid) {
-            return res.status(401).json({
-                error: 'Invalid email or password'
+            return rejectFailedAttempt(req, res, 'login', user.email, user, 401, 'Invalid email or password');
+        }
+        await rateLimitService.clearFailures(user.email);
+
+        // Two-factor users get no session yet; /2fa/verify or a passkey finishes the login
+        const twoFactorMethods = await twoFactorService.loginMethods(user.id);
+        if (twoFactorMethods.length > 0) {
+            startSecondFactor(res, user);
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                methods: twoFactorMethods,
+                message: 'Enter the code from your authenticator app or use your passkey'
             });
         }
 
@@ -450,14 +717,8 @@ app.post('/login', async (req, res) => {
             lastLogin: previousLogin
         };
 
-        const token = jwtUtils.generateToken(tokenPayload);
-
-        // Set token in cookie
-        res.cookie('auth_token', token, {
-            httpOnly: false,
-            secure: false, // Set to true in production with HTTPS
-            maxAge: 24 * 60 * 60 * 1000 // 24 hours
-        });
+        // Start a device session: short-lived access token plus refresh token cookies
+        await startSession(req, res, tokenPayload);
 
         res.json({
             success: true,
@@ -479,8 +740,108 @@ app.post('/login', async (req, res) => {
     }
 });
 
+// Passwordless login, step 1: email a single-use sign-in link. The link only
+// works in this browser, which gets a random device id cookie to prove it
+const MAGIC_LINK_COOKIE = 'magic_link_device';
+
+app.post('/magic-link', rateLimitService.guard('magic-link'), async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        // Keep this browser's id so a link already sent to it still opens here
+        const deviceId = req.cookies?.[MAGIC_LINK_COOKIE] || crypto.randomBytes(16).toString('hex');
+        res.cookie(MAGIC_LINK_COOKIE, deviceId, {
+            httpOnly: true,
+            secure: false, // Set to true in production with HTTPS
+            sameSite: 'lax',
+            maxAge: otpService.MAGIC_LINK_EXPIRY
+        });
+
+        const message = 'If an account exists with this email, you will receive a sign-in link. Open it on this device.';
+
+        const user = await dbService.findUserByEmail(email.toLowerCase());
+        if (!user) {
+            // Don't reveal if email exists or not for security
+            return res.json({ success: true, message });
+        }
+
+        const result = await otpService.sendMagicLink(user.email, deviceId, {
+            firstname: user.firstname,
+            lastname: user.lastname
+        });
+        if (!result.success) {
+            // A cooldown only exists for real accounts, so answer as for any other email
+            console.log(`⏳ Sign-in link for user ${user.id} not sent: ${result.error}`);
+            return res.json({ success: true, message });
+        }
+
+        console.log(`📧 Sign-in link sent to user ${user.id}`);
+        res.json({ success: true, message });
+    } catch (error) {
+        console.error('Magic link request error:', error);
+        res.status(500).json({ error: 'Failed to send sign-in link. Please try again.' });
+    }
+});
+
+// Passwordless login, step 2: the link from the email, opened in the same browser
+app.post('/magic-link/verify', rateLimitService.guard('verify-magic-link'), async (req, res) => {
+    try {
+        const { email, token } = req.body;
+
+        if (!email || !token) {
+            return res.status(400).json({ error: 'Email and sign-in token are required' });
+        }
+
+        const deviceId = req.cookies?.[MAGIC_LINK_COOKIE];
+        if (!deviceId) {
+            return res.status(400).json({
+                error: 'Open the sign-in link on the same device and browser you requested it from, or request a new one.'
+            });
+        }
+
+        const user = await dbService.findUserByEmail(email.toLowerCase());
+        const verification = await otpService.verifyMagicLink(email.toLowerCase(), token, deviceId);
+        if (!verification.valid || !user) {
+            const error = verification.inCooldown
+                ? verification.error.replace('a new code', 'a new link')
+                : 'This sign-in link is invalid, expired or already used, or was opened on a different device. Please request a new one.';
+            return rejectFailedAttempt(req, res, 'verify-magic-link', email.toLowerCase(), user, 400, error);
+        }
+        await rateLimitService.clearFailures(user.email);
+        res.clearCookie(MAGIC_LINK_COOKIE);
+
+        // Opening the link proves the address is theirs
+        if (!user.email_verified) {
+            await dbService.verifyUserEmail(user.id);
+        }
+
+        const twoFactorMethods = await twoFactorService.loginMethods(user.id);
+        if (twoFactorMethods.length > 0) {
+            startSecondFactor(res, user);
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                methods: twoFactorMethods,
+                message: 'Enter the code from your authenticator app or use your passkey'
+            });
+        }
+
+        const loggedInUser = await completeLogin(req, res, user, null);
+        console.log(`📧 User ${user.id} signed in with a sign-in link`);
+
+        res.json({ success: true, message: 'Login successful', user: loggedInUser });
+    } catch (error) {
+        console.error('Magic link verification error:', error);
+        res.status(500).json({ error: 'Sign-in failed. Please try again.' });
+    }
+});
+
 // Change password (for email users)
-app.post('/change-password', jwtUtils.authenticateToken.bind(jwtUtils), async (req, res) => {
+app.post('/change-password', authenticate, async (req, res) => {
     try {
         const { currentPassword, newPassword } = req.body;
         const userId = req.user.id;
@@ -528,9 +889,13 @@ app.post('/change-password', jwtUtils.authenticateToken.bind(jwtUtils), async (r
         // Update password in database
         await dbService.updateUserPassword(userId, newPasswordHash);
 
+        // Sign out every other device; this one stays logged in
+        const signedOut = await sessionService.revokeAll(userId, req.user.sid || null);
+
         res.json({
             success: true,
-            message: 'Password changed successfully'
+            message: 'Password changed successfully',
+            signedOutSessions: signedOut
         });
 
     } catch (error) {
@@ -540,7 +905,7 @@ app.post('/change-password', jwtUtils.authenticateToken.bind(jwtUtils), async (r
 });
 
 // Request password reset (Step 1: Send OTP)
-app.post('/request-password-reset', async (req, res) => {
+app.post('/request-password-reset', rateLimitService.guard('request-password-reset'), async (req, res) => {
     try {
         const { email } = req.body;
 
@@ -560,7 +925,7 @@ app.post('/request-password-reset', async (req, res) => {
 
         // Generate and send OTP
         const otp = otpService.generateOTP();
-        otpService.storeOTP(email.toLowerCase(), otp, 'password_reset');
+        await otpService.storeOTP(email.toLowerCase(), otp, 'password_reset');
         
         await otpService.sendOTP(email.toLowerCase(), otp, 'password_reset', {
             firstname: user.firstname,
@@ -579,7 +944,7 @@ app.post('/request-password-reset', async (req, res) => {
 });
 
 // Verify OTP for password reset (Step 2: Verify OTP)
-app.post('/verify-reset-otp', async (req, res) => {
+app.post('/verify-reset-otp', rateLimitService.guard('verify-reset-otp'), async (req, res) => {
     try {
         const { email, otp } = req.body;
 
@@ -590,10 +955,12 @@ app.post('/verify-reset-otp', async (req, res) => {
         }
 
         // Verify OTP
-        const verification = otpService.verifyOTP(email.toLowerCase(), otp, 'password_reset');
+        const verification = await otpService.verifyOTP(email.toLowerCase(), otp, 'password_reset');
         if (!verification.valid) {
-            return res.status(400).json({ error: verification.error });
+            const user = await dbService.findUserByEmailForReset(email.toLowerCase());
+            return rejectFailedAttempt(req, res, 'verify-reset-otp', email.toLowerCase(), user, 400, verification.error);
         }
+        await rateLimitService.clearFailures(email.toLowerCase());
 
         // Generate a temporary reset token (valid for 10 minutes)
         const resetToken = jwtUtils.generateToken(
@@ -657,6 +1024,9 @@ app.post('/reset-password', async (req, res) => {
         // Update password
         await dbService.updateUserPassword(user.id, newPasswordHash);
 
+        // Whoever knew the old password is signed out everywhere
+        await sessionService.revokeAll(user.id);
+
         res.json({
             success: true,
             message: 'Password reset successfully. You can now login with your new password.'
@@ -669,7 +1039,7 @@ app.post('/reset-password', async (req, res) => {
 });
 
 // Update user role (for OIDC users after role selection)
-app.post('/update-role', jwtUtils.authenticateToken.bind(jwtUtils), async (req, res) => {
+app.post('/update-role', authenticate, async (req, res) => {
     try {
         const { role, location } = req.body;
         const userId = req.user.id;
@@ -699,14 +1069,8 @@ app.post('/update-role', jwtUtils.authenticateToken.bind(jwtUtils), async (req,
             role: updatedUser.role
         };
 
-        const token = jwtUtils.generateToken(tokenPayload);
-
-        // Set updated token in cookie
-        res.cookie('auth_token', token, {
-            httpOnly: false,
-            secure: false, // Set to true in production with HTTPS
-            maxAge: 24 * 60 * 60 * 1000 // 24 hours
-        });
+        // Re-issue the access token for the same session
+        setAuthCookies(res, jwtUtils.generateAccessToken(tokenPayload, req.user.sid, req.user.mfa));
 
         res.json({
             success: true,
@@ -728,10 +1092,48 @@ app.post('/update-role', jwtUtils.authenticateToken.bind(jwtUtils), async (req,
     }
 });
 
-// Update user profile (name and location)
-app.post('/update-profile', jwtUtils.authenticateToken.bind(jwtUtils), async (req, res) => {
+// Request categories a helper can declare skills in
+const HELPER_SKILL_CATEGORIES = ['shopping', 'transport', 'home_repair', 'tech_support', 'healthcare', 'meal_prep', 'companionship'];
+
+/**
+ * Validate skills/certifications from /update-profile.
+ * Returns an error message, or null if both lists are acceptable.
+ */
+function validateHelperSkills(skills, certifications) {
+    if (skills !== undefined) {
+        if (!Array.isArray(skills)) return 'Skills must be a list';
+        for (const skill of skills) {
+            if (!HELPER_SKILL_CATEGORIES.includes(skill?.category)) {
+                return `Invalid skill category. Must be one of: ${HELPER_SKILL_CATEGORIES.join(', ')}`;
+            }
+            if (!Number.isInteger(skill.proficiency) || skill.proficiency < 1 || skill.proficiency > 5) {
+                return 'Skill proficiency must be a whole number from 1 to 5';
+            }
+        }
+        if (new Set(skills.map(s => s.category)).size !== skills.length) {
+            return 'Each skill category can only be listed once';
+        }
+    }
+
+    if (certifications !== undefined) {
+        if (!Array.isArray(certifications)) return 'Certifications must be a list';
+        for (const cert of certifications) {
+            if (typeof cert?.name !== 'string' || !cert.name.trim() || cert.name.length > 100) {
+                return 'Each certification needs a name (up to 100 characters)';
+            }
+            if (cert.expires_at && isNaN(Date.parse(cert.expires_at))) {
+                return 'Certification expiry must be a valid date';
+            }
+        }
+    }
+
+    return null;
+}
+
+// Update user profile (name, location and, for helpers, skills)
+app.post('/update-profile', authenticate, async (req, res) => {
     try {
-        const { firstname, lastname, location } = req.body;
+        const { firstname, lastname, location, phone, skills, certifications } = req.body;
         const userId = req.user.id;
 
         // Input validation
@@ -741,17 +1143,45 @@ app.post('/update-profile', jwtUtils.authenticateToken.bind(jwtUtils), async (re
             });
         }
 
+        const normalizedPhone = normalizePhone(phone);
+        if (normalizedPhone === false) {
+            return res.status(400).json({
+                error: 'Mobile number must be 8 to 15 digits, optionally starting with +'
+            });
+        }
+
+        const isHelper = ['volunteer', 'caregiver'].includes(req.user.role);
+        if ((skills !== undefined || certifications !== undefined) && !isHelper) {
+            return res.status(403).json({
+                error: 'Only volunteers and caregivers can set skills and certifications'
+            });
+        }
+
+        const skillsError = validateHelperSkills(skills, certifications);
+        if (skillsError) {
+            return res.status(400).json({ error: skillsError });
+        }
+
         // Update user profile
         const updatedUser = await dbService.updateUserProfile(userId, {
             firstname: firstname.trim(),
             lastname: lastname.trim(),
-            location: location?.trim() || null
+            location: location?.trim() || null,
+            phone: normalizedPhone
         });
         
         if (!updatedUser) {
             return res.status(404).json({ error: 'User not found' });
         }
 
+        if (isHelper) {
+            await dbService.updateHelperSkills(
+                userId,
+                skills,
+                certifications?.map(cert => ({ ...cert, name: cert.name.trim().toLowerCase().replace(/\s+/g, '_') }))
+            );
+        }
+
         // Generate new JWT token with updated profile
         const tokenPayload = {
             id: updatedUser.id,
@@ -762,14 +1192,8 @@ app.post('/update-profile', jwtUtils.authenticateToken.bind(jwtUtils), async (re
             role: updatedUser.role
         };
 
-        const token = jwtUtils.generateToken(tokenPayload);
-
-        // Set updated token in cookie
-        res.cookie('auth_token', token, {
-            httpOnly: false,
-            secure: false, // Set to true in production with HTTPS
-            maxAge: 24 * 60 * 60 * 1000 // 24 hours
-        });
+        // Re-issue the access token for the same session
+        setAuthCookies(res, jwtUtils.generateAccessToken(tokenPayload, req.user.sid, req.user.mfa));
 
         res.json({
             success: true,
@@ -782,9 +1206,11 @@ app.post('/update-profile', jwtUtils.authenticateToken.bind(jwtUtils), async (re
                 role: updatedUser.role,
                 provider: updatedUser.provider,
                 location: updatedUser.location,
+                phone: updatedUser.phone,
                 picture: updatedUser.picture,
                 email_verified: updatedUser.email_verified,
-                created_at: updatedUser.created_at
+                created_at: updatedUser.created_at,
+                ...(isHelper ? await dbService.getHelperSkills(userId) : {})
             }
         });
 
@@ -794,8 +1220,109 @@ app.post('/update-profile', jwtUtils.authenticateToken.bind(jwtUtils), async (re
     }
 });
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate weekly slots/blackout dates from /update-availability.
+ * Returns an error message, or null if both lists are acceptable.
+ */
+function validateHelperAvailability(slots, blackouts) {
+    if (slots !== undefined) {
+        if (!Array.isArray(slots)) return 'Slots must be a list';
+        for (const slot of slots) {
+            if (!Number.isInteger(slot?.day_of_week) || slot.day_of_week < 0 || slot.day_of_week > 6) {
+                return 'Slot day_of_week must be a whole number from 0 (Sunday) to 6 (Saturday)';
+            }
+            if (!TIME_PATTERN.test(slot.start_time) || !TIME_PATTERN.test(slot.end_time)) {
+                return 'Slot times must be in HH:MM format';
+            }
+            if (slot.end_time <= slot.start_time) {
+                return 'Slot end_time must be after start_time';
+            }
+        }
+    }
+
+    if (blackouts !== undefined) {
+        if (!Array.isArray(blackouts)) return 'Blackout dates must be a list';
+        for (const blackout of blackouts) {
+            if (!DATE_PATTERN.test(blackout?.start_date) || !DATE_PATTERN.test(blackout.end_date) ||
+                isNaN(Date.parse(blackout.start_date)) || isNaN(Date.parse(blackout.end_date))) {
+                return 'Blackout dates must be in YYYY-MM-DD format';
+            }
+            if (blackout.end_date < blackout.start_date) {
+                return 'Blackout end_date cannot be before start_date';
+            }
+            if (blackout.reason && String(blackout.reason).length > 255) {
+                return 'Blackout reason must be 255 characters or fewer';
+            }
+        }
+    }
+
+    return null;
+}
+
+const PHONE_PATTERN = /^\+?\d{8,15}$/;
+// Numbers without a country code are local
+const DEFAULT_PHONE_PREFIX = process.env.DEFAULT_PHONE_PREFIX || '+65';
+
+/**
+ * Normalize a mobile number to E.164 (+6591234567).
+ * Returns undefined when not given (keep the stored number), null to clear it,
+ * or false when it is not a phone number.
+ */
+function normalizePhone(phone) {
+    if (phone === undefined) return undefined;
+    if (phone === null || String(phone).trim() === '') return null;
+
+    const compact = String(phone).replace(/[\s()-]/g, '');
+    if (!PHONE_PATTERN.test(compact)) return false;
+    return compact.startsWith('+') ? compact : `${DEFAULT_PHONE_PREFIX}${compact}`;
+}
+
+// Get the current helper's weekly availability and upcoming blackout dates
+app.get('/availability', authenticate, async (req, res) => {
+    try {
+        if (!['volunteer', 'caregiver'].includes(req.user.role)) {
+            return res.status(403).json({ error: 'Only volunteers and caregivers have an availability calendar' });
+        }
+
+        res.json(await dbService.getHelperAvailability(req.user.id));
+    } catch (error) {
+        console.error('Get availability error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Replace the current helper's weekly slots and/or blackout dates
+app.post('/update-availability', authenticate, async (req, res) => {
+    try {
+        const { slots, blackouts } = req.body;
+
+        if (!['volunteer', 'caregiver'].includes(req.user.role)) {
+            return res.status(403).json({ error: 'Only volunteers and caregivers have an availability calendar' });
+        }
+
+        const availabilityError = validateHelperAvailability(slots, blackouts);
+        if (availabilityError) {
+            return res.status(400).json({ error: availabilityError });
+        }
+
+        await dbService.updateHelperAvailability(req.user.id, slots, blackouts);
+
+        res.json({
+            success: true,
+            message: 'Availability updated successfully',
+            ...(await dbService.getHelperAvailability(req.user.id))
+        });
+    } catch (error) {
+        console.error('Update availability error:', error);
+        res.status(500).json({ error: 'Failed to update availability. Please try again.' });
+    }
+});
+
 // Get current authenticated user
-app.get('/me', jwtUtils.authenticateToken.bind(jwtUtils), async (req, res) => {
+app.get('/me', authenticate, async (req, res) => {
     try {
         const user = await dbService.getUserById(req.user.id);
         if (!user) {
@@ -821,10 +1348,14 @@ app.get('/me', jwtUtils.authenticateToken.bind(jwtUtils), async (req, res) => {
             provider: user.provider,
             role: user.role,
             location: user.location,
+            phone: user.phone,
             email_verified: user.email_verified,
             created_at: user.created_at,
             updated_at: user.updated_at,
-            last_login: user.last_login
+            last_login: user.last_login,
+            deletion_scheduled_for: user.deletion_scheduled_for,
+            // Helpers also get their skill profile
+            ...(['volunteer', 'caregiver'].includes(user.role) ? await dbService.getHelperSkills(user.id) : {})
         });
     } catch (error) {
         console.error('Get user error:', error);
@@ -833,7 +1364,7 @@ app.get('/me', jwtUtils.authenticateToken.bind(jwtUtils), async (req, res) => {
 });
 
 // Get khakis (seniors) - all or by location
-app.get('/khakis', jwtUtils.authenticateToken.bind(jwtUtils), async (req, res) => {
+app.get('/khakis', authenticate, async (req, res) => {
     try {
         // Only seniors can view other seniors
         if (req.user.role !== 'senior') {
@@ -913,7 +1444,7 @@ app.get('/khakis', jwtUtils.authenticateToken.bind(jwtUtils), async (req, res) =
 });
 
 // Get specific user profile (for viewing other seniors)
-app.get('/users/:userId', jwtUtils.authenticateToken.bind(jwtUtils), async (req, res) => {
+app.get('/users/:userId', authenticate, async (req, res) => {
     try {
         const { userId } = req.params;
         
@@ -953,29 +1484,692 @@ app.get('/users/:userId', jwtUtils.authenticateToken.bind(jwtUtils), async (req,
     }
 });
 
-// Logout endpoint
-app.post('/logout', (req, res) => {
-    res.clearCookie('auth_token');
+// Logout endpoint: ends this device's session on the server, not just the cookies
+app.post('/logout', async (req, res) => {
+    try {
+        if (req.cookies?.refresh_token) {
+            await sessionService.revokeByRefreshToken(req.cookies.refresh_token);
+        }
+
+        // An expired access token still names the session to end
+        const authHeader = req.headers['authorization'];
+        const accessToken = (authHeader && authHeader.split(' ')[1]) || req.cookies?.auth_token;
+        if (accessToken) {
+            try {
+                const decoded = jwtUtils.verifyToken(accessToken, { ignoreExpiration: true });
+                if (decoded.sid) {
+                    await sessionService.revoke(decoded.id, decoded.sid);
+                }
+            } catch (error) {
+                // Not a token we issued; nothing to revoke
+            }
+        }
+    } catch (error) {
+        console.error('Logout error:', error);
+    }
+
+    clearAuthCookies(res);
     res.json({ message: 'Logged out successfully' });
 });
 
-// Token validation endpoint (for other services)
-app.post('/validate-token', async (req, res) => {
-    const { token } = req.body;
+// Swap the refresh token cookie for a new access token (and a new refresh token)
+app.post('/refresh', async (req, res) => {
+    const refreshToken = req.cookies?.refresh_token;
 
-    if (!token) {
-        return res.status(400).json({ error: 'Token required' });
+    if (!refreshToken) {
+        return res.status(401).json({ error: 'Refresh token required' });
     }
 
     try {
-        const decoded = jwtUtils.verifyToken(token);
-        
-        // Verify user still exists and is active
-        const user = await dbService.getUserById(decoded.id);
-        if (!user) {
-            return res.status(401).json({ valid: false, error: 'User not found' });
+        const { session, refreshToken: nextRefreshToken } = await sessionService.rotate(refreshToken);
+
+        // Build the claims from the database so role changes and suspensions apply on refresh
+        const user = await dbService.getUserById(session.user_id);
+        if (!user || !user.is_active) {
+            await sessionService.revoke(session.user_id, session.id);
+            clearAuthCookies(res);
+            return res.status(403).json({
+                error: 'Account suspended',
+                message: 'Your account has been suspended. Please contact the administrator.'
+            });
         }
-        
+
+        const tokenPayload = {
+            id: user.id,
+            email: user.email,
+            firstname: user.firstname,
+            lastname: user.lastname,
+            provider: user.provider,
+            role: user.role
+        };
+        const accessToken = jwtUtils.generateAccessToken(tokenPayload, session.id, session.mfa_method);
+
+        setAuthCookies(res, accessToken, nextRefreshToken);
+        res.json({ success: true, accessToken, expiresIn: jwtUtils.accessTokenTtlSeconds });
+    } catch (error) {
+        if (error instanceof SessionService.SessionError) {
+            clearAuthCookies(res);
+            return res.status(401).json({ error: error.message });
+        }
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Failed to refresh session' });
+    }
+});
+
+// List the current user's signed-in devices
+app.get('/sessions', authenticate, async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.user.id);
+
+        res.json({
+            sessions: sessions.map(s => ({
+                id: s.id,
+                provider: s.provider,
+                userAgent: s.user_agent,
+                ipAddress: s.ip_address,
+                createdAt: s.created_at,
+                lastUsedAt: s.last_used_at,
+                expiresAt: s.expires_at,
+                twoFactor: s.mfa_method,
+                current: s.id === req.user.sid
+            }))
+        });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ error: 'Failed to load sessions' });
+    }
+});
+
+// Sign out one device
+app.delete('/sessions/:id', authenticate, async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.id);
+        if (!sessionId) {
+            return res.status(400).json({ error: 'Invalid session id' });
+        }
+
+        const revoked = await sessionService.revoke(req.user.id, sessionId);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        if (sessionId === req.user.sid) {
+            clearAuthCookies(res);
+        }
+        res.json({ success: true, message: 'Session revoked' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+// Sign out every device except this one
+app.delete('/sessions', authenticate, async (req, res) => {
+    try {
+        const revoked = await sessionService.revokeAll(req.user.id, req.user.sid || null);
+        res.json({ success: true, message: `Signed out of ${revoked} other session(s)`, revoked });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
+
+// Two-factor settings of the current user
+app.get('/2fa/status', authenticate, async (req, res) => {
+    try {
+        const status = await twoFactorService.getStatus(req.user.id);
+
+        res.json({
+            ...status,
+            sessionVerified: !!req.user.mfa,
+            // Admin endpoints refuse sessions without a second factor
+            required: req.user.role === 'admin'
+        });
+    } catch (error) {
+        console.error('Two-factor status error:', error);
+        res.status(500).json({ error: 'Failed to load two-factor settings' });
+    }
+});
+
+// Second step of a login with a TOTP or recovery code
+app.post('/2fa/verify', async (req, res) => {
+    try {
+        const userId = pendingSecondFactorUserId(req);
+        if (!userId) {
+            return res.status(401).json({ error: 'Your sign-in expired. Please log in again.' });
+        }
+
+        const user = await dbService.getUserById(userId);
+        if (!user || !user.is_active) {
+            res.clearCookie('mfa_token');
+            return res.status(403).json({ error: 'Your account has been suspended. Please contact the administrator.' });
+        }
+
+        const method = await twoFactorService.verifyCode(user.id, req.body.code);
+        const loggedInUser = await completeLogin(req, res, user, method);
+
+        if (method === 'recovery') {
+            console.log(`🔐 User ${user.id} signed in with a recovery code`);
+        }
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            user: loggedInUser,
+            ...(method === 'recovery' && {
+                recoveryCodesLeft: (await twoFactorService.getStatus(user.id)).recoveryCodesLeft
+            })
+        });
+    } catch (error) {
+        if (error instanceof TwoFactorService.TwoFactorError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Two-factor verification error:', error);
+        res.status(500).json({ error: 'Verification failed. Please try again.' });
+    }
+});
+
+// Start authenticator app setup: returns the secret and otpauth:// URL to scan
+app.post('/2fa/totp/setup', authenticate, requireVerifiedSession, async (req, res) => {
+    try {
+        const { secret, otpauthUrl } = await twoFactorService.beginTotpEnrollment(req.user.id, req.user.email);
+        res.json({ success: true, secret, otpauthUrl });
+    } catch (error) {
+        if (error instanceof TwoFactorService.TwoFactorError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('TOTP setup error:', error);
+        res.status(500).json({ error: 'Failed to start authenticator setup' });
+    }
+});
+
+// Finish setup with the first code from the app; returns recovery codes (shown once)
+app.post('/2fa/totp/confirm', authenticate, requireVerifiedSession, async (req, res) => {
+    try {
+        const recoveryCodes = await twoFactorService.confirmTotpEnrollment(req.user.id, req.body.code);
+
+        // Sessions on other devices never passed the new factor
+        const signedOutSessions = await sessionService.revokeAll(req.user.id, req.user.sid || null);
+        await upgradeSession(req, res, 'totp');
+        console.log(`🔐 User ${req.user.id} turned on authenticator app 2FA`);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication is on. Keep your recovery codes somewhere safe.',
+            recoveryCodes,
+            signedOutSessions
+        });
+    } catch (error) {
+        if (error instanceof TwoFactorService.TwoFactorError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('TOTP confirm error:', error);
+        res.status(500).json({ error: 'Failed to turn on two-factor authentication' });
+    }
+});
+
+// Turn the authenticator app off (needs a current code)
+app.post('/2fa/totp/disable', authenticate, requireVerifiedSession, async (req, res) => {
+    try {
+        const status = await twoFactorService.getStatus(req.user.id);
+        if (!status.totpEnabled) {
+            return res.status(400).json({ error: 'Authenticator app is not set up' });
+        }
+        if (req.user.role === 'admin' && status.passkeys === 0) {
+            return res.status(400).json({ error: 'Admins must keep a second factor. Add a passkey first.' });
+        }
+
+        await twoFactorService.verifyCode(req.user.id, req.body.code);
+        await twoFactorService.disableTotp(req.user.id);
+        if (status.passkeys === 0) {
+            await twoFactorService.deleteRecoveryCodes(req.user.id);
+        }
+        console.log(`🔐 User ${req.user.id} turned off authenticator app 2FA`);
+
+        res.json({ success: true, message: 'Authenticator app removed' });
+    } catch (error) {
+        if (error instanceof TwoFactorService.TwoFactorError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('TOTP disable error:', error);
+        res.status(500).json({ error: 'Failed to turn off two-factor authentication' });
+    }
+});
+
+// Replace the recovery codes (the old ones stop working)
+app.post('/2fa/recovery-codes', authenticate, async (req, res) => {
+    try {
+        if (!req.user.mfa) {
+            return res.status(403).json({
+                error: 'Sign in again with your second factor to create new recovery codes',
+                code: 'TWO_FACTOR_REQUIRED'
+            });
+        }
+
+        const recoveryCodes = await twoFactorService.replaceRecoveryCodes(req.user.id);
+        res.json({ success: true, recoveryCodes });
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        res.status(500).json({ error: 'Failed to create recovery codes' });
+    }
+});
+
+// Passkey registration, step 1: options for navigator.credentials.create()
+app.post('/webauthn/register/options', authenticate, requireVerifiedSession, async (req, res) => {
+    try {
+        const { challengeId, options } = await passkeyService.registrationOptions(req.user);
+        res.json({ challengeId, options });
+    } catch (error) {
+        console.error('Passkey registration options error:', error);
+        res.status(500).json({ error: 'Failed to start passkey registration' });
+    }
+});
+
+// Passkey registration, step 2: verify and store the new passkey
+app.post('/webauthn/register/verify', authenticate, requireVerifiedSession, async (req, res) => {
+    try {
+        const { challengeId, response, name } = req.body;
+        const before = await twoFactorService.getStatus(req.user.id);
+
+        const passkey = await passkeyService.verifyRegistration(req.user.id, challengeId, response, name);
+
+        // First second factor: give out recovery codes and sign out other devices
+        let recoveryCodes;
+        let signedOutSessions = 0;
+        if (!before.totpEnabled && before.passkeys === 0) {
+            recoveryCodes = await twoFactorService.replaceRecoveryCodes(req.user.id);
+            signedOutSessions = await sessionService.revokeAll(req.user.id, req.user.sid || null);
+        }
+        await upgradeSession(req, res, 'passkey');
+        console.log(`🔐 User ${req.user.id} registered passkey ${passkey.id}`);
+
+        res.status(201).json({ success: true, passkey, recoveryCodes, signedOutSessions });
+    } catch (error) {
+        if (error instanceof TwoFactorService.TwoFactorError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Passkey registration error:', error);
+        res.status(500).json({ error: 'Failed to register passkey' });
+    }
+});
+
+// The current user's passkeys
+app.get('/webauthn/credentials', authenticate, async (req, res) => {
+    try {
+        res.json({ passkeys: await passkeyService.listPasskeys(req.user.id) });
+    } catch (error) {
+        console.error('List passkeys error:', error);
+        res.status(500).json({ error: 'Failed to load passkeys' });
+    }
+});
+
+// Remove a passkey
+app.delete('/webauthn/credentials/:id', authenticate, requireVerifiedSession, async (req, res) => {
+    try {
+        const passkeyId = parseInt(req.params.id);
+        if (!passkeyId) {
+            return res.status(400).json({ error: 'Invalid passkey id' });
+        }
+
+        const status = await twoFactorService.getStatus(req.user.id);
+        const lastFactor = !status.totpEnabled && status.passkeys <= 1;
+        if (req.user.role === 'admin' && lastFactor) {
+            return res.status(400).json({ error: 'Admins must keep a second factor. Set up an authenticator app first.' });
+        }
+
+        const deleted = await passkeyService.deletePasskey(req.user.id, passkeyId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Passkey not found' });
+        }
+        if (lastFactor) {
+            await twoFactorService.deleteRecoveryCodes(req.user.id);
+        }
+
+        res.json({ success: true, message: 'Passkey removed' });
+    } catch (error) {
+        console.error('Delete passkey error:', error);
+        res.status(500).json({ error: 'Failed to remove passkey' });
+    }
+});
+
+// Passkey login, step 1: as the second step of a login (mfa_token cookie) or passwordless
+app.post('/webauthn/login/options', async (req, res) => {
+    try {
+        const { challengeId, options } = await passkeyService.authenticationOptions(pendingSecondFactorUserId(req));
+        res.json({ challengeId, options });
+    } catch (error) {
+        if (error instanceof TwoFactorService.TwoFactorError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Passkey login options error:', error);
+        res.status(500).json({ error: 'Failed to start passkey login' });
+    }
+});
+
+// Passkey login, step 2: verify the passkey and start the session
+app.post('/webauthn/login/verify', async (req, res) => {
+    try {
+        const { challengeId, response } = req.body;
+        const userId = await passkeyService.verifyAuthentication(challengeId, response);
+
+        const user = await dbService.getUserById(userId);
+        if (!user || !user.is_active) {
+            return res.status(403).json({ error: 'Your account has been suspended. Please contact the administrator.' });
+        }
+
+        const loggedInUser = await completeLogin(req, res, user, 'passkey');
+        res.json({ success: true, message: 'Login successful', user: loggedInUser });
+    } catch (error) {
+        if (error instanceof TwoFactorService.TwoFactorError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Passkey login error:', error);
+        res.status(500).json({ error: 'Passkey login failed. Please try again.' });
+    }
+});
+
+// Caregiver invites a senior to link accounts
+app.post('/caregiver-links', authenticate, async (req, res) => {
+    try {
+        if (req.user.role !== 'caregiver') {
+            return res.status(403).json({ error: 'Only caregivers can invite seniors' });
+        }
+
+        const { seniorEmail, message } = req.body;
+        if (!seniorEmail) {
+            return res.status(400).json({ error: 'seniorEmail is required' });
+        }
+
+        const link = await caregiverLinkService.invite(req.user.id, seniorEmail, message || null);
+        console.log(`👥 Caregiver ${req.user.id} invited senior ${link.senior_id} (link ${link.id})`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Invite sent. The link becomes active once the senior accepts or an admin approves it.',
+            link
+        });
+    } catch (error) {
+        if (error instanceof CaregiverLinkService.CaregiverLinkError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Caregiver invite error:', error);
+        res.status(500).json({ error: 'Failed to send invite' });
+    }
+});
+
+// Links the current user is part of, incoming invites first
+app.get('/caregiver-links', authenticate, async (req, res) => {
+    try {
+        const links = await caregiverLinkService.listLinks(req.user.id);
+        res.json({ links });
+    } catch (error) {
+        console.error('List caregiver links error:', error);
+        res.status(500).json({ error: 'Failed to load caregiver links' });
+    }
+});
+
+// Senior accepts or declines an invite
+const respondToCaregiverInvite = (accept) => async (req, res) => {
+    try {
+        const linkId = parseInt(req.params.id);
+        if (!linkId) {
+            return res.status(400).json({ error: 'Invalid link id' });
+        }
+
+        const link = await caregiverLinkService.respond(req.user.id, linkId, accept);
+        if (!link) {
+            return res.status(404).json({ error: 'Invite not found' });
+        }
+
+        console.log(`👥 Senior ${req.user.id} ${accept ? 'accepted' : 'declined'} caregiver link ${linkId}`);
+        res.json({ success: true, link });
+    } catch (error) {
+        console.error('Respond to caregiver invite error:', error);
+        res.status(500).json({ error: 'Failed to update invite' });
+    }
+};
+
+app.post('/caregiver-links/:id/accept', authenticate, respondToCaregiverInvite(true));
+app.post('/caregiver-links/:id/decline', authenticate, respondToCaregiverInvite(false));
+
+// Either side ends a link (or withdraws a pending invite)
+app.delete('/caregiver-links/:id', authenticate, async (req, res) => {
+    try {
+        const linkId = parseInt(req.params.id);
+        if (!linkId) {
+            return res.status(400).json({ error: 'Invalid link id' });
+        }
+
+        const link = await caregiverLinkService.revoke(req.user.id, linkId);
+        if (!link) {
+            return res.status(404).json({ error: 'Link not found' });
+        }
+
+        console.log(`👥 User ${req.user.id} revoked caregiver link ${linkId}`);
+        res.json({ success: true, link });
+    } catch (error) {
+        console.error('Revoke caregiver link error:', error);
+        res.status(500).json({ error: 'Failed to revoke link' });
+    }
+});
+
+// What caregivers did on the current user's behalf (or, for a caregiver, what they did)
+app.get('/caregiver-actions', authenticate, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+        const { actions, total } = await caregiverLinkService.listActions(req.user.id, { page, limit });
+
+        res.json({
+            actions,
+            pagination: { total, page, limit, totalPages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error('List caregiver actions error:', error);
+        res.status(500).json({ error: 'Failed to load caregiver actions' });
+    }
+});
+
+// Download everything stored about the current user (?format=zip for one file per section)
+app.get('/account/export', authenticate, async (req, res) => {
+    try {
+        const data = await accountDataService.exportData(req.user.id);
+        const baseName = `kampungconnect-data-${req.user.id}-${data.exportedAt.slice(0, 10)}`;
+        console.log(`📦 User ${req.user.id} exported their data (${req.query.format === 'zip' ? 'zip' : 'json'})`);
+
+        if (req.query.format !== 'zip') {
+            res.set('Content-Disposition', `attachment; filename="${baseName}.json"`);
+            return res.type('application/json').send(JSON.stringify(data, null, 2));
+        }
+
+        res.set('Content-Disposition', `attachment; filename="${baseName}.zip"`);
+        res.type('application/zip');
+
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        archive.on('error', (error) => {
+            console.error('Data export archive error:', error);
+            res.destroy(error);
+        });
+        archive.pipe(res);
+
+        const { exportedAt, ...sections } = data;
+        archive.append(JSON.stringify({ userId: req.user.id, exportedAt, sections: Object.keys(sections) }, null, 2), { name: 'kampungconnect-data/README.json' });
+        for (const [section, rows] of Object.entries(sections)) {
+            archive.append(JSON.stringify(rows, null, 2), { name: `kampungconnect-data/${section}.json` });
+        }
+        await archive.finalize();
+    } catch (error) {
+        console.error('Data export error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to export your data' });
+        }
+    }
+});
+
+// When the current user's account is due to be deleted, if at all
+app.get('/account/deletion', authenticate, async (req, res) => {
+    try {
+        const scheduledFor = await accountDataService.getScheduledDeletion(req.user.id);
+        res.json({ scheduled: !!scheduledFor, scheduledFor, graceDays: accountDataService.GRACE_DAYS });
+    } catch (error) {
+        console.error('Get account deletion error:', error);
+        res.status(500).json({ error: 'Failed to load account deletion status' });
+    }
+});
+
+// Schedule deletion of the current user's account after the grace period.
+// Email accounts confirm with their password, social accounts by typing their email.
+app.post('/account/deletion', authenticate, requireVerifiedSession, async (req, res) => {
+    try {
+        const user = await dbService.getUserById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.password_hash) {
+            if (!req.body.password || !(await passwordService.verifyPassword(req.body.password, user.password_hash))) {
+                return res.status(401).json({ error: 'Password is incorrect' });
+            }
+        } else if ((req.body.confirmEmail || '').trim().toLowerCase() !== user.email.toLowerCase()) {
+            return res.status(400).json({ error: 'Type your email address to confirm' });
+        }
+
+        const scheduledFor = await accountDataService.scheduleDeletion(user.id);
+        // Only this device stays signed in, to cancel from if needed
+        await sessionService.revokeAll(user.id, req.user.sid || null);
+        console.log(`🗑️  User ${user.id} scheduled account deletion for ${new Date(scheduledFor).toISOString()}`);
+
+        await otpService.sendNotice(user.email, 'account-deletion-scheduled', {
+            title: 'Account Deletion Scheduled',
+            userName: user.firstname ? `${user.firstname} ${user.lastname || ''}`.trim() : 'User',
+            deletionDate: new Date(scheduledFor).toLocaleDateString('en-SG', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Asia/Singapore' }),
+            graceDays: accountDataService.GRACE_DAYS,
+            profileUrl: `${process.env.FRONTEND_URL || 'http://localhost:8080'}/profile.html#your-data`
+        });
+
+        res.json({
+            success: true,
+            message: `Your account will be deleted on ${new Date(scheduledFor).toDateString()}. You can cancel until then.`,
+            scheduledFor
+        });
+    } catch (error) {
+        if (error instanceof AccountDataService.AccountDataError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Schedule account deletion error:', error);
+        res.status(500).json({ error: 'Failed to schedule account deletion' });
+    }
+});
+
+// Keep the account after all
+app.delete('/account/deletion', authenticate, async (req, res) => {
+    try {
+        const cancelled = await accountDataService.cancelDeletion(req.user.id);
+        if (!cancelled) {
+            return res.status(404).json({ error: 'No account deletion is scheduled' });
+        }
+
+        console.log(`🗑️  User ${req.user.id} cancelled their account deletion`);
+        res.json({ success: true, message: 'Account deletion cancelled' });
+    } catch (error) {
+        console.error('Cancel account deletion error:', error);
+        res.status(500).json({ error: 'Failed to cancel account deletion' });
+    }
+});
+
+// Sign-in methods: the password plus any linked SSO identities
+
+app.get('/identities', authenticate, async (req, res) => {
+    try {
+        const user = await dbService.getUserById(req.user.id);
+        const identities = await identityService.listIdentities(req.user.id);
+
+        res.json({
+            hasPassword: !!user?.password_hash,
+            identities: identities.map(identity => ({
+                ...identity,
+                displayName: providerDisplayName(identity.provider)
+            })),
+            providers: availableProviders.map(name => ({ name, displayName: providerDisplayName(name) }))
+        });
+    } catch (error) {
+        console.error('List identities error:', error);
+        res.status(500).json({ error: 'Failed to load sign-in methods' });
+    }
+});
+
+// Start linking a provider: after re-authenticating, the browser goes through
+// the provider's normal login and the callback adds the identity to this account
+app.post('/identities/link/:provider', authenticate, requireVerifiedSession, async (req, res) => {
+    try {
+        const provider = req.params.provider;
+        if (!authRoutes[provider]) {
+            return res.status(404).json({ error: 'Unknown sign-in provider' });
+        }
+
+        const user = await confirmReauthentication(req, res);
+        if (!user) return;
+
+        res.cookie('link_identity', jwtUtils.generateStepToken({ id: user.id, provider }, 'link', LINK_TOKEN_TTL_SECONDS), {
+            httpOnly: true,
+            secure: false, // Set to true in production with HTTPS
+            sameSite: 'lax',
+            maxAge: LINK_TOKEN_TTL_SECONDS * 1000
+        });
+        res.json({ success: true, url: authRoutes[provider].auth });
+    } catch (error) {
+        console.error('Start identity link error:', error);
+        res.status(500).json({ error: 'Failed to start linking' });
+    }
+});
+
+app.delete('/identities/:id', authenticate, requireVerifiedSession, async (req, res) => {
+    try {
+        const identityId = parseInt(req.params.id);
+        if (isNaN(identityId)) {
+            return res.status(400).json({ error: 'Invalid identity id' });
+        }
+
+        const user = await confirmReauthentication(req, res);
+        if (!user) return;
+
+        const identity = await identityService.unlink(user.id, identityId);
+        console.log(`🔐 User ${user.id} unlinked a ${identity.provider} identity`);
+        await sendSignInMethodNotice(user.id, identity.provider, 'unlinked');
+
+        res.json({ success: true, message: `${providerDisplayName(identity.provider)} sign-in removed` });
+    } catch (error) {
+        if (error instanceof IdentityService.IdentityError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Unlink identity error:', error);
+        res.status(500).json({ error: 'Failed to remove sign-in method' });
+    }
+});
+
+// Token validation endpoint (for other services)
+app.post('/validate-token', async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ error: 'Token required' });
+    }
+
+    try {
+        const decoded = jwtUtils.verifyToken(token);
+
+        // Tokens from a revoked session (logout, "sign out this device") stop working at once
+        if (decoded.sid && !(await sessionService.isActive(decoded.sid, decoded.id))) {
+            return res.status(401).json({ valid: false, error: 'Session revoked' });
+        }
+        
+        // Verify user still exists and is active
+        const user = await dbService.getUserById(decoded.id);
+        if (!user) {
+            return res.status(401).json({ valid: false, error: 'User not found' });
+        }
+        
         if (!user.is_active) {
             return res.status(403).json({ 
                 valid: false, 
@@ -1050,6 +2244,7 @@ app.use((error, req, res, next) => {
 async function startServer() {
     try {
         await dbService.initialize();
+        await oidcProviders.initializeGenericProviders();
 
         const PORT = process.env.PORT || 5000;
         app.listen(PORT, () => {
@@ -1082,17 +2277,33 @@ async function startServer() {
 
 // Start periodic cleanup tasks
 function startCleanupTasks() {
-    // Cleanup expired OTPs every 5 minutes
-    setInterval(() => {
-        otpService.cleanupExpiredOTPs();
-    }, 5 * 60 * 1000);
+    // Cleanup expired OTPs every OTP_CLEANUP_INTERVAL_MS (default 5 minutes), starting now
+    const runOtpCleanup = async () => {
+        try {
+            await otpService.cleanupExpiredOTPs();
+        } catch (error) {
+            console.error('Error cleaning up OTPs:', error);
+        }
+    };
+    runOtpCleanup();
+    setInterval(runOtpCleanup, parseInt(process.env.OTP_CLEANUP_INTERVAL_MS) || 5 * 60 * 1000);
 
-    // Cleanup expired pending users every hour
+    // Cleanup expired pending users, ended sessions, passkey challenges and old rate limit events every hour
     setInterval(async () => {
         try {
             await dbService.cleanupExpiredPendingUsers();
+            await sessionService.cleanupExpiredSessions();
+            await passkeyService.cleanupExpiredChallenges();
+            await rateLimitService.cleanupOldEvents();
+        } catch (error) {
+            console.error('Error cleaning up pending users and sessions:', error);
+        }
+
+        // Anonymise accounts whose deletion grace period has ended
+        try {
+            await accountDataService.purgeDueAccounts();
         } catch (error) {
-            console.error('Error cleaning up pending users:', error);
+            console.error('Error purging deleted accounts:', error);
         }
     }, 60 * 60 * 1000);
 
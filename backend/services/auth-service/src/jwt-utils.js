@@ -7,6 +7,8 @@ class JWTUtils {
     constructor() {
         this.secret = process.env.JWT_SECRET || 'fallback-secret-change-in-production';
         this.expiresIn = process.env.JWT_EXPIRATION || '24h';
+        // Login tokens are short-lived; the session's refresh token renews them
+        this.accessTokenTtlSeconds = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
     }
 
     /**
@@ -18,12 +20,44 @@ class JWTUtils {
         });
     }
 
+    /**
+     * Generate a short-lived access token tied to a login session (sid).
+     * mfaMethod (the session's second factor) becomes the `mfa` claim.
+     */
+    generateAccessToken(userPayload, sessionId, mfaMethod = null) {
+        const payload = sessionId ? { ...userPayload, sid: sessionId } : { ...userPayload };
+        if (mfaMethod) payload.mfa = mfaMethod;
+        return this.generateToken(payload, this.accessTokenTtlSeconds);
+    }
+
+    /**
+     * Token for one step of a flow (e.g. between password and second factor).
+     * It is signed with a key derived for that purpose, so it never passes
+     * as an access token.
+     */
+    generateStepToken(payload, purpose, expiresIn) {
+        return jwt.sign({ ...payload, purpose }, `${this.secret}:${purpose}`, { expiresIn });
+    }
+
+    verifyStepToken(token, purpose) {
+        let decoded;
+        try {
+            decoded = jwt.verify(token, `${this.secret}:${purpose}`);
+        } catch (error) {
+            throw new Error('Invalid token');
+        }
+        if (decoded.purpose !== purpose) {
+            throw new Error('Invalid token');
+        }
+        return decoded;
+    }
+
     /**
      * Verify JWT token
      */
-    verifyToken(token) {
+    verifyToken(token, options = {}) {
         try {
-            return jwt.verify(token, this.secret);
+            return jwt.verify(token, this.secret, options);
         } catch (error) {
             throw new Error('Invalid token');
         }
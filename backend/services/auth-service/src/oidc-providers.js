@@ -1,12 +1,56 @@
+const fs = require('fs');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const AzureAdOAuth2Strategy = require('passport-azure-ad').OIDCStrategy;
+const { Issuer, Strategy: OpenIDStrategy } = require('openid-client');
+
+// Names the built-in providers and email login already use
+const RESERVED_PROVIDER_NAMES = ['google', 'azure', 'email'];
+
+// Where generic providers find each user field in the ID token / userinfo claims
+const DEFAULT_CLAIM_MAPPING = {
+    id: 'sub',
+    email: 'email',
+    emailVerified: 'email_verified',
+    name: 'name',
+    firstname: 'given_name',
+    lastname: 'family_name',
+    picture: 'picture'
+};
+
+// Claim by name, or by dotted path for nested claims (e.g. "profile.first_name")
+function readClaim(claims, path) {
+    if (!path) return undefined;
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+}
 
 /**
  * OIDC Provider Configurations
+ *
+ * Google and Azure AD have their own strategies, set up from their env vars.
+ * Any number of other OpenID Connect providers (e.g. a community partner's
+ * own IdP) come from configuration: OIDC_PROVIDERS holds a JSON array, or
+ * OIDC_PROVIDERS_FILE the path to a file with one. Each entry:
+ *
+ *   {
+ *     "name": "partner",                      // routes /auth/partner and /auth/partner/callback
+ *     "displayName": "Kampung Partner",       // login button text
+ *     "issuer": "https://idp.example.org",    // or "discoveryUrl": ".../.well-known/openid-configuration"
+ *     "clientId": "kampungconnect",
+ *     "clientSecretEnv": "PARTNER_CLIENT_SECRET", // or "clientSecret"; leave both out for a public client
+ *     "redirectUri": "https://auth.example.org/auth/partner/callback", // default OIDC_REDIRECT_BASE_URL + callback route
+ *     "scopes": ["openid", "profile", "email"],
+ *     "claims": { "firstname": "given_name" }, // overrides DEFAULT_CLAIM_MAPPING
+ *     "icon": "fas fa-building"                // Font Awesome class for the button
+ *   }
+ *
+ * Issuer metadata is discovered at startup. When the issuer cannot be
+ * reached then, the provider's routes retry discovery on first use.
  */
 class OIDCProviders {
     constructor() {
+        // name → { config, ready }, where ready is the pending or finished discovery
+        this.genericProviders = new Map();
         this.initializeStrategies();
     }
 
@@ -31,6 +75,12 @@ class OIDCProviders {
             }
         }
 
+        for (const config of this.loadGenericConfigs()) {
+            this.genericProviders.set(config.name, { config, ready: null });
+            providersInitialized++;
+            console.log(`✅ OIDC provider "${config.name}" configured (${config.discoveryUrl})`);
+        }
+
         if (providersInitialized === 0) {
             console.warn('⚠️  No OIDC providers configured. Please set provider credentials in environment variables.');
         } else {
@@ -210,6 +260,169 @@ class OIDCProviders {
         }
     }
 
+    /**
+     * Read and check the generic provider entries. Invalid entries are
+     * skipped with an error in the log, so one typo does not stop the others.
+     */
+    loadGenericConfigs() {
+        let raw = process.env.OIDC_PROVIDERS;
+        if (process.env.OIDC_PROVIDERS_FILE) {
+            try {
+                raw = fs.readFileSync(process.env.OIDC_PROVIDERS_FILE, 'utf8');
+            } catch (error) {
+                console.error(`❌ Could not read OIDC_PROVIDERS_FILE: ${error.message}`);
+                return [];
+            }
+        }
+        if (!raw || !raw.trim()) return [];
+
+        let entries;
+        try {
+            entries = JSON.parse(raw);
+        } catch (error) {
+            console.error(`❌ OIDC provider configuration is not valid JSON: ${error.message}`);
+            return [];
+        }
+        if (!Array.isArray(entries)) {
+            console.error('❌ OIDC provider configuration must be a JSON array');
+            return [];
+        }
+
+        const configs = [];
+        for (const entry of entries) {
+            try {
+                const config = this.normalizeGenericConfig(entry);
+                if (configs.some(c => c.name === config.name)) {
+                    throw new Error('name is used twice');
+                }
+                configs.push(config);
+            } catch (error) {
+                console.error(`❌ Skipping OIDC provider "${entry?.name || '?'}": ${error.message}`);
+            }
+        }
+        return configs;
+    }
+
+    normalizeGenericConfig(entry) {
+        const name = String(entry?.name || '').trim().toLowerCase();
+        if (!/^[a-z0-9][a-z0-9-]{1,39}$/.test(name)) {
+            throw new Error('name must be 2-40 lowercase letters, digits or dashes');
+        }
+        if (RESERVED_PROVIDER_NAMES.includes(name)) {
+            throw new Error(`name "${name}" is reserved`);
+        }
+        if (!entry.issuer && !entry.discoveryUrl) {
+            throw new Error('issuer or discoveryUrl is required');
+        }
+        if (!entry.clientId) {
+            throw new Error('clientId is required');
+        }
+
+        const scopes = Array.isArray(entry.scopes) && entry.scopes.length > 0
+            ? entry.scopes
+            : ['openid', 'profile', 'email'];
+        const redirectBase = process.env.OIDC_REDIRECT_BASE_URL || 'http://localhost:5001';
+
+        return {
+            name,
+            displayName: entry.displayName || name,
+            icon: entry.icon || null,
+            discoveryUrl: entry.discoveryUrl || entry.issuer,
+            clientId: entry.clientId,
+            clientSecret: entry.clientSecret || (entry.clientSecretEnv ? process.env[entry.clientSecretEnv] : undefined),
+            redirectUri: entry.redirectUri || `${redirectBase}/auth/${name}/callback`,
+            scopes: scopes.includes('openid') ? scopes : ['openid', ...scopes],
+            claims: { ...DEFAULT_CLAIM_MAPPING, ...(entry.claims || {}) },
+            // Emails the IdP says it has not verified are refused unless this is false
+            requireVerifiedEmail: entry.requireVerifiedEmail !== false
+        };
+    }
+
+    isGenericProvider(name) {
+        return this.genericProviders.has(name);
+    }
+
+    /**
+     * Discover every generic provider's issuer. Failures are logged and
+     * retried when the provider is next used.
+     */
+    async initializeGenericProviders() {
+        await Promise.all([...this.genericProviders.keys()].map(name =>
+            this.ensureGenericStrategy(name).catch(() => {})
+        ));
+    }
+
+    /**
+     * Register the passport strategy for a generic provider, discovering its
+     * issuer first if that has not succeeded yet
+     */
+    ensureGenericStrategy(name) {
+        const provider = this.genericProviders.get(name);
+        if (!provider.ready) {
+            provider.ready = this.setupGenericStrategy(provider.config).catch(error => {
+                console.error(`❌ OIDC discovery failed for "${name}": ${error.message}`);
+                provider.ready = null;
+                throw error;
+            });
+        }
+        return provider.ready;
+    }
+
+    async setupGenericStrategy(config) {
+        const issuer = await Issuer.discover(config.discoveryUrl);
+
+        const client = new issuer.Client({
+            client_id: config.clientId,
+            client_secret: config.clientSecret,
+            redirect_uris: [config.redirectUri],
+            response_types: ['code'],
+            // Public clients (no secret) rely on PKCE alone
+            token_endpoint_auth_method: config.clientSecret ? 'client_secret_basic' : 'none'
+        });
+
+        passport.use(config.name, new OpenIDStrategy({
+            client,
+            params: { scope: config.scopes.join(' ') },
+            usePKCE: true,
+            sessionKey: `oidc:${config.name}`
+        }, (tokenSet, userinfo, done) => {
+            try {
+                done(null, this.mapGenericProfile(config, { ...tokenSet.claims(), ...userinfo }));
+            } catch (error) {
+                console.error(`❌ ${config.name} profile processing error:`, error.message);
+                done(error, null);
+            }
+        }));
+
+        console.log(`✅ OIDC provider "${config.name}" ready (issuer ${issuer.issuer})`);
+    }
+
+    /**
+     * Turn ID token and userinfo claims into the profile shape IdentityService expects
+     */
+    mapGenericProfile(config, claims) {
+        const subject = readClaim(claims, config.claims.id);
+        const email = readClaim(claims, config.claims.email);
+
+        if (!subject || !email) {
+            throw new Error(`claims "${config.claims.id}" and "${config.claims.email}" are required`);
+        }
+        if (config.requireVerifiedEmail && readClaim(claims, config.claims.emailVerified) === false) {
+            throw new Error('the identity provider has not verified this email address');
+        }
+
+        return {
+            // Namespaced so two issuers cannot hand out the same subject
+            id: `${config.name}:${subject}`,
+            email: String(email).toLowerCase(),
+            name: readClaim(claims, config.claims.name) || '',
+            firstname: readClaim(claims, config.claims.firstname) || '',
+            lastname: readClaim(claims, config.claims.lastname) || '',
+            picture: readClaim(claims, config.claims.picture) || null,
+            provider: config.name
+        };
+    }
+
     getAuthRoutes() {
         const availableRoutes = {};
 
@@ -229,6 +442,16 @@ class OIDCProviders {
             };
         }
 
+        for (const { config } of this.genericProviders.values()) {
+            availableRoutes[config.name] = {
+                auth: `/auth/${config.name}`,
+                callback: `/auth/${config.name}/callback`,
+                scope: config.scopes,
+                displayName: config.displayName,
+                icon: config.icon
+            };
+        }
+
         return availableRoutes;
     }
 
@@ -237,6 +460,7 @@ class OIDCProviders {
         
         if (this.isGoogleConfigured()) providers.push('google');
         if (this.isAzureConfigured()) providers.push('azure');
+        providers.push(...this.genericProviders.keys());
         
         return providers;
     }
@@ -1,21 +1,25 @@
+const crypto = require('crypto');
 const nodemailer = require('nodemailer');
+const TemplateRegistry = require('/app/shared/template-registry');
 
 /**
  * OTP Service for email verification and password reset
- * Uses Nodemailer to send OTP codes to users
+ * Uses Nodemailer to send OTP codes to users.
+ * Codes and cooldowns live in `store` (see otp-store.js) so they survive
+ * restarts and work across replicas; only an HMAC of each code is stored.
  */
 class OTPService {
-    constructor() {
-        // In-memory storage for OTPs (in production, use Redis or database)
-        this.otpStore = new Map();
-        
-        // In-memory storage for rate limiting/cooldowns
-        this.cooldownStore = new Map();
+    constructor(store) {
+        this.store = store;
+
+        // Keyed hash so a leaked otp_codes table cannot be brute-forced offline
+        this.hashSecret = process.env.OTP_HASH_SECRET || process.env.JWT_SECRET || 'fallback-secret-change-in-production';
 
         // OTP configuration
         this.OTP_LENGTH = 6;
         this.OTP_EXPIRY = 10 * 60 * 1000; // 10 minutes
         this.MAX_ATTEMPTS = 3;
+        this.MAGIC_LINK_EXPIRY = (parseInt(process.env.MAGIC_LINK_TTL_MINUTES) || 15) * 60 * 1000;
         
         // Progressive cooldown configuration (in milliseconds)
         this.COOLDOWN_PERIODS = [
@@ -23,6 +27,8 @@ class OTPService {
             60 * 1000,      // 1 minute after 2nd cooldown trigger
             3 * 60 * 1000   // 3 minutes after 3rd+ cooldown trigger
         ];
+        // A new cooldown within this long after the last one ended moves up a level
+        this.COOLDOWN_MEMORY = 60 * 60 * 1000; // 1 hour
 
         // Email configuration
         this.emailConfig = {
@@ -38,6 +44,9 @@ class OTPService {
         this.fromEmail = process.env.SMTP_FROM_EMAIL || process.env.SMTP_USER;
         this.fromName = process.env.SMTP_FROM_NAME || 'KampungConnect';
 
+        // Email wording lives in backend/shared/templates/otp
+        this.templates = new TemplateRegistry();
+
         // Check if email is configured
         this.isConfigured = !!(
             this.emailConfig.auth.user &&
@@ -74,57 +83,53 @@ class OTPService {
      * @returns {string} - 6-digit OTP code
      */
     generateOTP() {
-        const otp = Math.floor(100000 + Math.random() * 900000).toString();
-        return otp;
+        return crypto.randomInt(100000, 1000000).toString();
+    }
+
+    /**
+     * HMAC of a code, bound to the email and type it was issued for
+     */
+    hashOTP(email, otp, type) {
+        return crypto.createHmac('sha256', this.hashSecret)
+            .update(`${email}:${type}:${otp}`)
+            .digest('hex');
     }
 
     /**
      * Store OTP with expiry time
      * @param {string} email - User's email address
      * @param {string} otp - The OTP code
-     * @param {string} type - Type of OTP (signup, password_reset)
+     * @param {string} type - Type of OTP (signup, password_reset, magic_link)
+     * @param {number} expiryMs - How long the code is valid
      */
-    storeOTP(email, otp, type = 'signup') {
-        const key = `${email}:${type}`;
-        const expiresAt = Date.now() + this.OTP_EXPIRY;
+    async storeOTP(email, otp, type = 'signup', expiryMs = this.OTP_EXPIRY) {
+        const expiresAt = new Date(Date.now() + expiryMs);
 
-        this.otpStore.set(key, {
-            otp,
-            expiresAt,
-            attempts: 0,
-            createdAt: Date.now()
-        });
+        await this.store.saveCode(email, type, this.hashOTP(email, otp, type), expiresAt);
 
-        console.log(`[OTP] Stored OTP for ${email} (${type}), expires at ${new Date(expiresAt).toISOString()}`);
+        console.log(`[OTP] Stored OTP for ${email} (${type}), expires at ${expiresAt.toISOString()}`);
     }
 
     /**
      * Check if user is in cooldown period
      * @param {string} email - User's email address
      * @param {string} type - Type of OTP (signup, password_reset)
-     * @returns {Object} - Cooldown status
+     * @returns {Promise<Object>} - Cooldown status
      */
-    getCooldownStatus(email, type = 'signup') {
-        const key = `${email}:${type}`;
-        const cooldown = this.cooldownStore.get(key);
-        
-        if (!cooldown) {
-            return { inCooldown: false };
-        }
+    async getCooldownStatus(email, type = 'signup') {
+        const cooldown = await this.store.getCooldown(email, type);
         
         const now = Date.now();
-        if (now < cooldown.expiresAt) {
-            const remainingSeconds = Math.ceil((cooldown.expiresAt - now) / 1000);
-            return {
-                inCooldown: true,
-                remainingSeconds,
-                cooldownLevel: cooldown.level
-            };
+        if (!cooldown || now >= cooldown.expiresAt) {
+            // An ended cooldown is kept for COOLDOWN_MEMORY so the next one escalates
+            return { inCooldown: false };
         }
         
-        // Cooldown expired, clean it up
-        this.cooldownStore.delete(key);
-        return { inCooldown: false };
+        return {
+            inCooldown: true,
+            remainingSeconds: Math.ceil((cooldown.expiresAt - now) / 1000),
+            cooldownLevel: cooldown.level
+        };
     }
     
     /**
@@ -132,24 +137,17 @@ class OTPService {
      * @param {string} email - User's email address
      * @param {string} type - Type of OTP (signup, password_reset)
      */
-    setCooldown(email, type = 'signup') {
-        const key = `${email}:${type}`;
-        const existing = this.cooldownStore.get(key);
+    async setCooldown(email, type = 'signup') {
+        const existing = await this.store.getCooldown(email, type);
         
         // Determine cooldown level (progressive)
         let level = 0;
-        if (existing && existing.level !== undefined) {
+        if (existing && Date.now() - existing.expiresAt < this.COOLDOWN_MEMORY) {
             level = Math.min(existing.level + 1, this.COOLDOWN_PERIODS.length - 1);
         }
         
         const cooldownDuration = this.COOLDOWN_PERIODS[level];
-        const expiresAt = Date.now() + cooldownDuration;
-        
-        this.cooldownStore.set(key, {
-            level,
-            expiresAt,
-            setAt: Date.now()
-        });
+        await this.store.saveCooldown(email, type, level, new Date(Date.now() + cooldownDuration));
         
         const durationText = level === 0 ? '30 seconds' : 
                             level === 1 ? '1 minute' : 
@@ -163,65 +161,55 @@ class OTPService {
      * @param {string} email - User's email address
      * @param {string} otp - The OTP code to verify
      * @param {string} type - Type of OTP (signup, password_reset)
-     * @returns {Object} - Verification result
+     * @returns {Promise<Object>} - Verification result
      */
-    verifyOTP(email, otp, type = 'signup') {
-        const key = `${email}:${type}`;
-        
-        const stored = this.otpStore.get(key);
+    async verifyOTP(email, otp, type = 'signup') {
+        const stored = await this.store.getCode(email, type);
 
         if (!stored) {
-            // Check if user is in cooldown only if no OTP exists
-            const cooldownStatus = this.getCooldownStatus(email, type);
-            if (cooldownStatus.inCooldown) {
-                return {
-                    valid: false,
-                    error: `Too many failed attempts. Please wait ${cooldownStatus.remainingSeconds} seconds before requesting a new code.`,
-                    inCooldown: true,
-                    remainingSeconds: cooldownStatus.remainingSeconds
-                };
-            }
-            
-            return {
-                valid: false,
-                error: 'OTP not found or expired. Please request a new code.'
-            };
+            return this.missingCodeResult(email, type);
         }
 
         // Check if OTP has expired
         if (Date.now() > stored.expiresAt) {
-            this.otpStore.delete(key);
+            await this.store.deleteCode(email, type);
             return {
                 valid: false,
                 error: 'OTP has expired. Please request a new code.'
             };
         }
 
-        // Verify OTP FIRST before checking attempts or cooldown
-        // This allows correct OTP to work even after failed attempts
-        if (stored.otp === otp) {
-            // OTP is valid, remove from store and clear any cooldowns
-            this.otpStore.delete(key);
-            this.cooldownStore.delete(key);
-            console.log(`[OTP] Valid OTP verified for ${email} (${type}) after ${stored.attempts} failed attempt(s)`);
+        // Every guess, right or wrong, uses up an attempt atomically
+        const claimed = await this.store.claimAttempt(email, type, this.MAX_ATTEMPTS);
+        if (!claimed) {
+            return this.missingCodeResult(email, type);
+        }
+
+        const codeHash = this.hashOTP(email, String(otp), type);
+        const matches = crypto.timingSafeEqual(Buffer.from(claimed.codeHash), Buffer.from(codeHash));
+
+        if (matches && await this.store.consumeCode(email, type, codeHash)) {
+            // OTP is valid and now used up; clear any cooldowns
+            await this.store.deleteCooldown(email, type);
+            console.log(`[OTP] Valid OTP verified for ${email} (${type}) after ${claimed.attempts - 1} failed attempt(s)`);
             return {
                 valid: true
             };
         }
+        if (matches) {
+            // A parallel request used the same code first
+            return this.missingCodeResult(email, type);
+        }
 
-        // OTP is wrong, now check if this exhausts the attempts
-        // Increment attempts for wrong OTP
-        stored.attempts++;
-        
-        const attemptsLeft = this.MAX_ATTEMPTS - stored.attempts;
+        const attemptsLeft = this.MAX_ATTEMPTS - claimed.attempts;
         console.log(`[OTP] Invalid OTP attempt for ${email} (${type}), ${attemptsLeft} attempt(s) left`);
 
         if (attemptsLeft <= 0) {
             // Last attempt failed, set cooldown and clear OTP
-            this.setCooldown(email, type);
-            this.otpStore.delete(key);
+            await this.setCooldown(email, type);
+            await this.store.deleteCode(email, type);
             
-            const cooldownStatus = this.getCooldownStatus(email, type);
+            const cooldownStatus = await this.getCooldownStatus(email, type);
             return {
                 valid: false,
                 error: `Invalid OTP code. Too many failed attempts. Please wait ${cooldownStatus.remainingSeconds} seconds before requesting a new code.`,
@@ -230,9 +218,6 @@ class OTPService {
             };
         }
 
-        // Still have attempts left, update the store
-        this.otpStore.set(key, stored);
-
         return {
             valid: false,
             error: `Invalid OTP code. ${attemptsLeft} attempt(s) remaining.`,
@@ -241,87 +226,42 @@ class OTPService {
     }
 
     /**
-     * Generate HTML email template for OTP
+     * Result for a verification with no usable code: in cooldown, or none issued/left
+     */
+    async missingCodeResult(email, type) {
+        const cooldownStatus = await this.getCooldownStatus(email, type);
+        if (cooldownStatus.inCooldown) {
+            return {
+                valid: false,
+                error: `Too many failed attempts. Please wait ${cooldownStatus.remainingSeconds} seconds before requesting a new code.`,
+                inCooldown: true,
+                remainingSeconds: cooldownStatus.remainingSeconds
+            };
+        }
+        
+        return {
+            valid: false,
+            error: 'OTP not found or expired. Please request a new code.'
+        };
+    }
+
+    /**
+     * Render the OTP email from the shared template registry
      * @param {string} otp - The OTP code
      * @param {string} type - Type of email (signup, password_reset)
-     * @param {Object} userData - Additional user data
-     * @returns {string} - HTML email content
+     * @param {Object} userData - Additional user data (firstname, lastname, locale)
+     * @returns {Object} - { subject, html, text }
      */
-    generateEmailHTML(otp, type, userData = {}) {
-        const userName = userData.firstname ? `${userData.firstname} ${userData.lastname || ''}`.trim() : 'User';
-        const expiryMinutes = Math.floor(this.OTP_EXPIRY / 60000);
-
-        const title = type === 'password_reset' ? 'Password Reset' : 'Email Verification';
-        const message = type === 'password_reset'
-            ? 'You requested to reset your password. Use the code below to complete the process:'
-            : 'Thank you for registering! Use the code below to verify your email address:';
-
-        return `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <title>${title} - KampungConnect</title>
-            </head>
-            <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
-                <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
-                    <tr>
-                        <td align="center">
-                            <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-                                <!-- Header -->
-                                <tr>
-                                    <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
-                                        <h1 style="color: #ffffff; margin: 0; font-size: 28px;">KampungConnect</h1>
-                                        <p style="color: #ffffff; margin: 10px 0 0 0; font-size: 16px;">${title}</p>
-                                    </td>
-                                </tr>
-                                
-                                <!-- Content -->
-                                <tr>
-                                    <td style="padding: 40px 30px;">
-                                        <p style="color: #333333; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">
-                                            Hello <strong>${userName}</strong>,
-                                        </p>
-                                        <p style="color: #666666; font-size: 14px; line-height: 1.6; margin: 0 0 30px 0;">
-                                            ${message}
-                                        </p>
-                                        
-                                        <!-- OTP Box -->
-                                        <table width="100%" cellpadding="0" cellspacing="0">
-                                            <tr>
-                                                <td align="center" style="padding: 20px; background-color: #f8f9fa; border-radius: 8px; border: 2px dashed #667eea;">
-                                                    <p style="color: #666666; font-size: 14px; margin: 0 0 10px 0;">Your verification code is:</p>
-                                                    <h2 style="color: #667eea; font-size: 36px; letter-spacing: 8px; margin: 0; font-weight: bold;">${otp}</h2>
-                                                </td>
-                                            </tr>
-                                        </table>
-                                        
-                                        <p style="color: #999999; font-size: 12px; line-height: 1.6; margin: 30px 0 0 0; text-align: center;">
-                                            This code will expire in <strong>${expiryMinutes} minutes</strong>.
-                                        </p>
-                                        
-                                        <p style="color: #999999; font-size: 12px; line-height: 1.6; margin: 20px 0 0 0; text-align: center;">
-                                            If you didn't request this code, please ignore this email or contact our support team.
-                                        </p>
-                                    </td>
-                                </tr>
-                                
-                                <!-- Footer -->
-                                <tr>
-                                    <td style="background-color: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e9ecef;">
-                                        <p style="color: #999999; font-size: 12px; margin: 0;">
-                                            © ${new Date().getFullYear()} KampungConnect. All rights reserved.
-                                        </p>
-                                    </td>
-                                </tr>
-                            </table>
-                        </td>
-                    </tr>
-                </table>
-            </body>
-            </html>
-        `;
+    renderEmail(otp, type, userData = {}) {
+        const passwordReset = type === 'password_reset';
+
+        return this.templates.render('otp', {
+            otp,
+            passwordReset,
+            title: passwordReset ? 'Password Reset' : 'Email Verification',
+            userName: userData.firstname ? `${userData.firstname} ${userData.lastname || ''}`.trim() : 'User',
+            expiryMinutes: Math.floor(this.OTP_EXPIRY / 60000)
+        }, { locale: userData.locale });
     }
 
     /**
@@ -345,18 +285,14 @@ class OTPService {
         }
 
         try {
-            const subject = type === 'password_reset'
-                ? 'Password Reset Code - KampungConnect'
-                : 'Email Verification Code - KampungConnect';
-
-            const html = this.generateEmailHTML(otp, type, userData);
+            const { subject, html, text } = this.renderEmail(otp, type, userData);
 
             const mailOptions = {
                 from: `"${this.fromName}" <${this.fromEmail}>`,
                 to: email,
                 subject: subject,
                 html: html,
-                text: `Your ${type === 'password_reset' ? 'password reset' : 'verification'} code is: ${otp}. This code will expire in ${Math.floor(this.OTP_EXPIRY / 60000)} minutes.`
+                text: text
             };
 
             console.log(`[OTP] Sending OTP email to ${email}...`);
@@ -384,17 +320,46 @@ class OTPService {
     }
 
     /**
-     * Resend OTP (generates new code)
+     * Send a security notice (e.g. an account lockout) built from a shared
+     * template. Unlike sendOTP it never throws: the notice is best-effort.
+     * @param {string} email - Recipient's email address
+     * @param {string} templateName - Directory under backend/shared/templates
+     * @param {Object} data - Template values
+     * @param {string} locale - Preferred locale
+     * @returns {Promise<boolean>} - Whether the email was sent
+     */
+    async sendNotice(email, templateName, data = {}, locale = undefined) {
+        if (!this.isConfigured) {
+            console.warn(`[OTP] Email service not configured. Notice "${templateName}" for ${email} not sent`);
+            return false;
+        }
+
+        try {
+            const { subject, html, text } = this.templates.render(templateName, data, { locale });
+            const info = await this.transporter.sendMail({
+                from: `"${this.fromName}" <${this.fromEmail}>`,
+                to: email,
+                subject,
+                html,
+                text
+            });
+            console.log(`[OTP] Notice "${templateName}" sent to ${email}:`, info.messageId);
+            return true;
+        } catch (error) {
+            console.error(`[OTP] Failed to send notice "${templateName}":`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Whether a new code may be sent now: null if so, otherwise a failed
+     * result (cooldown after wrong codes, or one was sent under a minute ago)
      * @param {string} email - User's email address
-     * @param {string} type - Type of OTP (signup, password_reset)
-     * @param {Object} userData - Additional user data
-     * @returns {Promise<Object>} - Result of resend operation
+     * @param {string} type - Type of OTP
+     * @returns {Promise<Object|null>}
      */
-    async resendOTP(email, type = 'signup', userData = {}) {
-        const key = `${email}:${type}`;
-        
-        // Check if user is in cooldown
-        const cooldownStatus = this.getCooldownStatus(email, type);
+    async checkCanSend(email, type) {
+        const cooldownStatus = await this.getCooldownStatus(email, type);
         if (cooldownStatus.inCooldown) {
             return {
                 success: false,
@@ -405,7 +370,7 @@ class OTPService {
         }
 
         // Check if there's a recent OTP request (prevent spam)
-        const stored = this.otpStore.get(key);
+        const stored = await this.store.getCode(email, type);
         if (stored && (Date.now() - stored.createdAt) < 60000) { // 1 minute cooldown
             const waitTime = Math.ceil((60000 - (Date.now() - stored.createdAt)) / 1000);
             return {
@@ -414,12 +379,85 @@ class OTPService {
             };
         }
 
+        return null;
+    }
+
+    /**
+     * Email a single-use sign-in link. The stored hash covers the token and
+     * `deviceId` (a cookie on the requesting browser), so the link only works
+     * there. Uses the same cooldowns and resend spacing as OTP codes.
+     * @param {string} email - User's email address
+     * @param {string} deviceId - Random id of the requesting device
+     * @param {Object} userData - firstname, lastname, locale
+     * @returns {Promise<Object>} - { success, message } or { success: false, error }
+     */
+    async sendMagicLink(email, deviceId, userData = {}) {
+        const blocked = await this.checkCanSend(email, 'magic_link');
+        if (blocked) {
+            return { ...blocked, error: blocked.error.replace('a new code', 'a new link') };
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        await this.storeOTP(email, `${token}.${deviceId}`, 'magic_link', this.MAGIC_LINK_EXPIRY);
+
+        const params = new URLSearchParams({ email, magic_token: token });
+        const link = `${process.env.FRONTEND_URL || 'http://localhost:8080'}/login.html?${params}`;
+        const expiryMinutes = Math.floor(this.MAGIC_LINK_EXPIRY / 60000);
+
+        if (!this.isConfigured) {
+            console.warn(`[OTP] Email service not configured. Sign-in link for ${email}: ${link}`);
+            return { success: true, message: 'Sign-in link sent.' };
+        }
+
+        try {
+            const { subject, html, text } = this.templates.render('magic-link', {
+                title: 'Sign In',
+                userName: userData.firstname ? `${userData.firstname} ${userData.lastname || ''}`.trim() : 'User',
+                link,
+                expiryMinutes
+            }, { locale: userData.locale });
+
+            const info = await this.transporter.sendMail({
+                from: `"${this.fromName}" <${this.fromEmail}>`,
+                to: email,
+                subject,
+                html,
+                text
+            });
+            console.log(`[OTP] Sign-in link sent to ${email}:`, info.messageId);
+            return { success: true, message: 'Sign-in link sent.' };
+        } catch (error) {
+            console.error('[OTP] Failed to send sign-in link:', error);
+            await this.store.deleteCode(email, 'magic_link');
+            throw new Error('Failed to send sign-in link. Please try again.');
+        }
+    }
+
+    /**
+     * Check a sign-in link opened on the device with `deviceId`. Same result
+     * shape as verifyOTP, and the link is used up when valid.
+     */
+    async verifyMagicLink(email, token, deviceId) {
+        return this.verifyOTP(email, `${token}.${deviceId}`, 'magic_link');
+    }
+
+    /**
+     * Resend OTP (generates new code)
+     * @param {string} email - User's email address
+     * @param {string} type - Type of OTP (signup, password_reset)
+     * @param {Object} userData - Additional user data
+     * @returns {Promise<Object>} - Result of resend operation
+     */
+    async resendOTP(email, type = 'signup', userData = {}) {
+        const blocked = await this.checkCanSend(email, type);
+        if (blocked) return blocked;
+
         try {
             // Generate new OTP
             const otp = this.generateOTP();
 
             // Store OTP
-            this.storeOTP(email, otp, type);
+            await this.storeOTP(email, otp, type);
 
             // Send OTP via email
             await this.sendOTP(email, otp, type, userData);
@@ -441,21 +479,11 @@ class OTPService {
      * Check if OTP exists for email
      * @param {string} email - User's email address
      * @param {string} type - Type of OTP
-     * @returns {boolean}
+     * @returns {Promise<boolean>}
      */
-    hasOTP(email, type = 'signup') {
-        const key = `${email}:${type}`;
-        const stored = this.otpStore.get(key);
-
-        if (!stored) return false;
-
-        // Check if expired
-        if (Date.now() > stored.expiresAt) {
-            this.otpStore.delete(key);
-            return false;
-        }
-
-        return true;
+    async hasOTP(email, type = 'signup') {
+        const stored = await this.store.getCode(email, type);
+        return !!stored && Date.now() <= stored.expiresAt;
     }
 
     /**
@@ -463,36 +491,20 @@ class OTPService {
      * @param {string} email - User's email address
      * @param {string} type - Type of OTP
      */
-    clearOTP(email, type = 'signup') {
-        const key = `${email}:${type}`;
-        this.otpStore.delete(key);
+    async clearOTP(email, type = 'signup') {
+        await this.store.deleteCode(email, type);
         console.log(`[OTP] Cleared OTP for ${email} (${type})`);
     }
 
     /**
-     * Clean up expired OTPs (call periodically)
+     * Delete expired OTPs and cooldowns nobody needs to remember any more.
+     * Scheduled by startCleanupTasks in index.js; safe to run on every replica.
      */
-    cleanupExpiredOTPs() {
-        const now = Date.now();
-        let cleaned = 0;
-
-        // Clean expired OTPs
-        for (const [key, value] of this.otpStore.entries()) {
-            if (now > value.expiresAt) {
-                this.otpStore.delete(key);
-                cleaned++;
-            }
-        }
-        
-        // Clean expired cooldowns
-        for (const [key, value] of this.cooldownStore.entries()) {
-            if (now > value.expiresAt) {
-                this.cooldownStore.delete(key);
-            }
-        }
+    async cleanupExpiredOTPs() {
+        const { codes, cooldowns } = await this.store.deleteExpired(this.COOLDOWN_MEMORY);
 
-        if (cleaned > 0) {
-            console.log(`[OTP] Cleaned up ${cleaned} expired OTP(s)`);
+        if (codes > 0 || cooldowns > 0) {
+            console.log(`[OTP] Cleaned up ${codes} expired OTP(s) and ${cooldowns} cooldown(s)`);
         }
     }
 }
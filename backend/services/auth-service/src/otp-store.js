@@ -0,0 +1,135 @@
+/**
+ * Postgres storage for OTP codes and cooldowns (tables otp_codes and
+ * otp_cooldowns in backend/db/init.sql), so every auth-service replica sees
+ * the same codes and a restart does not reset them.
+ *
+ * OTPService only talks to this interface; another backend (e.g. Redis) can
+ * replace it by implementing the same methods.
+ */
+class PostgresOTPStore {
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    /**
+     * Store a new code, replacing any earlier one and its attempt count
+     */
+    async saveCode(email, type, codeHash, expiresAt) {
+        await this.pool.query(
+            `INSERT INTO otp_codes (email, type, code_hash, attempts, expires_at, created_at)
+             VALUES ($1, $2, $3, 0, $4, NOW())
+             ON CONFLICT (email, type) DO UPDATE
+             SET code_hash = EXCLUDED.code_hash,
+                 attempts = 0,
+                 expires_at = EXCLUDED.expires_at,
+                 created_at = NOW()`,
+            [email, type, codeHash, expiresAt]
+        );
+    }
+
+    async getCode(email, type) {
+        const result = await this.pool.query(
+            `SELECT code_hash, attempts, expires_at, created_at
+             FROM otp_codes
+             WHERE email = $1 AND type = $2`,
+            [email, type]
+        );
+        const row = result.rows[0];
+        if (!row) return null;
+
+        return {
+            codeHash: row.code_hash,
+            attempts: row.attempts,
+            expiresAt: new Date(row.expires_at).getTime(),
+            createdAt: new Date(row.created_at).getTime()
+        };
+    }
+
+    /**
+     * Use up one attempt on a live code. Returns { codeHash, attempts } with
+     * the new count, or null when there is no live code with attempts left.
+     * Concurrent guesses each take their own attempt, so parallel requests
+     * cannot get more than maxAttempts tries.
+     */
+    async claimAttempt(email, type, maxAttempts) {
+        const result = await this.pool.query(
+            `UPDATE otp_codes
+             SET attempts = attempts + 1
+             WHERE email = $1 AND type = $2 AND expires_at > NOW() AND attempts < $3
+             RETURNING code_hash, attempts`,
+            [email, type, maxAttempts]
+        );
+        const row = result.rows[0];
+        return row ? { codeHash: row.code_hash, attempts: row.attempts } : null;
+    }
+
+    /**
+     * Delete the code if it still has this hash. Returns false when another
+     * request already used or replaced it, so a code works only once.
+     */
+    async consumeCode(email, type, codeHash) {
+        const result = await this.pool.query(
+            `DELETE FROM otp_codes WHERE email = $1 AND type = $2 AND code_hash = $3`,
+            [email, type, codeHash]
+        );
+        return result.rowCount > 0;
+    }
+
+    async deleteCode(email, type) {
+        await this.pool.query(
+            `DELETE FROM otp_codes WHERE email = $1 AND type = $2`,
+            [email, type]
+        );
+    }
+
+    async getCooldown(email, type) {
+        const result = await this.pool.query(
+            `SELECT level, expires_at, set_at
+             FROM otp_cooldowns
+             WHERE email = $1 AND type = $2`,
+            [email, type]
+        );
+        const row = result.rows[0];
+        if (!row) return null;
+
+        return {
+            level: row.level,
+            expiresAt: new Date(row.expires_at).getTime(),
+            setAt: new Date(row.set_at).getTime()
+        };
+    }
+
+    async saveCooldown(email, type, level, expiresAt) {
+        await this.pool.query(
+            `INSERT INTO otp_cooldowns (email, type, level, expires_at, set_at)
+             VALUES ($1, $2, $3, $4, NOW())
+             ON CONFLICT (email, type) DO UPDATE
+             SET level = EXCLUDED.level,
+                 expires_at = EXCLUDED.expires_at,
+                 set_at = NOW()`,
+            [email, type, level, expiresAt]
+        );
+    }
+
+    async deleteCooldown(email, type) {
+        await this.pool.query(
+            `DELETE FROM otp_cooldowns WHERE email = $1 AND type = $2`,
+            [email, type]
+        );
+    }
+
+    /**
+     * Remove expired codes, and cooldowns that ended more than
+     * `cooldownMemoryMs` ago. Returns how many of each were removed.
+     */
+    async deleteExpired(cooldownMemoryMs) {
+        const codes = await this.pool.query(`DELETE FROM otp_codes WHERE expires_at <= NOW()`);
+        const cooldowns = await this.pool.query(
+            `DELETE FROM otp_cooldowns WHERE expires_at <= NOW() - make_interval(secs => $1)`,
+            [cooldownMemoryMs / 1000]
+        );
+        return { codes: codes.rowCount, cooldowns: cooldowns.rowCount };
+    }
+}
+
+module.exports = PostgresOTPStore;
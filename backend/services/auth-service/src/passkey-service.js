@@ -0,0 +1,236 @@
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { TwoFactorError } = require('./two-factor-service');
+
+// How long the browser has to answer a challenge
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+/**
+ * WebAuthn passkeys (tables webauthn_credentials and webauthn_challenges)
+ *
+ * Used as a second factor after a password or OIDC login, or on their own
+ * for a passwordless login. Challenges are stored in Postgres and deleted
+ * when used, so any auth-service replica can finish a ceremony another began.
+ * The relying party is WEBAUTHN_RP_ID (default: the FRONTEND_URL host) and
+ * responses must come from WEBAUTHN_ORIGIN (default: FRONTEND_URL).
+ */
+class PasskeyService {
+    constructor(pool) {
+        this.pool = pool;
+
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+        this.rpName = process.env.WEBAUTHN_RP_NAME || 'KampungConnect';
+        this.rpID = process.env.WEBAUTHN_RP_ID || new URL(frontendUrl).hostname;
+        this.origin = process.env.WEBAUTHN_ORIGIN || new URL(frontendUrl).origin;
+    }
+
+    async saveChallenge(userId, purpose, challenge) {
+        const result = await this.pool.query(
+            `INSERT INTO webauthn_challenges (user_id, purpose, challenge, expires_at)
+             VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+             RETURNING id`,
+            [userId, purpose, challenge, CHALLENGE_TTL_SECONDS]
+        );
+        return result.rows[0].id;
+    }
+
+    /**
+     * Use up a challenge; throws when it is unknown, expired or for something else
+     */
+    async takeChallenge(challengeId, purpose) {
+        const result = await this.pool.query(
+            `DELETE FROM webauthn_challenges
+             WHERE id = $1 AND purpose = $2
+             RETURNING user_id, challenge, expires_at`,
+            [parseInt(challengeId) || 0, purpose]
+        );
+        const row = result.rows[0];
+
+        if (!row || new Date(row.expires_at) <= new Date()) {
+            throw new TwoFactorError('Passkey request expired. Please try again.');
+        }
+        return row;
+    }
+
+    async listPasskeys(userId) {
+        const result = await this.pool.query(
+            `SELECT id, name, device_type, backed_up, transports, created_at, last_used_at
+             FROM webauthn_credentials
+             WHERE user_id = $1
+             ORDER BY created_at`,
+            [userId]
+        );
+        return result.rows;
+    }
+
+    async deletePasskey(userId, passkeyId) {
+        const result = await this.pool.query(
+            `DELETE FROM webauthn_credentials WHERE id = $1 AND user_id = $2`,
+            [passkeyId, userId]
+        );
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Options for navigator.credentials.create(). Returns { challengeId, options }.
+     */
+    async registrationOptions(user) {
+        const existing = await this.pool.query(
+            `SELECT credential_id, transports FROM webauthn_credentials WHERE user_id = $1`,
+            [user.id]
+        );
+
+        const options = await generateRegistrationOptions({
+            rpName: this.rpName,
+            rpID: this.rpID,
+            userID: new TextEncoder().encode(String(user.id)),
+            userName: user.email,
+            userDisplayName: [user.firstname, user.lastname].filter(Boolean).join(' ') || user.email,
+            attestationType: 'none',
+            // The same authenticator cannot be registered twice
+            excludeCredentials: existing.rows.map(c => ({ id: c.credential_id, transports: c.transports || undefined })),
+            authenticatorSelection: {
+                residentKey: 'preferred',
+                userVerification: 'preferred'
+            }
+        });
+
+        const challengeId = await this.saveChallenge(user.id, 'register', options.challenge);
+        return { challengeId, options };
+    }
+
+    /**
+     * Check the browser's answer and store the new passkey
+     */
+    async verifyRegistration(userId, challengeId, response, name = null) {
+        const challenge = await this.takeChallenge(challengeId, 'register');
+        if (challenge.user_id !== userId) {
+            throw new TwoFactorError('Passkey request expired. Please try again.');
+        }
+
+        let verification;
+        try {
+            verification = await verifyRegistrationResponse({
+                response,
+                expectedChallenge: challenge.challenge,
+                expectedOrigin: this.origin,
+                expectedRPID: this.rpID,
+                // Security keys without a PIN can still serve as a second factor
+                requireUserVerification: false
+            });
+        } catch (error) {
+            throw new TwoFactorError(`Passkey could not be verified: ${error.message}`);
+        }
+
+        if (!verification.verified) {
+            throw new TwoFactorError('Passkey could not be verified');
+        }
+
+        const { credentialID, credentialPublicKey, counter, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+        const result = await this.pool.query(
+            `INSERT INTO webauthn_credentials (user_id, credential_id, public_key, counter, transports, device_type, backed_up, name)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING id, name, device_type, backed_up, transports, created_at, last_used_at`,
+            [
+                userId,
+                credentialID,
+                Buffer.from(credentialPublicKey),
+                counter,
+                response.response?.transports || null,
+                credentialDeviceType,
+                credentialBackedUp,
+                (name || '').trim().slice(0, 100) || 'Passkey'
+            ]
+        );
+        return result.rows[0];
+    }
+
+    /**
+     * Options for navigator.credentials.get(). With a userId (second step of
+     * a login) only that user's passkeys are offered; without one the browser
+     * lets the user pick any passkey for this site.
+     */
+    async authenticationOptions(userId = null) {
+        let allowCredentials;
+
+        if (userId) {
+            const existing = await this.pool.query(
+                `SELECT credential_id, transports FROM webauthn_credentials WHERE user_id = $1`,
+                [userId]
+            );
+            if (existing.rows.length === 0) {
+                throw new TwoFactorError('No passkeys registered for this account', 404);
+            }
+            allowCredentials = existing.rows.map(c => ({ id: c.credential_id, transports: c.transports || undefined }));
+        }
+
+        const options = await generateAuthenticationOptions({
+            rpID: this.rpID,
+            userVerification: 'preferred',
+            allowCredentials
+        });
+
+        const challengeId = await this.saveChallenge(userId, 'login', options.challenge);
+        return { challengeId, options };
+    }
+
+    /**
+     * Check a passkey login. Returns the id of the user the passkey belongs to.
+     */
+    async verifyAuthentication(challengeId, response) {
+        const challenge = await this.takeChallenge(challengeId, 'login');
+
+        const found = await this.pool.query(
+            `SELECT * FROM webauthn_credentials WHERE credential_id = $1`,
+            [response?.id]
+        );
+        const credential = found.rows[0];
+
+        if (!credential || (challenge.user_id && credential.user_id !== challenge.user_id)) {
+            throw new TwoFactorError('Unknown passkey', 401);
+        }
+
+        let verification;
+        try {
+            verification = await verifyAuthenticationResponse({
+                response,
+                expectedChallenge: challenge.challenge,
+                expectedOrigin: this.origin,
+                expectedRPID: this.rpID,
+                // A passkey on its own replaces the password, so it must check it is the user (PIN, biometrics)
+                requireUserVerification: !challenge.user_id,
+                authenticator: {
+                    credentialID: credential.credential_id,
+                    credentialPublicKey: new Uint8Array(credential.public_key),
+                    counter: Number(credential.counter),
+                    transports: credential.transports || undefined
+                }
+            });
+        } catch (error) {
+            throw new TwoFactorError(`Passkey could not be verified: ${error.message}`, 401);
+        }
+
+        if (!verification.verified) {
+            throw new TwoFactorError('Passkey could not be verified', 401);
+        }
+
+        await this.pool.query(
+            `UPDATE webauthn_credentials SET counter = $2, last_used_at = NOW() WHERE id = $1`,
+            [credential.id, verification.authenticationInfo.newCounter]
+        );
+        return credential.user_id;
+    }
+
+    async cleanupExpiredChallenges() {
+        const result = await this.pool.query(`DELETE FROM webauthn_challenges WHERE expires_at <= NOW()`);
+        if (result.rowCount > 0) {
+            console.log(`Cleaned up ${result.rowCount} expired passkey challenge(s)`);
+        }
+    }
+}
+
+module.exports = PasskeyService;
@@ -0,0 +1,235 @@
+// Attempts allowed per endpoint within windowSeconds, counted per IP and per email
+const DEFAULT_LIMITS = {
+    'login': { windowSeconds: 15 * 60, perIp: 30, perEmail: 10 },
+    'request-password-reset': { windowSeconds: 60 * 60, perIp: 10, perEmail: 5 },
+    'verify-reset-otp': { windowSeconds: 15 * 60, perIp: 20, perEmail: 10 },
+    'verify-email': { windowSeconds: 15 * 60, perIp: 20, perEmail: 10 },
+    'resend-otp': { windowSeconds: 60 * 60, perIp: 10, perEmail: 5 },
+    'magic-link': { windowSeconds: 60 * 60, perIp: 10, perEmail: 5 },
+    'verify-magic-link': { windowSeconds: 15 * 60, perIp: 20, perEmail: 10 }
+};
+
+/**
+ * Brute-force protection for the unauthenticated auth endpoints
+ * (tables auth_rate_events and account_lockouts)
+ *
+ * Rate limits: every attempt on a guarded endpoint is logged, and an attempt
+ * is refused with 429 once the IP or the email already made the endpoint's
+ * limit of attempts in the sliding window.
+ *
+ * Lockouts: failed logins, wrong reset codes and bad sign-in links are
+ * logged too. After LOCKOUT_THRESHOLD failures for one email within
+ * LOCKOUT_WINDOW_MINUTES the account is locked for LOCKOUT_MINUTES, whichever
+ * IPs they came from, and the owner gets an email. Admins can clear a lockout early from admin-service.
+ *
+ * Everything lives in Postgres so all auth-service replicas share the counts.
+ */
+class RateLimitService {
+    constructor(pool, mailer) {
+        this.pool = pool;
+        // Sends the lockout email; OTPService.sendNotice
+        this.mailer = mailer;
+
+        this.limits = DEFAULT_LIMITS;
+        this.LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD) || 5;
+        this.LOCKOUT_WINDOW_SECONDS = (parseInt(process.env.LOCKOUT_WINDOW_MINUTES) || 15) * 60;
+        this.LOCKOUT_SECONDS = (parseInt(process.env.LOCKOUT_MINUTES) || 15) * 60;
+        this.enabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+        // Events older than the longest window no longer count
+        this.RETENTION_SECONDS = Math.max(
+            this.LOCKOUT_WINDOW_SECONDS,
+            ...Object.values(this.limits).map(limit => limit.windowSeconds)
+        );
+    }
+
+    /**
+     * Count attempts on `endpoint` in the last windowSeconds.
+     * Returns { ip: { hits, oldest }, email: { hits, oldest } }.
+     */
+    async countAttempts(endpoint, ip, email, windowSeconds) {
+        const result = await this.pool.query(
+            `SELECT scope, COUNT(*) AS hits, MIN(created_at) AS oldest
+             FROM auth_rate_events
+             WHERE endpoint = $1
+               AND ((scope = 'ip' AND key = $2) OR (scope = 'email' AND key = $3))
+               AND created_at > NOW() - make_interval(secs => $4)
+             GROUP BY scope`,
+            [endpoint, ip, email || '', windowSeconds]
+        );
+
+        const counts = { ip: { hits: 0, oldest: null }, email: { hits: 0, oldest: null } };
+        for (const row of result.rows) {
+            counts[row.scope] = { hits: parseInt(row.hits), oldest: new Date(row.oldest) };
+        }
+        return counts;
+    }
+
+    async logAttempt(endpoint, ip, email) {
+        await this.pool.query(
+            `INSERT INTO auth_rate_events (endpoint, scope, key)
+             SELECT $1, scope, key
+             FROM (VALUES ('ip', $2), ('email', $3)) AS attempt(scope, key)
+             WHERE key IS NOT NULL`,
+            [endpoint, ip, email]
+        );
+    }
+
+    /**
+     * The email's current lockout, or null
+     */
+    async getActiveLockout(email) {
+        const result = await this.pool.query(
+            `SELECT id, email, reason, failed_attempts, locked_until
+             FROM account_lockouts
+             WHERE email = $1 AND cleared_at IS NULL AND locked_until > NOW()
+             ORDER BY locked_until DESC
+             LIMIT 1`,
+            [email]
+        );
+        return result.rows[0] || null;
+    }
+
+    sendLocked(res, lockout) {
+        const retryAfter = Math.ceil((new Date(lockout.locked_until) - Date.now()) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(423).json({
+            error: 'This account is temporarily locked after too many failed attempts. Please try again later.',
+            code: 'ACCOUNT_LOCKED',
+            lockedUntil: lockout.locked_until
+        });
+    }
+
+    /**
+     * Express middleware for one endpoint: refuses locked accounts (423) and
+     * callers over the rate limit (429), otherwise logs the attempt.
+     * Expects the email in req.body.email.
+     */
+    guard(endpoint) {
+        const limit = this.limits[endpoint];
+
+        return async (req, res, next) => {
+            if (!this.enabled) return next();
+
+            try {
+                const ip = req.ip || 'unknown';
+                const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null;
+
+                if (email) {
+                    const lockout = await this.getActiveLockout(email);
+                    if (lockout) return this.sendLocked(res, lockout);
+                }
+
+                const counts = await this.countAttempts(endpoint, ip, email, limit.windowSeconds);
+                const over = [
+                    counts.ip.hits >= limit.perIp && counts.ip,
+                    email && counts.email.hits >= limit.perEmail && counts.email
+                ].filter(Boolean);
+
+                if (over.length > 0) {
+                    // Free again when the oldest attempt in the window drops out of it
+                    const retryAfter = Math.max(...over.map(count =>
+                        Math.ceil((count.oldest.getTime() + limit.windowSeconds * 1000 - Date.now()) / 1000)
+                    ), 1);
+                    console.warn(`🚦 Rate limit on ${endpoint} for ${over.includes(counts.ip) ? ip : email}`);
+                    res.set('Retry-After', String(retryAfter));
+                    return res.status(429).json({
+                        error: 'Too many attempts. Please wait a few minutes and try again.',
+                        code: 'RATE_LIMITED',
+                        retryAfter
+                    });
+                }
+
+                await this.logAttempt(endpoint, ip, email);
+                next();
+            } catch (error) {
+                // A broken counter must not lock everyone out of signing in
+                console.error(`Rate limit check failed for ${endpoint}:`, error);
+                next();
+            }
+        };
+    }
+
+    /**
+     * Log a failed attempt for this email and lock the account once there have
+     * been LOCKOUT_THRESHOLD failures in the window. `user` (may be null for
+     * unknown emails) is who gets the lockout email. Returns the new lockout
+     * or null.
+     */
+    async recordFailure(endpoint, req, email, user = null) {
+        if (!this.enabled || !email) return null;
+
+        const ip = req.ip || 'unknown';
+        const failureEndpoint = `${endpoint}:failure`;
+        await this.logAttempt(failureEndpoint, null, email);
+
+        const result = await this.pool.query(
+            `SELECT COUNT(*) AS failures
+             FROM auth_rate_events
+             WHERE endpoint LIKE '%:failure' AND scope = 'email' AND key = $1
+               AND created_at > NOW() - make_interval(secs => $2)`,
+            [email, this.LOCKOUT_WINDOW_SECONDS]
+        );
+        const failures = parseInt(result.rows[0].failures);
+        if (failures < this.LOCKOUT_THRESHOLD) return null;
+
+        const lockout = await this.lock(email, user?.id || null, endpoint, failures, ip);
+        console.warn(`🔒 Locked ${email} for ${this.LOCKOUT_SECONDS / 60} minutes after ${failures} failures (${endpoint})`);
+
+        if (user) {
+            await this.notifyOwner(lockout, user);
+        }
+        return lockout;
+    }
+
+    async lock(email, userId, reason, failedAttempts, ipAddress) {
+        const result = await this.pool.query(
+            `INSERT INTO account_lockouts (email, user_id, reason, failed_attempts, ip_address, locked_until)
+             VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6))
+             RETURNING *`,
+            [email, userId, reason, failedAttempts, ipAddress, this.LOCKOUT_SECONDS]
+        );
+
+        // The next lockout needs a fresh run of failures
+        await this.clearFailures(email);
+        return result.rows[0];
+    }
+
+    async notifyOwner(lockout, user) {
+        const sent = await this.mailer.sendNotice(lockout.email, 'account-locked', {
+            title: 'Account Locked',
+            userName: user.firstname ? `${user.firstname} ${user.lastname || ''}`.trim() : 'User',
+            failedAttempts: lockout.failed_attempts,
+            lockMinutes: Math.round(this.LOCKOUT_SECONDS / 60),
+            ipAddress: lockout.ip_address,
+            resetUrl: `${process.env.FRONTEND_URL || 'http://localhost:8080'}/reset-password.html`
+        });
+
+        if (sent) {
+            await this.pool.query(`UPDATE account_lockouts SET notified_at = NOW() WHERE id = $1`, [lockout.id]);
+        }
+    }
+
+    /**
+     * Forget the email's failures, e.g. after a successful login
+     */
+    async clearFailures(email) {
+        await this.pool.query(
+            `DELETE FROM auth_rate_events
+             WHERE endpoint LIKE '%:failure' AND scope = 'email' AND key = $1`,
+            [email]
+        );
+    }
+
+    async cleanupOldEvents() {
+        const result = await this.pool.query(
+            `DELETE FROM auth_rate_events WHERE created_at < NOW() - make_interval(secs => $1)`,
+            [this.RETENTION_SECONDS]
+        );
+        if (result.rowCount > 0) {
+            console.log(`Cleaned up ${result.rowCount} old rate limit event(s)`);
+        }
+    }
+}
+
+module.exports = RateLimitService;
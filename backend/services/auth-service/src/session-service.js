@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+
+// A refresh token rotated out this recently is still accepted once, so two
+// tabs refreshing at the same moment do not look like a stolen token
+const REUSE_GRACE_MS = 30 * 1000;
+
+class SessionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SessionError';
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Per-device login sessions (table user_sessions)
+ *
+ * Logging in creates a session and a refresh token "<sessionId>.<secret>".
+ * Each refresh swaps it for a new one; the old one presented again outside
+ * the grace window means it was copied, so the whole session is revoked.
+ * Access tokens carry the session id (sid) and are checked against the
+ * session on every request (see backend/shared/auth-middleware.js).
+ */
+class SessionService {
+    constructor(pool) {
+        this.pool = pool;
+        this.REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+    }
+
+    get refreshTokenMaxAge() {
+        return this.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+    }
+
+    newRefreshToken(sessionId) {
+        return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+    }
+
+    /**
+     * Start a session for a login. Returns { sessionId, refreshToken }.
+     * mfaMethod records the second factor the login passed (totp, recovery, passkey).
+     */
+    async createSession(userId, { provider, userAgent, ipAddress, mfaMethod } = {}) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // The token embeds the id, so insert first and set the hash once it is known
+            const inserted = await client.query(
+                `INSERT INTO user_sessions (user_id, refresh_token_hash, provider, user_agent, ip_address, expires_at, mfa_method)
+                 VALUES ($1, '', $2, $3, $4, NOW() + make_interval(days => $5), $6)
+                 RETURNING id`,
+                [userId, provider || null, userAgent || null, ipAddress || null, this.REFRESH_TOKEN_TTL_DAYS, mfaMethod || null]
+            );
+            const sessionId = inserted.rows[0].id;
+            const refreshToken = this.newRefreshToken(sessionId);
+
+            await client.query(
+                `UPDATE user_sessions SET refresh_token_hash = $2 WHERE id = $1`,
+                [sessionId, hashToken(refreshToken)]
+            );
+
+            await client.query('COMMIT');
+            return { sessionId, refreshToken };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Swap a refresh token for a new one. Returns { session, refreshToken };
+     * refreshToken is null when a parallel refresh already rotated it and the
+     * caller should keep the cookie it now has. Throws SessionError otherwise.
+     */
+    async rotate(refreshToken) {
+        const sessionId = parseInt(String(refreshToken || '').split('.')[0]);
+        if (!sessionId) {
+            throw new SessionError('Invalid refresh token');
+        }
+
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(
+                `SELECT * FROM user_sessions WHERE id = $1 FOR UPDATE`,
+                [sessionId]
+            );
+            const session = result.rows[0];
+
+            if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+                await client.query('ROLLBACK');
+                throw new SessionError('Session expired or revoked');
+            }
+
+            const presented = hashToken(refreshToken);
+
+            if (presented === session.refresh_token_hash) {
+                const next = this.newRefreshToken(sessionId);
+                await client.query(
+                    `UPDATE user_sessions
+                     SET previous_token_hash = refresh_token_hash,
+                         refresh_token_hash = $2,
+                         rotated_at = NOW(),
+                         last_used_at = NOW()
+                     WHERE id = $1`,
+                    [sessionId, hashToken(next)]
+                );
+                await client.query('COMMIT');
+                return { session, refreshToken: next };
+            }
+
+            if (presented === session.previous_token_hash) {
+                if (Date.now() - new Date(session.rotated_at).getTime() < REUSE_GRACE_MS) {
+                    await client.query('COMMIT');
+                    return { session, refreshToken: null };
+                }
+
+                await client.query(`UPDATE user_sessions SET revoked_at = NOW() WHERE id = $1`, [sessionId]);
+                await client.query('COMMIT');
+                console.warn(`⚠️  Refresh token reused for session ${sessionId} (user ${session.user_id}), session revoked`);
+                throw new SessionError('Session revoked');
+            }
+
+            await client.query('ROLLBACK');
+            throw new SessionError('Invalid refresh token');
+        } catch (error) {
+            if (!(error instanceof SessionError)) {
+                await client.query('ROLLBACK');
+            }
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async isActive(sessionId, userId) {
+        const result = await this.pool.query(
+            `SELECT 1 FROM user_sessions
+             WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+            [sessionId, userId]
+        );
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Whether the user signed in on this session (not just refreshed it) in the last few minutes
+     */
+    async isRecentSignIn(sessionId, userId, withinMinutes) {
+        const result = await this.pool.query(
+            `SELECT 1 FROM user_sessions
+             WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+               AND created_at > NOW() - make_interval(mins => $3)`,
+            [sessionId, userId, withinMinutes]
+        );
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Record that a live session has now passed a second factor (e.g. right after enrolling one)
+     */
+    async markMfa(sessionId, userId, mfaMethod) {
+        const result = await this.pool.query(
+            `UPDATE user_sessions SET mfa_method = $3
+             WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+            [sessionId, userId, mfaMethod]
+        );
+        return result.rowCount > 0;
+    }
+
+    /**
+     * A user's live sessions, most recently used first
+     */
+    async listSessions(userId) {
+        const result = await this.pool.query(
+            `SELECT id, provider, user_agent, ip_address, mfa_method, created_at, last_used_at, expires_at
+             FROM user_sessions
+             WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+             ORDER BY last_used_at DESC`,
+            [userId]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Revoke one of the user's sessions. Returns false when it is not theirs or already ended.
+     */
+    async revoke(userId, sessionId) {
+        const result = await this.pool.query(
+            `UPDATE user_sessions SET revoked_at = NOW()
+             WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+            [sessionId, userId]
+        );
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Revoke the session a refresh token belongs to (logout). Only the
+     * current or just-rotated token counts, so a guessed id does nothing.
+     */
+    async revokeByRefreshToken(refreshToken) {
+        const sessionId = parseInt(String(refreshToken || '').split('.')[0]);
+        if (!sessionId) return false;
+
+        const presented = hashToken(refreshToken);
+        const result = await this.pool.query(
+            `UPDATE user_sessions SET revoked_at = NOW()
+             WHERE id = $1 AND revoked_at IS NULL
+               AND (refresh_token_hash = $2 OR previous_token_hash = $2)`,
+            [sessionId, presented]
+        );
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Revoke all of a user's sessions, optionally keeping one (the caller's own).
+     * Returns how many were revoked.
+     */
+    async revokeAll(userId, exceptSessionId = null) {
+        const result = await this.pool.query(
+            `UPDATE user_sessions SET revoked_at = NOW()
+             WHERE user_id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR id <> $2)`,
+            [userId, exceptSessionId]
+        );
+        return result.rowCount;
+    }
+
+    /**
+     * Delete sessions that expired or were revoked more than a day ago
+     */
+    async cleanupExpiredSessions() {
+        const result = await this.pool.query(
+            `DELETE FROM user_sessions
+             WHERE expires_at <= NOW() OR revoked_at <= NOW() - INTERVAL '1 day'`
+        );
+        if (result.rowCount > 0) {
+            console.log(`Cleaned up ${result.rowCount} ended session(s)`);
+        }
+    }
+}
+
+SessionService.SessionError = SessionError;
+
+module.exports = SessionService;
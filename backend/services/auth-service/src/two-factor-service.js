@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TwoFactorError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'TwoFactorError';
+        this.status = status;
+    }
+}
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Two-factor authentication: TOTP (RFC 6238) and recovery codes
+ *
+ * Users scan the otpauth:// URL into an authenticator app; the secret only
+ * becomes active once a first code confirms it. Secrets are stored AES-GCM
+ * encrypted (TWO_FACTOR_ENCRYPTION_KEY) and recovery codes only as hashes.
+ * Passkeys are the other second factor, see passkey-service.js.
+ */
+class TwoFactorService {
+    constructor(pool) {
+        this.pool = pool;
+
+        this.ISSUER = process.env.TOTP_ISSUER || 'KampungConnect';
+        this.STEP_SECONDS = 30;
+        this.DIGITS = 6;
+        // Codes from one step either side are accepted, for clock drift
+        this.WINDOW = 1;
+        this.RECOVERY_CODE_COUNT = 10;
+        // Wrong codes before the second step is locked, and for how long
+        this.MAX_FAILED_ATTEMPTS = 5;
+        this.LOCK_MS = 15 * 60 * 1000;
+
+        const keySource = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'fallback-secret-change-in-production';
+        this.encryptionKey = crypto.createHash('sha256').update(keySource).digest();
+    }
+
+    encrypt(plaintext) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+        const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+    }
+
+    decrypt(stored) {
+        const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+
+    totpCode(secret, step) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+        return String(binary % 10 ** this.DIGITS).padStart(this.DIGITS, '0');
+    }
+
+    /**
+     * The time step `code` belongs to, or null when it matches none in the window
+     */
+    matchTotpStep(secret, code) {
+        const current = Math.floor(Date.now() / 1000 / this.STEP_SECONDS);
+        const expected = Buffer.from(String(code));
+
+        for (let step = current - this.WINDOW; step <= current + this.WINDOW; step++) {
+            const candidate = Buffer.from(this.totpCode(secret, step));
+            if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+                return step;
+            }
+        }
+        return null;
+    }
+
+    hashRecoveryCode(code) {
+        return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+    }
+
+    async getRecord(userId) {
+        const result = await this.pool.query(`SELECT * FROM user_two_factor WHERE user_id = $1`, [userId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * What the user has set up: { totpEnabled, passkeys, recoveryCodesLeft }
+     */
+    async getStatus(userId) {
+        const result = await this.pool.query(
+            `SELECT
+                EXISTS (SELECT 1 FROM user_two_factor WHERE user_id = $1 AND totp_enabled_at IS NOT NULL) AS totp_enabled,
+                (SELECT COUNT(*) FROM webauthn_credentials WHERE user_id = $1) AS passkeys,
+                (SELECT COUNT(*) FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL) AS recovery_codes_left`,
+            [userId]
+        );
+        const row = result.rows[0];
+
+        return {
+            totpEnabled: row.totp_enabled,
+            passkeys: parseInt(row.passkeys),
+            recoveryCodesLeft: parseInt(row.recovery_codes_left)
+        };
+    }
+
+    /**
+     * Second factors a login can be finished with; empty when 2FA is off
+     */
+    async loginMethods(userId) {
+        const status = await this.getStatus(userId);
+        const methods = [];
+
+        // Leftover recovery codes alone do not turn 2FA on
+        if (!status.totpEnabled && status.passkeys === 0) return methods;
+
+        if (status.totpEnabled) methods.push('totp');
+        if (status.passkeys > 0) methods.push('passkey');
+        if (status.recoveryCodesLeft > 0) methods.push('recovery');
+        return methods;
+    }
+
+    /**
+     * Create a new secret for the user to add to their app. Returns
+     * { secret, otpauthUrl }; nothing changes until confirmTotpEnrollment().
+     */
+    async beginTotpEnrollment(userId, accountName) {
+        const record = await this.getRecord(userId);
+        if (record?.totp_enabled_at) {
+            throw new TwoFactorError('Authenticator app is already set up', 409);
+        }
+
+        const secret = base32Encode(crypto.randomBytes(20));
+        await this.pool.query(
+            `INSERT INTO user_two_factor (user_id, pending_secret)
+             VALUES ($1, $2)
+             ON CONFLICT (user_id) DO UPDATE SET pending_secret = EXCLUDED.pending_secret, updated_at = NOW()`,
+            [userId, this.encrypt(secret)]
+        );
+
+        const label = encodeURIComponent(`${this.ISSUER}:${accountName}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: this.ISSUER,
+            algorithm: 'SHA1',
+            digits: String(this.DIGITS),
+            period: String(this.STEP_SECONDS)
+        });
+
+        return { secret, otpauthUrl: `otpauth://totp/${label}?${params}` };
+    }
+
+    /**
+     * Turn TOTP on with the first code from the app. Returns fresh recovery codes.
+     */
+    async confirmTotpEnrollment(userId, code) {
+        const record = await this.getRecord(userId);
+        if (!record?.pending_secret) {
+            throw new TwoFactorError('Start the authenticator setup first');
+        }
+
+        const secret = this.decrypt(record.pending_secret);
+        const step = this.matchTotpStep(secret, code);
+        if (step === null) {
+            throw new TwoFactorError('Invalid code. Check the time on your phone and try again.');
+        }
+
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                `UPDATE user_two_factor
+                 SET totp_secret = pending_secret, pending_secret = NULL, totp_enabled_at = NOW(),
+                     last_used_step = $2, failed_attempts = 0, locked_until = NULL, updated_at = NOW()
+                 WHERE user_id = $1`,
+                [userId, step]
+            );
+            const recoveryCodes = await this.replaceRecoveryCodes(userId, client);
+            await client.query('COMMIT');
+            return recoveryCodes;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async disableTotp(userId) {
+        await this.pool.query(
+            `UPDATE user_two_factor
+             SET totp_secret = NULL, pending_secret = NULL, totp_enabled_at = NULL, last_used_step = NULL, updated_at = NOW()
+             WHERE user_id = $1`,
+            [userId]
+        );
+    }
+
+    /**
+     * Issue a new set of recovery codes, invalidating the old ones. The plain
+     * codes are only returned here, never stored.
+     */
+    async replaceRecoveryCodes(userId, client = null) {
+        const db = client || this.pool;
+        const codes = Array.from({ length: this.RECOVERY_CODE_COUNT }, () => {
+            const raw = crypto.randomBytes(5).toString('hex');
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+
+        await db.query(`DELETE FROM recovery_codes WHERE user_id = $1`, [userId]);
+        await db.query(
+            `INSERT INTO recovery_codes (user_id, code_hash)
+             SELECT $1, unnest($2::char(64)[])`,
+            [userId, codes.map(code => this.hashRecoveryCode(code))]
+        );
+        return codes;
+    }
+
+    async deleteRecoveryCodes(userId) {
+        await this.pool.query(`DELETE FROM recovery_codes WHERE user_id = $1`, [userId]);
+    }
+
+    /**
+     * Check a TOTP or recovery code for a login or a sensitive change.
+     * Returns 'totp' or 'recovery'; throws TwoFactorError when it is wrong or
+     * the user is locked out after too many wrong codes.
+     */
+    async verifyCode(userId, code) {
+        const normalized = String(code || '').trim();
+        if (!normalized) {
+            throw new TwoFactorError('Verification code is required');
+        }
+
+        const record = await this.getRecord(userId);
+        if (record?.locked_until && new Date(record.locked_until) > new Date()) {
+            throw new TwoFactorError('Too many wrong codes. Please try again later.', 429);
+        }
+
+        let method = null;
+
+        if (/^\d{6}$/.test(normalized)) {
+            if (record?.totp_secret) {
+                const step = this.matchTotpStep(this.decrypt(record.totp_secret), normalized);
+                // A code only works once, even if it is still inside its window
+                const claimed = step !== null && await this.pool.query(
+                    `UPDATE user_two_factor SET last_used_step = $2
+                     WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)`,
+                    [userId, step]
+                );
+                if (claimed && claimed.rowCount > 0) method = 'totp';
+            }
+        } else {
+            const used = await this.pool.query(
+                `UPDATE recovery_codes SET used_at = NOW()
+                 WHERE id = (
+                     SELECT id FROM recovery_codes
+                     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+                     LIMIT 1
+                 )`,
+                [userId, this.hashRecoveryCode(normalized)]
+            );
+            if (used.rowCount > 0) method = 'recovery';
+        }
+
+        if (!method) {
+            await this.pool.query(
+                `INSERT INTO user_two_factor (user_id, failed_attempts)
+                 VALUES ($1, 1)
+                 ON CONFLICT (user_id) DO UPDATE
+                 SET failed_attempts = CASE WHEN user_two_factor.failed_attempts + 1 >= $2
+                                            THEN 0 ELSE user_two_factor.failed_attempts + 1 END,
+                     locked_until = CASE WHEN user_two_factor.failed_attempts + 1 >= $2
+                                         THEN NOW() + make_interval(secs => $3) ELSE user_two_factor.locked_until END,
+                     updated_at = NOW()`,
+                [userId, this.MAX_FAILED_ATTEMPTS, this.LOCK_MS / 1000]
+            );
+            // 400 rather than 401: the caller's session (if any) is still fine
+            throw new TwoFactorError('Invalid verification code');
+        }
+
+        await this.pool.query(
+            `UPDATE user_two_factor SET failed_attempts = 0, locked_until = NULL WHERE user_id = $1`,
+            [userId]
+        );
+        return method;
+    }
+}
+
+TwoFactorService.TwoFactorError = TwoFactorError;
+
+module.exports = TwoFactorService;
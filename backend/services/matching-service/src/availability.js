@@ -0,0 +1,49 @@
+// Weekly slots and blackout dates are stored in local time
+const AVAILABILITY_TIMEZONE = /^[A-Za-z_\/+-]+$/.test(process.env.AVAILABILITY_TIMEZONE || "")
+    ? process.env.AVAILABILITY_TIMEZONE
+    : "Asia/Singapore";
+
+/**
+ * SQL condition that is true when helper `${alias}.id` is free between the
+ * timestamptz parameters startParam and endParam (e.g. "$5", "$6").
+ *
+ * A helper is free when the window sits inside one of their weekly slots
+ * (helpers who never published slots count as flexible), no blackout covers
+ * that day and none of their active matches has an overlapping window.
+ * A NULL start means the request has no preferred time, so everyone is free.
+ */
+function helperFreeCondition(alias, startParam, endParam) {
+    const localStart = `(${startParam}::timestamptz AT TIME ZONE '${AVAILABILITY_TIMEZONE}')`;
+    const localEnd = `(${endParam}::timestamptz AT TIME ZONE '${AVAILABILITY_TIMEZONE}')`;
+
+    return `(
+        ${startParam}::timestamptz IS NULL OR (
+            (
+                NOT EXISTS (SELECT 1 FROM helper_availability ha WHERE ha.user_id = ${alias}.id)
+                OR EXISTS (
+                    SELECT 1 FROM helper_availability ha
+                    WHERE ha.user_id = ${alias}.id
+                      AND ha.day_of_week = EXTRACT(DOW FROM ${localStart})
+                      AND ha.start_time <= ${localStart}::time
+                      AND ha.end_time >= ${localEnd}::time
+                )
+            )
+            AND NOT EXISTS (
+                SELECT 1 FROM helper_blackout_dates hb
+                WHERE hb.user_id = ${alias}.id
+                  AND ${localStart}::date BETWEEN hb.start_date AND hb.end_date
+            )
+            AND NOT EXISTS (
+                SELECT 1 FROM matches am
+                JOIN requests ar ON ar.id = am.request_id
+                WHERE am.helper_id = ${alias}.id
+                  AND am.status = 'active'
+                  AND ar.preferred_start IS NOT NULL
+                  AND ar.preferred_start < ${endParam}::timestamptz
+                  AND ar.preferred_end > ${startParam}::timestamptz
+            )
+        )
+    )`;
+}
+
+module.exports = { helperFreeCondition, AVAILABILITY_TIMEZONE };
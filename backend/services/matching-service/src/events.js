@@ -0,0 +1,4 @@
+const EventBus = require("/app/shared/event-bus");
+
+// Domain events published by matching-service (match.created, match.completed, panic.escalated)
+module.exports = new EventBus("matching-service");
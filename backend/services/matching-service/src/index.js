@@ -5,13 +5,19 @@ const cors = require("cors");
 const cookieParser = require("cookie-parser");
 const db = require("./db");
 const { connectQueue, consumeQueue, publishMessage } = require("./queue");
-const { findBestHelper } = require("./matcher");
+const { findBestHelper, rankHelpers } = require("./matcher");
+const { handlePanicRequest, startEscalationSweeper } = require("./panic");
+const eventBus = require("./events");
 const AuthMiddleware = require("/app/shared/auth-middleware");
+const CaregiverDelegation = require("/app/shared/caregiver-delegation");
 const client = require('prom-client');
-const { getAreaFromPostalCode } = require("./postal-utils");
+const { getAreaFromPostalCode, getDistanceKm } = require("./postal-utils");
+const { helperFreeCondition } = require("./availability");
 
 const app = express();
 const authMiddleware = new AuthMiddleware(process.env.AUTH_SERVICE_URL);
+// Linked caregivers can view a senior's matches with onBehalfOf
+const delegation = new CaregiverDelegation(db, "matching-service");
 
 // ==================
 // Middleware setup
@@ -88,7 +94,7 @@ ORDER BY m.matched_at DESC
 // ==================
 // Senior’s matches
 // ==================
-app.get("/matches/senior", authMiddleware.authenticateToken, async (req, res) => {
+app.get("/matches/senior", authMiddleware.authenticateToken, delegation.actOnBehalf, async (req, res) => {
     try {
         const userId = req.user.id;
         const result = await db.query(
@@ -97,10 +103,12 @@ app.get("/matches/senior", authMiddleware.authenticateToken, async (req, res) =>
        r.title, r.category, r.urgency, r.status AS request_status,
        CONCAT(h.firstname, ' ', h.lastname) AS helper_name,
        h.rating AS helper_rating,
-       h.location AS helper_location
+       h.location AS helper_location,
+       s.location AS senior_location
 FROM matches m
 JOIN requests r ON m.request_id = r.id
 JOIN users h ON m.helper_id = h.id
+JOIN users s ON r.user_id = s.id
 WHERE r.user_id = $1
 ORDER BY m.matched_at DESC
 
@@ -109,8 +117,10 @@ ORDER BY m.matched_at DESC
         );
         const rows = result.rows.map(r => ({
             ...r,
-            helper_area: getAreaFromPostalCode(r.helper_location)
+            helper_area: getAreaFromPostalCode(r.helper_location),
+            distance_km: getDistanceKm(r.senior_location, r.helper_location)
         }));
+        await delegation.record(req, "matches.viewed", { details: { count: rows.length } });
         res.json({ matches: rows });
     } catch (err) {
         console.error("Error fetching senior matches:", err);
@@ -135,10 +145,12 @@ SELECT m.*,
        CONCAT(s.firstname, ' ', s.lastname) AS senior_name,
        s.rating AS senior_rating,
        s.location AS senior_location,
+       h.location AS helper_location,
        (SELECT COUNT(*) FROM matches WHERE helper_id = m.helper_id AND status = 'active') AS active_count
 FROM matches m
 JOIN requests r ON m.request_id = r.id
 JOIN users s ON r.user_id = s.id
+JOIN users h ON m.helper_id = h.id
 WHERE m.helper_id = $1
 ORDER BY m.matched_at DESC;
     `,
@@ -146,7 +158,8 @@ ORDER BY m.matched_at DESC;
         );
         const rows = result.rows.map(m => ({
             ...m,
-            senior_area: getAreaFromPostalCode(m.senior_location)
+            senior_area: getAreaFromPostalCode(m.senior_location),
+            distance_km: getDistanceKm(m.helper_location, m.senior_location)
         }));
         res.json({ matches: rows });
     } catch (err) {
@@ -160,13 +173,69 @@ ORDER BY m.matched_at DESC;
 // ==================
 app.get("/helpers/available", authMiddleware.authenticateToken, async (req, res) => {
     try {
+        // Optional filters: ?category=healthcare&minProficiency=3&certification=first_aid
+        const { category, certification } = req.query;
+        const minProficiency = parseInt(req.query.minProficiency) || 1;
+
+        // Optional time window: ?start=...&end=... (ISO 8601) or ?requestId=
+        // to use that request's preferred window
+        let start = req.query.start || null;
+        let end = req.query.end || null;
+
+        if (req.query.requestId) {
+            const request = await db.query(
+                `SELECT preferred_start, preferred_end FROM requests WHERE id = $1`,
+                [req.query.requestId]
+            );
+            if (request.rowCount === 0) {
+                return res.status(404).json({ error: "Request not found" });
+            }
+            start = request.rows[0].preferred_start;
+            end = request.rows[0].preferred_end;
+        } else if (start || end) {
+            if (!start || !end || isNaN(Date.parse(start)) || isNaN(Date.parse(end))) {
+                return res.status(400).json({ error: "start and end must both be valid ISO 8601 timestamps" });
+            }
+            if (new Date(end) <= new Date(start)) {
+                return res.status(400).json({ error: "end must be after start" });
+            }
+        }
+
         const result = await db.query(`
-      SELECT id, firstname, lastname, rating, role
-      FROM users
-      WHERE role IN ('volunteer', 'caregiver')
-        AND is_active = TRUE
-      ORDER BY rating DESC;
-    `);
+      SELECT u.id, u.firstname, u.lastname, u.rating, u.role,
+             COALESCE((
+                 SELECT json_agg(json_build_object('category', hs.category, 'proficiency', hs.proficiency)
+                                 ORDER BY hs.proficiency DESC)
+                 FROM helper_skills hs
+                 WHERE hs.user_id = u.id
+             ), '[]') AS skills,
+             COALESCE((
+                 SELECT array_agg(hc.name)
+                 FROM helper_certifications hc
+                 WHERE hc.user_id = u.id
+                   AND (hc.expires_at IS NULL OR hc.expires_at >= CURRENT_DATE)
+             ), '{}') AS certifications,
+             COALESCE((
+                 SELECT json_agg(json_build_object('day_of_week', ha.day_of_week, 'start_time', ha.start_time, 'end_time', ha.end_time)
+                                 ORDER BY ha.day_of_week, ha.start_time)
+                 FROM helper_availability ha
+                 WHERE ha.user_id = u.id
+             ), '[]') AS availability
+      FROM users u
+      WHERE u.role IN ('volunteer', 'caregiver')
+        AND u.is_active = TRUE
+        AND ($1::text IS NULL OR EXISTS (
+            SELECT 1 FROM helper_skills hs
+            WHERE hs.user_id = u.id AND hs.category = $1 AND hs.proficiency >= $2
+        ))
+        AND ($3::text IS NULL OR EXISTS (
+            SELECT 1 FROM helper_certifications hc
+            WHERE hc.user_id = u.id AND hc.name = $3
+              AND (hc.expires_at IS NULL OR hc.expires_at >= CURRENT_DATE)
+        ))
+        AND ${helperFreeCondition("u", "$4", "$5")}
+      ORDER BY u.rating DESC;
+    `, [category || null, minProficiency, certification || null, start, end]);
 
         res.json(result.rows);
     } catch (err) {
@@ -175,6 +244,46 @@ app.get("/helpers/available", authMiddleware.authenticateToken, async (req, res)
     }
 });
 
+// ==================
+// Ranked helper shortlist for a request (admin)
+// ==================
+app.get("/requests/:id/shortlist", authMiddleware.authenticateToken, authMiddleware.requireRole('admin'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 5, 50);
+
+        const request = await db.query(
+            `SELECT id, user_id, title, category, urgency, status, preferred_start, preferred_end FROM requests WHERE id = $1`,
+            [req.params.id]
+        );
+
+        if (request.rowCount === 0) {
+            return res.status(404).json({ error: "Request not found" });
+        }
+
+        const { seniorArea, searchRadiusKm, weights, totalEligible, shortlist } = await rankHelpers(request.rows[0], { limit });
+
+        res.json({
+            request: request.rows[0],
+            senior_area: seniorArea,
+            search_radius_km: searchRadiusKm,
+            weights,
+            total_eligible: totalEligible,
+            shortlist: shortlist.map(s => ({
+                rank: s.rank,
+                score: s.score,
+                helper: {
+                    ...s.helper,
+                    area: getAreaFromPostalCode(s.helper.location)
+                },
+                factors: s.factors
+            }))
+        });
+    } catch (err) {
+        console.error("Error ranking helpers:", err);
+        res.status(500).json({ error: "Internal server error" });
+    }
+});
+
 // ==================
 // Manual match assignment
 // ==================
@@ -191,7 +300,7 @@ app.post("/matches/assign", authMiddleware.authenticateToken, async (req, res) =
 
         // Lock the request row to prevent concurrent matches
         const requestCheck = await client.query(
-            `SELECT status FROM requests WHERE id = $1 FOR UPDATE`,
+            `SELECT status, user_id, title, category, urgency FROM requests WHERE id = $1 FOR UPDATE`,
             [request_id]
         );
 
@@ -216,6 +325,18 @@ app.post("/matches/assign", authMiddleware.authenticateToken, async (req, res) =
 
         await client.query('COMMIT');
 
+        const request = requestCheck.rows[0];
+        await eventBus.publishSafely("match.created", {
+            match_id: result.rows[0].id,
+            request_id: Number(request_id),
+            request_title: request.title,
+            category: request.category,
+            urgency: request.urgency,
+            senior_id: request.user_id,
+            helper_id: Number(helper_id),
+            match_type: "manual"
+        });
+
         res.json({ message: "Match created successfully", match: result.rows[0] });
     } catch (err) {
         await client.query('ROLLBACK');
@@ -239,7 +360,11 @@ app.post("/matches/:id/complete", authMiddleware.authenticateToken, async (req,
 
         // Validate match ownership with row lock
         const match = await client.query(
-            `SELECT * FROM matches WHERE id = $1 AND helper_id = $2 FOR UPDATE`,
+            `SELECT m.*, r.user_id AS senior_id
+             FROM matches m
+             JOIN requests r ON r.id = m.request_id
+             WHERE m.id = $1 AND m.helper_id = $2
+             FOR UPDATE OF m`,
             [matchId, helperId]
         );
 
@@ -264,6 +389,14 @@ app.post("/matches/:id/complete", authMiddleware.authenticateToken, async (req,
 
         await client.query('COMMIT');
 
+        await eventBus.publishSafely("match.completed", {
+            match_id: match.rows[0].id,
+            request_id: requestId,
+            senior_id: match.rows[0].senior_id,
+            helper_id: helperId,
+            completed_by: helperId
+        });
+
         res.json({ message: "Request marked as completed successfully." });
     } catch (err) {
         await client.query('ROLLBACK');
@@ -288,13 +421,19 @@ app.use((err, req, res, next) => {
 async function handleNewRequest(request) {
     console.log("New request received:", request);
 
+    // Panic requests fan out to every nearby helper instead of picking one
+    if (request.type === 'panic') {
+        await handlePanicRequest(request);
+        return;
+    }
+
     const client = await db.connect();
     try {
         await client.query('BEGIN');
 
         // Lock the request row to prevent concurrent matches
         const requestCheck = await client.query(
-            `SELECT status FROM requests WHERE id = $1 FOR UPDATE`,
+            `SELECT status, preferred_start, preferred_end FROM requests WHERE id = $1 FOR UPDATE`,
             [request.id]
         );
 
@@ -311,8 +450,20 @@ async function handleNewRequest(request) {
             return;
         }
 
-        // Find a helper
-        const helper = await findBestHelper(request);
+        // Events are delivered at least once; a redelivery must not match the request twice
+        const activeMatch = await client.query(
+            `SELECT id FROM matches WHERE request_id = $1 AND status = 'active' LIMIT 1`,
+            [request.id]
+        );
+        if (activeMatch.rowCount > 0) {
+            await client.query('ROLLBACK');
+            console.log(`Request ${request.id} already has active match ${activeMatch.rows[0].id}, skipping redelivery`);
+            return;
+        }
+
+        // Find a helper free in the request's current time window
+        const { preferred_start, preferred_end } = requestCheck.rows[0];
+        const helper = await findBestHelper({ ...request, preferred_start, preferred_end });
 
         if (!helper) {
             await client.query('ROLLBACK');
@@ -323,10 +474,10 @@ async function handleNewRequest(request) {
 
         // Insert match into DB
         const result = await client.query(
-            `INSERT INTO matches (request_id, helper_id, status)
-       VALUES ($1, $2, 'active')
+            `INSERT INTO matches (request_id, helper_id, status, score_breakdown)
+       VALUES ($1, $2, 'active', $3)
        RETURNING *`,
-            [request.id, helper.id]
+            [request.id, helper.id, helper.score_breakdown]
         );
 
         // Update the request to 'matched'
@@ -334,75 +485,22 @@ async function handleNewRequest(request) {
 
         await client.query('COMMIT');
 
-        // console.log(" Match created:", result.rows[0]);
-
-        // Send email notification to the matched helper
-        try {
-            const axios = require('axios');
-
-            // Get helper's email and role
-            const helperData = await db.query(
-                `SELECT email, role FROM users WHERE id = $1`,
-                [helper.id]
-            );
-
-            if (helperData.rows.length > 0) {
-                const helperEmail = helperData.rows[0].email;
-                const helperRole = helperData.rows[0].role;
-
-                // Get senior's name and email
-                const seniorData = await db.query(
-                    `SELECT CONCAT(firstname, ' ', lastname) AS name, email FROM users WHERE id = $1`,
-                    [request.user_id]
-                );
-
-                const seniorName = seniorData.rows.length > 0
-                    ? seniorData.rows[0].name
-                    : 'A community member';
-                const seniorEmail = seniorData.rows.length > 0
-                    ? seniorData.rows[0].email
-                    : null;
-
-                // Notify helper about instant match
-                await axios.post('http://notification-service:5000/notify/instant-match', {
-                    helperId: helper.id,
-                    helperEmail: helperEmail,
-                    helperName: helper.name,
-                    helperRole: helperRole,
-                    requestTitle: request.title,
-                    requestDescription: request.description,
-                    seniorName: seniorName,
-                    category: request.category,
-                    urgency: request.urgency,
-                    requestId: request.id
-                });
-
-                // Notify senior about instant match
-                if (seniorEmail) {
-                    await axios.post('http://notification-service:5000/notify/senior-match', {
-                        seniorId: request.user_id,
-                        seniorEmail: seniorEmail,
-                        seniorName: seniorName,
-                        helperName: helper.name,
-                        helperRole: helperRole,
-                        requestTitle: request.title,
-                        requestDescription: request.description,
-                        category: request.category,
-                        urgency: request.urgency,
-                        requestId: request.id
-                    });
-                }
-
-                // console.log(` Instant match notification sent to ${helperRole}: ${helperEmail}`);
-            }
-        } catch (notifyErr) {
-            // console.warn('Failed to send instant match notification:', notifyErr.message);
-            // Don't fail the match creation if notification fails
-        }
+        // Notification-service emails the helper and the senior when it picks up match.created
+        await eventBus.publishSafely("match.created", {
+            match_id: result.rows[0].id,
+            request_id: request.id,
+            request_title: request.title,
+            category: request.category,
+            urgency: request.urgency,
+            senior_id: request.user_id,
+            helper_id: helper.id,
+            match_type: "instant"
+        });
 
     } catch (err) {
         await client.query('ROLLBACK');
         console.error("Error handling new request:", err);
+        throw err; // let the queue retry it with backoff
     } finally {
         client.release();
     }
@@ -415,9 +513,15 @@ async function handleNewRequest(request) {
     try {
         // 🟢 Connect to RabbitMQ
         await connectQueue();
-        await consumeQueue("request_created", handleNewRequest);
+        await consumeQueue("request_created", handleNewRequest, {
+            // Without a request id there is nothing to match, however often we retry
+            validate: (data) => (Number.isInteger(data?.id) && data.id > 0 ? null : "Message has no valid request id")
+        });
         console.log("✅ Matching-service connected to RabbitMQ and listening for requests");
 
+        // 🚨 Escalate unacknowledged panic requests to wider rings
+        startEscalationSweeper();
+
         // 🟢 Start server
         const PORT = process.env.PORT || 5003;
         app.listen(PORT, () => {
@@ -1,135 +1,182 @@
 const db = require("./db");
-const { getAreaFromPostalCode } = require("./postal-utils");
+const { getAreaFromPostalCode, getPostalCentroid, getDistanceKm, parseRadiusRings } = require("./postal-utils");
+const { createScoringEngine, MAX_ACTIVE_MATCHES } = require("./scoring");
+const { helperFreeCondition } = require("./availability");
+
+const scoringEngine = createScoringEngine();
+
+// How many runners-up to keep alongside the chosen helper
+const SHORTLIST_SIZE = 5;
+// Search radius rings in km; beyond the last ring the search is island-wide
+const SEARCH_RINGS_KM = parseRadiusRings(process.env.MATCH_RADIUS_RINGS_KM, [2, 5, 10]);
+// A ring needs this many helpers before the search stops widening
+const MIN_RING_CANDIDATES = 3;
+
+/**
+ * Every helper who may take this request, with the stats the scoring
+ * factors need. Hard limits (capacity, one urgent job at a time, being
+ * free in the preferred time window) are applied here; everything else
+ * is left to the scoring engine.
+ */
+async function findEligibleHelpers(request) {
+    const result = await db.query(
+        `
+    SELECT u.id,
+           CONCAT(u.firstname, ' ', u.lastname) AS name,
+           u.role,
+           u.rating,
+           u.location,
+           COUNT(m.id) FILTER (WHERE m.status = 'active') AS active_count,
+           COUNT(m.id) FILTER (WHERE m.status = 'completed' AND r.category = $2) AS category_completed,
+           MAX(m.matched_at) AS last_matched_at,
+           sr.avg_score AS senior_avg_score,
+           COALESCE(sr.rating_count, 0) AS senior_rating_count,
+           hs.proficiency AS skill_proficiency,
+           COALESCE((
+               SELECT array_agg(hc.name)
+               FROM helper_certifications hc
+               WHERE hc.user_id = u.id
+                 AND (hc.expires_at IS NULL OR hc.expires_at >= CURRENT_DATE)
+           ), '{}') AS certifications
+    FROM users u
+    LEFT JOIN matches m ON m.helper_id = u.id
+    LEFT JOIN requests r ON r.id = m.request_id
+    LEFT JOIN (
+        SELECT ratee_id, AVG(score) AS avg_score, COUNT(*) AS rating_count
+        FROM ratings
+        WHERE rater_id = $1
+        GROUP BY ratee_id
+    ) sr ON sr.ratee_id = u.id
+    LEFT JOIN helper_skills hs ON hs.user_id = u.id AND hs.category = $2
+    WHERE u.role IN ('volunteer', 'caregiver')
+      AND u.is_active = TRUE
+      AND u.id <> $1
+      AND ${helperFreeCondition("u", "$5", "$6")}
+    GROUP BY u.id, sr.avg_score, sr.rating_count, hs.proficiency
+    HAVING COUNT(m.id) FILTER (WHERE m.status = 'active') < $3
+       AND (
+         -- allow only 1 urgent request per helper
+         $4 != 'urgent' OR
+         COUNT(m.id) FILTER (WHERE m.status = 'active' AND r.urgency = 'urgent') = 0
+       )
+    `,
+        [
+            request.user_id,
+            request.category || null,
+            MAX_ACTIVE_MATCHES,
+            request.urgency || 'low',
+            request.preferred_start || null,
+            request.preferred_end || null
+        ]
+    );
 
-async function findBestHelper(request) {
-    if (!request || !request.user_id) {
-        console.error("❌ findBestHelper: request.user_id missing");
-        return null;
+    return result.rows;
+}
+
+/**
+ * Widen the search ring by ring until enough helpers are close enough.
+ * Returns { radiusKm, helpers }; radiusKm is null once island-wide.
+ */
+function searchInRings(helpers, seniorLocation) {
+    const withDistance = helpers.map(h => ({ ...h, distance_km: getDistanceKm(seniorLocation, h.location) }));
+
+    if (getPostalCentroid(seniorLocation)) {
+        for (const radiusKm of SEARCH_RINGS_KM) {
+            const inRing = withDistance.filter(h => h.distance_km !== null && h.distance_km <= radiusKm);
+            if (inRing.length >= MIN_RING_CANDIDATES) return { radiusKm, helpers: inRing };
+        }
     }
 
-    // 1️⃣ Get the senior’s location
+    return { radiusKm: null, helpers: withDistance };
+}
+
+/**
+ * Rank every eligible helper for a request, best first, with a per-factor
+ * breakdown of each score
+ */
+async function rankHelpers(request, { limit = SHORTLIST_SIZE } = {}) {
     const senior = await db.query(
         `SELECT location FROM users WHERE id = $1 LIMIT 1`,
         [request.user_id]
     );
 
-    if (senior.rowCount === 0 || !senior.rows[0].location) {
-        console.warn("⚠️ Senior has no location set, using fallback search");
-        return await findFallbackHelper(request);
-    }
-
-    const seniorLocation = senior.rows[0].location;
+    const seniorLocation = senior.rows[0]?.location || null;
     const seniorArea = getAreaFromPostalCode(seniorLocation);
 
-    if (!seniorArea) {
-        console.warn(`⚠️ Could not map postal code ${seniorLocation} to an area`);
-        return await findFallbackHelper(request);
+    if (!getPostalCentroid(seniorLocation)) {
+        console.warn(`⚠️ Could not locate senior ${request.user_id}'s postal code ${seniorLocation}, searching island-wide`);
     }
 
-    const helpers = await db.query(`
-    SELECT location FROM users
-    WHERE role IN ('volunteer', 'caregiver')
-      AND is_active = TRUE
-      AND location IS NOT NULL
-  `);
+    const eligible = await findEligibleHelpers(request);
 
-    const areaPostalCodes = helpers.rows
-        .map(h => h.location)
-        .filter(p => getAreaFromPostalCode(p) === seniorArea);
+    // Helpers who declared this category go first; only fall back to
+    // everyone else when nobody with the skill is available
+    const skilled = eligible.filter(h => h.skill_proficiency !== null);
+    const candidates = skilled.length > 0 ? skilled : eligible;
 
+    if (skilled.length === 0 && request.category) {
+        console.warn(`⚠️ No available helpers declared '${request.category}' skills, ranking all eligible helpers`);
+    }
 
-    console.log(
-        `Helpers in area '${seniorArea}': ${areaPostalCodes.length > 0 ? areaPostalCodes.join(", ") : "none"}`
-    );
+    const { radiusKm, helpers } = searchInRings(candidates, seniorLocation);
+    const ranked = scoringEngine.rank(helpers, { request, seniorArea, seniorLocation });
 
-    if (areaPostalCodes.length === 0) {
-        console.warn(`⚠️ No helpers found in area '${seniorArea}', using fallback`);
-        return await findFallbackHelper(request);
+    return {
+        seniorArea,
+        searchRadiusKm: radiusKm,
+        weights: scoringEngine.getWeights(),
+        totalEligible: ranked.length,
+        shortlist: limit ? ranked.slice(0, limit) : ranked
+    };
+}
+
+async function findBestHelper(request) {
+    if (!request || !request.user_id) {
+        console.error("❌ findBestHelper: request.user_id missing");
+        return null;
     }
 
-    // 2️⃣ Find best helper in same location that satisfies limits
-    const result = await db.query(
-        `
-    SELECT u.id,
-           CONCAT(u.firstname, ' ', u.lastname) AS name,
-           u.role,
-           u.rating,
-           u.location
-    FROM users u
-    WHERE u.role IN ('volunteer', 'caregiver')
-      AND u.is_active = true
-      AND u.location = ANY($1)
-      AND (
-        SELECT COUNT(*) 
-        FROM matches m
-        WHERE m.helper_id = u.id
-          AND m.status = 'active'
-      ) < 5
-      AND (
-        -- allow only 1 urgent request per helper
-        $2 != 'urgent' OR
-        (
-          SELECT COUNT(*)
-          FROM matches m2
-          JOIN requests r2 ON r2.id = m2.request_id
-          WHERE m2.helper_id = u.id
-            AND m2.status = 'active'
-            AND r2.urgency = 'urgent'
-        ) = 0
-      )
-    ORDER BY u.rating DESC, RANDOM()
-    LIMIT 1
-    `,
-        [areaPostalCodes, request.urgency]
-    );
+    const { seniorArea, searchRadiusKm, weights, totalEligible, shortlist } = await rankHelpers(request);
 
-    // 3️⃣ Fallback if none in location
-    if (result.rowCount === 0) {
-        console.warn(
-            `⚠️ No eligible helpers found in '${seniorArea}', using fallback`
-        );
-        return await findFallbackHelper(request);
+    if (shortlist.length === 0) {
+        const timeWindow = request.preferred_start
+            ? ` free between ${new Date(request.preferred_start).toISOString()} and ${new Date(request.preferred_end).toISOString()}`
+            : "";
+        console.warn(`⚠️ No eligible helpers${timeWindow} for request ${request.id}`);
+        return null;
     }
 
-    return result.rows[0];
-}
+    const best = shortlist[0];
 
-// 🧩 Fallback search (any location)
-async function findFallbackHelper(request) {
-    const result = await db.query(
-        `
-    SELECT u.id,
-           CONCAT(u.firstname, ' ', u.lastname) AS name,
-           u.role,
-           u.rating,
-           u.location
-    FROM users u
-    WHERE u.role IN ('volunteer', 'caregiver')
-      AND u.is_active = true
-      AND (
-        SELECT COUNT(*) 
-        FROM matches m
-        WHERE m.helper_id = u.id
-          AND m.status = 'active'
-      ) < 5
-      AND (
-        $1 != 'urgent' OR
-        (
-          SELECT COUNT(*)
-          FROM matches m2
-          JOIN requests r2 ON r2.id = m2.request_id
-          WHERE m2.helper_id = u.id
-            AND m2.status = 'active'
-            AND r2.urgency = 'urgent'
-        ) = 0
-      )
-    ORDER BY u.rating DESC, RANDOM()
-    LIMIT 1
-    `,
-        [request.urgency]
+    console.log(
+        `Ranked ${totalEligible} helper(s) within ${searchRadiusKm ? `${searchRadiusKm} km` : "island-wide"} for request ${request.id} (area '${seniorArea || "unknown"}'): ` +
+        shortlist.map(s => `#${s.rank} ${s.helper.name} (${s.score})`).join(", ")
     );
 
-    return result.rows[0] || null;
+    return {
+        id: best.helper.id,
+        name: best.helper.name,
+        role: best.helper.role,
+        rating: best.helper.rating,
+        location: best.helper.location,
+        // Stored on the match so admins can see why this helper was chosen
+        score_breakdown: {
+            score: best.score,
+            rank: best.rank,
+            factors: best.factors,
+            weights,
+            senior_area: seniorArea,
+            search_radius_km: searchRadiusKm,
+            total_eligible: totalEligible,
+            shortlist: shortlist.map(s => ({
+                rank: s.rank,
+                helper_id: s.helper.id,
+                name: s.helper.name,
+                distance_km: s.helper.distance_km,
+                score: s.score
+            }))
+        }
+    };
 }
 
-module.exports = { findBestHelper };
\ No newline at end of file
+module.exports = { findBestHelper, rankHelpers, scoringEngine };
@@ -0,0 +1,219 @@
+const db = require("./db");
+const eventBus = require("./events");
+const { getPostalCentroid, getDistanceKm, parseRadiusRings } = require("./postal-utils");
+
+// How long helpers get to acknowledge before the next ring is notified
+const ESCALATION_WINDOW_SECONDS = parseInt(process.env.PANIC_ESCALATION_WINDOW_SECONDS) || 120;
+// Radius rings (km) to try before going island-wide
+const RADIUS_RINGS_KM = parseRadiusRings(process.env.PANIC_RADIUS_RINGS_KM, [2, 5, 10]);
+// How often the escalation sweeper runs
+const SWEEP_INTERVAL_MS = parseInt(process.env.PANIC_SWEEP_INTERVAL_MS) || 15000;
+
+/**
+ * Search radius for a given step. null means island-wide, which is
+ * always the last step.
+ */
+function getRadiusForStep(seniorLocation, step) {
+    if (!getPostalCentroid(seniorLocation) || step >= RADIUS_RINGS_KM.length) return null;
+    return RADIUS_RINGS_KM[step];
+}
+
+async function loadPanicRequest(client, requestId) {
+    const result = await client.query(
+        `SELECT r.id, r.user_id, r.title, r.description, r.emergency_type, r.panic_location, r.status,
+                CONCAT(u.firstname, ' ', u.lastname) AS senior_name,
+                u.location AS senior_location,
+                u.address AS senior_address
+         FROM requests r
+         JOIN users u ON r.user_id = u.id
+         WHERE r.id = $1 AND r.is_panic = TRUE`,
+        [requestId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Create the escalation step covering every helper within the step's radius
+ * who has not been alerted yet. Empty rings are skipped so the alert never
+ * stalls on a ring with no helpers.
+ */
+async function createEscalationStep(client, request, step) {
+    const previous = await client.query(
+        `SELECT COALESCE(array_agg(DISTINCT h), '{}') AS ids
+         FROM panic_escalations pe, unnest(pe.notified_helper_ids) AS h
+         WHERE pe.request_id = $1`,
+        [request.id]
+    );
+    const alreadyNotified = new Set(previous.rows[0].ids);
+
+    const candidates = await client.query(`
+    SELECT id, email, CONCAT(firstname, ' ', lastname) AS name, location
+    FROM users
+    WHERE role IN ('volunteer', 'caregiver')
+      AND is_active = TRUE
+  `);
+
+    let radiusKm = getRadiusForStep(request.senior_location, step);
+    let helpers = [];
+
+    while (true) {
+        const islandWide = radiusKm === null;
+        helpers = candidates.rows.filter(h => {
+            if (alreadyNotified.has(h.id)) return false;
+            if (islandWide) return true;
+            const km = getDistanceKm(request.senior_location, h.location);
+            return km !== null && km <= radiusKm;
+        });
+
+        if (helpers.length > 0 || islandWide) break;
+
+        console.log(`🚨 No new helpers within ${radiusKm} km for panic request ${request.id}, widening`);
+        step++;
+        radiusKm = getRadiusForStep(request.senior_location, step);
+    }
+
+    const escalation = await client.query(
+        `INSERT INTO panic_escalations (request_id, step, radius_km, notified_helper_ids, status, escalate_at)
+         VALUES ($1, $2, $3, $4, 'pending', NOW() + make_interval(secs => $5))
+         RETURNING *`,
+        [request.id, step, radiusKm, helpers.map(h => h.id), ESCALATION_WINDOW_SECONDS]
+    );
+
+    console.log(
+        `🚨 Panic request ${request.id} step ${step}: ${radiusKm === null ? "island-wide" : `within ${radiusKm} km`} → ${helpers.length} helper(s)`
+    );
+
+    return { escalation: escalation.rows[0], helpers };
+}
+
+// Alerts go out after commit so a slow SMTP server never holds row locks;
+// notification-service alerts every helper in-app and by email when it picks up panic.escalated
+async function publishPanicEscalated(request, escalation, helpers) {
+    if (helpers.length === 0) return;
+
+    await eventBus.publishSafely("panic.escalated", {
+        request_id: request.id,
+        senior_id: request.user_id,
+        senior_name: request.senior_name,
+        emergency_type: request.emergency_type,
+        description: request.description,
+        location: request.panic_location || request.senior_address,
+        step: escalation.step,
+        radius_km: escalation.radius_km === null ? null : Number(escalation.radius_km),
+        helper_ids: helpers.map(h => h.id)
+    });
+}
+
+/**
+ * First fan-out for a newly created panic request (step 0 = senior's own area)
+ */
+async function handlePanicRequest(message) {
+    const client = await db.connect();
+    let created = null;
+    let request = null;
+
+    try {
+        await client.query('BEGIN');
+
+        // Lock the request row so a redelivered message cannot fan out twice
+        await client.query(`SELECT id FROM requests WHERE id = $1 FOR UPDATE`, [message.id]);
+
+        request = await loadPanicRequest(client, message.id);
+        if (!request) {
+            await client.query('ROLLBACK');
+            console.log(`Panic request ${message.id} not found`);
+            return;
+        }
+
+        if (request.status !== 'matching') {
+            await client.query('ROLLBACK');
+            console.log(`Panic request ${request.id} already handled (status: ${request.status})`);
+            return;
+        }
+
+        const existing = await client.query(
+            `SELECT id FROM panic_escalations WHERE request_id = $1 LIMIT 1`,
+            [request.id]
+        );
+        if (existing.rowCount > 0) {
+            await client.query('ROLLBACK');
+            console.log(`Panic request ${request.id} already escalating`);
+            return;
+        }
+
+        created = await createEscalationStep(client, request, 0);
+
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    await publishPanicEscalated(request, created.escalation, created.helpers);
+}
+
+/**
+ * Move every overdue, unacknowledged step on to the next ring.
+ * SKIP LOCKED lets several matching-service replicas sweep safely.
+ */
+async function escalateOverduePanics() {
+    const client = await db.connect();
+    const toAnnounce = [];
+
+    try {
+        await client.query('BEGIN');
+
+        const due = await client.query(`
+      SELECT pe.*
+      FROM panic_escalations pe
+      JOIN requests r ON r.id = pe.request_id
+      WHERE pe.status = 'pending'
+        AND pe.escalate_at <= NOW()
+        AND r.status = 'matching'
+      ORDER BY pe.escalate_at ASC
+      FOR UPDATE OF pe SKIP LOCKED
+    `);
+
+        for (const current of due.rows) {
+            // Island-wide was the last ring; nobody else left to ask
+            if (current.radius_km === null) {
+                await client.query(
+                    `UPDATE panic_escalations SET status = 'exhausted' WHERE id = $1`,
+                    [current.id]
+                );
+                console.warn(`🚨 Panic request ${current.request_id} exhausted all rings without acknowledgement`);
+                continue;
+            }
+
+            await client.query(
+                `UPDATE panic_escalations SET status = 'escalated' WHERE id = $1`,
+                [current.id]
+            );
+
+            const request = await loadPanicRequest(client, current.request_id);
+            const created = await createEscalationStep(client, request, current.step + 1);
+            toAnnounce.push({ request, ...created });
+        }
+
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error("❌ Panic escalation sweep failed:", err);
+        return;
+    } finally {
+        client.release();
+    }
+
+    for (const { request, escalation, helpers } of toAnnounce) {
+        await publishPanicEscalated(request, escalation, helpers);
+    }
+}
+
+function startEscalationSweeper() {
+    console.log(`🚨 Panic escalation sweeper running every ${SWEEP_INTERVAL_MS}ms (window ${ESCALATION_WINDOW_SECONDS}s, rings ${RADIUS_RINGS_KM.join("/")} km)`);
+    return setInterval(escalateOverduePanics, SWEEP_INTERVAL_MS);
+}
+
+module.exports = { handlePanicRequest, escalateOverduePanics, startEscalationSweeper };
@@ -0,0 +1,212 @@
+const { getAreaFromPostalCode, getDistanceKm } = require("./postal-utils");
+
+// A helper with this many active matches is fully booked
+const MAX_ACTIVE_MATCHES = 5;
+// Completed matches in a category before a helper counts as experienced
+const CATEGORY_EXPERIENCE_TARGET = 5;
+// Helpers idle for this long get the full "time since last assignment" score
+const IDLE_HOURS_TARGET = 7 * 24;
+// Distance after which being closer no longer scores anything
+const MAX_DISTANCE_KM = 10;
+// Certifications that count towards the category factor
+const RELEVANT_CERTIFICATIONS = {
+    healthcare: ["first_aid", "cpr", "dementia_care", "nursing"],
+    companionship: ["dementia_care"],
+    transport: ["driving_licence"],
+    meal_prep: ["food_hygiene"]
+};
+const CERTIFICATION_BONUS = 0.2;
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Built-in factors. Each factor scores a helper between 0 (worst) and 1 (best)
+ * and explains the score in a short human-readable detail for admins.
+ */
+const DEFAULT_FACTORS = [
+    {
+        name: "distance",
+        weight: 0.3,
+        score(helper, context) {
+            const km = getDistanceKm(context.seniorLocation, helper.location);
+
+            if (km === null) {
+                return { value: 0, detail: "Location unknown" };
+            }
+
+            return {
+                value: clamp(1 - km / MAX_DISTANCE_KM),
+                detail: `~${km} km away (${getAreaFromPostalCode(helper.location)})`
+            };
+        }
+    },
+    {
+        name: "category",
+        weight: 0.2,
+        score(helper, context) {
+            const category = context.request.category || "uncategorised";
+            const completed = parseInt(helper.category_completed) || 0;
+            const proficiency = helper.skill_proficiency ? parseInt(helper.skill_proficiency) : 0;
+            const certifications = (helper.certifications || [])
+                .filter(name => (RELEVANT_CERTIFICATIONS[category] || []).includes(name));
+
+            // Half declared skill, half track record, plus a bonus for relevant certifications
+            const value = (proficiency / 5) * 0.5 +
+                clamp(completed / CATEGORY_EXPERIENCE_TARGET) * 0.5 +
+                (certifications.length > 0 ? CERTIFICATION_BONUS : 0);
+
+            const details = [
+                proficiency ? `Self-rated ${proficiency}/5 in ${category}` : `No declared ${category} skill`,
+                `${completed} completed`
+            ];
+            if (certifications.length > 0) details.push(`certified: ${certifications.join(", ")}`);
+
+            return { value: clamp(value), detail: details.join(", ") };
+        }
+    },
+    {
+        name: "load",
+        weight: 0.15,
+        score(helper) {
+            const active = parseInt(helper.active_count) || 0;
+            return {
+                value: clamp(1 - active / MAX_ACTIVE_MATCHES),
+                detail: `${active}/${MAX_ACTIVE_MATCHES} active matches`
+            };
+        }
+    },
+    {
+        name: "seniorHistory",
+        weight: 0.15,
+        score(helper) {
+            const count = parseInt(helper.senior_rating_count) || 0;
+
+            // No history with this senior is neutral, not a penalty
+            if (count === 0) {
+                return { value: 0.5, detail: "Not rated by this senior yet" };
+            }
+
+            const average = parseFloat(helper.senior_avg_score);
+            return {
+                value: clamp((average - 1) / 4),
+                detail: `Rated ${average.toFixed(1)}/5 by this senior (${count} rating(s))`
+            };
+        }
+    },
+    {
+        name: "recency",
+        weight: 0.1,
+        score(helper, context) {
+            if (!helper.last_matched_at) {
+                return { value: 1, detail: "Never assigned" };
+            }
+
+            const hours = (context.now - new Date(helper.last_matched_at)) / (1000 * 60 * 60);
+            return {
+                value: clamp(hours / IDLE_HOURS_TARGET),
+                detail: `Last assigned ${Math.round(hours)}h ago`
+            };
+        }
+    },
+    {
+        name: "rating",
+        weight: 0.1,
+        score(helper) {
+            const rating = helper.rating === null ? null : parseFloat(helper.rating);
+
+            if (rating === null || isNaN(rating)) {
+                return { value: 0.5, detail: "No overall rating" };
+            }
+
+            return {
+                value: clamp((rating - 1) / 4),
+                detail: `Overall rating ${rating.toFixed(1)}/5`
+            };
+        }
+    }
+];
+
+/**
+ * Weight overrides from MATCH_WEIGHTS, e.g. {"distance":0.5,"recency":0}
+ */
+function loadWeightOverrides() {
+    if (!process.env.MATCH_WEIGHTS) return {};
+
+    try {
+        return JSON.parse(process.env.MATCH_WEIGHTS);
+    } catch (err) {
+        console.error("❌ Ignoring invalid MATCH_WEIGHTS:", err.message);
+        return {};
+    }
+}
+
+/**
+ * Create a scoring engine. Factors can be added or replaced at runtime
+ * with registerFactor, and weights tuned without touching the factors.
+ */
+function createScoringEngine({ factors = DEFAULT_FACTORS, weights = loadWeightOverrides() } = {}) {
+    const registry = new Map(factors.map(f => [f.name, { ...f }]));
+
+    for (const [name, weight] of Object.entries(weights)) {
+        if (registry.has(name)) registry.get(name).weight = Number(weight) || 0;
+    }
+
+    function registerFactor(factor) {
+        if (!factor || !factor.name || typeof factor.score !== "function") {
+            throw new Error("A scoring factor needs a name and a score(helper, context) function");
+        }
+        registry.set(factor.name, { weight: 1, ...factor });
+    }
+
+    function scoreHelper(helper, context) {
+        const breakdown = {};
+        let totalWeight = 0;
+        let total = 0;
+
+        for (const factor of registry.values()) {
+            if (!factor.weight) continue;
+
+            const result = factor.score(helper, context);
+            const value = clamp(typeof result === "number" ? result : result.value);
+
+            breakdown[factor.name] = {
+                value: round(value),
+                weight: factor.weight,
+                weighted: round(value * factor.weight),
+                detail: typeof result === "number" ? null : result.detail
+            };
+
+            totalWeight += factor.weight;
+            total += value * factor.weight;
+        }
+
+        return {
+            score: totalWeight > 0 ? round(total / totalWeight) : 0,
+            factors: breakdown
+        };
+    }
+
+    /**
+     * Rank helpers best-first. Ties go to the higher overall rating.
+     */
+    function rank(helpers, context) {
+        const scoringContext = { now: new Date(), ...context };
+
+        return helpers
+            .map(helper => ({ helper, ...scoreHelper(helper, scoringContext) }))
+            .sort((a, b) =>
+                b.score - a.score ||
+                (parseFloat(b.helper.rating) || 0) - (parseFloat(a.helper.rating) || 0)
+            )
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+
+    function getWeights() {
+        return Object.fromEntries([...registry.values()].map(f => [f.name, f.weight]));
+    }
+
+    return { registerFactor, scoreHelper, rank, getWeights };
+}
+
+module.exports = { createScoringEngine, DEFAULT_FACTORS, MAX_ACTIVE_MATCHES };
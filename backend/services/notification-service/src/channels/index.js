@@ -0,0 +1,78 @@
+const MessageChannel = require('./message-channel');
+const StubProvider = require('./stub-provider');
+
+/**
+ * Delivery channels for notification-service.
+ *
+ * email is the SMTP service; sms and chat are MessageChannels that reach the
+ * user's mobile number through a provider picked with SMS_PROVIDER /
+ * CHAT_PROVIDER ('stub' by default, 'none' switches the channel off).
+ * Every channel has `enabled` and
+ *   sendTemplate(address, templateName, data, label) → { success, messageId }
+ *
+ * A provider is any object with a `name` and
+ *   send({ to, text }) → { messageId }
+ * Register real gateways (an SMS aggregator, a WhatsApp Business API client)
+ * in PROVIDERS.
+ */
+const PROVIDERS = {
+    stub: (channel) => new StubProvider(channel)
+};
+
+const MESSAGE_CHANNELS = ['sms', 'chat'];
+const CHANNELS = ['email', ...MESSAGE_CHANNELS];
+
+function createMessageChannel(name, templates) {
+    const providerName = process.env[`${name.toUpperCase()}_PROVIDER`] || 'stub';
+    const tag = `[${name.toUpperCase()}]`;
+
+    if (providerName === 'none') {
+        console.log(`${tag} Channel disabled`);
+        return new MessageChannel(name, null, templates);
+    }
+
+    const createProvider = PROVIDERS[providerName];
+    if (!createProvider) {
+        console.warn(`${tag} Unknown provider "${providerName}", channel disabled`);
+        return new MessageChannel(name, null, templates);
+    }
+
+    console.log(`${tag} Channel using ${providerName} provider`);
+    return new MessageChannel(name, createProvider(name), templates);
+}
+
+class NotificationChannels {
+    constructor(emailService) {
+        this.email = emailService;
+        for (const name of MESSAGE_CHANNELS) {
+            this[name] = createMessageChannel(name, emailService.templates);
+        }
+    }
+
+    // Which channels can deliver right now, for the preferences UI
+    available() {
+        return Object.fromEntries(CHANNELS.map(name => [name, this[name].enabled]));
+    }
+
+    /**
+     * The channel urgent messages go out on for a user: their urgent_channel
+     * when it is switched on, has a provider and they have a mobile number;
+     * email otherwise. `recipient` carries the preference columns and phone.
+     */
+    urgentChannelFor(recipient) {
+        const name = recipient?.urgent_channel;
+        if (MESSAGE_CHANNELS.includes(name) && recipient[`${name}_enabled`] && recipient.phone && this[name].enabled) {
+            return name;
+        }
+        return 'email';
+    }
+
+    async send(channelName, address, templateName, data, label) {
+        return this[channelName].sendTemplate(address, templateName, data, label);
+    }
+}
+
+NotificationChannels.CHANNELS = CHANNELS;
+NotificationChannels.MESSAGE_CHANNELS = MESSAGE_CHANNELS;
+
+module.exports = NotificationChannels;
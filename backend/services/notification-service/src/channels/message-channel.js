@@ -0,0 +1,40 @@
+/**
+ * A phone-number channel (SMS, chat app) sending through a provider.
+ * Messages use the template's short <locale>.sms.txt text, or its plaintext
+ * body when it has none.
+ */
+class MessageChannel {
+    constructor(name, provider, templates) {
+        this.name = name;
+        this.provider = provider;
+        this.templates = templates;
+        this.enabled = Boolean(provider);
+    }
+
+    async sendTemplate(phone, templateName, data, label) {
+        const tag = `[${this.name.toUpperCase()}]`;
+
+        if (!this.enabled) {
+            console.log(`${tag} Channel disabled, skipping notification`);
+            return { success: false, message: `${this.name} disabled` };
+        }
+
+        try {
+            const { sms, text } = this.templates.render(templateName, data, { locale: data.locale });
+
+            console.log(`${tag} Sending ${label} to ${phone} via ${this.provider.name}`);
+            const result = await this.provider.send({ to: phone, text: sms || text });
+
+            return {
+                success: true,
+                messageId: result.messageId,
+                recipient: phone
+            };
+        } catch (error) {
+            console.error(`${tag} Failed to send ${label}:`, error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = MessageChannel;
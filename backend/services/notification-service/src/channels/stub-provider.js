@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Development provider: prints each message to the console and, when
+ * STUB_MESSAGES_FILE is set, appends it there as a JSON line so tests and
+ * developers can see what would have been sent.
+ */
+class StubProvider {
+    constructor(channel, messagesFile = process.env.STUB_MESSAGES_FILE) {
+        this.name = 'stub';
+        this.channel = channel;
+        this.messagesFile = messagesFile;
+    }
+
+    async send({ to, text }) {
+        const message = {
+            id: `stub-${crypto.randomUUID()}`,
+            channel: this.channel,
+            to,
+            text,
+            sent_at: new Date().toISOString()
+        };
+
+        console.log(`[${this.channel.toUpperCase()}] (stub) Message to ${to}: ${text}`);
+        if (this.messagesFile) {
+            await fs.promises.appendFile(this.messagesFile, JSON.stringify(message) + '\n');
+        }
+
+        return { messageId: message.id };
+    }
+}
+
+module.exports = StubProvider;
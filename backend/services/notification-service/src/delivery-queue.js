@@ -0,0 +1,204 @@
+// How often the worker looks for due messages
+const POLL_INTERVAL_MS = parseInt(process.env.DELIVERY_POLL_INTERVAL_MS) || 5000;
+// Attempts before a message is given up on
+const MAX_ATTEMPTS = parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || 6;
+// First retry delay; doubles on every further attempt up to MAX_RETRY_DELAY_MS
+const RETRY_BASE_DELAY_MS = parseInt(process.env.DELIVERY_RETRY_BASE_DELAY_MS) || 30000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// Messages delivered per worker pass
+const BATCH_SIZE = 50;
+// How long a claimed message stays with its worker; after that another may retry it
+const LEASE_MS = 5 * 60 * 1000;
+
+function retryDelayMs(attempt) {
+    return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+}
+
+// The recipient itself was refused (unknown mailbox, invalid number): retrying cannot help
+function isBounce(err) {
+    return err.permanent === true || (err.command === 'RCPT TO' && err.responseCode >= 500);
+}
+
+/**
+ * Durable outbound queue for every channel.
+ *
+ * Senders only insert into outbound_messages; the worker renders and sends
+ * each message through its channel, records the attempt in
+ * message_delivery_log and retries failures with exponential backoff.
+ * Rows are claimed with SKIP LOCKED, so every replica can run a worker.
+ *
+ * A claim marks the row 'sending' with a lease (locked_until) and commits
+ * before the network call, so no transaction or row lock is held while a
+ * provider is slow. A worker that dies mid-send leaves its lease to expire,
+ * and the message is then sent again.
+ */
+class DeliveryQueue {
+    constructor(db, channels) {
+        this.db = db;
+        this.channels = channels;
+        this.running = false;
+    }
+
+    /**
+     * Queue a message. Pass a transaction client to queue it atomically with
+     * other changes; it is then picked up by the next worker pass.
+     */
+    async enqueue({ userId = null, channel, recipient, template, data, label }, client = null) {
+        const result = await (client || this.db).query(
+            `INSERT INTO outbound_messages (user_id, channel, recipient, template, data, label)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING id`,
+            [userId, channel, recipient, template, data, label]
+        );
+
+        // Outside a transaction the row is visible already, so send without waiting for the poll
+        if (!client) setImmediate(() => this.deliverDue());
+        return result.rows[0].id;
+    }
+
+    /**
+     * Deliver every due message; a pass already in progress picks up new ones
+     */
+    async deliverDue() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            for (let i = 0; i < BATCH_SIZE; i++) {
+                if (!(await this.deliverNext())) break;
+            }
+        } catch (err) {
+            console.error('[Delivery] Worker pass failed:', err.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Claim and send the oldest due message. Returns false when none is due.
+     */
+    async deliverNext() {
+        const message = await this.claimNext();
+        if (!message) return false;
+
+        const outcome = await this.attempt(message);
+        await this.recordOutcome(message, outcome);
+        return true;
+    }
+
+    /**
+     * Lease the oldest due message to this worker, counting the attempt.
+     * Messages whose lease ran out are due again.
+     */
+    async claimNext() {
+        const result = await this.db.query(
+            `UPDATE outbound_messages
+             SET status = 'sending',
+                 attempts = attempts + 1,
+                 locked_until = NOW() + make_interval(secs => $1)
+             WHERE id = (
+                 SELECT id FROM outbound_messages
+                 WHERE (status = 'pending' AND next_attempt_at <= NOW())
+                    OR (status = 'sending' AND locked_until <= NOW())
+                 ORDER BY next_attempt_at ASC
+                 LIMIT 1
+                 FOR UPDATE SKIP LOCKED
+             )
+             RETURNING *`,
+            [LEASE_MS / 1000]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Log the attempt and move the message on. A worker whose lease expired
+     * meanwhile only logs it: the message belongs to whoever claimed it next.
+     */
+    async recordOutcome(message, outcome) {
+        const client = await this.db.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            await client.query(
+                `INSERT INTO message_delivery_log (message_id, attempt, outcome, error, provider_message_id)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [message.id, message.attempts, outcome.outcome, outcome.error || null, outcome.messageId || null]
+            );
+            const updated = await client.query(
+                `UPDATE outbound_messages
+                 SET status = $2,
+                     locked_until = NULL,
+                     last_error = $3,
+                     provider_message_id = COALESCE($4, provider_message_id),
+                     next_attempt_at = NOW() + make_interval(secs => $5),
+                     sent_at = CASE WHEN $2 = 'sent' THEN NOW() ELSE sent_at END
+                 WHERE id = $1 AND status = 'sending' AND attempts = $6`,
+                [
+                    message.id,
+                    outcome.outcome === 'retry' ? 'pending' : outcome.outcome,
+                    outcome.error || null,
+                    outcome.messageId || null,
+                    outcome.outcome === 'retry' ? retryDelayMs(message.attempts) / 1000 : 0,
+                    // Every claim counts an attempt, so an unchanged count means the lease is still ours
+                    message.attempts
+                ]
+            );
+
+            await client.query('COMMIT');
+
+            if (updated.rowCount === 0) {
+                console.warn(`[Delivery] Lease on message #${message.id} expired before attempt ${message.attempts} finished`);
+            }
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Send one message and classify the result:
+     * sent, skipped (channel off), bounced, retry or failed (out of attempts)
+     */
+    async attempt(message) {
+        const attempt = message.attempts;
+        const tag = `${message.label || message.template} #${message.id} to ${message.recipient}`;
+
+        try {
+            const result = await this.channels.send(message.channel, message.recipient, message.template, message.data, message.label);
+
+            if (result.success === false) {
+                console.log(`[Delivery] Skipped ${tag}: ${result.message}`);
+                return { outcome: 'skipped', error: result.message };
+            }
+            return { outcome: 'sent', messageId: result.messageId };
+        } catch (err) {
+            // A broken template fails the same way every time
+            if (err.name === 'TemplateError') {
+                console.error(`[Delivery] Cannot render ${tag}: ${err.message}`);
+                return { outcome: 'failed', error: err.message };
+            }
+            if (isBounce(err)) {
+                console.warn(`[Delivery] Bounced ${tag}: ${err.message}`);
+                return { outcome: 'bounced', error: err.message };
+            }
+            if (attempt >= MAX_ATTEMPTS) {
+                console.error(`[Delivery] Giving up on ${tag} after ${attempt} attempts: ${err.message}`);
+                return { outcome: 'failed', error: err.message };
+            }
+
+            console.warn(`[Delivery] Attempt ${attempt} for ${tag} failed, retrying in ${retryDelayMs(attempt) / 1000}s: ${err.message}`);
+            return { outcome: 'retry', error: err.message };
+        }
+    }
+
+    start() {
+        console.log(`[Delivery] Worker running every ${POLL_INTERVAL_MS}ms (up to ${MAX_ATTEMPTS} attempts)`);
+        this.deliverDue();
+        return setInterval(() => this.deliverDue(), POLL_INTERVAL_MS);
+    }
+}
+
+module.exports = DeliveryQueue;
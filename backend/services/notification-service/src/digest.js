@@ -0,0 +1,248 @@
+const { digestView } = require('./views');
+
+// Digests and quiet hours are kept in local time, like the rest of the platform
+const NOTIFICATION_TIMEZONE = process.env.NOTIFICATION_TIMEZONE || 'Asia/Singapore';
+// Local hour at which daily and weekly digests go out
+const DIGEST_HOUR = process.env.DIGEST_HOUR ? parseInt(process.env.DIGEST_HOUR) % 24 : 8;
+// Day of the week for weekly digests (0 = Sunday, 1 = Monday, ...)
+const WEEKLY_DIGEST_DAY = process.env.WEEKLY_DIGEST_DAY ? parseInt(process.env.WEEKLY_DIGEST_DAY) % 7 : 1;
+// How often the scheduler looks for due digest items
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.DIGEST_SCHEDULER_INTERVAL_MS) || 60000;
+// Users handled per scheduler run
+const USERS_PER_RUN = 50;
+
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+// Notification type → preference column prefix (notify_<x>, <x>_frequency)
+const PREFERENCE_COLUMNS = {
+    offer: 'new_offers',
+    match: 'request_updates',
+    status_update: 'request_updates',
+    response: 'new_responses',
+    reply: 'replies'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const localFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: NOTIFICATION_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', weekday: 'short'
+});
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Wall-clock parts of an instant in NOTIFICATION_TIMEZONE
+function localParts(date) {
+    const parts = Object.fromEntries(localFormat.formatToParts(date).map(p => [p.type, p.value]));
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+}
+
+// The instant at which the local clock shows the given date and time
+function localTime(year, month, day, hour, minute = 0) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const shown = localParts(new Date(guess));
+    const offset = Date.UTC(shown.year, shown.month - 1, shown.day, shown.hour, shown.minute) - guess;
+    return new Date(guess - offset);
+}
+
+// "22:00" / "22:00:00" (pg TIME) → minutes after midnight
+function toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Next digest slot strictly after `now`: DIGEST_HOUR local time the next day
+ * for daily, on the next WEEKLY_DIGEST_DAY for weekly.
+ */
+function nextDigestAt(frequency, now = new Date()) {
+    const today = localParts(now);
+    let slot = localTime(today.year, today.month, today.day, DIGEST_HOUR);
+    let weekday = today.weekday;
+
+    while (slot <= now || (frequency === 'weekly' && weekday !== WEEKLY_DIGEST_DAY)) {
+        slot = new Date(slot.getTime() + DAY_MS);
+        weekday = (weekday + 1) % 7;
+    }
+    return slot;
+}
+
+/**
+ * When the quiet hours covering `at` end, or null when `at` is outside them
+ * (or the user has none). A range like 22:00–07:00 runs past midnight.
+ */
+function quietHoursEnd(prefs, at = new Date()) {
+    if (!prefs?.quiet_hours_start || !prefs?.quiet_hours_end) return null;
+
+    const start = toMinutes(prefs.quiet_hours_start);
+    const end = toMinutes(prefs.quiet_hours_end);
+    if (start === end) return null;
+
+    const local = localParts(at);
+    const minute = local.hour * 60 + local.minute;
+    const quiet = start < end
+        ? minute >= start && minute < end
+        : minute >= start || minute < end;
+    if (!quiet) return null;
+
+    let endsAt = localTime(local.year, local.month, local.day, Math.floor(end / 60), end % 60);
+    if (endsAt <= at) endsAt = new Date(endsAt.getTime() + DAY_MS);
+    return endsAt;
+}
+
+function frequencyFor(prefs, type) {
+    const column = PREFERENCE_COLUMNS[type];
+    const frequency = column && prefs?.[`${column}_frequency`];
+    return FREQUENCIES.includes(frequency) ? frequency : 'instant';
+}
+
+/**
+ * Decide whether an email goes out now or is held back.
+ * Returns null to send now, or { frequency, deliverAfter } to queue it.
+ */
+function planDelivery(prefs, type, now = new Date()) {
+    const frequency = frequencyFor(prefs, type);
+
+    if (frequency === 'instant') {
+        const deliverAfter = quietHoursEnd(prefs, now);
+        return deliverAfter ? { frequency, deliverAfter } : null;
+    }
+
+    // A digest slot that falls inside quiet hours waits for them to end
+    const slot = nextDigestAt(frequency, now);
+    return { frequency, deliverAfter: quietHoursEnd(prefs, slot) || slot };
+}
+
+/**
+ * Hold an email back for the user's next digest
+ */
+async function queueDigestItem(db, userId, { type, frequency, deliverAfter, title, summary, requestId = null }) {
+    await db.query(
+        `INSERT INTO notification_digest_items (user_id, type, frequency, title, summary, request_id, deliver_after)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [userId, type, frequency, title, summary || null, requestId, deliverAfter]
+    );
+}
+
+/**
+ * Queue one digest email for a user covering every due item. The email and
+ * the items marked sent commit together, and SKIP LOCKED keeps another
+ * replica off the same batch.
+ */
+async function sendUserDigest(db, deliveries, userId) {
+    const client = await db.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const due = await client.query(
+            `SELECT * FROM notification_digest_items
+             WHERE user_id = $1 AND sent_at IS NULL AND deliver_after <= NOW()
+             ORDER BY created_at ASC
+             FOR UPDATE SKIP LOCKED`,
+            [userId]
+        );
+        if (due.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return;
+        }
+
+        const recipient = await client.query(
+            `SELECT u.email AS account_email, u.firstname, p.*
+             FROM users u
+             LEFT JOIN notification_preferences p ON p.user_id = u.id
+             WHERE u.id = $1`,
+            [userId]
+        );
+        const prefs = recipient.rows[0];
+        const ids = due.rows.map(item => item.id);
+
+        // Preferences may have changed since the items were queued
+        const items = prefs?.enabled === false ? [] : due.rows.filter(item => {
+            const column = PREFERENCE_COLUMNS[item.type];
+            return !column || prefs[`notify_${column}`] !== false;
+        });
+        const targetEmail = prefs?.email || prefs?.account_email;
+
+        if (items.length === 0 || !targetEmail) {
+            await client.query(`DELETE FROM notification_digest_items WHERE id = ANY($1)`, [ids]);
+            await client.query('COMMIT');
+            console.log(`[Digest] Dropped ${ids.length} item(s) for user ${userId}: email no longer wanted`);
+            return;
+        }
+
+        const kind = items.some(item => item.frequency === 'weekly') ? 'weekly'
+            : items.some(item => item.frequency === 'daily') ? 'daily'
+                : 'quiet';
+
+        await deliveries.enqueue({
+            userId,
+            channel: 'email',
+            recipient: targetEmail,
+            template: 'digest',
+            data: digestView({
+                locale: prefs.locale,
+                recipientName: prefs.firstname,
+                kind,
+                items: items.map(item => ({ title: item.title, summary: item.summary, requestId: item.request_id }))
+            }),
+            label: `${kind} digest`
+        }, client);
+
+        await client.query(
+            `UPDATE notification_digest_items SET sent_at = NOW() WHERE id = ANY($1)`,
+            [ids]
+        );
+        await client.query('COMMIT');
+        console.log(`[Digest] Queued ${kind} digest with ${items.length} item(s) for user ${userId}`);
+    } catch (err) {
+        // Left unsent; the next run tries again
+        await client.query('ROLLBACK');
+        console.error(`[Digest] Failed to queue digest for user ${userId}:`, err.message);
+    } finally {
+        client.release();
+    }
+}
+
+async function sendDueDigests(db, deliveries) {
+    try {
+        const users = await db.query(
+            `SELECT user_id FROM notification_digest_items
+             WHERE sent_at IS NULL AND deliver_after <= NOW()
+             GROUP BY user_id
+             ORDER BY MIN(deliver_after) ASC
+             LIMIT $1`,
+            [USERS_PER_RUN]
+        );
+
+        for (const { user_id } of users.rows) {
+            await sendUserDigest(db, deliveries, user_id);
+        }
+    } catch (err) {
+        console.error('[Digest] Scheduler run failed:', err.message);
+    }
+}
+
+function startDigestScheduler(db, deliveries) {
+    console.log(`[Digest] Scheduler running every ${SCHEDULER_INTERVAL_MS}ms (digests at ${DIGEST_HOUR}:00 ${NOTIFICATION_TIMEZONE}, weekly on ${WEEKDAYS[WEEKLY_DIGEST_DAY]})`);
+    return setInterval(() => sendDueDigests(db, deliveries), SCHEDULER_INTERVAL_MS);
+}
+
+module.exports = {
+    FREQUENCIES,
+    PREFERENCE_COLUMNS,
+    nextDigestAt,
+    quietHoursEnd,
+    planDelivery,
+    queueDigestItem,
+    sendDueDigests,
+    startDigestScheduler
+};
@@ -2,14 +2,28 @@ const express = require('express');
 const { Pool } = require('pg');
 const cors = require('cors');
 const SMTPEmailService = require('./smtp-service');
+const NotificationChannels = require('./channels');
+const DeliveryQueue = require('./delivery-queue');
+const { offerView, helperMatchView, seniorMatchView, caregiverMatchView, statusUpdateView, panicAlertView, panicAcknowledgedView, caregiverPanicView } = require('./views');
 const AuthMiddleware = require('/app/shared/auth-middleware');
+const ServiceAuth = require('/app/shared/service-auth');
+const EventBus = require('/app/shared/event-bus');
+const TemplateRegistry = require('/app/shared/template-registry');
+const { FREQUENCIES, PREFERENCE_COLUMNS, planDelivery, quietHoursEnd, queueDigestItem, startDigestScheduler } = require('./digest');
 const app = express();
 
 // Initialize SMTP email service
 const emailService = new SMTPEmailService();
 
+// SMS and chat-app channels for urgent messages, next to email
+const channels = new NotificationChannels(emailService);
+
 // Initialize auth middleware
 const authMiddleware = new AuthMiddleware(process.env.AUTH_SERVICE_URL);
+const serviceAuth = new ServiceAuth('notification-service');
+
+// Domain events: consumed below, and inbox changes are published for real-time push
+const eventBus = new EventBus('notification-service');
 
 // Configure CORS to allow frontend requests with credentials
 const allowedOrigins = [
@@ -41,21 +55,76 @@ const db = new Pool({
     password: process.env.DB_PASSWORD || 'password'
 });
 
+// Every outgoing message goes through this queue, so an SMTP outage delays mail instead of losing it
+const deliveries = new DeliveryQueue(db, channels);
+
 app.get('/', (req, res) => {
     res.json({ service: "notification-service", status: "running", smtpEnabled: emailService.enabled });
 });
 
+// SMTP login check, refreshed in the background so /health stays fast; shown on the admin system-health page
+const SMTP_VERIFY_INTERVAL_MS = parseInt(process.env.SMTP_VERIFY_INTERVAL_MS) || 5 * 60 * 1000;
+let smtpStatus = { success: false, message: 'Not checked yet', checkedAt: null };
+
+async function checkSmtpConnection() {
+    try {
+        smtpStatus = { ...(await emailService.verifyConnection()), checkedAt: new Date().toISOString() };
+    } catch (error) {
+        smtpStatus = { success: false, message: error.message, checkedAt: new Date().toISOString() };
+    }
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ 
         status: 'healthy', 
         service: 'notification-service',
         smtp: {
-            enabled: emailService.enabled
-        }
+            enabled: emailService.enabled,
+            connection: smtpStatus
+        },
+        channels: channels.available()
     });
 });
 
+// API field ↔ notification_preferences column prefix (notify_<x>, <x>_frequency)
+const PREFERENCE_FIELDS = {
+    newResponses: 'new_responses',
+    newOffers: 'new_offers',
+    requestUpdates: 'request_updates',
+    replies: 'replies'
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// pg returns TIME as "22:00:00"; the API speaks "22:00"
+function formatPreferences(prefs) {
+    const hasQuietHours = prefs.quiet_hours_start && prefs.quiet_hours_end;
+    return {
+        enabled: prefs.enabled,
+        email: prefs.email,
+        inApp: prefs.inapp_enabled,
+        sms: prefs.sms_enabled,
+        chat: prefs.chat_enabled,
+        urgentChannel: prefs.urgent_channel || 'email',
+        // The number is managed in the user profile (auth-service)
+        phone: prefs.phone || null,
+        availableChannels: channels.available(),
+        locale: prefs.locale,
+        preferences: {
+            newResponses: prefs.notify_new_responses,
+            newOffers: prefs.notify_new_offers,
+            requestUpdates: prefs.notify_request_updates,
+            replies: prefs.notify_replies
+        },
+        delivery: Object.fromEntries(Object.entries(PREFERENCE_FIELDS)
+            .map(([field, column]) => [field, prefs[`${column}_frequency`] || 'instant'])),
+        quietHours: hasQuietHours
+            ? { start: prefs.quiet_hours_start.slice(0, 5), end: prefs.quiet_hours_end.slice(0, 5) }
+            : null
+    };
+}
+
 // Get user notification preferences
 app.get('/notification-preferences', authMiddleware.authenticateToken, async (req, res) => {
     try {
@@ -65,32 +134,22 @@ app.get('/notification-preferences', authMiddleware.authenticateToken, async (re
             'SELECT * FROM notification_preferences WHERE user_id = $1',
             [userId]
         );
+        const userResult = await db.query('SELECT email, phone FROM users WHERE id = $1', [userId]);
         
         if (result.rows.length === 0) {
             // Create default preferences if they don't exist
-            const userResult = await db.query('SELECT email FROM users WHERE id = $1', [userId]);
             const userEmail = userResult.rows[0]?.email || '';
             
             result = await db.query(
                 `INSERT INTO notification_preferences 
-                (user_id, enabled, email, notify_new_responses, notify_new_offers, notify_request_updates, notify_replies)
-                VALUES ($1, TRUE, $2, TRUE, TRUE, TRUE, TRUE)
+                (user_id, enabled, email, inapp_enabled, notify_new_responses, notify_new_offers, notify_request_updates, notify_replies)
+                VALUES ($1, TRUE, $2, TRUE, TRUE, TRUE, TRUE, TRUE)
                 RETURNING *`,
                 [userId, userEmail]
             );
         }
         
-        const prefs = result.rows[0];
-        res.json({
-            enabled: prefs.enabled,
-            email: prefs.email,
-            preferences: {
-                newResponses: prefs.notify_new_responses,
-                newOffers: prefs.notify_new_offers,
-                requestUpdates: prefs.notify_request_updates,
-                replies: prefs.notify_replies
-            }
-        });
+        res.json(formatPreferences({ ...result.rows[0], phone: userResult.rows[0]?.phone }));
     } catch (error) {
         console.error('[Notification] Error getting preferences:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -101,12 +160,45 @@ app.get('/notification-preferences', authMiddleware.authenticateToken, async (re
 app.post('/notification-preferences', authMiddleware.authenticateToken, async (req, res) => {
     try {
         const userId = req.user.id;
-        const { enabled, email, preferences } = req.body;
+        const { enabled, email, inApp, sms, chat, urgentChannel, locale, preferences, delivery = {}, quietHours } = req.body;
+
+        if (urgentChannel !== undefined && !NotificationChannels.CHANNELS.includes(urgentChannel)) {
+            return res.status(400).json({ error: `urgentChannel must be one of: ${NotificationChannels.CHANNELS.join(', ')}` });
+        }
+        if (sms === true || chat === true || NotificationChannels.MESSAGE_CHANNELS.includes(urgentChannel)) {
+            const user = await db.query('SELECT phone FROM users WHERE id = $1', [userId]);
+            if (!user.rows[0]?.phone) {
+                return res.status(400).json({ error: 'Add a mobile number to your profile to use SMS or chat notifications' });
+            }
+        }
+
+        for (const [field, frequency] of Object.entries(delivery || {})) {
+            if (!PREFERENCE_FIELDS[field]) {
+                return res.status(400).json({ error: `Unknown delivery type: ${field}` });
+            }
+            if (!FREQUENCIES.includes(frequency)) {
+                return res.status(400).json({ error: `delivery.${field} must be one of: ${FREQUENCIES.join(', ')}` });
+            }
+        }
+
+        if (quietHours && (!TIME_PATTERN.test(quietHours.start) || !TIME_PATTERN.test(quietHours.end))) {
+            return res.status(400).json({ error: 'quietHours.start and quietHours.end must be times like 22:00' });
+        }
+        if (quietHours && quietHours.start === quietHours.end) {
+            return res.status(400).json({ error: 'quietHours.start and quietHours.end must differ' });
+        }
         
+        // inApp, sms, chat, urgentChannel, locale, delivery and quietHours are optional so older
+        // clients that only manage email keep them untouched; quietHours: null switches quiet hours off
+        const clearQuietHours = quietHours === null;
         const result = await db.query(
             `INSERT INTO notification_preferences 
-            (user_id, enabled, email, notify_new_responses, notify_new_offers, notify_request_updates, notify_replies, updated_at)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+            (user_id, enabled, email, notify_new_responses, notify_new_offers, notify_request_updates, notify_replies, inapp_enabled, locale,
+             new_responses_frequency, new_offers_frequency, request_updates_frequency, replies_frequency,
+             quiet_hours_start, quiet_hours_end, sms_enabled, chat_enabled, urgent_channel, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, TRUE), COALESCE($9, 'en'),
+                    COALESCE($10, 'instant'), COALESCE($11, 'instant'), COALESCE($12, 'instant'), COALESCE($13, 'instant'),
+                    $14, $15, COALESCE($17, FALSE), COALESCE($18, FALSE), COALESCE($19, 'email'), NOW())
             ON CONFLICT (user_id) DO UPDATE SET
                 enabled = $2,
                 email = $3,
@@ -114,6 +206,17 @@ app.post('/notification-preferences', authMiddleware.authenticateToken, async (r
                 notify_new_offers = $5,
                 notify_request_updates = $6,
                 notify_replies = $7,
+                inapp_enabled = COALESCE($8, notification_preferences.inapp_enabled),
+                locale = COALESCE($9, notification_preferences.locale),
+                new_responses_frequency = COALESCE($10, notification_preferences.new_responses_frequency),
+                new_offers_frequency = COALESCE($11, notification_preferences.new_offers_frequency),
+                request_updates_frequency = COALESCE($12, notification_preferences.request_updates_frequency),
+                replies_frequency = COALESCE($13, notification_preferences.replies_frequency),
+                quiet_hours_start = CASE WHEN $16 THEN NULL ELSE COALESCE($14, notification_preferences.quiet_hours_start) END,
+                quiet_hours_end = CASE WHEN $16 THEN NULL ELSE COALESCE($15, notification_preferences.quiet_hours_end) END,
+                sms_enabled = COALESCE($17, notification_preferences.sms_enabled),
+                chat_enabled = COALESCE($18, notification_preferences.chat_enabled),
+                urgent_channel = COALESCE($19, notification_preferences.urgent_channel),
                 updated_at = NOW()
             RETURNING *`,
             [
@@ -123,7 +226,19 @@ app.post('/notification-preferences', authMiddleware.authenticateToken, async (r
                 preferences?.newResponses !== false,
                 preferences?.newOffers !== false,
                 preferences?.requestUpdates !== false,
-                preferences?.replies !== false
+                preferences?.replies !== false,
+                typeof inApp === 'boolean' ? inApp : null,
+                locale || null,
+                delivery?.newResponses || null,
+                delivery?.newOffers || null,
+                delivery?.requestUpdates || null,
+                delivery?.replies || null,
+                quietHours?.start || null,
+                quietHours?.end || null,
+                clearQuietHours,
+                typeof sms === 'boolean' ? sms : null,
+                typeof chat === 'boolean' ? chat : null,
+                urgentChannel || null
             ]
         );
         
@@ -135,190 +250,709 @@ app.post('/notification-preferences', authMiddleware.authenticateToken, async (r
 });
 
 /**
- * Check if user has notifications enabled for a specific type
+ * Check which channels a user wants for a notification type.
+ * shouldSend covers email, inApp the in-app inbox; the per-type switches apply to both.
+ * locale picks the email template variant. delivery is null to email straight
+ * away, or { frequency, deliverAfter } when the email waits for a digest or
+ * for quiet hours to end. urgentChannel is the SMS/chat channel urgent
+ * messages of this type go out on right now (null = use email), with phone
+ * as the address.
  */
 async function shouldSendNotification(userId, notificationType) {
     try {
         const result = await db.query(
-            'SELECT enabled, notify_new_responses, notify_new_offers, notify_request_updates, notify_replies, email FROM notification_preferences WHERE user_id = $1',
+            `SELECT p.*, u.phone FROM notification_preferences p
+             JOIN users u ON u.id = p.user_id
+             WHERE p.user_id = $1`,
             [userId]
         );
         
         if (result.rows.length === 0) {
             // No preferences set - default to enabled
-            return { shouldSend: true, email: null };
+            return { shouldSend: true, inApp: true, email: null, locale: null, delivery: null, urgentChannel: null };
         }
         
         const prefs = result.rows[0];
         
-        if (!prefs.enabled) {
-            return { shouldSend: false, email: prefs.email };
-        }
-        
-        const typeMap = {
-            'offer': prefs.notify_new_offers,
-            'match': prefs.notify_request_updates,
-            'response': prefs.notify_new_responses,
-            'reply': prefs.notify_replies,
-            'status_update': prefs.notify_request_updates
-        };
+        const column = PREFERENCE_COLUMNS[notificationType];
+        const wanted = !column || prefs[`notify_${column}`] !== false;
+
+        // Urgent SMS/chat messages skip digests but still respect quiet hours
+        const urgentChannel = channels.urgentChannelFor(prefs);
+        const canMessageNow = wanted && urgentChannel !== 'email' && !quietHoursEnd(prefs);
         
         return { 
-            shouldSend: typeMap[notificationType] !== false, 
-            email: prefs.email 
+            shouldSend: prefs.enabled !== false && wanted,
+            inApp: prefs.inapp_enabled !== false && wanted,
+            email: prefs.email,
+            locale: prefs.locale,
+            delivery: planDelivery(prefs, notificationType),
+            urgentChannel: canMessageNow ? urgentChannel : null,
+            phone: prefs.phone
         };
     } catch (error) {
         console.error('[Notification] Error checking preferences:', error);
         // Default to enabled on error
-        return { shouldSend: true, email: null };
+        return { shouldSend: true, inApp: true, email: null, locale: null, delivery: null, urgentChannel: null };
     }
 }
 
-// Endpoint to send offer notification (called by request-service)
-app.post('/notify/offer', async (req, res) => {
+// ============= IN-APP INBOX =============
+
+// Notification types a user can filter the inbox by
+const NOTIFICATION_TYPES = ['offer', 'match', 'response', 'reply', 'status_update', 'panic'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Add a notification to a user's inbox unless they opted out of the type.
+ * mandatory skips the preference check (panic alerts). eventId makes the
+ * insert idempotent when the causing event is delivered twice.
+ * Returns the row, or null when nothing was stored.
+ */
+async function createInboxNotification(userId, { type, title, message, requestId = null, eventId = null, mandatory = false }) {
+    if (!mandatory) {
+        const { inApp } = await shouldSendNotification(userId, type);
+        if (!inApp) {
+            console.log(`[Notification] User ${userId} has disabled in-app ${type} notifications`);
+            return null;
+        }
+    }
+
+    const result = await db.query(
+        `INSERT INTO notifications (user_id, request_id, type, title, message, event_id)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (event_id, user_id) DO NOTHING
+         RETURNING *`,
+        [userId, requestId, type, title, message, eventId]
+    );
+
+    const notification = result.rows[0] || null;
+    if (notification) {
+        await publishInboxChange('notification.created', userId, {
+            notification: {
+                id: notification.id,
+                type: notification.type,
+                title: notification.title,
+                message: notification.message,
+                request_id: notification.request_id,
+                created_at: notification.created_at
+            }
+        });
+    }
+    return notification;
+}
+
+async function countUnread(userId) {
+    const result = await db.query(
+        'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+        [userId]
+    );
+    return parseInt(result.rows[0].count);
+}
+
+// Announce an inbox change with the new unread count; social-service pushes it to the user's open pages.
+// Best effort: a missed push only means a stale badge until the next page load.
+async function publishInboxChange(type, userId, data) {
     try {
-        const { seniorId, seniorEmail, seniorName, requestTitle, helperName, helperRole, offerId, requestId } = req.body;
-        
-        if (!seniorId || (!seniorEmail && !seniorId)) {
-            return res.status(400).json({ error: 'Missing seniorId or seniorEmail' });
+        await eventBus.publishSafely(type, {
+            user_id: userId,
+            unread_count: await countUnread(userId),
+            ...data
+        });
+    } catch (error) {
+        console.error(`[Notification] Error publishing ${type}:`, error);
+    }
+}
+
+// List the user's inbox, newest first (?page, ?limit, ?type, ?unread=true)
+app.get('/notifications', authMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { type, unread } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        const conditions = ['n.user_id = $1'];
+        const params = [userId];
+
+        if (type) {
+            const types = String(type).split(',');
+            if (types.some(t => !NOTIFICATION_TYPES.includes(t))) {
+                return res.status(400).json({ error: `type must be one of: ${NOTIFICATION_TYPES.join(', ')}` });
+            }
+            params.push(types);
+            conditions.push(`n.type = ANY($${params.length}::text[])`);
+        }
+        if (unread === 'true') {
+            conditions.push('n.read_at IS NULL');
         }
 
-        // Check if senior has notifications enabled for offers
-        const { shouldSend, email } = await shouldSendNotification(seniorId, 'offer');
-        
-        if (!shouldSend) {
-            console.log(`[Notification] User ${seniorId} has disabled offer notifications`);
-            return res.json({ message: 'Notification disabled by user preferences' });
+        const whereClause = conditions.join(' AND ');
+
+        const [countResult, unreadCount] = await Promise.all([
+            db.query(`SELECT COUNT(*) FROM notifications n WHERE ${whereClause}`, params),
+            countUnread(userId)
+        ]);
+        const total = parseInt(countResult.rows[0].count);
+
+        const result = await db.query(
+            `SELECT n.*, r.title as request_title
+             FROM notifications n
+             LEFT JOIN requests r ON n.request_id = r.id
+             WHERE ${whereClause}
+             ORDER BY n.created_at DESC, n.id DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        res.json({
+            success: true,
+            notifications: result.rows,
+            unreadCount,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('[Notification] Error getting notifications:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Unread count for the header badge
+app.get('/notifications/unread-count', authMiddleware.authenticateToken, async (req, res) => {
+    try {
+        res.json({ unreadCount: await countUnread(req.user.id) });
+    } catch (error) {
+        console.error('[Notification] Error counting unread notifications:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Mark every unread notification as read (?type narrows it to one type)
+app.post('/notifications/read-all', authMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const { type } = req.query;
+        if (type && !NOTIFICATION_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${NOTIFICATION_TYPES.join(', ')}` });
         }
-        
-        const targetEmail = email || seniorEmail;
-        console.log(`[Notification] Sending offer notification to ${targetEmail}`);
-        
-        const result = await emailService.sendOfferNotification(targetEmail, {
+
+        const result = await db.query(
+            `UPDATE notifications SET read_at = NOW()
+             WHERE user_id = $1 AND read_at IS NULL AND ($2::text IS NULL OR type = $2)
+             RETURNING id`,
+            [req.user.id, type || null]
+        );
+
+        if (result.rowCount > 0) {
+            publishInboxChange('notification.read', req.user.id, {
+                notification_ids: result.rows.map(r => r.id)
+            });
+        }
+
+        res.json({ success: true, updated: result.rowCount });
+    } catch (error) {
+        console.error('[Notification] Error marking notifications as read:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Mark notification as read
+app.post('/notifications/:id/read', authMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const existing = await db.query(
+            'SELECT read_at FROM notifications WHERE id = $1 AND user_id = $2',
+            [req.params.id, req.user.id]
+        );
+
+        if (existing.rowCount === 0) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        const result = await db.query(
+            `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+             WHERE id = $1 AND user_id = $2
+             RETURNING *`,
+            [req.params.id, req.user.id]
+        );
+
+        if (!existing.rows[0].read_at) {
+            publishInboxChange('notification.read', req.user.id, {
+                notification_ids: [result.rows[0].id]
+            });
+        }
+
+        res.json({ success: true, notification: result.rows[0] });
+    } catch (error) {
+        console.error('[Notification] Error marking notification as read:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete a notification from the inbox
+app.delete('/notifications/:id', authMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const result = await db.query(
+            'DELETE FROM notifications WHERE id = $1 AND user_id = $2 RETURNING id, read_at',
+            [req.params.id, req.user.id]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        publishInboxChange('notification.deleted', req.user.id, {
+            notification_id: result.rows[0].id,
+            was_unread: !result.rows[0].read_at
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[Notification] Error deleting notification:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ============= EMAIL SENDERS =============
+// Shared by the /notify endpoints and the domain event handlers below.
+// Each queues the message and returns { message, channel, deliveryId }, or
+// { message } when the user opted out or the email was held for a digest.
+// Urgent ones go out by SMS or chat instead when the user picked that as
+// their urgent channel.
+
+// Hand a message to the delivery queue; its worker sends it and retries failures
+async function queueMessage({ userId, channel = 'email', recipient, template, data, label }) {
+    const deliveryId = await deliveries.enqueue({ userId, channel, recipient, template, data, label });
+    console.log(`[Notification] Queued ${label} #${deliveryId} for user ${userId} by ${channel}`);
+    return { message: `${label} queued`, channel, deliveryId };
+}
+
+// Queue an email for the user's digest (or until their quiet hours end) instead of sending it now
+async function holdForDigest(userId, type, delivery, item) {
+    await queueDigestItem(db, userId, { type, ...delivery, ...item });
+
+    const label = delivery.frequency === 'instant' ? 'until quiet hours end' : `for ${delivery.frequency} digest`;
+    console.log(`[Notification] Holding ${type} email for user ${userId} ${label}`);
+    return { message: `Notification held ${label}`, deliverAfter: delivery.deliverAfter };
+}
+
+async function sendOfferEmail({ seniorId, seniorEmail, seniorName, requestTitle, requestDescription, offerMessage, helperName, helperRole, requestId }) {
+    // Check if senior has notifications enabled for offers
+    const { shouldSend, email, locale, delivery } = await shouldSendNotification(seniorId, 'offer');
+
+    if (!shouldSend) {
+        console.log(`[Notification] User ${seniorId} has disabled offer notifications`);
+        return { message: 'Notification disabled by user preferences' };
+    }
+
+    if (delivery) {
+        return holdForDigest(seniorId, 'offer', delivery, {
+            title: `New offer on "${requestTitle}"`,
+            summary: offerMessage ? `${helperName}: "${offerMessage}"` : `${helperName} offered to help.`,
+            requestId
+        });
+    }
+
+    return queueMessage({
+        userId: seniorId,
+        recipient: email || seniorEmail,
+        template: 'offer',
+        data: offerView({ locale, helperName, helperRole, requestTitle, requestId, seniorName }),
+        label: 'Offer notification'
+    });
+}
+
+async function sendMatchEmail({ helperId, helperEmail, helperName, requestTitle, requestDescription, seniorName, category, urgency, requestId }) {
+    // Check if helper has notifications enabled for matches
+    const { shouldSend, email, locale, delivery } = await shouldSendNotification(helperId, 'match');
+
+    if (!shouldSend) {
+        console.log(`[Notification] User ${helperId} has disabled match notifications`);
+        return { message: 'Notification disabled by user preferences' };
+    }
+
+    if (delivery) {
+        return holdForDigest(helperId, 'match', delivery, {
+            title: `You were matched with ${seniorName}`,
+            summary: `Request: "${requestTitle}"`,
+            requestId
+        });
+    }
+
+    return queueMessage({
+        userId: helperId,
+        recipient: email || helperEmail,
+        template: 'match',
+        data: helperMatchView({ locale, helperName, seniorName, requestTitle, category, urgency, requestId }),
+        label: 'Match notification'
+    });
+}
+
+async function sendInstantMatchEmail({ helperId, helperEmail, helperName, helperRole, requestTitle, requestDescription, seniorName, category, urgency, requestId }) {
+    // Check if helper has notifications enabled for matches
+    const { shouldSend, email, locale, delivery, urgentChannel, phone } = await shouldSendNotification(helperId, 'match');
+
+    const view = helperMatchView({ locale, helperName, seniorName, requestTitle, category, urgency, requestId });
+
+    // Instant matches need the helper to act now, so they go out on the urgent channel
+    if (urgentChannel) {
+        return queueMessage({
+            userId: helperId,
+            channel: urgentChannel,
+            recipient: phone,
+            template: 'instant-match',
+            data: view,
+            label: 'Instant match notification'
+        });
+    }
+
+    if (!shouldSend) {
+        console.log(`[Notification] User ${helperId} has disabled instant match notifications`);
+        return { message: 'Notification disabled by user preferences' };
+    }
+
+    if (delivery) {
+        return holdForDigest(helperId, 'match', delivery, {
+            title: `You were matched with ${seniorName}`,
+            summary: `Request: "${requestTitle}"`,
+            requestId
+        });
+    }
+
+    return queueMessage({
+        userId: helperId,
+        recipient: email || helperEmail,
+        template: 'instant-match',
+        data: view,
+        label: 'Instant match notification'
+    });
+}
+
+async function sendSeniorMatchEmail({ seniorId, seniorEmail, seniorName, helperName, helperRole, requestTitle, requestDescription, category, urgency, requestId, urgent = false }) {
+    // Check if senior has notifications enabled for matches
+    const { shouldSend, email, locale, delivery, urgentChannel, phone } = await shouldSendNotification(seniorId, 'match');
+
+    const view = seniorMatchView({ locale, seniorName, helperName, helperRole, requestTitle, category, urgency, requestId });
+
+    if (urgent) {
+        await notifyCaregiversOfMatch(seniorId, { seniorName, helperName, helperRole, requestTitle, category, urgency, requestId });
+    }
+
+    // Instant matches reach the senior on their urgent channel too
+    if (urgent && urgentChannel) {
+        return queueMessage({
+            userId: seniorId,
+            channel: urgentChannel,
+            recipient: phone,
+            template: 'senior-match',
+            data: view,
+            label: 'Senior match notification'
+        });
+    }
+
+    if (!shouldSend) {
+        console.log(`[Notification] User ${seniorId} has disabled senior match notifications`);
+        return { message: 'Notification disabled by user preferences' };
+    }
+
+    if (delivery) {
+        return holdForDigest(seniorId, 'match', delivery, {
+            title: `${helperName} will help with "${requestTitle}"`,
+            summary: `Your request has been matched with a ${helperRole === 'caregiver' ? 'caregiver' : 'volunteer'}.`,
+            requestId
+        });
+    }
+
+    return queueMessage({
+        userId: seniorId,
+        recipient: email || seniorEmail,
+        template: 'senior-match',
+        data: view,
+        label: 'Senior match notification'
+    });
+}
+
+// Instant matches also reach the senior's caregivers, each on their own urgent channel and preferences
+async function notifyCaregiversOfMatch(seniorId, { seniorName, helperName, helperRole, requestTitle, category, urgency, requestId }) {
+    const caregivers = await getCaregivers(seniorId);
+
+    for (const caregiver of caregivers) {
+        const { shouldSend, email, locale, delivery, urgentChannel, phone } = await shouldSendNotification(caregiver.id, 'match');
+        const title = `${helperName} will help ${seniorName} with "${requestTitle}"`;
+
+        await createInboxNotification(caregiver.id, {
+            type: 'match',
+            title,
+            message: `${seniorName}'s request has been matched with a ${helperRole === 'caregiver' ? 'caregiver' : 'volunteer'}.`,
+            requestId
+        });
+
+        const view = caregiverMatchView({ caregiverName: caregiver.name, seniorName, helperName, helperRole, requestTitle, category, urgency, requestId, locale });
+
+        if (urgentChannel) {
+            await queueMessage({
+                userId: caregiver.id,
+                channel: urgentChannel,
+                recipient: phone,
+                template: 'caregiver-match',
+                data: view,
+                label: 'Caregiver match notification'
+            });
+        } else if (!shouldSend) {
+            console.log(`[Notification] Caregiver ${caregiver.id} has disabled match notifications`);
+        } else if (delivery) {
+            await holdForDigest(caregiver.id, 'match', delivery, { title, summary: `Request: "${requestTitle}"`, requestId });
+        } else {
+            await queueMessage({
+                userId: caregiver.id,
+                recipient: email || caregiver.email,
+                template: 'caregiver-match',
+                data: view,
+                label: 'Caregiver match notification'
+            });
+        }
+    }
+}
+
+async function sendStatusUpdateEmail({ userId, email, userName, requestTitle, oldStatus, newStatus }) {
+    // Check if user has notifications enabled for status updates
+    const { shouldSend, email: prefEmail, locale, delivery } = await shouldSendNotification(userId, 'status_update');
+
+    if (!shouldSend) {
+        console.log(`[Notification] User ${userId} has disabled status update notifications`);
+        return { message: 'Notification disabled by user preferences' };
+    }
+
+    if (delivery) {
+        return holdForDigest(userId, 'status_update', delivery, {
+            title: `Update on "${requestTitle}"`,
+            summary: `Status changed from ${oldStatus} to ${newStatus}.`
+        });
+    }
+
+    return queueMessage({
+        userId,
+        recipient: prefEmail || email,
+        template: 'status-update',
+        data: statusUpdateView({ locale, requestTitle, oldStatus, newStatus, updatedBy: userName }),
+        label: 'Status update notification'
+    });
+}
+
+// Panic alerts ignore notification preferences, digests and quiet hours: a senior in distress outranks an opt-out.
+// Each helper is alerted on their urgent channel (SMS/chat) if they set one up, otherwise by email.
+async function sendPanicAlerts({ requestId, seniorName, emergencyType, description, location, step, helpers }) {
+    console.log(`[Notification] Sending panic alert for request ${requestId} (step ${step}) to ${helpers.length} helper(s)`);
+
+    let queued = 0;
+    for (const helper of helpers) {
+        const channel = channels.urgentChannelFor(helper);
+        const recipient = channel === 'email' ? helper.email : helper.phone;
+        if (!recipient) continue;
+
+        await queueMessage({
+            userId: helper.id || null,
+            channel,
+            recipient,
+            template: 'panic-alert',
+            data: panicAlertView({
+                helperName: helper.name,
+                seniorName,
+                emergencyType,
+                description,
+                location,
+                requestId,
+                locale: helper.locale
+            }),
+            label: 'Panic alert'
+        });
+        queued++;
+    }
+
+    return { message: 'Panic alerts queued', queued };
+}
+
+const CAREGIVER_PANIC_TITLES = {
+    raised: (seniorName) => `🚨 ${seniorName} pressed the panic button`,
+    escalated: (seniorName) => `🚨 No helper has responded to ${seniorName} yet`,
+    acknowledged: (seniorName) => `Help is on the way to ${seniorName}`
+};
+
+// A senior's caregivers follow every stage of a panic alert, in the inbox and on their urgent channel,
+// regardless of preferences like the alerts themselves
+async function notifyCaregiversOfPanic(seniorId, { stage, seniorName, emergencyType, description, location, helpersAlerted, helperName, requestId, eventId }) {
+    const caregivers = await getCaregivers(seniorId);
+
+    for (const caregiver of caregivers) {
+        const view = caregiverPanicView({
+            caregiverName: caregiver.name,
+            seniorName,
+            stage,
+            emergencyType,
+            description,
+            location,
+            helpersAlerted,
             helperName,
-            helperRole,
-            requestTitle,
-            requestDescription: req.body.requestDescription || '',
-            offerMessage: req.body.offerMessage || '',
             requestId,
-            seniorName
+            locale: caregiver.locale
+        });
+
+        await createInboxNotification(caregiver.id, {
+            type: 'panic',
+            title: CAREGIVER_PANIC_TITLES[stage](seniorName),
+            message: stage === 'acknowledged'
+                ? `${helperName} has acknowledged the emergency and is on the way.`
+                : `${emergencyType}: ${description}`,
+            requestId,
+            eventId,
+            mandatory: true
         });
 
-        res.json({ message: 'Offer notification sent', messageId: result.messageId });
+        const channel = channels.urgentChannelFor(caregiver);
+        const recipient = channel === 'email' ? caregiver.email : caregiver.phone;
+        if (!recipient) continue;
+
+        await queueMessage({
+            userId: caregiver.id,
+            channel,
+            recipient,
+            template: 'caregiver-panic',
+            data: view,
+            label: 'Caregiver panic notice'
+        });
+    }
+
+    if (caregivers.length > 0) {
+        console.log(`[Notification] Told ${caregivers.length} caregiver(s) of senior ${seniorId} about panic request ${requestId} (${stage})`);
+    }
+}
+
+// ============= EMAIL TEMPLATES =============
+// Admins review and reword emails here; the wording itself lives in backend/shared/templates.
+
+const requireAdmin = authMiddleware.requireRole('admin');
+// Same rule as admin-service: a second factor unless ADMIN_REQUIRE_2FA=false (local dev)
+const requireAdminTwoFactor = process.env.ADMIN_REQUIRE_2FA !== 'false'
+    ? authMiddleware.requireTwoFactor
+    : (req, res, next) => next();
+
+app.get('/templates', authMiddleware.authenticateToken, requireAdmin, requireAdminTwoFactor, (req, res) => {
+    try {
+        res.json({ templates: emailService.templates.list() });
+    } catch (error) {
+        console.error('[Notification] Error listing templates:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+function renderPreview(req, res, { data = {}, locale, draft } = {}) {
+    const { templates } = emailService;
+    if (!templates.has(req.params.name)) {
+        return res.status(404).json({ error: `Unknown email template: ${req.params.name}` });
+    }
+
+    try {
+        const sample = templates.readMeta(req.params.name).sample || {};
+        return templates.render(req.params.name, { ...sample, ...data }, { locale, overrides: draft || {} });
+    } catch (error) {
+        if (error instanceof TemplateRegistry.TemplateError) {
+            res.status(400).json({ error: error.message });
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Render with the template's sample data; ?format=html|text|sms returns just that part for viewing in a browser
+app.get('/templates/:name/preview', authMiddleware.authenticateToken, requireAdmin, requireAdminTwoFactor, (req, res) => {
+    try {
+        const rendered = renderPreview(req, res, { locale: req.query.locale });
+        if (!rendered) return;
+
+        if (req.query.format === 'html') return res.type('html').send(rendered.html);
+        if (req.query.format === 'text') return res.type('text').send(rendered.text);
+        if (req.query.format === 'sms') return res.type('text').send(rendered.sms ?? rendered.text);
+        res.json(rendered);
+    } catch (error) {
+        console.error('[Notification] Error previewing template:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Render with custom data and optionally draft wording ({ subject, html, text, sms }) without saving anything
+app.post('/templates/:name/preview', authMiddleware.authenticateToken, requireAdmin, requireAdminTwoFactor, (req, res) => {
+    try {
+        const { data, locale, draft } = req.body;
+        if (draft && ['subject', 'html', 'text', 'sms'].some(part => draft[part] !== undefined && typeof draft[part] !== 'string')) {
+            return res.status(400).json({ error: 'draft.subject, draft.html, draft.text and draft.sms must be strings' });
+        }
+
+        const rendered = renderPreview(req, res, { data, locale, draft });
+        if (rendered) res.json(rendered);
+    } catch (error) {
+        console.error('[Notification] Error previewing template:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ============= NOTIFY ENDPOINTS =============
+// Internal only: callers must present a service token (see backend/shared/service-auth.js)
+app.use('/notify', serviceAuth.requireService());
+
+// Endpoint to send offer notification
+app.post('/notify/offer', async (req, res) => {
+    try {
+        if (!req.body.seniorId) {
+            return res.status(400).json({ error: 'Missing seniorId' });
+        }
+
+        res.json(await sendOfferEmail(req.body));
     } catch (error) {
         console.error('[Notification] Error sending offer notification:', error);
         res.status(500).json({ error: 'Internal server error', details: error.message });
     }
 });
 
-// Endpoint to send match notification (called by request-service)
+// Endpoint to send match notification
 app.post('/notify/match', async (req, res) => {
     try {
-        const { helperId, helperEmail, helperName, requestTitle, seniorName, category, urgency, requestId } = req.body;
-        
-        if (!helperId || (!helperEmail && !helperId)) {
+        if (!req.body.helperId) {
             return res.status(400).json({ error: 'Missing helperId or helperEmail' });
         }
 
-        // Check if helper has notifications enabled for matches
-        const { shouldSend, email } = await shouldSendNotification(helperId, 'match');
-        
-        if (!shouldSend) {
-            console.log(`[Notification] User ${helperId} has disabled match notifications`);
-            return res.json({ message: 'Notification disabled by user preferences' });
-        }
-        
-        const targetEmail = email || helperEmail;
-        console.log(`[Notification] Sending match notification to ${targetEmail}`);
-        
-        const result = await emailService.sendMatchNotification(targetEmail, {
-            seniorName,
-            requestTitle,
-            requestDescription: req.body.requestDescription || '',
-            matchDate: new Date(),
-            requestId,
-            helperName,
-            category,
-            urgency
-        });
-
-        res.json({ message: 'Match notification sent', messageId: result.messageId });
+        res.json(await sendMatchEmail(req.body));
     } catch (error) {
         console.error('[Notification] Error sending match notification:', error);
         res.status(500).json({ error: 'Internal server error', details: error.message });
     }
 });
 
-// Endpoint to send instant match notification (called by matching-service)
+// Endpoint to send instant match notification
 app.post('/notify/instant-match', async (req, res) => {
     try {
-        const { helperId, helperEmail, helperName, helperRole, requestTitle, requestDescription, seniorName, category, urgency, requestId } = req.body;
-        
-        if (!helperId || (!helperEmail && !helperId)) {
+        if (!req.body.helperId) {
             return res.status(400).json({ error: 'Missing helperId or helperEmail' });
         }
 
-        // Check if helper has notifications enabled for matches
-        const { shouldSend, email } = await shouldSendNotification(helperId, 'match');
-        
-        if (!shouldSend) {
-            console.log(`[Notification] User ${helperId} has disabled instant match notifications`);
-            return res.json({ message: 'Notification disabled by user preferences' });
-        }
-        
-        const targetEmail = email || helperEmail;
-        console.log(`[Notification] Sending instant match notification to ${targetEmail}`);
-        
-        const result = await emailService.sendInstantMatchNotification(targetEmail, {
-            seniorName,
-            requestTitle,
-            requestDescription: requestDescription || '',
-            matchDate: new Date(),
-            requestId,
-            helperRole,
-            category,
-            urgency
-        });
-
-        res.json({ message: 'Instant match notification sent', messageId: result.messageId });
+        res.json(await sendInstantMatchEmail(req.body));
     } catch (error) {
         console.error('[Notification] Error sending instant match notification:', error);
         res.status(500).json({ error: 'Internal server error', details: error.message });
     }
 });
 
-// Endpoint to send senior match notification (called by request-service or matching-service)
+// Endpoint to send senior match notification
 app.post('/notify/senior-match', async (req, res) => {
     try {
-        const { seniorId, seniorEmail, seniorName, helperName, helperRole, requestTitle, requestDescription, category, urgency, requestId } = req.body;
-        
-        if (!seniorId || (!seniorEmail && !seniorId)) {
-            return res.status(400).json({ error: 'Missing seniorId or seniorEmail' });
-        }
-
-        // Check if senior has notifications enabled for matches
-        const { shouldSend, email } = await shouldSendNotification(seniorId, 'match');
-        
-        if (!shouldSend) {
-            console.log(`[Notification] User ${seniorId} has disabled senior match notifications`);
-            return res.json({ message: 'Notification disabled by user preferences' });
+        if (!req.body.seniorId) {
+            return res.status(400).json({ error: 'Missing seniorId' });
         }
-        
-        const targetEmail = email || seniorEmail;
-        console.log(`[Notification] Sending senior match notification to ${targetEmail}`);
-        
-        const result = await emailService.sendSeniorMatchNotification(targetEmail, {
-            seniorName,
-            helperName,
-            helperRole,
-            requestTitle,
-            requestDescription: requestDescription || '',
-            category,
-            urgency,
-            requestId
-        });
 
-        res.json({ message: 'Senior match notification sent', messageId: result.messageId });
+        res.json(await sendSeniorMatchEmail(req.body));
     } catch (error) {
         console.error('[Notification] Error sending senior match notification:', error);
         res.status(500).json({ error: 'Internal server error', details: error.message });
@@ -328,39 +962,404 @@ app.post('/notify/senior-match', async (req, res) => {
 // Endpoint to send status update notification
 app.post('/notify/status-update', async (req, res) => {
     try {
-        const { userId, email, userName, requestTitle, oldStatus, newStatus, requestId } = req.body;
-        
-        if (!userId || (!email && !userId)) {
+        if (!req.body.userId) {
             return res.status(400).json({ error: 'Missing userId or email' });
         }
 
-        // Check if user has notifications enabled for status updates
-        const { shouldSend, email: prefEmail } = await shouldSendNotification(userId, 'status_update');
-        
-        if (!shouldSend) {
-            console.log(`[Notification] User ${userId} has disabled status update notifications`);
-            return res.json({ message: 'Notification disabled by user preferences' });
+        res.json(await sendStatusUpdateEmail(req.body));
+    } catch (error) {
+        console.error('[Notification] Error sending status update notification:', error);
+        res.status(500).json({ error: 'Internal server error', details: error.message });
+    }
+});
+
+// Endpoint to send panic alerts to nearby helpers
+app.post('/notify/panic', async (req, res) => {
+    try {
+        const { requestId, helpers } = req.body;
+
+        if (!requestId || !Array.isArray(helpers)) {
+            return res.status(400).json({ error: 'Missing requestId or helpers' });
         }
-        
-        const targetEmail = prefEmail || email;
-        console.log(`[Notification] Sending status update notification to ${targetEmail}`);
-        
-        const result = await emailService.sendStatusUpdateNotification(targetEmail, {
-            requestTitle,
-            oldStatus,
-            newStatus,
-            updatedBy: userName
-        });
 
-        res.json({ message: 'Status update notification sent', messageId: result.messageId });
+        res.json(await sendPanicAlerts(req.body));
     } catch (error) {
-        console.error('[Notification] Error sending status update notification:', error);
+        console.error('[Notification] Error sending panic alerts:', error);
         res.status(500).json({ error: 'Internal server error', details: error.message });
     }
 });
 
+// ============= DOMAIN EVENTS =============
+// Other services publish what happened; this service decides who hears about it,
+// in the inbox and by email.
+// The queue is durable, so events published while this service is down are
+// delivered once it is back.
+
+async function getUser(userId) {
+    const result = await db.query(
+        `SELECT id, CONCAT(firstname, ' ', lastname) AS name, email, role FROM users WHERE id = $1`,
+        [userId]
+    );
+    return result.rows[0] || null;
+}
+
+// Contact details and channel preferences for mandatory messages, which skip shouldSendNotification
+async function getRecipients(userIds) {
+    const result = await db.query(
+        `SELECT u.id, CONCAT(u.firstname, ' ', u.lastname) AS name, COALESCE(p.email, u.email) AS email, u.phone,
+                p.locale, p.urgent_channel, p.sms_enabled, p.chat_enabled
+         FROM users u
+         LEFT JOIN notification_preferences p ON p.user_id = u.id
+         WHERE u.id = ANY($1::int[])`,
+        [userIds]
+    );
+    return result.rows;
+}
+
+// Caregivers with an active link to the senior, with the same details as getRecipients
+async function getCaregivers(seniorId) {
+    const result = await db.query(
+        `SELECT u.id, CONCAT(u.firstname, ' ', u.lastname) AS name, COALESCE(p.email, u.email) AS email, u.phone,
+                p.locale, p.urgent_channel, p.sms_enabled, p.chat_enabled
+         FROM caregiver_links l
+         JOIN users u ON u.id = l.caregiver_id
+         LEFT JOIN notification_preferences p ON p.user_id = u.id
+         WHERE l.senior_id = $1 AND l.status = 'active' AND u.is_active = TRUE`,
+        [seniorId]
+    );
+    return result.rows;
+}
+
+/**
+ * Run an event handler at most once per event id. Events are delivered at
+ * least once, and a redelivery must not email anyone twice.
+ */
+function once(handler) {
+    return async (event) => {
+        const seen = await db.query(
+            `SELECT 1 FROM processed_events WHERE consumer = 'notification-service' AND event_id = $1`,
+            [event.event_id]
+        );
+        if (seen.rowCount > 0) {
+            console.log(`[Notification] Skipping already handled event ${event.event_id} (${event.type})`);
+            return;
+        }
+
+        await handler(event.data, event);
+
+        await db.query(
+            `INSERT INTO processed_events (consumer, event_id) VALUES ('notification-service', $1)
+             ON CONFLICT DO NOTHING`,
+            [event.event_id]
+        );
+    };
+}
+
+async function handleOfferMade(data, event) {
+    const [senior, helper] = await Promise.all([getUser(data.senior_id), getUser(data.helper_id)]);
+    if (!senior || !helper) return;
+
+    await createInboxNotification(senior.id, {
+        type: 'offer',
+        title: `New offer for "${data.request_title}"`,
+        message: `${helper.name} has offered to help.`,
+        requestId: data.request_id,
+        eventId: event.event_id
+    });
+
+    await sendOfferEmail({
+        seniorId: senior.id,
+        seniorEmail: senior.email,
+        seniorName: senior.name,
+        requestTitle: data.request_title,
+        helperName: helper.name,
+        helperRole: helper.role,
+        requestId: data.request_id
+    });
+}
+
+// Responses and replies go to the inbox, and into the digest for users who get
+// one; they are too frequent for an email each
+async function notifyConversation(userId, type, { title, message, requestId, eventId }) {
+    await createInboxNotification(userId, { type, title, message, requestId, eventId });
+
+    const { shouldSend, delivery } = await shouldSendNotification(userId, type);
+    if (shouldSend && delivery && delivery.frequency !== 'instant') {
+        await holdForDigest(userId, type, delivery, { title, summary: message, requestId });
+    }
+}
+
+async function handleResponseCreated(data, event) {
+    if (data.responder_id === data.senior_id) return;
+
+    const responder = await getUser(data.responder_id);
+    if (!responder) return;
+
+    await notifyConversation(data.senior_id, 'response', {
+        title: `New response on "${data.request_title}"`,
+        message: `${responder.name} responded to your request.`,
+        requestId: data.request_id,
+        eventId: event.event_id
+    });
+}
+
+async function handleResponseReplied(data, event) {
+    if (data.replier_id === data.recipient_id) return;
+
+    const replier = await getUser(data.replier_id);
+    if (!replier) return;
+
+    await notifyConversation(data.recipient_id, 'reply', {
+        title: `New reply on "${data.request_title}"`,
+        message: `${replier.name} replied to your response.`,
+        requestId: data.request_id,
+        eventId: event.event_id
+    });
+}
+
+// Inbox wording per match type; standing matches are covered by standing_assignment.started
+const MATCH_INBOX_MESSAGES = {
+    instant: (senior) => `You have been matched to help ${senior.name}.`,
+    manual: (senior) => `You have been matched to help ${senior.name}.`,
+    offer: (senior) => `${senior.name} accepted your offer to help.`
+};
+
+async function handleMatchCreated(data, event) {
+    const [senior, helper, request] = await Promise.all([
+        getUser(data.senior_id),
+        getUser(data.helper_id),
+        db.query('SELECT description FROM requests WHERE id = $1', [data.request_id])
+    ]);
+    if (!senior || !helper) return;
+
+    if (data.match_type === 'panic') {
+        await createInboxNotification(senior.id, {
+            type: 'panic',
+            title: 'Help is on the way',
+            message: `${helper.name} has acknowledged your emergency and is coming to help.`,
+            requestId: data.request_id,
+            eventId: event.event_id,
+            mandatory: true
+        });
+
+        const [recipient] = await getRecipients([senior.id]);
+        const channel = channels.urgentChannelFor(recipient);
+        await queueMessage({
+            userId: senior.id,
+            channel,
+            recipient: channel === 'email' ? recipient.email : recipient.phone,
+            template: 'panic-acknowledged',
+            data: panicAcknowledgedView({
+                seniorName: senior.name,
+                helperName: helper.name,
+                requestId: data.request_id,
+                locale: recipient.locale
+            }),
+            label: 'Panic acknowledgement'
+        });
+
+        const panic = await db.query(
+            `SELECT r.emergency_type, r.description, COALESCE(r.panic_location, u.address) AS location
+             FROM requests r JOIN users u ON u.id = r.user_id
+             WHERE r.id = $1`,
+            [data.request_id]
+        );
+        await notifyCaregiversOfPanic(senior.id, {
+            stage: 'acknowledged',
+            seniorName: senior.name,
+            emergencyType: panic.rows[0]?.emergency_type,
+            description: panic.rows[0]?.description,
+            location: panic.rows[0]?.location,
+            helperName: helper.name,
+            requestId: data.request_id,
+            eventId: event.event_id
+        });
+        return;
+    }
+
+    const helperMessage = MATCH_INBOX_MESSAGES[data.match_type];
+    if (!helperMessage) return;
+
+    await createInboxNotification(helper.id, {
+        type: 'match',
+        title: `New match: "${data.request_title}"`,
+        message: helperMessage(senior),
+        requestId: data.request_id,
+        eventId: event.event_id
+    });
+    await createInboxNotification(senior.id, {
+        type: 'match',
+        title: `Helper found for "${data.request_title}"`,
+        message: `${helper.name} will help you with this request.`,
+        requestId: data.request_id,
+        eventId: event.event_id
+    });
+
+    // Only matches someone has to act on right away are also emailed
+    if (!['instant', 'offer'].includes(data.match_type)) return;
+
+    const details = {
+        requestTitle: data.request_title,
+        requestDescription: request.rows[0]?.description || '',
+        category: data.category,
+        urgency: data.urgency,
+        requestId: data.request_id
+    };
+
+    const helperEmail = data.match_type === 'instant' ? sendInstantMatchEmail : sendMatchEmail;
+    await helperEmail({
+        helperId: helper.id,
+        helperEmail: helper.email,
+        helperName: helper.name,
+        helperRole: helper.role,
+        seniorName: senior.name,
+        ...details
+    });
+
+    await sendSeniorMatchEmail({
+        seniorId: senior.id,
+        seniorEmail: senior.email,
+        seniorName: senior.name,
+        helperName: helper.name,
+        helperRole: helper.role,
+        urgent: data.match_type === 'instant',
+        ...details
+    });
+}
+
+// Panic alerts ignore notification preferences, in the inbox as on every other channel
+async function handlePanicEscalated(data, event) {
+    const helpers = await getRecipients(data.helper_ids);
+
+    for (const helper of helpers) {
+        await createInboxNotification(helper.id, {
+            type: 'panic',
+            title: `🚨 Emergency near you: ${data.senior_name}`,
+            message: `${data.senior_name} pressed the panic button (${data.emergency_type}). ${data.description}`,
+            requestId: data.request_id,
+            eventId: event.event_id,
+            mandatory: true
+        });
+    }
+
+    await sendPanicAlerts({
+        requestId: data.request_id,
+        seniorName: data.senior_name,
+        emergencyType: data.emergency_type,
+        description: data.description,
+        location: data.location,
+        step: data.step,
+        helpers
+    });
+
+    // The first step can skip empty inner rings, so only an earlier step means the alert was widened
+    const earlier = await db.query(
+        `SELECT 1 FROM panic_escalations WHERE request_id = $1 AND step < $2 LIMIT 1`,
+        [data.request_id, data.step]
+    );
+    await notifyCaregiversOfPanic(data.senior_id, {
+        stage: earlier.rowCount > 0 ? 'escalated' : 'raised',
+        seniorName: data.senior_name,
+        emergencyType: data.emergency_type,
+        description: data.description,
+        location: data.location,
+        helpersAlerted: helpers.length,
+        requestId: data.request_id,
+        eventId: event.event_id
+    });
+}
+
+async function handleMatchCancelled(data, event) {
+    const notices = {
+        occurrence_skipped: {
+            title: 'Occurrence skipped',
+            message: `"${data.request_title}" on ${data.occurrence_date} has been skipped by the senior. You don't need to go.`
+        },
+        series_cancelled: {
+            title: 'Recurring request cancelled',
+            message: `The senior has cancelled "${data.request_title}". Upcoming visits are no longer needed.`
+        }
+    };
+    const notice = notices[data.reason] || {
+        title: 'Match cancelled',
+        message: `Your match for "${data.request_title}" has been cancelled.`
+    };
+
+    await createInboxNotification(data.helper_id, {
+        type: 'status_update',
+        ...notice,
+        requestId: data.request_id,
+        eventId: event.event_id
+    });
+}
+
+async function handleStandingAssignmentInvited(data, event) {
+    const senior = await getUser(data.senior_id);
+    if (!senior) return;
+
+    await createInboxNotification(data.helper_id, {
+        type: 'match',
+        title: 'Standing assignment invitation',
+        message: `${senior.name} asked you to help with "${data.series_title}" every time it comes up. Accept or decline it from the recurring request.`,
+        eventId: event.event_id
+    });
+}
+
+async function handleStandingAssignmentDeclined(data, event) {
+    const helper = await getUser(data.helper_id);
+    if (!helper) return;
+
+    await createInboxNotification(data.senior_id, {
+        type: 'status_update',
+        title: 'Standing assignment declined',
+        message: `${helper.name} cannot take on "${data.series_title}". Its visits are matched one at a time as before.`,
+        eventId: event.event_id
+    });
+}
+
+async function handleStandingAssignmentStarted(data, event) {
+    const helper = await getUser(data.helper_id);
+    if (!helper) return;
+
+    await createInboxNotification(data.senior_id, {
+        type: 'match',
+        title: 'Standing assignment',
+        message: `${helper.name} now helps with "${data.series_title}" every time it comes up. ${data.occurrence_count} upcoming visit(s) are theirs.`,
+        eventId: event.event_id
+    });
+}
+
+async function handleStandingAssignmentEnded(data, event) {
+    // Let the other side know the arrangement has ended
+    const userId = data.ended_by === data.helper_id ? data.senior_id : data.helper_id;
+
+    await createInboxNotification(userId, {
+        type: 'status_update',
+        title: 'Standing assignment ended',
+        message: `The standing assignment for "${data.series_title}" has ended. ${data.occurrence_count} upcoming visit(s) will be matched again.`,
+        eventId: event.event_id
+    });
+}
+
+eventBus.subscribe('notification-service.events', {
+    'offer.made.v1': once(handleOfferMade),
+    'response.created.v1': once(handleResponseCreated),
+    'response.replied.v1': once(handleResponseReplied),
+    'match.created.v1': once(handleMatchCreated),
+    'match.cancelled.v1': once(handleMatchCancelled),
+    'panic.escalated.v1': once(handlePanicEscalated),
+    'standing_assignment.invited.v1': once(handleStandingAssignmentInvited),
+    'standing_assignment.declined.v1': once(handleStandingAssignmentDeclined),
+    'standing_assignment.started.v1': once(handleStandingAssignmentStarted),
+    'standing_assignment.ended.v1': once(handleStandingAssignmentEnded)
+});
+
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
     console.log(`[Notification] Service running on port ${PORT}`);
     console.log(`[Notification] SMTP Email: ${emailService.enabled ? 'ENABLED' : 'DISABLED'}`);
+    deliveries.start();
+    startDigestScheduler(db, deliveries);
+    checkSmtpConnection();
+    setInterval(checkSmtpConnection, SMTP_VERIFY_INTERVAL_MS);
 });
\ No newline at end of file
@@ -0,0 +1,139 @@
+// Template data for the messages that go out on every channel (email, SMS, chat),
+// so each channel renders the same values
+
+const roleLabel = (role) => (role === 'caregiver' ? 'Caregiver' : 'Volunteer');
+const requestUrl = (requestId) => `${process.env.FRONTEND_URL || 'http://localhost:8080'}/request-details.html?id=${requestId}`;
+
+function offerView({ seniorName, helperName, helperRole, helperRating, requestTitle, requestId, locale }) {
+    return {
+        locale,
+        seniorName,
+        helperName,
+        requestTitle,
+        roleLabel: roleLabel(helperRole),
+        ratingDisplay: helperRating ? `${parseFloat(helperRating).toFixed(1)}/5.0` : 'No rating yet',
+        requestUrl: requestUrl(requestId)
+    };
+}
+
+// Shared by the helper-facing match messages
+function helperMatchView({ helperName, seniorName, requestTitle, category, urgency, requestId, locale }) {
+    return {
+        locale,
+        helperName,
+        seniorName,
+        requestTitle,
+        category: category || 'N/A',
+        urgency: urgency || 'N/A',
+        requestUrl: requestUrl(requestId)
+    };
+}
+
+function seniorMatchView({ seniorName, helperName, helperRole, requestTitle, category, urgency, requestId, locale }) {
+    const label = roleLabel(helperRole);
+    return {
+        locale,
+        seniorName,
+        helperName,
+        requestTitle,
+        roleLabel: label,
+        roleLabelLower: label.toLowerCase(),
+        category: category || 'N/A',
+        urgency: urgency || 'N/A',
+        requestUrl: requestUrl(requestId)
+    };
+}
+
+function caregiverMatchView({ caregiverName, seniorName, helperName, helperRole, requestTitle, category, urgency, requestId, locale }) {
+    return {
+        locale,
+        caregiverName,
+        seniorName,
+        helperName,
+        requestTitle,
+        roleLabel: roleLabel(helperRole),
+        category: category || 'N/A',
+        urgency: urgency || 'N/A',
+        requestUrl: requestUrl(requestId)
+    };
+}
+
+function statusUpdateView({ requestTitle, oldStatus, newStatus, updatedBy, requestId, locale }) {
+    return {
+        locale,
+        requestTitle,
+        oldStatus,
+        newStatus,
+        updatedBy,
+        requestUrl: requestUrl(requestId)
+    };
+}
+
+function panicAlertView({ helperName, seniorName, emergencyType, description, location, requestId, locale }) {
+    return {
+        locale,
+        helperName,
+        seniorName,
+        emergencyType,
+        description,
+        location: location || 'Not specified',
+        requestUrl: requestUrl(requestId)
+    };
+}
+
+function panicAcknowledgedView({ seniorName, helperName, requestId, locale }) {
+    return {
+        locale,
+        seniorName,
+        helperName,
+        requestUrl: requestUrl(requestId)
+    };
+}
+
+// stage is 'raised', 'escalated' or 'acknowledged'
+function caregiverPanicView({ caregiverName, seniorName, stage, emergencyType, description, location, helpersAlerted, helperName, requestId, locale }) {
+    return {
+        locale,
+        caregiverName,
+        seniorName,
+        raised: stage === 'raised',
+        escalated: stage === 'escalated',
+        acknowledged: stage === 'acknowledged',
+        emergencyType: emergencyType || 'Not specified',
+        description: description || '',
+        location: location || 'Not specified',
+        helpersAlerted: helpersAlerted || 0,
+        helperName: helperName || '',
+        requestUrl: requestUrl(requestId)
+    };
+}
+
+// kind is 'daily', 'weekly' or 'quiet' (items held during quiet hours)
+function digestView({ recipientName, kind, items, locale }) {
+    return {
+        locale,
+        recipientName,
+        daily: kind === 'daily',
+        weekly: kind === 'weekly',
+        count: items.length,
+        items: items.map(item => ({
+            title: item.title,
+            summary: item.summary || '',
+            requestUrl: item.requestId ? requestUrl(item.requestId) : null
+        }))
+    };
+}
+
+module.exports = {
+    roleLabel,
+    requestUrl,
+    offerView,
+    helperMatchView,
+    seniorMatchView,
+    caregiverMatchView,
+    statusUpdateView,
+    panicAlertView,
+    panicAcknowledgedView,
+    caregiverPanicView,
+    digestView
+};
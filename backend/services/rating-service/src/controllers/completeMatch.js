@@ -1,4 +1,5 @@
 const db = require('../db');
+const eventBus = require('../events');
 
 /**
  * Complete a match and trigger rating prompt
@@ -14,7 +15,7 @@ const completeMatch = async (req, res) => {
 
     // 1. Verify the match exists and user is authorized with row lock
     const matchQuery = await client.query(
-      `SELECT m.id, m.helper_id, m.status, r.user_id as senior_id, r.title
+      `SELECT m.id, m.request_id, m.helper_id, m.status, r.user_id as senior_id, r.title
        FROM matches m
        JOIN requests r ON m.request_id = r.id
        WHERE m.id = $1
@@ -57,6 +58,14 @@ const completeMatch = async (req, res) => {
 
     console.log(`✅ Match ${matchId} completed by user ${userId}`);
 
+    await eventBus.publishSafely('match.completed', {
+      match_id: match.id,
+      request_id: match.request_id,
+      senior_id: match.senior_id,
+      helper_id: match.helper_id,
+      completed_by: userId
+    });
+
     res.json({
       message: 'Match completed successfully',
       matchId: matchId,
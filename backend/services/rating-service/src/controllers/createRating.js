@@ -1,4 +1,6 @@
 const db = require('../db');
+const eventBus = require('../events');
+const delegation = require('../delegation');
 
 /**
  * Create a new rating
@@ -89,10 +91,24 @@ const createRating = async (req, res) => {
       [parseFloat(avg_rating).toFixed(2), match.helper_id]
     );
 
+    await delegation.record(req, 'rating.submitted', {
+      matchId: match.id,
+      details: { rating_id: insertRating.rows[0].id, helper_id: match.helper_id, score: insertRating.rows[0].score }
+    }, client);
+
     await client.query('COMMIT');
 
     console.log(`✅ Rating created: Helper ${match.helper_id} now has rating ${parseFloat(avg_rating).toFixed(2)}`);
 
+    await eventBus.publishSafely('rating.submitted', {
+      rating_id: insertRating.rows[0].id,
+      match_id: match.id,
+      rater_id: raterId,
+      ratee_id: match.helper_id,
+      score: insertRating.rows[0].score,
+      helper_rating: parseFloat(parseFloat(avg_rating).toFixed(2))
+    });
+
     res.status(201).json({
       message: 'Rating submitted successfully',
       rating: insertRating.rows[0],
@@ -63,6 +63,23 @@ const getHelperProfile = async (req, res) => {
       [helperId, 'completed']
     );
 
+    // 5. Get declared skills and current certifications
+    const skillsQuery = await db.query(
+      `SELECT category, proficiency
+       FROM helper_skills
+       WHERE user_id = $1
+       ORDER BY proficiency DESC, category`,
+      [helperId]
+    );
+
+    const certificationsQuery = await db.query(
+      `SELECT name, issued_by, expires_at
+       FROM helper_certifications
+       WHERE user_id = $1 AND (expires_at IS NULL OR expires_at >= CURRENT_DATE)
+       ORDER BY name`,
+      [helperId]
+    );
+
     res.json({
       helper: {
         id: helper.id,
@@ -70,7 +87,9 @@ const getHelperProfile = async (req, res) => {
         picture: helper.picture,
         role: helper.role_display,
         memberSince: helper.created_at,
-        completedTasks: parseInt(tasksQuery.rows[0].completed_tasks)
+        completedTasks: parseInt(tasksQuery.rows[0].completed_tasks),
+        skills: skillsQuery.rows,
+        certifications: certificationsQuery.rows
       },
       ratings: {
         average: parseFloat(stats.avg_rating || 5.0).toFixed(1),
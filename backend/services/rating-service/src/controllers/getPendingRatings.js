@@ -1,4 +1,5 @@
 const db = require('../db');
+const delegation = require('../delegation');
 
 /**
  * Get completed matches that haven't been rated yet
@@ -35,6 +36,7 @@ const getPendingRatings = async (req, res) => {
     );
     
     console.log('Query completed successfully. Found rows:', pendingQuery.rows.length);
+    await delegation.record(req, 'ratings.pending_viewed', { details: { count: pendingQuery.rows.length } });
     res.json({ pendingRatings: pendingQuery.rows });
 
   } catch (error) {
@@ -0,0 +1,5 @@
+const CaregiverDelegation = require('../shared/caregiver-delegation');
+const db = require('./db');
+
+// Linked caregivers rate helpers and list pending ratings with onBehalfOf
+module.exports = new CaregiverDelegation(db, 'rating-service');
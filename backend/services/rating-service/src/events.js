@@ -0,0 +1,4 @@
+const EventBus = require('../shared/event-bus');
+
+// Domain events published by rating-service (match.completed, rating.submitted)
+module.exports = new EventBus('rating-service');
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 
 const AuthMiddleware = require('../../shared/auth-middleware');
+const delegation = require('../delegation');
 
 // Import individual controller functions
 const createRating = require('../controllers/createRating');
@@ -28,7 +29,7 @@ router.get('/helper-profile/:helperId', authMiddleware.authenticateToken, getHel
 // Protected endpoints (require authentication)
 // ==================
 // Submit a new rating
-router.post('/', authMiddleware.authenticateToken, createRating);
+router.post('/', authMiddleware.authenticateToken, delegation.actOnBehalf, createRating);
 
 // Complete a match (triggers rating prompt)
 router.post('/complete-match/:matchId', authMiddleware.authenticateToken, completeMatch);
@@ -43,6 +44,6 @@ router.put('/:ratingId', authMiddleware.authenticateToken, updateRating);
 router.delete('/:ratingId', authMiddleware.authenticateToken, deleteRating);
 
 // Get completed matches that haven't been rated yet
-router.get('/pending-ratings', authMiddleware.authenticateToken, getPendingRatings);
+router.get('/pending-ratings', authMiddleware.authenticateToken, delegation.actOnBehalf, getPendingRatings);
 
 module.exports = router;
\ No newline at end of file
@@ -4,16 +4,43 @@ const express = require('express');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
 const db = require('./db');
-const { connectQueue, getChannel, publishMessage, consumeQueue } = require("./queue");
+const { connectQueue, getChannel } = require("./queue");
+const {
+    enqueueRequestCreated,
+    enqueueRequestCreatedEvent,
+    enqueueMatchCreatedEvent,
+    enqueueDomainEvent,
+    flushOutbox,
+    startOutboxRelay
+} = require("./outbox");
 const axios = require("axios");
+const { parsePreferredWindow } = require("./time-window");
+const {
+    SERIES_COLUMNS,
+    parseRecurrenceRule,
+    isOccurrenceDate,
+    isValidDate,
+    today,
+    loadSeries,
+    generateOccurrences,
+    enqueueOccurrences,
+    cancelActiveMatches,
+    releaseStandingHelper,
+    assignStandingHelper,
+    startOccurrenceScheduler
+} = require("./recurrence");
 const client = require('prom-client');
 client.collectDefaultMetrics();
 
 // Import authentication middleware
 const AuthMiddleware = require('/app/shared/auth-middleware');
+const ServiceAuth = require('/app/shared/service-auth');
+const CaregiverDelegation = require('/app/shared/caregiver-delegation');
 
 const app = express();
 const authMiddleware = new AuthMiddleware(process.env.AUTH_SERVICE_URL);
+// Linked caregivers can post, list requests and accept offers with onBehalfOf
+const delegation = new CaregiverDelegation(db, 'request-service');
 
 // Middleware setup
 // Allow multiple origins for local development and production
@@ -81,6 +108,16 @@ app.get('/info', (req, res) => {
         endpoints: [
             "POST /postRequest - Create a new community request",
             "POST /panicRequest - Create an urgent/panic request",
+            "GET /panicRequest/:id - Get panic request escalation steps",
+            "POST /panicRequest/:id/acknowledge - Acknowledge a panic request as a helper",
+            "GET /series - Get user's recurring requests",
+            "GET /series/:id - Get a recurring request and its occurrences",
+            "POST /series/:id/skip - Skip one occurrence",
+            "POST /series/:id/cancel - Cancel the whole series",
+            "PUT /series/:id/standing-helper - Ask a helper to take every occurrence",
+            "POST /series/:id/standing-helper/accept - Accept a standing helper invitation",
+            "POST /series/:id/standing-helper/decline - Decline a standing helper invitation",
+            "DELETE /series/:id/standing-helper - End the standing assignment or withdraw the invitation",
             "GET /requests - Get user's requests",
             "GET /requests/:id - Get specific request details"
         ]
@@ -88,9 +125,9 @@ app.get('/info', (req, res) => {
 });
 
 // Protected endpoints - require authentication
-app.post('/postRequest', authMiddleware.authenticateToken, async (req, res) => {
+app.post('/postRequest', authMiddleware.authenticateToken, delegation.actOnBehalf, async (req, res) => {
     try {
-        const { title, category, description, urgency, instantMatch } = req.body;
+        const { title, category, description, urgency, instantMatch, preferredStart, preferredEnd, recurrence } = req.body;
         const userId = req.user.id; // Get from authenticated user
 
         // Determine request status
@@ -104,19 +141,103 @@ app.post('/postRequest', authMiddleware.authenticateToken, async (req, res) => {
             });
         }
 
-        // Database insertion
-        const result = await db.query(
-            `INSERT INTO requests (user_id, title, category, description, urgency, status, created_at)
-             VALUES ($1, $2, $3, $4, $5, $6, NOW())
-             RETURNING id, user_id, title, category, description, urgency, status, created_at`,
-            [userId, title, category, description, urgency, status]
-        );
+        // Recurring requests become a series; each occurrence is its own request
+        if (recurrence) {
+            const parsed = parseRecurrenceRule(recurrence);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+
+            const { rule } = parsed;
+            const client = await db.connect();
+            let seriesId;
+            let occurrences;
+
+            try {
+                await client.query('BEGIN');
+
+                const inserted = await client.query(
+                    `INSERT INTO request_series (user_id, title, category, description, urgency, frequency, repeat_every,
+                                                 days_of_week, start_time, end_time, starts_on, ends_on, max_occurrences, instant_match)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+                     RETURNING id`,
+                    [
+                        userId, title, category, description, urgency, rule.frequency, rule.repeatEvery,
+                        rule.daysOfWeek, rule.startTime, rule.endTime, rule.startsOn, rule.endsOn,
+                        rule.maxOccurrences, !!instantMatch
+                    ]
+                );
+                seriesId = inserted.rows[0].id;
+
+                occurrences = await generateOccurrences(client, await loadSeries(client, seriesId));
+                await enqueueOccurrences(client, occurrences);
+                await delegation.record(req, 'request.posted', {
+                    requestId: occurrences[0]?.id || null,
+                    details: { title, series_id: seriesId }
+                }, client);
+
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw err;
+            } finally {
+                client.release();
+            }
+
+            messagesPublished.inc();
+            flushOutbox();
+
+            return res.json({
+                message: `Recurring request posted with ${occurrences.length} upcoming occurrence(s).`,
+                series: await loadSeries(db, seriesId),
+                occurrences,
+                request: occurrences[0] || null
+            });
+        }
+
+        // Optional preferred time window; only helpers free in it get matched
+        const preferredWindow = parsePreferredWindow(preferredStart, preferredEnd);
+        if (preferredWindow.error) {
+            return res.status(400).json({ error: preferredWindow.error });
+        }
+
+        // Database insertion, with the matching event in the same transaction so it cannot get lost
+        const client = await db.connect();
+        let newRequest;
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(
+                `INSERT INTO requests (user_id, title, category, description, urgency, status, preferred_start, preferred_end, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+                 RETURNING id, user_id, title, category, description, urgency, status, preferred_start, preferred_end, created_at`,
+                [userId, title, category, description, urgency, status, preferredWindow.start, preferredWindow.end]
+            );
+            newRequest = result.rows[0];
+
+            await enqueueRequestCreatedEvent(client, newRequest);
+            await delegation.record(req, 'request.posted', { requestId: newRequest.id, details: { title } }, client);
+
+            if (instantMatch) {
+                await enqueueRequestCreated(client, newRequest, {
+                    preferred_start: newRequest.preferred_start,
+                    preferred_end: newRequest.preferred_end,
+                    instantMatch: true
+                });
+            }
+
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
 
         // Count every created request (for Prometheus)
         messagesPublished.inc(); // count published messages
 
-        const newRequest = result.rows[0];
-
         // Call priority router for urgent or high-priority requests
         try {
             if (["urgent", "high"].includes(urgency)) {
@@ -139,25 +260,12 @@ app.post('/postRequest', authMiddleware.authenticateToken, async (req, res) => {
             console.error("Failed to trigger Priority Router:", err.message);
         }
 
-        // 2 Publish event to matching-service via RabbitMQ
+        // 2 Hand the events to the outbox relay (matching-service, subscribers of request.created)
+        flushOutbox();
         if (instantMatch) {
-            try {
-                await publishMessage("request_created", {
-                    id: result.rows[0].id,
-                    user_id: userId,
-                    title,
-                    category,
-                    description,
-                    urgency,
-                    instantMatch: true,
-                    status: 'matching',
-                });
-                console.log("[request-service] Sent message to queue: request_created (instant match)");
-            } catch (err) {
-                console.error("[request-service] Failed to publish message:", err);
-            }
+            console.log("[request-service] Queued request_created event (instant match)");
         } else {
-            console.log("🕓 [request-service] Skipped queue publish — normal post request.");
+            console.log("🕓 [request-service] Skipped matching queue — normal post request.");
         }
 
         res.json({
@@ -172,7 +280,7 @@ app.post('/postRequest', authMiddleware.authenticateToken, async (req, res) => {
     }
 });
 
-app.post('/panicRequest', authMiddleware.authenticateToken, (req, res) => {
+app.post('/panicRequest', authMiddleware.authenticateToken, async (req, res) => {
     try {
         const { description, location, emergency_type } = req.body;
         const userId = req.user.id;
@@ -183,30 +291,44 @@ app.post('/panicRequest', authMiddleware.authenticateToken, (req, res) => {
             });
         }
 
-        // Create high-priority panic request
-        const panicRequest = {
-            id: Math.floor(Math.random() * 10000), // Mock ID
-            userId: userId,
-            userEmail: req.user.email,
-            userName: req.user.name,
-            description,
-            location: location || 'Not specified',
-            emergency_type: emergency_type || 'general',
-            type: 'panic',
-            urgency: 'critical',
-            status: 'active',
-            createdAt: new Date().toISOString()
-        };
-
-        // Here you would typically:
-        // 1. Save to database with high priority
-        // 2. Trigger immediate notifications to nearby users
-        // 3. Alert emergency responders if configured
+        const emergencyType = emergency_type || 'general';
+
+        // Save with top urgency; matching-service handles the fan-out and escalation
+        const client = await db.connect();
+        let panicRequest;
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(
+                `INSERT INTO requests (user_id, title, category, description, urgency, status, is_panic, emergency_type, panic_location, created_at)
+                 VALUES ($1, $2, 'emergency', $3, 'urgent', 'matching', TRUE, $4, $5, NOW())
+                 RETURNING id, user_id, title, category, description, urgency, status, is_panic, emergency_type, panic_location, created_at`,
+                [userId, `Emergency: ${emergencyType}`, description, emergencyType, location || null]
+            );
+            panicRequest = result.rows[0];
+
+            await enqueueRequestCreatedEvent(client, panicRequest);
+            await enqueueRequestCreated(client, panicRequest, {
+                type: 'panic',
+                emergency_type: emergencyType
+            });
+
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        messagesPublished.inc();
+        flushOutbox();
+        console.log(`🚨 [request-service] Panic request ${panicRequest.id} sent for escalation`);
 
         res.json({
-            message: "Panic request received and being processed",
-            request: panicRequest,
-            alert: "Emergency services and nearby community members have been notified"
+            message: "Panic request received. Alerting helpers near you now.",
+            request: panicRequest
         });
     } catch (error) {
         console.error('Panic request error:', error);
@@ -214,6 +336,154 @@ app.post('/panicRequest', authMiddleware.authenticateToken, (req, res) => {
     }
 });
 
+// Get a panic request with every escalation step (senior, their caregivers via onBehalfOf, alerted helpers or admin)
+app.get('/panicRequest/:id', authMiddleware.authenticateToken, delegation.actOnBehalf, async (req, res) => {
+    try {
+        const requestId = req.params.id;
+        const userId = req.user.id;
+
+        const request = await db.query(
+            `SELECT r.*, CONCAT(u.firstname, ' ', u.lastname) AS requester_name
+             FROM requests r
+             JOIN users u ON r.user_id = u.id
+             WHERE r.id = $1 AND r.is_panic = TRUE`,
+            [requestId]
+        );
+
+        if (request.rowCount === 0) {
+            return res.status(404).json({ error: 'Panic request not found' });
+        }
+
+        const escalations = await db.query(
+            `SELECT pe.id, pe.step, pe.radius_km, pe.status, pe.created_at, pe.escalate_at,
+                    pe.notified_helper_ids,
+                    cardinality(pe.notified_helper_ids) AS helpers_notified,
+                    pe.acknowledged_by, pe.acknowledged_at,
+                    CONCAT(a.firstname, ' ', a.lastname) AS acknowledged_by_name,
+                    a.role AS acknowledged_by_role
+             FROM panic_escalations pe
+             LEFT JOIN users a ON pe.acknowledged_by = a.id
+             WHERE pe.request_id = $1
+             ORDER BY pe.step ASC`,
+            [requestId]
+        );
+
+        const wasAlerted = escalations.rows.some(e => e.notified_helper_ids.includes(userId));
+        if (request.rows[0].user_id !== userId && req.user.role !== 'admin' && !wasAlerted) {
+            return res.status(403).json({ error: 'You are not allowed to view this panic request' });
+        }
+
+        await delegation.record(req, 'panic.viewed', { requestId: request.rows[0].id });
+
+        res.json({
+            request: request.rows[0],
+            // Who exactly was alerted stays private; the count is enough to show progress
+            escalations: escalations.rows.map(({ notified_helper_ids, ...step }) => step)
+        });
+    } catch (error) {
+        console.error('Get panic request error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Alerted helper acknowledges a panic request and takes it on
+app.post('/panicRequest/:id/acknowledge', authMiddleware.authenticateToken, async (req, res) => {
+    const client = await db.connect();
+    try {
+        const requestId = req.params.id;
+        const helperId = req.user.id;
+        const userRole = req.user.role;
+
+        if (!["volunteer", "caregiver", "admin"].includes(userRole)) {
+            return res.status(403).json({ error: "Only helpers can acknowledge panic requests." });
+        }
+
+        await client.query('BEGIN');
+
+        const reqCheck = await client.query(
+            `SELECT r.id, r.user_id, r.status, r.title, r.description, r.emergency_type, r.panic_location,
+                    CONCAT(u.firstname, ' ', u.lastname) AS senior_name,
+                    u.address AS senior_address
+             FROM requests r
+             JOIN users u ON r.user_id = u.id
+             WHERE r.id = $1 AND r.is_panic = TRUE
+             FOR UPDATE OF r`,
+            [requestId]
+        );
+
+        if (reqCheck.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: "Panic request not found." });
+        }
+
+        const panicRequest = reqCheck.rows[0];
+
+        if (panicRequest.status !== 'matching') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: "Another helper has already acknowledged this emergency." });
+        }
+
+        // Latest step this helper was alerted in (admins may step in without an alert)
+        const step = await client.query(
+            `SELECT id, step FROM panic_escalations
+             WHERE request_id = $1 AND ($2 = ANY(notified_helper_ids) OR $3)
+             ORDER BY step DESC
+             LIMIT 1
+             FOR UPDATE`,
+            [requestId, helperId, userRole === 'admin']
+        );
+
+        if (step.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: "You were not alerted for this emergency." });
+        }
+
+        await client.query(
+            `UPDATE panic_escalations
+             SET status = 'acknowledged', acknowledged_by = $1, acknowledged_at = NOW()
+             WHERE id = $2`,
+            [helperId, step.rows[0].id]
+        );
+
+        const match = await client.query(
+            `INSERT INTO matches (request_id, helper_id, matched_at, status)
+             VALUES ($1, $2, NOW(), 'active')
+             RETURNING *`,
+            [requestId, helperId]
+        );
+
+        await client.query(`UPDATE requests SET status = 'matched' WHERE id = $1`, [requestId]);
+
+        await enqueueMatchCreatedEvent(client, {
+            matchId: match.rows[0].id,
+            request: { id: panicRequest.id, user_id: panicRequest.user_id, title: panicRequest.title, category: 'emergency', urgency: 'urgent' },
+            helperId,
+            matchType: 'panic'
+        });
+
+        await client.query('COMMIT');
+        flushOutbox();
+
+        res.json({
+            message: "Emergency acknowledged. Please head to the senior now.",
+            match: match.rows[0],
+            senior: {
+                name: panicRequest.senior_name,
+                address: panicRequest.senior_address,
+                location: panicRequest.panic_location,
+                emergency_type: panicRequest.emergency_type,
+                description: panicRequest.description
+            }
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error("Acknowledge panic request error:", error);
+        res.status(500).json({ error: "Internal server error" });
+    } finally {
+        client.release();
+    }
+});
+
 // Get all community requests (everyone can see)
 app.get('/requests/all', authMiddleware.authenticateToken, async (req, res) => {
     try {
@@ -221,6 +491,7 @@ app.get('/requests/all', authMiddleware.authenticateToken, async (req, res) => {
             ` SELECT r.*, 
          CONCAT(u.firstname, ' ', u.lastname) AS requester_name, 
          u.role AS requester_role,
+         u.location AS requester_location,
          COALESCE(
            (SELECT COUNT(*) FROM offers o WHERE o.request_id = r.id),
            0
@@ -265,7 +536,7 @@ LIMIT 3`
 });
 
 // Get user's requests only
-app.get('/requests', authMiddleware.authenticateToken, async (req, res) => {
+app.get('/requests', authMiddleware.authenticateToken, delegation.actOnBehalf, async (req, res) => {
     try {
         const userId = req.user.id;
 
@@ -284,6 +555,8 @@ app.get('/requests', authMiddleware.authenticateToken, async (req, res) => {
             [userId]
         );
 
+        await delegation.record(req, 'requests.viewed');
+
         res.json({
             requests: results.rows,
             total: results.rowCount
@@ -351,6 +624,7 @@ app.get('/requests/:id', authMiddleware.authenticateToken, async (req, res) => {
 
 // Respond to a request
 app.post('/requests/:id/respond', authMiddleware.authenticateToken, async (req, res) => {
+    const client = await db.connect();
     try {
         const userId = req.user.id;
         const userRole = req.user.role;
@@ -367,18 +641,44 @@ app.post('/requests/:id/respond', authMiddleware.authenticateToken, async (req,
             return res.status(400).json({ error: 'Response message is required' });
         }
 
+        const request = await client.query("SELECT user_id, title FROM requests WHERE id = $1", [requestId]);
+        if (request.rowCount === 0) {
+            return res.status(404).json({ error: 'Request not found' });
+        }
+
+        await client.query('BEGIN');
+
         // Save response in DB
-        const result = await db.query(
+        const result = await client.query(
             `INSERT INTO responses (request_id, user_id, message, created_at)
        VALUES ($1, $2, $3, NOW())
        RETURNING id, request_id, user_id, message, created_at`,
             [requestId, userId, message]
         );
 
+        // Notification-service tells the senior when it picks up response.created
+        await enqueueDomainEvent(client, 'response.created', {
+            aggregateType: 'response',
+            aggregateId: result.rows[0].id,
+            data: {
+                response_id: result.rows[0].id,
+                request_id: result.rows[0].request_id,
+                request_title: request.rows[0].title,
+                senior_id: request.rows[0].user_id,
+                responder_id: userId
+            }
+        });
+
+        await client.query('COMMIT');
+        flushOutbox();
+
         res.json({ message: 'Response added successfully', response: result.rows[0] });
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Respond to request error:', error);
         res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        client.release();
     }
 });
 
@@ -400,7 +700,7 @@ app.post("/requests/:id/offer", authMiddleware.authenticateToken, async (req, re
 
         // Check request validity with row lock
         const reqCheck = await client.query(
-            "SELECT status FROM requests WHERE id = $1 FOR UPDATE",
+            "SELECT status, user_id, title FROM requests WHERE id = $1 FOR UPDATE",
             [requestId]
         );
 
@@ -433,50 +733,21 @@ app.post("/requests/:id/offer", authMiddleware.authenticateToken, async (req, re
             [requestId, helperId]
         );
 
-        await client.query('COMMIT');
-
-        // Send email notification to senior, if someone offer a match
-        try {
-            const requestInfo = await db.query(
-                `SELECT r.title, r.user_id, u.email, CONCAT(u.firstname, ' ', u.lastname) AS senior_name
-                 FROM requests r
-                 JOIN users u ON r.user_id = u.id
-                 WHERE r.id = $1`,
-                [requestId]
-            );
-
-            const helperInfo = await db.query(
-                `SELECT CONCAT(firstname, ' ', lastname) AS name, role, rating FROM users WHERE id = $1`,
-                [helperId]
-            );
-
-            if (requestInfo.rowCount > 0 && helperInfo.rowCount > 0) {
-                const { title, user_id: seniorId, email: seniorEmail, senior_name } = requestInfo.rows[0];
-                const { name: helperName, role: helperRole, rating: helperRating } = helperInfo.rows[0];
-
-                await axios.post('http://notification-service:5000/notify/offer', {
-                    seniorId,
-                    seniorEmail,
-                    seniorName: senior_name,
-                    requestTitle: title,
-                    helperName,
-                    helperRole,
-                    helperRating,
-                    offerId: insert.rows[0].id,
-                    requestId
-                }).catch(err => console.warn('[request-service] Failed to send offer notification:', err.message));
+        // Notification-service emails the senior when it picks up offer.made
+        await enqueueDomainEvent(client, 'offer.made', {
+            aggregateType: 'offer',
+            aggregateId: insert.rows[0].id,
+            data: {
+                offer_id: insert.rows[0].id,
+                request_id: insert.rows[0].request_id,
+                request_title: reqCheck.rows[0].title,
+                senior_id: reqCheck.rows[0].user_id,
+                helper_id: helperId
             }
-        } catch (err) {
-            console.warn("[request-service] Failed to send email notification:", err.message);
-        }
+        });
 
-        // Optional: notify matching-service
-        try {
-            await publishMessage("offer_created", insert.rows[0]);
-            console.log("[request-service] Sent offer_created event");
-        } catch (err) {
-            console.warn("Failed to publish offer_created:", err.message);
-        }
+        await client.query('COMMIT');
+        flushOutbox();
 
         res.json({ message: "Offer submitted successfully!", offer: insert.rows[0] });
     } catch (error) {
@@ -512,7 +783,7 @@ app.get("/requests/:id/offers", authMiddleware.authenticateToken, async (req, re
 
 
 // Senior accepts an offer (assign a helper)
-app.post("/offers/:id/accept", authMiddleware.authenticateToken, async (req, res) => {
+app.post("/offers/:id/accept", authMiddleware.authenticateToken, delegation.actOnBehalf, async (req, res) => {
     const client = await db.connect();
     try {
         const offerId = req.params.id;
@@ -522,7 +793,8 @@ app.post("/offers/:id/accept", authMiddleware.authenticateToken, async (req, res
 
         // 1 Get offer info with row lock
         const offer = await client.query(
-            `SELECT o.*, r.user_id AS requester_id, r.status as request_status
+            `SELECT o.*, r.user_id AS requester_id, r.status as request_status,
+              r.title AS request_title, r.category, r.urgency
        FROM offers o
        JOIN requests r ON o.request_id = r.id
        WHERE o.id = $1
@@ -535,7 +807,7 @@ app.post("/offers/:id/accept", authMiddleware.authenticateToken, async (req, res
             return res.status(404).json({ error: "Offer not found." });
         }
 
-        const { request_id, helper_id, requester_id, request_status } = offer.rows[0];
+        const { request_id, helper_id, requester_id, request_status, request_title, category, urgency } = offer.rows[0];
 
         // Ensure only the senior who posted the request can accept
         if (requester_id !== seniorId) {
@@ -567,10 +839,24 @@ app.post("/offers/:id/accept", authMiddleware.authenticateToken, async (req, res
 
         // 5 Mark accepted offer
         await client.query(`UPDATE offers SET status = 'accepted' WHERE id = $1`, [offerId]);
+        await delegation.record(req, 'offer.accepted', {
+            requestId: request_id,
+            matchId: match.rows[0].id,
+            details: { offer_id: parseInt(offerId), helper_id }
+        }, client);
+
+        // 6 Notification-service emails both sides when it picks up match.created
+        await enqueueMatchCreatedEvent(client, {
+            matchId: match.rows[0].id,
+            request: { id: request_id, user_id: requester_id, title: request_title, category, urgency },
+            helperId: helper_id,
+            matchType: 'offer'
+        });
 
         await client.query('COMMIT');
+        flushOutbox();
 
-        // 6 fetch contact details of both side
+        // 7 fetch contact details of both side
         const helper = await db.query(
             `SELECT id, CONCAT(firstname, ' ', lastname) AS name, email FROM users WHERE id = $1`,
             [helper_id]
@@ -581,55 +867,6 @@ app.post("/offers/:id/accept", authMiddleware.authenticateToken, async (req, res
             [requester_id]
         );
 
-        // Send email notification to helper (volunteer/caregiver) if match
-        try {
-            const requestInfo = await db.query(
-                `SELECT title, category, urgency, description FROM requests WHERE id = $1`,
-                [request_id]
-            );
-
-            // Get helper role to personalize the email
-            const helperDetails = await db.query(
-                `SELECT CONCAT(firstname, ' ', lastname) AS name, email, role FROM users WHERE id = $1`,
-                [helper_id]
-            );
-
-            if (requestInfo.rowCount > 0 && helperDetails.rowCount > 0 && senior.rowCount > 0) {
-                const { title, category, urgency, description } = requestInfo.rows[0];
-                const { email: helperEmail, name: helperName, role: helperRole } = helperDetails.rows[0];
-                const { name: seniorName, email: seniorEmail, id: seniorUserId } = senior.rows[0];
-
-                // Notify helper about the match
-                await axios.post('http://notification-service:5000/notify/match', {
-                    helperId: helper_id,
-                    helperEmail,
-                    helperName,
-                    helperRole,
-                    requestTitle: title,
-                    seniorName,
-                    category,
-                    urgency,
-                    requestId: request_id
-                }).catch(err => console.warn('[request-service] Failed to send helper match notification:', err.message));
-
-                // Notify senior about the match
-                await axios.post('http://notification-service:5000/notify/senior-match', {
-                    seniorId: seniorUserId,
-                    seniorEmail,
-                    seniorName,
-                    helperName,
-                    helperRole,
-                    requestTitle: title,
-                    requestDescription: description,
-                    category,
-                    urgency,
-                    requestId: request_id
-                }).catch(err => console.warn('[request-service] Failed to send senior match notification:', err.message));
-            }
-        } catch (err) {
-            console.warn("[request-service] Failed to send match email notification:", err.message);
-        }
-
         // increment when matched
         messageProcessedNonInstant.inc();
 
@@ -653,6 +890,7 @@ app.post("/offers/:id/accept", authMiddleware.authenticateToken, async (req, res
 
 // Reply to a response
 app.post('/responses/:id/reply', authMiddleware.authenticateToken, async (req, res) => {
+    const client = await db.connect();
     try {
         const responseId = req.params.id;  // ID of the response being replied to
         const { message } = req.body;
@@ -663,7 +901,13 @@ app.post('/responses/:id/reply', authMiddleware.authenticateToken, async (req, r
         }
 
         // Find the request that this response belongs to
-        const parentRes = await db.query("SELECT request_id FROM responses WHERE id = $1", [responseId]);
+        const parentRes = await client.query(
+            `SELECT p.request_id, p.user_id, r.title
+             FROM responses p
+             JOIN requests r ON r.id = p.request_id
+             WHERE p.id = $1`,
+            [responseId]
+        );
 
         if (parentRes.rowCount === 0) {
             return res.status(404).json({ error: "Parent response not found" });
@@ -671,18 +915,40 @@ app.post('/responses/:id/reply', authMiddleware.authenticateToken, async (req, r
 
         const requestId = parentRes.rows[0].request_id;
 
+        await client.query('BEGIN');
+
         // Insert reply correctly
-        const result = await db.query(
+        const result = await client.query(
             `INSERT INTO responses (request_id, user_id, message, parent_id, created_at)
              VALUES ($1, $2, $3, $4, NOW())
              RETURNING id, request_id, user_id, message, parent_id, created_at`,
             [requestId, userId, message, responseId]
         );
 
+        // Notification-service tells the author of the response when it picks up response.replied
+        await enqueueDomainEvent(client, 'response.replied', {
+            aggregateType: 'response',
+            aggregateId: result.rows[0].id,
+            data: {
+                reply_id: result.rows[0].id,
+                response_id: parseInt(responseId),
+                request_id: requestId,
+                request_title: parentRes.rows[0].title,
+                recipient_id: parentRes.rows[0].user_id,
+                replier_id: userId
+            }
+        });
+
+        await client.query('COMMIT');
+        flushOutbox();
+
         res.json({ reply: result.rows[0] });
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error("Reply error:", error);
         res.status(500).json({ error: "Internal server error" });
+    } finally {
+        client.release();
     }
 });
 
@@ -752,7 +1018,14 @@ app.put('/requests/:id', authMiddleware.authenticateToken, async (req, res) => {
         const userId = req.user.id;
         const userRole = req.user.role;
 
-        const { title, category, description, urgency } = req.body;
+        const { title, category, description, urgency, preferredStart, preferredEnd } = req.body;
+
+        // The time window only changes when the edit includes it (null clears it)
+        const windowGiven = 'preferredStart' in req.body || 'preferredEnd' in req.body;
+        const preferredWindow = windowGiven ? parsePreferredWindow(preferredStart, preferredEnd) : null;
+        if (preferredWindow?.error) {
+            return res.status(400).json({ error: preferredWindow.error });
+        }
 
         // Ensure the request exists
         const check = await db.query("SELECT * FROM requests WHERE id = $1", [requestId]);
@@ -761,6 +1034,7 @@ app.put('/requests/:id', authMiddleware.authenticateToken, async (req, res) => {
         }
 
         const request = check.rows[0];
+        const { start, end } = preferredWindow || { start: request.preferred_start, end: request.preferred_end };
 
         // Only allow seniors (who own the request) or admins
         if (!(userRole === 'admin' || (userRole === 'senior' && request.user_id === userId))) {
@@ -775,10 +1049,11 @@ app.put('/requests/:id', authMiddleware.authenticateToken, async (req, res) => {
         // Proceed with update
         const result = await db.query(
             `UPDATE requests 
-             SET title = $1, category = $2, description = $3, urgency = $4
-             WHERE id = $5
-             RETURNING id, user_id, title, category, description, urgency, status, created_at`,
-            [title, category, description, urgency, requestId]
+             SET title = $1, category = $2, description = $3, urgency = $4,
+                 preferred_start = $5, preferred_end = $6
+             WHERE id = $7
+             RETURNING id, user_id, title, category, description, urgency, status, preferred_start, preferred_end, created_at`,
+            [title, category, description, urgency, start, end, requestId]
         );
 
         res.json({ message: "Request updated successfully", request: result.rows[0] });
@@ -824,8 +1099,439 @@ app.delete('/requests/:id', authMiddleware.authenticateToken, async (req, res) =
 });
 
 
-// DEV ONLY: publish malformed message to test DLQ
-app.post("/_dev/publish-bad", async (req, res) => {
+// ==================
+// Recurring requests
+// ==================
+
+// Occurrence statuses that can still be skipped or cancelled
+const OPEN_OCCURRENCE_STATUSES = ['pending', 'matching', 'matched'];
+
+// List recurring requests (own series and standing helper invitations; admins see all)
+app.get('/series', authMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT ${SERIES_COLUMNS},
+                    (SELECT CONCAT(h.firstname, ' ', h.lastname) FROM users h
+                     WHERE h.id = request_series.standing_helper_id) AS standing_helper_name,
+                    (SELECT to_char(MIN(r.occurrence_date), 'YYYY-MM-DD') FROM requests r
+                     WHERE r.series_id = request_series.id
+                       AND r.occurrence_date >= $2::date
+                       AND r.status = ANY($3::text[])) AS next_occurrence
+             FROM request_series
+             WHERE ($1::int IS NULL OR user_id = $1 OR invited_helper_id = $1)
+             ORDER BY created_at DESC`,
+            [req.user.role === 'admin' ? null : req.user.id, today(), OPEN_OCCURRENCE_STATUSES]
+        );
+
+        res.json({ series: result.rows });
+    } catch (error) {
+        console.error('Get series error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get a recurring request with every occurrence (senior, standing or invited helper, or admin)
+app.get('/series/:id', authMiddleware.authenticateToken, async (req, res) => {
+    try {
+        const series = await loadSeries(db, req.params.id);
+        if (!series) {
+            return res.status(404).json({ error: 'Recurring request not found' });
+        }
+
+        const userId = req.user.id;
+        if (series.user_id !== userId && series.standing_helper_id !== userId &&
+            series.invited_helper_id !== userId && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'You are not allowed to view this recurring request' });
+        }
+
+        const occurrences = await db.query(
+            `SELECT r.id, to_char(r.occurrence_date, 'YYYY-MM-DD') AS occurrence_date, r.status,
+                    r.preferred_start, r.preferred_end,
+                    m.id AS match_id, m.status AS match_status, m.helper_id,
+                    CONCAT(h.firstname, ' ', h.lastname) AS helper_name
+             FROM requests r
+             LEFT JOIN matches m ON m.request_id = r.id AND m.status <> 'cancelled'
+             LEFT JOIN users h ON m.helper_id = h.id
+             WHERE r.series_id = $1
+             ORDER BY r.occurrence_date ASC`,
+            [series.id]
+        );
+
+        res.json({ series, occurrences: occurrences.rows });
+    } catch (error) {
+        console.error('Get series error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Skip a single occurrence, including one that has not been generated yet
+app.post('/series/:id/skip', authMiddleware.authenticateToken, async (req, res) => {
+    const client = await db.connect();
+    try {
+        const { date } = req.body;
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({ error: 'date is required in YYYY-MM-DD format' });
+        }
+
+        await client.query('BEGIN');
+
+        const series = await loadSeries(client, req.params.id, { forUpdate: true });
+        if (!series) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Recurring request not found' });
+        }
+
+        if (series.user_id !== req.user.id && req.user.role !== 'admin') {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'You are not allowed to change this recurring request' });
+        }
+
+        if (date < today() || !isOccurrenceDate(series, date)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `There is no upcoming occurrence on ${date}` });
+        }
+
+        const existing = await client.query(
+            `SELECT id, status FROM requests WHERE series_id = $1 AND occurrence_date = $2 FOR UPDATE`,
+            [series.id, date]
+        );
+
+        let occurrence;
+        if (existing.rowCount > 0) {
+            if (!OPEN_OCCURRENCE_STATUSES.includes(existing.rows[0].status)) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: `The occurrence on ${date} is already ${existing.rows[0].status}` });
+            }
+
+            const updated = await client.query(
+                `UPDATE requests SET status = 'skipped' WHERE id = $1 RETURNING *`,
+                [existing.rows[0].id]
+            );
+            occurrence = updated.rows[0];
+
+            await cancelActiveMatches(client, [occurrence.id], 'occurrence_skipped');
+        } else {
+            if (series.status !== 'active') {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: `This recurring request has ${series.status}` });
+            }
+
+            // Placeholder row; the scheduler will not create this date again
+            const inserted = await client.query(
+                `INSERT INTO requests (user_id, title, category, description, urgency, status, series_id, occurrence_date, created_at)
+                 VALUES ($1, $2, $3, $4, $5, 'skipped', $6, $7, NOW())
+                 RETURNING *`,
+                [series.user_id, series.title, series.category, series.description, series.urgency, series.id, date]
+            );
+            occurrence = inserted.rows[0];
+        }
+
+        await client.query('COMMIT');
+        flushOutbox();
+
+        res.json({ message: `Occurrence on ${date} skipped`, occurrence });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Skip occurrence error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Cancel the whole series and every upcoming occurrence
+app.post('/series/:id/cancel', authMiddleware.authenticateToken, async (req, res) => {
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+
+        const series = await loadSeries(client, req.params.id, { forUpdate: true });
+        if (!series) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Recurring request not found' });
+        }
+
+        if (series.user_id !== req.user.id && req.user.role !== 'admin') {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'You are not allowed to change this recurring request' });
+        }
+
+        if (series.status === 'cancelled') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This recurring request is already cancelled' });
+        }
+
+        await client.query(`UPDATE request_series SET status = 'cancelled' WHERE id = $1`, [series.id]);
+
+        const cancelled = await client.query(
+            `UPDATE requests SET status = 'cancelled'
+             WHERE series_id = $1 AND occurrence_date >= $2::date AND status = ANY($3::text[])
+             RETURNING id`,
+            [series.id, today(), OPEN_OCCURRENCE_STATUSES]
+        );
+
+        await cancelActiveMatches(client, cancelled.rows.map(r => r.id), 'series_cancelled');
+
+        await client.query('COMMIT');
+        flushOutbox();
+
+        res.json({
+            message: 'Recurring request cancelled',
+            cancelledOccurrences: cancelled.rowCount
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Cancel series error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// Ask a helper to take every upcoming occurrence (senior or admin). Nothing
+// is assigned until the helper accepts below.
+app.put('/series/:id/standing-helper', authMiddleware.authenticateToken, async (req, res) => {
+    const client = await db.connect();
+    try {
+        const { helperId } = req.body;
+
+        if (!helperId) {
+            return res.status(400).json({ error: 'helperId is required' });
+        }
+
+        await client.query('BEGIN');
+
+        const series = await loadSeries(client, req.params.id, { forUpdate: true });
+        if (!series) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Recurring request not found' });
+        }
+
+        if (series.user_id !== req.user.id && req.user.role !== 'admin') {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'You are not allowed to change this recurring request' });
+        }
+
+        if (series.status === 'cancelled') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This recurring request is cancelled' });
+        }
+
+        const helper = await client.query(
+            `SELECT id, CONCAT(firstname, ' ', lastname) AS name
+             FROM users
+             WHERE id = $1 AND role IN ('volunteer', 'caregiver') AND is_active = TRUE`,
+            [helperId]
+        );
+        if (helper.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Standing helper must be an active volunteer or caregiver' });
+        }
+
+        if (series.standing_helper_id === helper.rows[0].id) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `${helper.rows[0].name} already holds this recurring request` });
+        }
+
+        await client.query(
+            `UPDATE request_series SET invited_helper_id = $1 WHERE id = $2`,
+            [helper.rows[0].id, series.id]
+        );
+
+        await enqueueDomainEvent(client, 'standing_assignment.invited', {
+            aggregateType: 'series',
+            aggregateId: series.id,
+            data: {
+                series_id: series.id,
+                series_title: series.title,
+                senior_id: series.user_id,
+                helper_id: helper.rows[0].id
+            }
+        });
+
+        await client.query('COMMIT');
+        flushOutbox();
+
+        res.json({
+            message: `Asked ${helper.rows[0].name} to take every occurrence. They become the standing helper once they accept.`,
+            series: await loadSeries(db, series.id)
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Invite standing helper error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// The invited helper accepts: every upcoming occurrence becomes theirs
+app.post('/series/:id/standing-helper/accept', authMiddleware.authenticateToken, async (req, res) => {
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+
+        const series = await loadSeries(client, req.params.id, { forUpdate: true });
+        if (!series || series.invited_helper_id !== req.user.id) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'No standing helper invitation for you on this recurring request' });
+        }
+
+        if (series.status === 'cancelled') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This recurring request is cancelled' });
+        }
+
+        const released = await releaseStandingHelper(client, series);
+
+        await client.query(
+            `UPDATE request_series SET standing_helper_id = $1, invited_helper_id = NULL WHERE id = $2`,
+            [req.user.id, series.id]
+        );
+
+        const assigned = await assignStandingHelper(client, series, req.user.id);
+
+        // Released occurrences the new helper could not take go back to matching
+        await enqueueOccurrences(client, released.filter(r => !assigned.includes(r.id)));
+
+        await enqueueDomainEvent(client, 'standing_assignment.started', {
+            aggregateType: 'series',
+            aggregateId: series.id,
+            data: {
+                series_id: series.id,
+                series_title: series.title,
+                senior_id: series.user_id,
+                helper_id: req.user.id,
+                occurrence_count: assigned.length
+            }
+        });
+
+        await client.query('COMMIT');
+        flushOutbox();
+
+        res.json({
+            message: 'You now hold this recurring request',
+            series: await loadSeries(db, series.id),
+            assignedOccurrences: assigned.length
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Accept standing helper error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// The invited helper declines; the senior is told
+app.post('/series/:id/standing-helper/decline', authMiddleware.authenticateToken, async (req, res) => {
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+
+        const series = await loadSeries(client, req.params.id, { forUpdate: true });
+        if (!series || series.invited_helper_id !== req.user.id) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'No standing helper invitation for you on this recurring request' });
+        }
+
+        await client.query(`UPDATE request_series SET invited_helper_id = NULL WHERE id = $1`, [series.id]);
+
+        await enqueueDomainEvent(client, 'standing_assignment.declined', {
+            aggregateType: 'series',
+            aggregateId: series.id,
+            data: {
+                series_id: series.id,
+                series_title: series.title,
+                senior_id: series.user_id,
+                helper_id: req.user.id
+            }
+        });
+
+        await client.query('COMMIT');
+        flushOutbox();
+
+        res.json({ message: 'Invitation declined' });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Decline standing helper error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// End the standing assignment (senior, the standing helper or admin)
+app.delete('/series/:id/standing-helper', authMiddleware.authenticateToken, async (req, res) => {
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+
+        const series = await loadSeries(client, req.params.id, { forUpdate: true });
+        if (!series) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Recurring request not found' });
+        }
+
+        const userId = req.user.id;
+        if (series.user_id !== userId && series.standing_helper_id !== userId && req.user.role !== 'admin') {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'You are not allowed to change this recurring request' });
+        }
+
+        // Without a standing helper yet, this withdraws the invitation
+        if (!series.standing_helper_id && series.invited_helper_id) {
+            await client.query(`UPDATE request_series SET invited_helper_id = NULL WHERE id = $1`, [series.id]);
+            await client.query('COMMIT');
+            return res.json({ message: 'Invitation withdrawn', releasedOccurrences: 0 });
+        }
+
+        if (!series.standing_helper_id) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This recurring request has no standing helper' });
+        }
+
+        const released = await releaseStandingHelper(client, series);
+
+        // A pending replacement invitation ends with the assignment
+        await client.query(
+            `UPDATE request_series SET standing_helper_id = NULL, invited_helper_id = NULL WHERE id = $1`,
+            [series.id]
+        );
+        await enqueueOccurrences(client, released);
+
+        await enqueueDomainEvent(client, 'standing_assignment.ended', {
+            aggregateType: 'series',
+            aggregateId: series.id,
+            data: {
+                series_id: series.id,
+                series_title: series.title,
+                senior_id: series.user_id,
+                helper_id: series.standing_helper_id,
+                ended_by: userId,
+                occurrence_count: released.length
+            }
+        });
+
+        await client.query('COMMIT');
+        flushOutbox();
+
+        res.json({
+            message: 'Standing assignment ended',
+            releasedOccurrences: released.length
+        });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Remove standing helper error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    } finally {
+        client.release();
+    }
+});
+
+// DEV ONLY: publish malformed message to test DLQ (404 unless NODE_ENV=development)
+app.post("/_dev/publish-bad", ServiceAuth.devOnly, async (req, res) => {
     try {
         if (!getChannel()) await connectQueue();
         const ch = getChannel();
@@ -854,73 +1560,16 @@ app.use((error, req, res, next) => {
 (async () => {
     try {
         await connectQueue(); // connect to RabbitMQ when service starts
-        await consumeQueue("request_created", async (data) => {
-            console.log("[request-service] Received message:", data);
-        });
         console.log("Request-service connected to RabbitMQ");
     } catch (err) {
         console.error("Failed to connect to RabbitMQ:", err);
     }
 })();
 
-// Get user notifications
-app.get('/notifications', authMiddleware.authenticateToken, async (req, res) => {
-    try {
-        const userId = req.user.id;
-        
-        // Get notifications from database
-        const result = await db.query(
-            `SELECT n.*, r.title as request_title
-             FROM notifications n
-             LEFT JOIN requests r ON n.request_id = r.id
-             WHERE n.user_id = $1
-             ORDER BY n.created_at DESC
-             LIMIT 50`,
-            [userId]
-        );
-        
-        res.json({ 
-            success: true, 
-            notifications: result.rows,
-            unreadCount: result.rows.filter(n => !n.read_at).length
-        });
-    } catch (error) {
-        console.error('Get notifications error:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
-
-// Mark notification as read
-app.post('/notifications/:id/read', authMiddleware.authenticateToken, async (req, res) => {
-    try {
-        const notificationId = req.params.id;
-        const userId = req.user.id;
-        
-        // Verify notification belongs to user
-        const check = await db.query(
-            'SELECT * FROM notifications WHERE id = $1 AND user_id = $2',
-            [notificationId, userId]
-        );
-        
-        if (check.rowCount === 0) {
-            return res.status(404).json({ error: 'Notification not found' });
-        }
-        
-        // Mark as read
-        await db.query(
-            'UPDATE notifications SET read_at = NOW() WHERE id = $1 AND user_id = $2',
-            [notificationId, userId]
-        );
-        
-        res.json({ success: true });
-    } catch (error) {
-        console.error('Mark notification as read error:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
-
 const PORT = process.env.PORT || 5002;
 app.listen(PORT, () => {
     console.log(`Request service running on port ${PORT}`);
     console.log(`Authentication: ${process.env.AUTH_SERVICE_URL || 'http://auth-service:5000'}`);
+    startOccurrenceScheduler();
+    startOutboxRelay();
 });
\ No newline at end of file
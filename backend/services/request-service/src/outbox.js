@@ -0,0 +1,203 @@
+const db = require("./db");
+const { publishMessage } = require("./queue");
+const EventBus = require("/app/shared/event-bus");
+
+const eventBus = new EventBus("request-service");
+
+// How often the relay looks for unpublished events
+const RELAY_INTERVAL_MS = parseInt(process.env.OUTBOX_RELAY_INTERVAL_MS) || 2000;
+// Events published per relay pass
+const RELAY_BATCH_SIZE = 50;
+// Longest wait between attempts for an event RabbitMQ keeps refusing
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+// How long claimed events stay with one relay; after that another may publish them
+const CLAIM_LEASE_MS = 60 * 1000;
+// Published events are kept this long for debugging, then deleted
+const RETENTION_DAYS = parseInt(process.env.OUTBOX_RETENTION_DAYS) || 7;
+
+let relaying = false;
+
+/**
+ * Record a message in the outbox. Pass the transaction's client so the
+ * message only exists if the change that caused it is committed.
+ * Without an exchange the message goes straight to the queue named routingKey.
+ */
+async function enqueueEvent(client, { aggregateType, aggregateId, exchange = null, routingKey, payload }) {
+    const result = await client.query(
+        `INSERT INTO outbox_events (aggregate_type, aggregate_id, exchange, routing_key, payload)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [aggregateType, aggregateId, exchange, routingKey, payload]
+    );
+    return result.rows[0].id;
+}
+
+/**
+ * Record a versioned domain event (e.g. 'offer.made') for the event bus
+ */
+function enqueueDomainEvent(client, type, { aggregateType, aggregateId, data, version = 1 }) {
+    const event = EventBus.createEvent(type, data, { version, source: "request-service" });
+
+    return enqueueEvent(client, {
+        aggregateType,
+        aggregateId,
+        exchange: EventBus.EXCHANGE,
+        routingKey: EventBus.routingKey(event),
+        payload: event
+    });
+}
+
+// request_created message for a request that should be instantly matched
+function enqueueRequestCreated(client, request, extra = {}) {
+    return enqueueEvent(client, {
+        aggregateType: 'request',
+        aggregateId: request.id,
+        routingKey: 'request_created',
+        payload: {
+            id: request.id,
+            user_id: request.user_id,
+            title: request.title,
+            category: request.category,
+            description: request.description,
+            urgency: request.urgency,
+            status: 'matching',
+            ...extra
+        }
+    });
+}
+
+// request.created domain event, for every new request whether or not it is instantly matched
+function enqueueRequestCreatedEvent(client, request) {
+    return enqueueDomainEvent(client, 'request.created', {
+        aggregateType: 'request',
+        aggregateId: request.id,
+        data: {
+            request_id: request.id,
+            user_id: request.user_id,
+            title: request.title,
+            category: request.category,
+            urgency: request.urgency,
+            status: request.status,
+            is_panic: !!request.is_panic,
+            series_id: request.series_id || null
+        }
+    });
+}
+
+// match.created domain event; matchType is one of instant, offer, manual, panic, standing
+function enqueueMatchCreatedEvent(client, { matchId, request, helperId, matchType }) {
+    return enqueueDomainEvent(client, 'match.created', {
+        aggregateType: 'match',
+        aggregateId: matchId,
+        data: {
+            match_id: matchId,
+            request_id: request.id,
+            request_title: request.title,
+            category: request.category,
+            urgency: request.urgency,
+            senior_id: request.user_id,
+            helper_id: helperId,
+            match_type: matchType
+        }
+    });
+}
+
+/**
+ * Publish due events in id order. A pass claims a batch by pushing its
+ * available_at past a short lease and commits before publishing, so no
+ * transaction or row lock is held while RabbitMQ confirms, and several
+ * replicas can relay side by side. An event is only marked published after
+ * RabbitMQ confirmed it; a crash in between means it is sent again once the
+ * lease runs out, so consumers must be idempotent (at-least-once delivery).
+ */
+async function relayOutbox() {
+    if (relaying) return 0;
+    relaying = true;
+
+    let published = 0;
+
+    try {
+        const claimed = await db.query(
+            `UPDATE outbox_events
+             SET available_at = NOW() + make_interval(secs => $2)
+             WHERE id IN (
+                 SELECT id FROM outbox_events
+                 WHERE published_at IS NULL AND available_at <= NOW()
+                 ORDER BY id
+                 LIMIT $1
+                 FOR UPDATE SKIP LOCKED
+             )
+             RETURNING id, exchange, routing_key, payload, attempts`,
+            [RELAY_BATCH_SIZE, CLAIM_LEASE_MS / 1000]
+        );
+        const due = claimed.rows.sort((a, b) => a.id - b.id);
+
+        for (const [index, event] of due.entries()) {
+            try {
+                if (event.exchange) {
+                    await eventBus.publishEvent(event.payload);
+                } else {
+                    await publishMessage(event.routing_key, event.payload, { messageId: `outbox-${event.id}` });
+                }
+            } catch (err) {
+                const backoffMs = Math.min(MAX_BACKOFF_MS, 1000 * 2 ** event.attempts);
+                await db.query(
+                    `UPDATE outbox_events
+                     SET attempts = attempts + 1,
+                         last_error = $2,
+                         available_at = NOW() + make_interval(secs => $3)
+                     WHERE id = $1`,
+                    [event.id, String(err.message || err).slice(0, 500), backoffMs / 1000]
+                );
+                // RabbitMQ is most likely down; hand the rest back for the next pass
+                await db.query(
+                    `UPDATE outbox_events SET available_at = NOW()
+                     WHERE id = ANY($1::bigint[]) AND published_at IS NULL`,
+                    [due.slice(index + 1).map(rest => rest.id)]
+                );
+                console.warn(`⚠️ [request-service] Outbox event ${event.id} not published (attempt ${event.attempts + 1}), retrying in ${backoffMs}ms:`, err.message);
+                break;
+            }
+
+            await db.query(`UPDATE outbox_events SET published_at = NOW() WHERE id = $1`, [event.id]);
+            published++;
+        }
+
+        await db.query(
+            `DELETE FROM outbox_events WHERE published_at < NOW() - make_interval(days => $1)`,
+            [RETENTION_DAYS]
+        );
+    } catch (err) {
+        // Claimed events that were not published go out again once their lease runs out
+        console.error("❌ [request-service] Outbox relay failed:", err);
+    } finally {
+        relaying = false;
+    }
+
+    if (published > 0) {
+        console.log(`📬 [request-service] Relayed ${published} outbox event(s)`);
+    }
+    return published;
+}
+
+// Kick the relay right after a commit instead of waiting for the next pass
+function flushOutbox() {
+    relayOutbox().catch(err => console.error("❌ [request-service] Outbox relay failed:", err));
+}
+
+function startOutboxRelay() {
+    console.log(`📬 [request-service] Outbox relay running every ${RELAY_INTERVAL_MS}ms`);
+    flushOutbox();
+    return setInterval(flushOutbox, RELAY_INTERVAL_MS);
+}
+
+module.exports = {
+    enqueueEvent,
+    enqueueDomainEvent,
+    enqueueRequestCreated,
+    enqueueRequestCreatedEvent,
+    enqueueMatchCreatedEvent,
+    relayOutbox,
+    flushOutbox,
+    startOutboxRelay
+};
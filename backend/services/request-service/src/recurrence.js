@@ -0,0 +1,403 @@
+const db = require("./db");
+const {
+    enqueueRequestCreated,
+    enqueueRequestCreatedEvent,
+    enqueueMatchCreatedEvent,
+    enqueueDomainEvent,
+    flushOutbox
+} = require("./outbox");
+const { localDate, AVAILABILITY_TIMEZONE } = require("./time-window");
+
+// How far ahead occurrences are created, so helpers can see and offer on them
+const LOOKAHEAD_DAYS = parseInt(process.env.RECURRENCE_LOOKAHEAD_DAYS) || 14;
+// How often the scheduler looks for series that need more occurrences
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.RECURRENCE_SCHEDULER_INTERVAL_MS) || 60 * 60 * 1000;
+// Longest series a senior can set up with a fixed count
+const MAX_OCCURRENCES = 366;
+
+const FREQUENCIES = ["daily", "weekly"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dates are YYYY-MM-DD strings; arithmetic is done in UTC so no day is ever lost to a clock change
+const toUTCDate = (date) => new Date(`${date}T00:00:00Z`);
+const addDays = (date, days) => {
+    const d = toUTCDate(date);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+};
+const daysBetween = (from, to) => Math.round((toUTCDate(to) - toUTCDate(from)) / (24 * 60 * 60 * 1000));
+const isValidDate = (date) => DATE_PATTERN.test(date) && !isNaN(toUTCDate(date));
+const today = () => localDate(new Date());
+
+// request_series columns with dates and times as plain strings
+const SERIES_COLUMNS = `
+    id, user_id, title, category, description, urgency, frequency, repeat_every, days_of_week,
+    to_char(start_time, 'HH24:MI') AS start_time, to_char(end_time, 'HH24:MI') AS end_time,
+    to_char(starts_on, 'YYYY-MM-DD') AS starts_on, to_char(ends_on, 'YYYY-MM-DD') AS ends_on,
+    max_occurrences, occurrences_generated, to_char(generated_until, 'YYYY-MM-DD') AS generated_until,
+    instant_match, standing_helper_id, invited_helper_id, status, created_at`;
+
+/**
+ * Validate the recurrence rule from /postRequest, e.g.
+ * { frequency: "weekly", interval: 1, daysOfWeek: [0], startTime: "09:00", endTime: "11:00", count: 8 }
+ * Returns { rule } or { error }.
+ */
+function parseRecurrenceRule(recurrence) {
+    if (!recurrence || typeof recurrence !== "object") {
+        return { error: "recurrence must be an object" };
+    }
+
+    const { frequency, interval = 1, daysOfWeek, startTime, endTime, endDate, count } = recurrence;
+    const startDate = recurrence.startDate || today();
+
+    if (!FREQUENCIES.includes(frequency)) {
+        return { error: `recurrence.frequency must be one of: ${FREQUENCIES.join(", ")}` };
+    }
+
+    if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+        return { error: "recurrence.interval must be a whole number from 1 to 52" };
+    }
+
+    let days = null;
+    if (frequency === "weekly") {
+        if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0 ||
+            daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            return { error: "recurrence.daysOfWeek must list days from 0 (Sunday) to 6 (Saturday)" };
+        }
+        days = [...new Set(daysOfWeek)].sort((a, b) => a - b);
+    }
+
+    if (!isValidDate(startDate)) {
+        return { error: "recurrence.startDate must be in YYYY-MM-DD format" };
+    }
+    if (startDate < today()) {
+        return { error: "recurrence.startDate cannot be in the past" };
+    }
+
+    if (endDate) {
+        if (!isValidDate(endDate)) return { error: "recurrence.endDate must be in YYYY-MM-DD format" };
+        if (endDate < startDate) return { error: "recurrence.endDate cannot be before startDate" };
+    }
+
+    if (count !== undefined && count !== null &&
+        (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+        return { error: `recurrence.count must be a whole number from 1 to ${MAX_OCCURRENCES}` };
+    }
+
+    if (startTime || endTime) {
+        if (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime)) {
+            return { error: "recurrence.startTime and endTime must both be in HH:MM format" };
+        }
+        if (endTime <= startTime) {
+            return { error: "recurrence.endTime must be after startTime" };
+        }
+    }
+
+    return {
+        rule: {
+            frequency,
+            repeatEvery: interval,
+            daysOfWeek: days,
+            startTime: startTime || null,
+            endTime: endTime || null,
+            startsOn: startDate,
+            endsOn: endDate || null,
+            maxOccurrences: count ?? null
+        }
+    };
+}
+
+/**
+ * Whether the series has an occurrence on the given date (ignoring count limits)
+ */
+function isOccurrenceDate(series, date) {
+    if (date < series.starts_on || (series.ends_on && date > series.ends_on)) return false;
+
+    if (series.frequency === "daily") {
+        return daysBetween(series.starts_on, date) % series.repeat_every === 0;
+    }
+
+    if (!series.days_of_week.includes(toUTCDate(date).getUTCDay())) return false;
+
+    // Weeks are counted from the Sunday on or before the first day
+    const firstSunday = addDays(series.starts_on, -toUTCDate(series.starts_on).getUTCDay());
+    return Math.floor(daysBetween(firstSunday, date) / 7) % series.repeat_every === 0;
+}
+
+async function loadSeries(client, seriesId, { forUpdate = false } = {}) {
+    const result = await client.query(
+        `SELECT ${SERIES_COLUMNS} FROM request_series WHERE id = $1 ${forUpdate ? "FOR UPDATE" : ""}`,
+        [seriesId]
+    );
+    return result.rows[0] || null;
+}
+
+async function isHelperAwayOn(client, helperId, date) {
+    const result = await client.query(
+        `SELECT 1 FROM helper_blackout_dates WHERE user_id = $1 AND $2::date BETWEEN start_date AND end_date`,
+        [helperId, date]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Insert the occurrence for one date. The standing helper takes it straight
+ * away unless they are away that day. Returns null if it already existed
+ * (e.g. the senior skipped that date in advance).
+ */
+async function createOccurrence(client, series, date) {
+    const standingHelperId = series.standing_helper_id &&
+        !(await isHelperAwayOn(client, series.standing_helper_id, date))
+        ? series.standing_helper_id
+        : null;
+
+    const status = standingHelperId ? 'matched' : series.instant_match ? 'matching' : 'pending';
+
+    const result = await client.query(
+        `INSERT INTO requests (user_id, title, category, description, urgency, status, series_id, occurrence_date,
+                               preferred_start, preferred_end, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8::date,
+                 ($8::date + $9::time) AT TIME ZONE $11,
+                 ($8::date + $10::time) AT TIME ZONE $11,
+                 NOW())
+         ON CONFLICT (series_id, occurrence_date) DO NOTHING
+         RETURNING *`,
+        [
+            series.user_id, series.title, series.category, series.description, series.urgency, status,
+            series.id, date, series.start_time, series.end_time, AVAILABILITY_TIMEZONE
+        ]
+    );
+
+    const occurrence = result.rows[0];
+    if (!occurrence) return null;
+
+    await enqueueRequestCreatedEvent(client, occurrence);
+
+    if (standingHelperId) {
+        const match = await client.query(
+            `INSERT INTO matches (request_id, helper_id, status) VALUES ($1, $2, 'active') RETURNING id`,
+            [occurrence.id, standingHelperId]
+        );
+        await enqueueMatchCreatedEvent(client, {
+            matchId: match.rows[0].id,
+            request: occurrence,
+            helperId: standingHelperId,
+            matchType: 'standing'
+        });
+    }
+
+    return occurrence;
+}
+
+/**
+ * Create every occurrence from where the series left off up to the
+ * lookahead horizon. Days that have already passed are never back-filled.
+ */
+async function generateOccurrences(client, series) {
+    const horizon = addDays(today(), LOOKAHEAD_DAYS);
+    const lastDate = series.ends_on && series.ends_on < horizon ? series.ends_on : horizon;
+
+    let date = series.generated_until ? addDays(series.generated_until, 1) : series.starts_on;
+    if (date < today()) date = today();
+
+    let generated = series.occurrences_generated;
+    const created = [];
+
+    for (; date <= lastDate; date = addDays(date, 1)) {
+        if (series.max_occurrences && generated >= series.max_occurrences) break;
+        if (!isOccurrenceDate(series, date)) continue;
+
+        generated++;
+        const occurrence = await createOccurrence(client, series, date);
+        if (occurrence) created.push(occurrence);
+    }
+
+    const finished = (series.max_occurrences && generated >= series.max_occurrences) ||
+        (series.ends_on && lastDate >= series.ends_on);
+
+    await client.query(
+        `UPDATE request_series
+         SET occurrences_generated = $1,
+             generated_until = GREATEST(COALESCE(generated_until, $2::date), $2::date),
+             status = $3
+         WHERE id = $4`,
+        [generated, lastDate, finished ? 'ended' : series.status, series.id]
+    );
+
+    return created;
+}
+
+// Occurrences waiting for instant matching go to matching-service through the outbox
+async function enqueueOccurrences(client, occurrences) {
+    for (const occurrence of occurrences.filter(o => o.status === 'matching')) {
+        await enqueueRequestCreated(client, occurrence, {
+            preferred_start: occurrence.preferred_start,
+            preferred_end: occurrence.preferred_end,
+            series_id: occurrence.series_id,
+            instantMatch: true
+        });
+    }
+}
+
+/**
+ * Cancel the active matches on the given occurrences. Each cancellation is
+ * announced as match.cancelled with the reason (occurrence_skipped or
+ * series_cancelled) so the helper hears about it.
+ */
+async function cancelActiveMatches(client, requestIds, reason) {
+    const cancelled = await client.query(
+        `UPDATE matches m SET status = 'cancelled'
+         FROM requests r
+         WHERE r.id = m.request_id AND m.request_id = ANY($1::int[]) AND m.status = 'active'
+         RETURNING m.id, m.helper_id, m.request_id, r.user_id, r.title, r.series_id,
+                   to_char(r.occurrence_date, 'YYYY-MM-DD') AS occurrence_date`,
+        [requestIds]
+    );
+
+    for (const match of cancelled.rows) {
+        await enqueueDomainEvent(client, 'match.cancelled', {
+            aggregateType: 'match',
+            aggregateId: match.id,
+            data: {
+                match_id: match.id,
+                request_id: match.request_id,
+                request_title: match.title,
+                series_id: match.series_id,
+                occurrence_date: match.occurrence_date,
+                senior_id: match.user_id,
+                helper_id: match.helper_id,
+                reason
+            }
+        });
+    }
+
+    return cancelled.rows;
+}
+
+/**
+ * Hand the standing helper's upcoming occurrences back to the normal
+ * matching flow. Returns the released occurrences.
+ */
+async function releaseStandingHelper(client, series) {
+    if (!series.standing_helper_id) return [];
+
+    const released = await client.query(
+        `UPDATE requests r
+         SET status = $3
+         FROM matches m
+         WHERE m.request_id = r.id
+           AND m.helper_id = $2
+           AND m.status = 'active'
+           AND r.series_id = $1
+           AND r.status = 'matched'
+           AND r.occurrence_date >= $4::date
+         RETURNING r.*`,
+        [series.id, series.standing_helper_id, series.instant_match ? 'matching' : 'pending', today()]
+    );
+
+    await client.query(
+        `UPDATE matches SET status = 'cancelled'
+         WHERE request_id = ANY($1::int[]) AND helper_id = $2 AND status = 'active'`,
+        [released.rows.map(r => r.id), series.standing_helper_id]
+    );
+
+    return released.rows;
+}
+
+/**
+ * Give every upcoming unmatched occurrence to the new standing helper,
+ * except days they are away. Returns the ids of the assigned occurrences.
+ */
+async function assignStandingHelper(client, series, helperId) {
+    const open = await client.query(
+        `SELECT id, to_char(occurrence_date, 'YYYY-MM-DD') AS occurrence_date
+         FROM requests
+         WHERE series_id = $1 AND occurrence_date >= $2::date AND status IN ('pending', 'matching')
+         ORDER BY occurrence_date
+         FOR UPDATE`,
+        [series.id, today()]
+    );
+
+    const assigned = [];
+    for (const occurrence of open.rows) {
+        if (await isHelperAwayOn(client, helperId, occurrence.occurrence_date)) continue;
+
+        const match = await client.query(
+            `INSERT INTO matches (request_id, helper_id, status) VALUES ($1, $2, 'active') RETURNING id`,
+            [occurrence.id, helperId]
+        );
+        await client.query(`UPDATE requests SET status = 'matched' WHERE id = $1`, [occurrence.id]);
+        await enqueueMatchCreatedEvent(client, {
+            matchId: match.rows[0].id,
+            request: { ...series, id: occurrence.id },
+            helperId,
+            matchType: 'standing'
+        });
+        assigned.push(occurrence.id);
+    }
+
+    return assigned;
+}
+
+/**
+ * Top up every active series. SKIP LOCKED lets several request-service
+ * replicas run the scheduler safely.
+ */
+async function generateDueOccurrences() {
+    const client = await db.connect();
+    const created = [];
+
+    try {
+        await client.query('BEGIN');
+
+        const due = await client.query(
+            `SELECT ${SERIES_COLUMNS}
+             FROM request_series
+             WHERE status = 'active'
+               AND (generated_until IS NULL OR generated_until < $1::date)
+             ORDER BY id
+             FOR UPDATE SKIP LOCKED`,
+            [addDays(today(), LOOKAHEAD_DAYS)]
+        );
+
+        for (const series of due.rows) {
+            created.push(...await generateOccurrences(client, series));
+        }
+        await enqueueOccurrences(client, created);
+
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error("❌ [request-service] Recurring request scheduler failed:", err);
+        return;
+    } finally {
+        client.release();
+    }
+
+    if (created.length > 0) {
+        console.log(`🔁 [request-service] Generated ${created.length} recurring request occurrence(s)`);
+        flushOutbox();
+    }
+}
+
+function startOccurrenceScheduler() {
+    console.log(`🔁 [request-service] Recurring request scheduler running every ${SCHEDULER_INTERVAL_MS}ms (lookahead ${LOOKAHEAD_DAYS} days)`);
+    generateDueOccurrences();
+    return setInterval(generateDueOccurrences, SCHEDULER_INTERVAL_MS);
+}
+
+module.exports = {
+    SERIES_COLUMNS,
+    parseRecurrenceRule,
+    isOccurrenceDate,
+    isValidDate,
+    today,
+    loadSeries,
+    generateOccurrences,
+    enqueueOccurrences,
+    cancelActiveMatches,
+    releaseStandingHelper,
+    assignStandingHelper,
+    startOccurrenceScheduler
+};
@@ -0,0 +1,42 @@
+// Helper availability is kept in local time, so windows are checked in it too
+const AVAILABILITY_TIMEZONE = process.env.AVAILABILITY_TIMEZONE || "Asia/Singapore";
+
+const localDate = (date) => date.toLocaleDateString("en-CA", { timeZone: AVAILABILITY_TIMEZONE });
+
+/**
+ * Parse the optional preferred time window of a request.
+ * Returns { start, end } (both null when no window was given) or { error }.
+ */
+function parsePreferredWindow(preferredStart, preferredEnd) {
+    if (!preferredStart && !preferredEnd) {
+        return { start: null, end: null };
+    }
+
+    if (!preferredStart || !preferredEnd) {
+        return { error: "preferredStart and preferredEnd must be given together" };
+    }
+
+    const start = new Date(preferredStart);
+    const end = new Date(preferredEnd);
+
+    if (isNaN(start) || isNaN(end)) {
+        return { error: "preferredStart and preferredEnd must be valid ISO 8601 timestamps" };
+    }
+
+    if (end <= start) {
+        return { error: "preferredEnd must be after preferredStart" };
+    }
+
+    if (end <= new Date()) {
+        return { error: "Preferred time window is already in the past" };
+    }
+
+    // Weekly slots are per day, so a window cannot run past midnight
+    if (localDate(start) !== localDate(end)) {
+        return { error: "Preferred time window must start and end on the same day" };
+    }
+
+    return { start, end };
+}
+
+module.exports = { parsePreferredWindow, localDate, AVAILABILITY_TIMEZONE };
@@ -45,6 +45,10 @@ const AuthMiddleware = require('/app/shared/auth-middleware');
 const authMiddlewareInstance = new AuthMiddleware(process.env.AUTH_SERVICE_URL);
 const authMiddleware = authMiddlewareInstance.authenticateToken;
 
+// Domain events (publishes friend.requested, relays others to open pages)
+const EventBus = require('/app/shared/event-bus');
+const eventBus = new EventBus('social-service');
+
 // Load proto file
 const PROTO_PATH = path.join(__dirname, '../proto/messaging.proto');
 const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
@@ -59,7 +63,7 @@ const messagingProto = grpc.loadPackageDefinition(packageDefinition).messaging;
 // Store for active message streams (for real-time messaging)
 const activeStreams = new Map();
 
-// Store for WebSocket connections (userId -> WebSocket)
+// Store for WebSocket connections (userId -> Set of WebSockets, one per open page)
 const wsConnections = new Map();
 
 // Store for typing timeouts
@@ -579,13 +583,20 @@ app.post('/friends/request', authMiddleware, async (req, res) => {
         }
 
         // Create friend request
-        await client.query(`
+        const friendship = await client.query(`
             INSERT INTO friendships (user_id, friend_id, status)
             VALUES ($1, $2, 'pending')
+            RETURNING id
         `, [userId, friendId]);
 
         await client.query('COMMIT');
 
+        await eventBus.publishSafely('friend.requested', {
+            friendship_id: friendship.rows[0].id,
+            requester_id: userId,
+            recipient_id: Number(friendId)
+        });
+
         res.json({
             success: true,
             message: 'Friend request sent successfully'
@@ -1215,7 +1226,10 @@ wss.on('connection', (ws, request) => {
     console.log(`✅ WebSocket connected: User ${userId}`);
 
     // Store connection
-    wsConnections.set(userId, ws);
+    if (!wsConnections.has(userId)) {
+        wsConnections.set(userId, new Set());
+    }
+    wsConnections.get(userId).add(ws);
 
     // Send connection confirmation
     ws.send(JSON.stringify({
@@ -1240,10 +1254,14 @@ wss.on('connection', (ws, request) => {
     // Handle disconnection
     ws.on('close', () => {
         console.log(`❌ WebSocket disconnected: User ${userId}`);
-        wsConnections.delete(userId);
+        const sockets = wsConnections.get(userId);
+        if (sockets) {
+            sockets.delete(ws);
+            if (sockets.size > 0) return;
+            wsConnections.delete(userId);
+        }
         
         // Clear any typing timeouts
-        const typingKey = `${userId}_*`;
         typingTimeouts.forEach((timeout, key) => {
             if (key.startsWith(`${userId}_`)) {
                 clearTimeout(timeout);
@@ -1257,6 +1275,25 @@ wss.on('connection', (ws, request) => {
     });
 });
 
+/**
+ * Send a payload to every open page of a user. Returns false when the user
+ * has no open connection.
+ */
+function sendToUser(userId, payload) {
+    const sockets = wsConnections.get(userId);
+    if (!sockets) return false;
+
+    const data = JSON.stringify(payload);
+    let sent = false;
+    sockets.forEach(ws => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(data);
+            sent = true;
+        }
+    });
+    return sent;
+}
+
 // Handle WebSocket messages
 async function handleWebSocketMessage(ws, userId, message) {
     switch (message.type) {
@@ -1292,13 +1329,10 @@ async function handleSendMessage(senderId, receiverId, content) {
         `, [senderId, receiverId]);
 
         if (friendshipCheck.rows.length === 0) {
-            const senderWs = wsConnections.get(senderId);
-            if (senderWs) {
-                senderWs.send(JSON.stringify({
-                    type: 'error',
-                    error: 'You can only send messages to your friends'
-                }));
-            }
+            sendToUser(senderId, {
+                type: 'error',
+                error: 'You can only send messages to your friends'
+            });
             return;
         }
 
@@ -1340,32 +1374,23 @@ async function handleSendMessage(senderId, receiverId, content) {
         };
 
         // Send to sender (confirmation)
-        const senderWs = wsConnections.get(senderId);
-        if (senderWs && senderWs.readyState === WebSocket.OPEN) {
-            senderWs.send(JSON.stringify({
-                type: 'new_message',
-                message: messageData
-            }));
-        }
+        sendToUser(senderId, {
+            type: 'new_message',
+            message: messageData
+        });
 
         // Send to receiver (if online)
-        const receiverWs = wsConnections.get(receiverId);
-        if (receiverWs && receiverWs.readyState === WebSocket.OPEN) {
-            receiverWs.send(JSON.stringify({
-                type: 'new_message',
-                message: messageData
-            }));
-        }
+        sendToUser(receiverId, {
+            type: 'new_message',
+            message: messageData
+        });
 
     } catch (error) {
         console.error('Error sending message via WebSocket:', error);
-        const senderWs = wsConnections.get(senderId);
-        if (senderWs) {
-            senderWs.send(JSON.stringify({
-                type: 'error',
-                error: 'Failed to send message'
-            }));
-        }
+        sendToUser(senderId, {
+            type: 'error',
+            error: 'Failed to send message'
+        });
     }
 }
 
@@ -1381,23 +1406,18 @@ async function handleTypingIndicator(userId, otherUserId, isTyping) {
         }
 
         // Send typing indicator to other user
-        const otherUserWs = wsConnections.get(otherUserId);
-        if (otherUserWs && otherUserWs.readyState === WebSocket.OPEN) {
-            otherUserWs.send(JSON.stringify({
-                type: isTyping ? 'typing_start' : 'typing_stop',
-                userId: userId
-            }));
-        }
+        sendToUser(otherUserId, {
+            type: isTyping ? 'typing_start' : 'typing_stop',
+            userId: userId
+        });
 
         // Auto-stop typing after 3 seconds
         if (isTyping) {
             const timeout = setTimeout(() => {
-                if (otherUserWs && otherUserWs.readyState === WebSocket.OPEN) {
-                    otherUserWs.send(JSON.stringify({
-                        type: 'typing_stop',
-                        userId: userId
-                    }));
-                }
+                sendToUser(otherUserId, {
+                    type: 'typing_stop',
+                    userId: userId
+                });
                 typingTimeouts.delete(typingKey);
             }, 3000);
             
@@ -1423,29 +1443,65 @@ async function handleMarkAsRead(userId, otherUserId) {
             const messageIds = result.rows.map(row => row.id);
 
             // Notify sender that messages were read
-            const senderWs = wsConnections.get(otherUserId);
-            if (senderWs && senderWs.readyState === WebSocket.OPEN) {
-                senderWs.send(JSON.stringify({
-                    type: 'message_read',
-                    messageIds: messageIds,
-                    userId: userId
-                }));
-            }
+            sendToUser(otherUserId, {
+                type: 'message_read',
+                messageIds: messageIds,
+                userId: userId
+            });
 
             // Confirm to reader
-            const readerWs = wsConnections.get(userId);
-            if (readerWs && readerWs.readyState === WebSocket.OPEN) {
-                readerWs.send(JSON.stringify({
-                    type: 'messages_marked_read',
-                    count: messageIds.length
-                }));
-            }
+            sendToUser(userId, {
+                type: 'messages_marked_read',
+                count: messageIds.length
+            });
         }
     } catch (error) {
         console.error('Error marking messages as read:', error);
     }
 }
 
+// ==================== REAL-TIME PUSH ====================
+
+// Domain events relayed to the browser over the chat socket so pages update
+// without polling. Sockets live in this process, so the push queue assumes a
+// single social-service replica. A user with no open page simply misses the
+// push and sees the change on the next page load.
+eventBus.subscribe('social-service.push', {
+    'notification.created.v1': async ({ data }) => {
+        sendToUser(data.user_id, {
+            type: 'notification',
+            notification: data.notification,
+            unreadCount: data.unread_count,
+            delta: 1
+        });
+    },
+    'notification.read.v1': async ({ data }) => {
+        sendToUser(data.user_id, {
+            type: 'unread_count',
+            unreadCount: data.unread_count,
+            delta: -data.notification_ids.length
+        });
+    },
+    'notification.deleted.v1': async ({ data }) => {
+        sendToUser(data.user_id, {
+            type: 'unread_count',
+            unreadCount: data.unread_count,
+            delta: data.was_unread ? -1 : 0
+        });
+    },
+    'offer.made.v1': async ({ data }) => {
+        sendToUser(data.senior_id, { type: 'offer_made', offer: data });
+    },
+    'match.*.v1': async ({ type, data }) => {
+        const payload = { type: 'match_updated', event: type, match: data };
+        sendToUser(data.senior_id, payload);
+        sendToUser(data.helper_id, payload);
+    },
+    'friend.requested.v1': async ({ data }) => {
+        sendToUser(data.recipient_id, { type: 'friend_request', friendshipId: data.friendship_id, requesterId: data.requester_id });
+    }
+});
+
 // Start server
 server.listen(PORT, () => {
     console.log(`🚀 Social service running on port ${PORT}`);
@@ -3,6 +3,7 @@ const db = require('./db');
 const express = require('express');
 const cors = require('cors');
 const AuthMiddleware = require('/app/shared/auth-middleware');
+const EventBus = require('/app/shared/event-bus');
 const app = express();
 const authMiddleware = new AuthMiddleware(process.env.AUTH_SERVICE_URL);
 
@@ -612,10 +613,45 @@ async function getSeniorStatsData(seniorId) {
     }
 }
 
+// ============= STATS CACHE =============
+// Helper and senior stats take a dozen queries each, so they are cached per
+// replica and dropped when a domain event says they changed. Each replica
+// subscribes on its own exclusive queue, so every cache sees every event. Not
+// every change publishes one (e.g. status edits), so the TTL stays short.
+const STATS_CACHE_TTL_MS = parseInt(process.env.STATS_CACHE_TTL_MS) || 60 * 1000;
+const statsCache = new Map();
+
+async function cachedStats(kind, userId, load) {
+    const key = `${kind}:${userId}`;
+    const hit = statsCache.get(key);
+    if (hit && hit.expiresAt > Date.now()) return hit.stats;
+
+    const stats = await load(userId);
+    statsCache.set(key, { stats, expiresAt: Date.now() + STATS_CACHE_TTL_MS });
+    return stats;
+}
+
+function invalidateStats(...userIds) {
+    for (const userId of userIds.filter(Boolean)) {
+        statsCache.delete(`helper:${userId}`);
+        statsCache.delete(`senior:${userId}`);
+    }
+}
+
+const getHelperStats = (helperId) => cachedStats('helper', helperId, getHelperStatsData);
+const getSeniorStats = (seniorId) => cachedStats('senior', seniorId, getSeniorStatsData);
+
+const eventBus = new EventBus('stats-service');
+eventBus.subscribe('stats-service.events', {
+    'request.created.v1': async ({ data }) => invalidateStats(data.user_id),
+    'match.*.v1': async ({ data }) => invalidateStats(data.helper_id, data.senior_id),
+    'rating.submitted.v1': async ({ data }) => invalidateStats(data.ratee_id, data.rater_id)
+}, { exclusive: true });
+
 // Route for helper stats
 app.get('/stats/helper', authMiddleware.authenticateToken, async (req, res) => {
     try {
-        const stats = await getHelperStatsData(req.user.id);
+        const stats = await getHelperStats(req.user.id);
         res.json(stats);
     } catch (error) {
         console.error('[Stats] Get helper stats error:', error);
@@ -626,7 +662,7 @@ app.get('/stats/helper', authMiddleware.authenticateToken, async (req, res) => {
 // Route to view helper stats
 app.get('/stats/helper/:id', authMiddleware.authenticateToken, async (req, res) => {
     try {
-        const stats = await getHelperStatsData(req.params.id);
+        const stats = await getHelperStats(parseInt(req.params.id));
         res.json(stats);
     } catch (error) {
         console.error('[Stats] Get helper stats error:', error);
@@ -637,7 +673,7 @@ app.get('/stats/helper/:id', authMiddleware.authenticateToken, async (req, res)
 // Route for senior stats
 app.get('/stats/senior', authMiddleware.authenticateToken, async (req, res) => {
     try {
-        const stats = await getSeniorStatsData(req.user.id);
+        const stats = await getSeniorStats(req.user.id);
         res.json(stats);
     } catch (error) {
         console.error('[Stats] Get senior stats error:', error);
@@ -648,7 +684,7 @@ app.get('/stats/senior', authMiddleware.authenticateToken, async (req, res) => {
 // Route to view senior stats
 app.get('/stats/senior/:id', authMiddleware.authenticateToken, async (req, res) => {
     try {
-        const stats = await getSeniorStatsData(req.params.id);
+        const stats = await getSeniorStats(parseInt(req.params.id));
         res.json(stats);
     } catch (error) {
         console.error('[Stats] Get senior stats error:', error);
@@ -1,6 +1,10 @@
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
 
+// How long a session's "still active" answer from auth-service is trusted.
+// Revoking a device takes effect on other services within this window.
+const SESSION_CHECK_TTL_MS = parseInt(process.env.SESSION_CHECK_TTL_MS) || 30 * 1000;
+
 /**
  * JWT Authentication Middleware for Microservices
  * This can be imported and used by other services
@@ -9,6 +13,8 @@ class AuthMiddleware {
     constructor(authServiceUrl = 'http://auth-service:5000') {
         this.authServiceUrl = authServiceUrl;
         this.jwtSecret = process.env.JWT_SECRET || 'fallback-secret-change-in-production';
+        // sid → { active, checkedAt }
+        this.sessionCache = new Map();
     }
 
     /**
@@ -28,17 +34,70 @@ class AuthMiddleware {
             });
         }
 
+        let decoded;
         try {
             // Verify token locally (faster)
-            const decoded = jwt.verify(token, this.jwtSecret);
-            req.user = decoded;
-            next();
+            decoded = jwt.verify(token, this.jwtSecret);
         } catch (error) {
+            // An expired access token is renewed by the frontend via /refresh
+            if (error.name === 'TokenExpiredError') {
+                return res.status(401).json({
+                    error: 'Token expired',
+                    message: 'Please refresh your session'
+                });
+            }
             // If local verification fails, try validating with auth service
-            this.validateTokenWithAuthService(token, req, res, next);
+            return this.validateTokenWithAuthService(token, req, res, next);
         }
+
+        this.checkSession(token, decoded)
+            .then(active => {
+                if (!active) {
+                    return res.status(401).json({
+                        error: 'Session revoked',
+                        message: 'Please log in again'
+                    });
+                }
+                req.user = decoded;
+                next();
+            })
+            .catch(next);
     };
 
+    /**
+     * Whether the login session behind a token (its sid) is still active.
+     * Asks auth-service and caches the answer for SESSION_CHECK_TTL_MS. If
+     * auth-service cannot be reached the signed, short-lived token is trusted.
+     */
+    async checkSession(token, decoded) {
+        // Tokens issued before sessions existed have no sid
+        if (!decoded.sid) return true;
+
+        const cached = this.sessionCache.get(decoded.sid);
+        if (cached && Date.now() - cached.checkedAt < SESSION_CHECK_TTL_MS) {
+            return cached.active;
+        }
+
+        let active;
+        try {
+            const response = await axios.post(`${this.authServiceUrl}/validate-token`,
+                { token },
+                { timeout: 5000, validateStatus: status => status < 500 }
+            );
+            active = response.data.valid === true;
+        } catch (error) {
+            console.error('Session check error:', error.message);
+            return cached ? cached.active : true;
+        }
+
+        this.sessionCache.set(decoded.sid, { active, checkedAt: Date.now() });
+        if (this.sessionCache.size > 10000) {
+            // Drop the oldest entry; Map keeps insertion order
+            this.sessionCache.delete(this.sessionCache.keys().next().value);
+        }
+        return active;
+    }
+
     /**
      * Validate token with auth service (fallback)
      */
@@ -59,6 +118,13 @@ class AuthMiddleware {
                 });
             }
         } catch (error) {
+            // auth-service answered: the token is invalid, expired or revoked
+            if (error.response && error.response.status < 500) {
+                return res.status(error.response.status === 403 ? 403 : 401).json({
+                    error: error.response.data?.error || 'Invalid token',
+                    message: error.response.data?.message || 'Please re-authenticate'
+                });
+            }
             console.error('Token validation error:', error.message);
             res.status(503).json({ 
                 error: 'Authentication service unavailable',
@@ -84,6 +150,26 @@ class AuthMiddleware {
         };
     };
 
+    /**
+     * Middleware: the login session must have passed a second factor (the
+     * `mfa` claim set by auth-service after TOTP, a recovery code or a passkey)
+     */
+    requireTwoFactor = (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        if (!req.user.mfa) {
+            return res.status(403).json({
+                error: 'Two-factor authentication required',
+                code: 'TWO_FACTOR_REQUIRED',
+                message: 'Set up two-factor authentication or sign in again with it to continue'
+            });
+        }
+
+        next();
+    };
+
     /**
      * Optional authentication - doesn't fail if token is missing
      */
@@ -0,0 +1,94 @@
+const HEADER = 'x-on-behalf-of';
+
+/**
+ * Caregivers Acting for Seniors
+ *
+ * A caregiver with an active link (table caregiver_links, managed by
+ * auth-service) may act as one of their seniors by naming them in
+ * `onBehalfOf` (body or query string) or the x-on-behalf-of header.
+ * The middleware then swaps req.user for the senior, so route handlers run
+ * unchanged, and keeps the caregiver in req.caregiver. Handlers call
+ * record() after the action so it lands in caregiver_actions.
+ *
+ *   const delegation = new CaregiverDelegation(pool, 'request-service');
+ *   app.post('/postRequest', authMiddleware.authenticateToken, delegation.actOnBehalf, async (req, res) => {
+ *       ...
+ *       await delegation.record(req, 'request.posted', { requestId });
+ *   });
+ */
+class CaregiverDelegation {
+    constructor(pool, serviceName) {
+        this.pool = pool;
+        this.serviceName = serviceName;
+    }
+
+    static requestedSeniorId(req) {
+        return req.body?.onBehalfOf ?? req.query?.onBehalfOf ?? req.headers[HEADER];
+    }
+
+    /**
+     * Middleware (after authenticateToken). Requests without onBehalfOf pass through untouched.
+     */
+    actOnBehalf = async (req, res, next) => {
+        const requested = CaregiverDelegation.requestedSeniorId(req);
+        if (requested === undefined || requested === null || requested === '') {
+            return next();
+        }
+
+        const seniorId = parseInt(requested);
+        if (!seniorId) {
+            return res.status(400).json({ error: 'onBehalfOf must be a user id' });
+        }
+        if (req.user.role !== 'caregiver') {
+            return res.status(403).json({ error: 'Only caregivers can act on behalf of a senior' });
+        }
+
+        try {
+            const result = await this.pool.query(
+                `SELECT u.id, u.email, u.firstname, u.lastname, u.role
+                 FROM caregiver_links l
+                 JOIN users u ON u.id = l.senior_id
+                 WHERE l.caregiver_id = $1 AND l.senior_id = $2 AND l.status = 'active' AND u.is_active = TRUE`,
+                [req.user.id, seniorId]
+            );
+            const senior = result.rows[0];
+
+            if (!senior) {
+                return res.status(403).json({ error: 'You are not linked to this senior' });
+            }
+
+            req.caregiver = req.user;
+            req.user = {
+                id: senior.id,
+                email: senior.email,
+                firstname: senior.firstname,
+                lastname: senior.lastname,
+                role: senior.role,
+                actingCaregiverId: req.caregiver.id
+            };
+            next();
+        } catch (error) {
+            console.error('Caregiver link check failed:', error.message);
+            res.status(500).json({ error: 'Could not verify caregiver link' });
+        }
+    };
+
+    /**
+     * Record an action taken through actOnBehalf; does nothing when the user
+     * acted for themselves. Pass a transaction client to record it atomically.
+     */
+    async record(req, action, { requestId = null, matchId = null, details = null } = {}, client = null) {
+        if (!req.caregiver) return;
+
+        await (client || this.pool).query(
+            `INSERT INTO caregiver_actions (caregiver_id, senior_id, action, service, request_id, match_id, details)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [req.caregiver.id, req.user.id, action, this.serviceName, requestId, matchId, details]
+        );
+        console.log(`👥 Caregiver ${req.caregiver.id} for senior ${req.user.id}: ${action}`);
+    }
+}
+
+CaregiverDelegation.HEADER = HEADER;
+
+module.exports = CaregiverDelegation;
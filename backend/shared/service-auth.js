@@ -0,0 +1,127 @@
+const jwt = require('jsonwebtoken');
+
+// Service tokens only need to cover a single call, so they expire quickly
+const TOKEN_TTL_SECONDS = 60;
+// Reuse a cached token until it is this close to expiring
+const REFRESH_MARGIN_SECONDS = 10;
+// Allowance for clocks that differ between pods
+const CLOCK_TOLERANCE_SECONDS = 5;
+const HEADER = 'x-service-token';
+
+/**
+ * Service-to-Service Authentication
+ *
+ * Internal endpoints (e.g. notification-service /notify/*) are called by other
+ * services, never by browsers. Callers attach a short-lived JWT naming
+ * themselves (sub) and the service they are calling (aud), signed with
+ * SERVICE_JWT_SECRET. The secret is separate from JWT_SECRET so a user's
+ * login token can never pass as a service identity. Tokens without an expiry,
+ * or living longer than TOKEN_TTL_SECONDS, are refused.
+ *
+ *   // caller
+ *   const serviceAuth = new ServiceAuth('matching-service');
+ *   await axios.post(url, body, { headers: serviceAuth.headers('notification-service') });
+ *
+ *   // callee
+ *   const serviceAuth = new ServiceAuth('notification-service');
+ *   app.post('/notify/offer', serviceAuth.requireService(), handler);
+ */
+class ServiceAuth {
+    constructor(serviceName) {
+        this.serviceName = serviceName;
+        this.secret = process.env.SERVICE_JWT_SECRET;
+        this.tokens = new Map();
+
+        if (!this.secret) {
+            console.warn(`[ServiceAuth] SERVICE_JWT_SECRET not set: ${serviceName} can neither call nor accept internal endpoints`);
+        }
+    }
+
+    /**
+     * Token for calling `audience`, cached until shortly before it expires
+     */
+    token(audience) {
+        if (!this.secret) {
+            throw new Error('SERVICE_JWT_SECRET not set');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const cached = this.tokens.get(audience);
+        if (cached && cached.expiresAt - REFRESH_MARGIN_SECONDS > now) {
+            return cached.token;
+        }
+
+        const token = jwt.sign({ typ: 'service' }, this.secret, {
+            subject: this.serviceName,
+            audience,
+            expiresIn: TOKEN_TTL_SECONDS
+        });
+        this.tokens.set(audience, { token, expiresAt: now + TOKEN_TTL_SECONDS });
+        return token;
+    }
+
+    /**
+     * Request headers identifying this service to `audience`
+     */
+    headers(audience) {
+        return { [HEADER]: this.token(audience) };
+    }
+
+    /**
+     * Middleware that only lets other services through. Pass service names to
+     * restrict which callers are allowed; with none, any valid service may call.
+     */
+    requireService = (...allowed) => {
+        return (req, res, next) => {
+            if (!this.secret) {
+                return res.status(503).json({ error: 'Service authentication not configured' });
+            }
+
+            const token = req.headers[HEADER];
+            if (!token) {
+                return res.status(401).json({
+                    error: 'Service token required',
+                    message: 'This endpoint is only available to internal services'
+                });
+            }
+
+            try {
+                // maxAge also rejects tokens without iat; exp is checked below since verify accepts its absence
+                const decoded = jwt.verify(token, this.secret, {
+                    audience: this.serviceName,
+                    maxAge: TOKEN_TTL_SECONDS + CLOCK_TOLERANCE_SECONDS,
+                    clockTolerance: CLOCK_TOLERANCE_SECONDS
+                });
+                if (decoded.typ !== 'service') {
+                    throw new Error('Not a service token');
+                }
+                if (typeof decoded.exp !== 'number' || decoded.exp - decoded.iat > TOKEN_TTL_SECONDS) {
+                    throw new Error('Service token must expire within a minute');
+                }
+                if (allowed.length > 0 && !allowed.includes(decoded.sub)) {
+                    return res.status(403).json({ error: `Service ${decoded.sub} may not call this endpoint` });
+                }
+
+                req.service = { name: decoded.sub };
+                next();
+            } catch (error) {
+                console.warn(`[ServiceAuth] Rejected service token for ${req.method} ${req.path}: ${error.message}`);
+                res.status(403).json({ error: 'Invalid service token' });
+            }
+        };
+    };
+
+    /**
+     * Middleware for debugging routes: they answer 404 unless NODE_ENV is development
+     */
+    static devOnly(req, res, next) {
+        if (process.env.NODE_ENV !== 'development') {
+            return res.status(404).json({ error: 'Not found' });
+        }
+        next();
+    }
+}
+
+ServiceAuth.HEADER = HEADER;
+
+module.exports = ServiceAuth;
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATES_DIR = path.join(__dirname, 'templates');
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * File-based Email Template Registry
+ *
+ * Every email is a directory under the templates directory:
+ *
+ *   templates/<name>/template.json     { description, layout, sample }
+ *   templates/<name>/<locale>.subject.txt
+ *   templates/<name>/<locale>.html
+ *   templates/<name>/<locale>.txt      plaintext alternative
+ *   templates/<name>/<locale>.sms.txt  optional short text for SMS/chat channels
+ *
+ * and is wrapped in templates/layouts/<layout>/<locale>.{html,txt}, which
+ * place the body with {{{body}}}. A missing locale falls back to its language
+ * (zh-SG → zh) and then to English.
+ *
+ * Templates are logic-less: {{name}} inserts a value (HTML-escaped in .html
+ * files), {{{name}}} inserts it raw, {{#if name}}…{{else}}…{{/if}} shows a
+ * block only when the value is set, and {{#each list}}…{{/each}} repeats a
+ * block per item with the item's fields in scope. Callers pass ready-made
+ * values (labels, URLs) instead of putting logic in the wording.
+ *
+ * Files are read on every render so a reworded template takes effect without
+ * a restart. Point EMAIL_TEMPLATES_DIR at a mounted directory to change
+ * wording without rebuilding the image.
+ */
+class TemplateRegistry {
+    constructor(templatesDir = process.env.EMAIL_TEMPLATES_DIR || DEFAULT_TEMPLATES_DIR) {
+        this.templatesDir = templatesDir;
+    }
+
+    /**
+     * List every template with its description, locales and sample data
+     */
+    list() {
+        return fs.readdirSync(this.templatesDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && entry.name !== 'layouts')
+            .map(entry => {
+                const meta = this.readMeta(entry.name);
+                return {
+                    name: entry.name,
+                    description: meta.description || '',
+                    layout: meta.layout || null,
+                    locales: this.locales(entry.name),
+                    sample: meta.sample || {}
+                };
+            });
+    }
+
+    has(name) {
+        return isTemplateName(name) && fs.existsSync(path.join(this.templatesDir, name, 'template.json'));
+    }
+
+    locales(name) {
+        return fs.readdirSync(path.join(this.templatesDir, name))
+            .filter(file => file.endsWith('.subject.txt'))
+            .map(file => file.slice(0, -'.subject.txt'.length));
+    }
+
+    readMeta(name) {
+        return JSON.parse(fs.readFileSync(path.join(this.templatesDir, name, 'template.json'), 'utf8'));
+    }
+
+    /**
+     * Render a template to { subject, html, text, sms, locale }; sms is null
+     * when the template has no short text.
+     * `overrides` replaces the subject/html/text/sms source for this render only,
+     * so a draft rewording can be previewed before it is saved.
+     */
+    render(name, data = {}, { locale = DEFAULT_LOCALE, overrides = {} } = {}) {
+        if (!this.has(name)) {
+            throw new TemplateError(`Unknown email template: ${name}`);
+        }
+
+        const meta = this.readMeta(name);
+        const resolved = this.resolveLocale(name, locale);
+        const read = (suffix) => this.readFile(path.join(this.templatesDir, name), resolved, suffix);
+
+        const subject = renderString(overrides.subject ?? read('subject.txt'), data, { escape: false }).trim();
+        let html = renderString(overrides.html ?? read('html'), data, { escape: true });
+        let text = renderString(overrides.text ?? read('txt'), data, { escape: false });
+        const smsSource = overrides.sms ?? this.readOptionalFile(path.join(this.templatesDir, name), resolved, 'sms.txt');
+        const sms = smsSource === null ? null : renderString(smsSource, data, { escape: false }).trim();
+
+        if (meta.layout) {
+            const layoutDir = path.join(this.templatesDir, 'layouts', meta.layout);
+            const layoutData = { ...data, subject, year: new Date().getFullYear() };
+            html = renderString(this.readFile(layoutDir, resolved, 'html'), { ...layoutData, body: html.trim() }, { escape: true });
+            text = renderString(this.readFile(layoutDir, resolved, 'txt'), { ...layoutData, body: text.trim() }, { escape: false });
+        }
+
+        return { subject, html, text, sms, locale: resolved };
+    }
+
+    /**
+     * Pick the closest locale the template exists in
+     */
+    resolveLocale(name, locale) {
+        const available = this.locales(name);
+        const candidates = [locale, String(locale || '').split('-')[0], DEFAULT_LOCALE];
+        const match = candidates.find(candidate => candidate && available.includes(candidate));
+
+        if (!match) {
+            throw new TemplateError(`Email template ${name} has no ${locale} or ${DEFAULT_LOCALE} variant`);
+        }
+        return match;
+    }
+
+    // Layouts may lack a locale the template has; fall back to the English layout
+    readFile(dir, locale, suffix) {
+        const localized = path.join(dir, `${locale}.${suffix}`);
+        const file = fs.existsSync(localized) ? localized : path.join(dir, `${DEFAULT_LOCALE}.${suffix}`);
+        return fs.readFileSync(file, 'utf8');
+    }
+
+    readOptionalFile(dir, locale, suffix) {
+        const file = [locale, DEFAULT_LOCALE]
+            .map(candidate => path.join(dir, `${candidate}.${suffix}`))
+            .find(candidate => fs.existsSync(candidate));
+        return file ? fs.readFileSync(file, 'utf8') : null;
+    }
+}
+
+class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+    }
+}
+
+// Template names double as directory names, so keep them to plain words
+function isTemplateName(name) {
+    return typeof name === 'string' && /^[a-z0-9][a-z0-9-]*$/.test(name) && name !== 'layouts';
+}
+
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(#if\b|\/if\b|#each\b|\/each\b|else\b)?\s*([\w.]*)\s*\}\}/g;
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function lookup(data, key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), data);
+}
+
+function isSet(value) {
+    return !(value === undefined || value === null || value === false || value === '' ||
+        (Array.isArray(value) && value.length === 0));
+}
+
+/**
+ * Parse template source into a tree of text, variable and block (if/each) nodes
+ */
+function parse(source) {
+    const root = { children: [] };
+    const stack = [root];
+    let last = 0;
+
+    const current = () => {
+        const node = stack[stack.length - 1];
+        return node.inElse ? node.otherwise : node.children;
+    };
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+        if (match.index > last) current().push({ text: source.slice(last, match.index) });
+        last = match.index + match[0].length;
+
+        const [, rawKey, keyword, key] = match;
+        const open = stack[stack.length - 1];
+
+        if (rawKey) {
+            current().push({ variable: rawKey, raw: true });
+        } else if (keyword === '#if' || keyword === '#each') {
+            const node = { block: keyword.slice(1), key, children: [], otherwise: [], inElse: false };
+            current().push(node);
+            stack.push(node);
+        } else if (keyword === 'else') {
+            if (open.block !== 'if') throw new TemplateError('{{else}} outside {{#if}}');
+            open.inElse = true;
+        } else if (keyword === '/if' || keyword === '/each') {
+            if (open.block !== keyword.slice(1)) throw new TemplateError(`{{${keyword}}} without {{#${keyword.slice(1)}}}`);
+            stack.pop();
+        } else if (key) {
+            current().push({ variable: key, raw: false });
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new TemplateError(`Unclosed {{#${open.block} ${open.key}}}`);
+    }
+    if (last < source.length) current().push({ text: source.slice(last) });
+    return root.children;
+}
+
+function renderNodes(nodes, data, escape) {
+    return nodes.map(node => {
+        if (node.text !== undefined) return node.text;
+
+        if (node.block === 'if') {
+            return renderNodes(isSet(lookup(data, node.key)) ? node.children : node.otherwise, data, escape);
+        }
+        if (node.block === 'each') {
+            const items = lookup(data, node.key);
+            if (!Array.isArray(items)) return '';
+            return items.map(item => renderNodes(node.children, { ...data, ...item, this: item }, escape)).join('');
+        }
+
+        const value = lookup(data, node.variable);
+        if (value === undefined || value === null) return '';
+        return escape && !node.raw ? escapeHTML(value) : String(value);
+    }).join('');
+}
+
+function renderString(source, data, { escape }) {
+    return renderNodes(parse(source), data, escape);
+}
+
+TemplateRegistry.TemplateError = TemplateError;
+TemplateRegistry.DEFAULT_LOCALE = DEFAULT_LOCALE;
+
+module.exports = TemplateRegistry;
@@ -1091,10 +1091,12 @@ class AdminDashboard {
      */
     async viewUser(userId) {
         try {
-            const response = await window.AuthManager.authenticatedFetch(
-                `${this.adminServiceUrl}/api/admin/users/${userId}`
-            );
+            const [response, deliveriesResponse] = await Promise.all([
+                window.AuthManager.authenticatedFetch(`${this.adminServiceUrl}/api/admin/users/${userId}`),
+                window.AuthManager.authenticatedFetch(`${this.adminServiceUrl}/api/admin/users/${userId}/deliveries?limit=10`)
+            ]);
             const data = await response.json();
+            const deliveries = deliveriesResponse.ok ? await deliveriesResponse.json() : { deliveries: [], pagination: { total: 0 } };
 
             const content = document.getElementById('userDetailContent');
             
@@ -1165,6 +1167,8 @@ class AdminDashboard {
                 <p>${data.matches.length === 0 ? 'No matches' : data.matches.length + ' match(es)'}</p>
                 <h4 style="margin-top: 20px;">Ratings Received (${data.ratings.length})</h4>
                 <p>${data.ratings.length === 0 ? 'No ratings' : 'Average: ' + (data.ratings.reduce((sum, r) => sum + r.score, 0) / data.ratings.length).toFixed(2)}</p>
+                <h4 style="margin-top: 20px;">Recent Deliveries (${deliveries.pagination.total})</h4>
+                ${this.renderDeliveries(deliveries.deliveries)}
             `;
 
             this.openModal('userModal');
@@ -1174,6 +1178,42 @@ class AdminDashboard {
         }
     }
 
+    /**
+     * Render a user's outbound messages with the latest attempt's error
+     */
+    renderDeliveries(deliveries) {
+        if (deliveries.length === 0) {
+            return '<p>No messages sent</p>';
+        }
+
+        const statusClass = { sent: 'active', pending: 'pending' };
+        return `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Message</th>
+                        <th>Channel</th>
+                        <th>Status</th>
+                        <th>Attempts</th>
+                        <th>Queued</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${deliveries.map(message => `
+                        <tr>
+                            <td>${this.escapeHtml(message.label || message.template)}
+                                ${message.last_error ? `<br><small style="color: #dc3545;">${this.escapeHtml(message.last_error)}</small>` : ''}</td>
+                            <td>${message.channel}</td>
+                            <td><span class="badge ${statusClass[message.status] || 'cancelled'}">${message.status}</span></td>
+                            <td>${message.attempts}</td>
+                            <td>${new Date(message.created_at).toLocaleString()}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
     /**
      * View request details
      */
@@ -1644,6 +1684,7 @@ class AdminDashboard {
                     <p><strong>Active Connections:</strong> ${metrics.active_connections || 0}</p>
                     <p><strong>Ratings (24h):</strong> ${metrics.ratings_last_24h || 0}</p>
                     <p><strong>Avg Rating (7d):</strong> ${metrics.avg_rating_last_week ? parseFloat(metrics.avg_rating_last_week).toFixed(2) : 'N/A'}</p>
+                    ${this.renderEmailHealth(metrics.email)}
                     <p><strong>Last Updated:</strong> ${new Date(metrics.timestamp).toLocaleString()}</p>
                 </div>
             `;
@@ -1652,6 +1693,31 @@ class AdminDashboard {
         }
     }
 
+    /**
+     * SMTP connection check and outbound queue counts
+     */
+    renderEmailHealth(email) {
+        if (!email) return '';
+
+        const { smtp, queue } = email;
+        let smtpLine;
+        if (!smtp.reachable) {
+            smtpLine = `<span style="color: #dc3545;"><i class="fas fa-times-circle"></i> Notification service unreachable</span>`;
+        } else if (!smtp.enabled) {
+            smtpLine = '<span style="color: #6c757d;"><i class="fas fa-minus-circle"></i> Disabled</span>';
+        } else if (smtp.verified) {
+            smtpLine = '<span style="color: #28a745;"><i class="fas fa-check-circle"></i> Connection verified</span>';
+        } else {
+            smtpLine = `<span style="color: #dc3545;"><i class="fas fa-exclamation-triangle"></i> ${this.escapeHtml(smtp.message || 'Verification failed')}</span>`;
+        }
+
+        return `
+            <p><strong>SMTP:</strong> ${smtpLine}${smtp.checked_at ? ` <small>(checked ${new Date(smtp.checked_at).toLocaleString()})</small>` : ''}</p>
+            <p><strong>Outbound Queue:</strong> ${queue.pending || 0} pending (${queue.retrying || 0} retrying)</p>
+            <p><strong>Messages (24h):</strong> ${queue.sent_24h || 0} sent, ${queue.failed_24h || 0} failed, ${queue.bounced_24h || 0} bounced</p>
+        `;
+    }
+
     /**
      * Load queue status
      */
@@ -9,6 +9,8 @@ class AuthManager {
         this.authServiceUrl = window?.API_BASE?.AUTH_SERVICE || 'http://localhost:5001';
         this.currentUser = null;
         this.authConfig = null;
+        // In-flight /refresh call, shared so parallel requests refresh once
+        this.refreshPromise = null;
     }
 
     /**
@@ -186,6 +188,19 @@ class AuthManager {
             console.error('[AuthManager] Register form not found!');
         }
 
+        // Second step for accounts with two-factor authentication
+        const twoFactorForm = document.getElementById('twoFactorForm');
+        if (twoFactorForm) {
+            twoFactorForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.verifySecondFactor();
+            });
+        }
+
+        document.getElementById('twoFactorPasskey')?.addEventListener('click', () => this.loginWithPasskey());
+        document.getElementById('passkeyLogin')?.addEventListener('click', () => this.loginWithPasskey());
+        document.getElementById('magicLinkLogin')?.addEventListener('click', () => this.requestMagicLink());
+
         // Set up form switching
         const showRegisterBtn = document.getElementById('showRegister');
         const showLoginBtn = document.getElementById('showLogin');
@@ -263,16 +278,13 @@ class AuthManager {
 
             const data = await response.json();
 
-            if (response.ok) {
+            if (response.ok && data.twoFactorRequired) {
+                console.log('[AuthManager] Password accepted, second factor required:', data.methods);
+                this.showSecondFactorForm(data.methods);
+            } else if (response.ok) {
                 console.log('[AuthManager] Email login successful:', data);
                 this.currentUser = data.user;
-                
-                // Redirect based on user role
-                if (data.user.role === 'admin') {
-                    window.location.href = '/admin.html?authenticated=true';
-                } else {
-                    window.location.href = '/dashboard.html?authenticated=true';
-                }
+                this.redirectAfterLogin(data.user);
             } else {
                 this.showError(data.error || 'Login failed');
             }
@@ -285,6 +297,208 @@ class AuthManager {
         }
     }
 
+    /**
+     * Send the user to their home page after a completed login
+     */
+    redirectAfterLogin(user) {
+        if (user.role === 'admin') {
+            window.location.href = '/admin.html?authenticated=true';
+        } else {
+            window.location.href = '/dashboard.html?authenticated=true';
+        }
+    }
+
+    /**
+     * Swap the password form for the second-factor form. methods is what the
+     * account has set up: 'totp', 'passkey' and/or 'recovery'.
+     */
+    showSecondFactorForm(methods = ['totp', 'recovery']) {
+        const loginForm = document.getElementById('loginFormContainer');
+        const twoFactorForm = document.getElementById('twoFactorContainer');
+        const passkeyButton = document.getElementById('twoFactorPasskey');
+
+        if (loginForm) loginForm.style.display = 'none';
+        if (twoFactorForm) twoFactorForm.style.display = 'block';
+        if (passkeyButton) passkeyButton.style.display = methods.includes('passkey') ? 'block' : 'none';
+        document.getElementById('twoFactorCode')?.focus();
+    }
+
+    /**
+     * Finish a login with a TOTP or recovery code
+     */
+    async verifySecondFactor() {
+        try {
+            const code = document.getElementById('twoFactorCode')?.value.trim();
+            if (!code) {
+                this.showError('Please enter your verification code');
+                return;
+            }
+
+            this.showLoading(true);
+            this.clearError();
+
+            const response = await fetch(`${this.authServiceUrl}/2fa/verify`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'include',
+                body: JSON.stringify({ code })
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.currentUser = data.user;
+                if (data.recoveryCodesLeft !== undefined) {
+                    alert(`You signed in with a recovery code. ${data.recoveryCodesLeft} code(s) left - create new ones from your profile.`);
+                }
+                this.redirectAfterLogin(data.user);
+            } else {
+                this.showError(data.error || 'Verification failed');
+            }
+        } catch (error) {
+            console.error('[AuthManager] Two-factor verification error:', error);
+            this.showError('Network error. Please try again.');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Sign in with a passkey: either as the second step after the password,
+     * or on its own (the browser then offers any passkey saved for this site)
+     */
+    async loginWithPasskey() {
+        try {
+            if (!window.SimpleWebAuthnBrowser?.browserSupportsWebAuthn()) {
+                this.showError('This browser does not support passkeys');
+                return;
+            }
+
+            this.clearError();
+
+            const optionsResponse = await fetch(`${this.authServiceUrl}/webauthn/login/options`, {
+                method: 'POST',
+                credentials: 'include'
+            });
+            const { challengeId, options, error } = await optionsResponse.json();
+            if (!optionsResponse.ok) {
+                this.showError(error || 'Passkey login failed');
+                return;
+            }
+
+            const credential = await window.SimpleWebAuthnBrowser.startAuthentication(options);
+
+            this.showLoading(true);
+            const response = await fetch(`${this.authServiceUrl}/webauthn/login/verify`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'include',
+                body: JSON.stringify({ challengeId, response: credential })
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.currentUser = data.user;
+                this.redirectAfterLogin(data.user);
+            } else {
+                this.showError(data.error || 'Passkey login failed');
+            }
+        } catch (error) {
+            console.error('[AuthManager] Passkey login error:', error);
+            // The user closed the browser's passkey prompt
+            if (error.name === 'NotAllowedError') {
+                this.showError('Passkey sign-in was cancelled');
+            } else {
+                this.showError('Passkey login failed. Please try again.');
+            }
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Email a sign-in link to the address in the login form (no password needed)
+     */
+    async requestMagicLink() {
+        try {
+            const email = document.getElementById('email')?.value.trim();
+            if (!email) {
+                this.showError('Please enter your email, then press the button again');
+                document.getElementById('email')?.focus();
+                return;
+            }
+
+            this.showLoading(true);
+            this.clearError();
+
+            const response = await fetch(`${this.authServiceUrl}/magic-link`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'include',
+                body: JSON.stringify({ email })
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showSuccess(data.message);
+            } else {
+                this.showError(data.error || 'Failed to send sign-in link');
+            }
+        } catch (error) {
+            console.error('[AuthManager] Magic link request error:', error);
+            this.showError('Network error. Please try again.');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Finish a passwordless login from the link in the email
+     */
+    async verifyMagicLink(email, token) {
+        try {
+            this.showLoading(true);
+            this.clearError();
+
+            const response = await fetch(`${this.authServiceUrl}/magic-link/verify`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                credentials: 'include',
+                body: JSON.stringify({ email, token })
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.twoFactorRequired) {
+                console.log('[AuthManager] Sign-in link accepted, second factor required:', data.methods);
+                this.showSecondFactorForm(data.methods);
+            } else if (response.ok) {
+                console.log('[AuthManager] Sign-in link login successful:', data);
+                this.currentUser = data.user;
+                this.redirectAfterLogin(data.user);
+            } else {
+                const emailInput = document.getElementById('email');
+                if (emailInput) emailInput.value = email;
+                this.showError(data.error || 'Sign-in link could not be used');
+            }
+        } catch (error) {
+            console.error('[AuthManager] Magic link login error:', error);
+            this.showError('Network error. Please try again.');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
     /**
      * Register with email and password
      */
@@ -459,9 +673,13 @@ class AuthManager {
             },
         };
         
+        // Providers added through auth-service configuration name themselves
+        const routes = this.authConfig?.oidc?.routes?.[provider] || {};
+        const displayName = routes.displayName || provider.charAt(0).toUpperCase() + provider.slice(1);
+
         return configs[provider] || {
-            text: `Continue with ${provider.charAt(0).toUpperCase() + provider.slice(1)}`,
-            icon: 'fas fa-sign-in-alt',
+            text: `Continue with ${displayName}`,
+            icon: routes.icon || 'fas fa-sign-in-alt',
             className: 'generic-btn'
         };
     }
@@ -472,29 +690,23 @@ class AuthManager {
     async checkAuthentication() {
         try {
             console.log('[AuthManager] Checking authentication...');
-            const token = this.getToken();
+            // An expired or missing access token is renewed from the refresh cookie
+            const token = await this.getValidToken();
             console.log('[AuthManager] Token found:', !!token);
             
             if (!token) {
-                console.log('[AuthManager] No token found, user not authenticated');
-                return false;
-            }
-
-            // First check if token format is valid
-            if (!this.isTokenFormatValid(token)) {
-                console.log('[AuthManager] Token format invalid, removing...');
+                console.log('[AuthManager] No valid token and no session to refresh, user not authenticated');
                 this.removeToken();
                 return false;
             }
 
             console.log('[AuthManager] Validating token with server...');
-            const response = await fetch(`${this.authServiceUrl}/me`, {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                },
-                // Add timeout to prevent hanging
-                signal: AbortSignal.timeout ? AbortSignal.timeout(5000) : undefined
-            });
+            let response = await this.fetchMe(token);
+
+            // Revoked or expired on the server side: one refresh attempt before giving up
+            if (response.status === 401 && await this.refreshSession()) {
+                response = await this.fetchMe(this.getToken());
+            }
 
             console.log('[AuthManager] Server response status:', response.status);
 
@@ -552,6 +764,56 @@ class AuthManager {
         }
     }
 
+    fetchMe(token) {
+        return fetch(`${this.authServiceUrl}/me`, {
+            headers: {
+                'Authorization': `Bearer ${token}`
+            },
+            // Add timeout to prevent hanging
+            signal: AbortSignal.timeout ? AbortSignal.timeout(5000) : undefined
+        });
+    }
+
+    /**
+     * Renew the access token using the httpOnly refresh token cookie.
+     * Resolves to true when a new access token was issued.
+     */
+    refreshSession() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = fetch(`${this.authServiceUrl}/refresh`, {
+                method: 'POST',
+                credentials: 'include'
+            })
+                .then(response => {
+                    console.log('[AuthManager] Session refresh status:', response.status);
+                    return response.ok;
+                })
+                .catch(error => {
+                    console.warn('[AuthManager] Session refresh failed:', error.message);
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        return this.refreshPromise;
+    }
+
+    /**
+     * Current access token, refreshed first when it is missing or about to expire
+     */
+    async getValidToken() {
+        const token = this.getToken();
+        if (token && this.isTokenFormatValid(token, 30)) {
+            return token;
+        }
+
+        if (await this.refreshSession()) {
+            return this.getToken();
+        }
+        return null;
+    }
+
     /**
      * Get current user information
      */
@@ -600,6 +862,7 @@ class AuthManager {
      * Remove authentication token
      */
     removeToken() {
+        // The httpOnly refresh token cookie is cleared by /logout on the server
         console.log('[AuthManager] Removing authentication tokens...');
         // Remove from cookie
         document.cookie = 'auth_token=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/';
@@ -612,7 +875,7 @@ class AuthManager {
     /**
      * Check if token appears valid (basic format check)
      */
-    isTokenFormatValid(token) {
+    isTokenFormatValid(token, marginSeconds = 0) {
         if (!token || typeof token !== 'string') {
             return false;
         }
@@ -629,7 +892,7 @@ class AuthManager {
             const payload = JSON.parse(atob(parts[1]));
             
             // Check if token is expired
-            if (payload.exp && payload.exp < Date.now() / 1000) {
+            if (payload.exp && payload.exp - marginSeconds < Date.now() / 1000) {
                 console.log('[AuthManager] Token expired');
                 return false;
             }
@@ -662,8 +925,8 @@ class AuthManager {
     /**
      * Make authenticated API request
      */
-    async authenticatedFetch(url, options = {}) {
-        const token = this.getToken();
+    async authenticatedFetch(url, options = {}, retried = false) {
+        const token = await this.getValidToken();
         
         const headers = {
             'Content-Type': 'application/json',
@@ -689,6 +952,20 @@ class AuthManager {
 
             clearTimeout(timeoutId);
 
+            // Access token rejected: refresh once and replay the request
+            if (response.status === 401 && !retried && await this.refreshSession()) {
+                return this.authenticatedFetch(url, options, true);
+            }
+
+            // Signed in without a second factor where one is required (admin endpoints):
+            // keep the session and send the user to set it up. On the profile page
+            // itself it means the factor is set up already, so sign in again below.
+            if (response.status === 403 && !window.location.pathname.endsWith('/profile.html') &&
+                (await response.clone().json().catch(() => ({}))).code === 'TWO_FACTOR_REQUIRED') {
+                window.location.href = '/profile.html?two_factor=required#security';
+                throw new Error('Two-factor authentication required');
+            }
+
             // Handle token expiration
             if (response.status === 401 || response.status === 403) {
                 this.removeToken();
@@ -7,6 +7,10 @@ class HeaderManager {
     constructor() {
         this.headerLoaded = false;
         this.authManager = null;
+        this.realtimeSocket = null;
+        this.realtimeConnected = false;
+        this.realtimeRetryDelay = 1000;
+        this.fallbackPoller = null;
     }
 
     /**
@@ -93,6 +97,7 @@ class HeaderManager {
             if (currentUser) {
                 this.updateHeaderUserInfo(currentUser);
                 this.setupEventListeners();
+                this.connectRealtime();
             }
 
         } catch (error) {
@@ -213,37 +218,15 @@ class HeaderManager {
             // Load notification count
             try {
                 const notifResponse = await this.authManager.authenticatedFetch(
-                    'http://localhost:5002/notifications',
+                    'http://localhost:5004/notifications/unread-count',
                     { timeout: 5000 } // 5 second timeout
                 );
                 
                 if (notifResponse.ok) {
                     const notifData = await notifResponse.json();
                     
-                    if (notifData.notifications) {
-                        const unreadCount = this.calculateUnreadNotifications(notifData.notifications);
-                        
-                        // Update desktop badge
-                        const badge = document.getElementById('notificationCount');
-                        if (badge) {
-                            if (unreadCount > 0) {
-                                badge.textContent = unreadCount > 99 ? '99+' : unreadCount;
-                                badge.style.display = 'inline';
-                            } else {
-                                badge.style.display = 'none';
-                            }
-                        }
-
-                        // Update mobile badge
-                        const mobileBadge = document.getElementById('mobileNotificationCount');
-                        if (mobileBadge) {
-                            if (unreadCount > 0) {
-                                mobileBadge.textContent = unreadCount > 99 ? '99+' : unreadCount;
-                                mobileBadge.style.display = 'inline';
-                            } else {
-                                mobileBadge.style.display = 'none';
-                            }
-                        }
+                    if (typeof notifData.unreadCount === 'number') {
+                        this.setNotificationBadge(notifData.unreadCount);
                     }
                 }
             } catch (error) {
@@ -300,55 +283,101 @@ class HeaderManager {
             } catch (error) {
                 console.error('Error loading friend requests count:', error);
             }
-
-            // Refresh counts every 30 seconds
-            setTimeout(() => this.loadUnreadCounts(), 30000);
         } catch (error) {
             console.error('Error in loadUnreadCounts:', error);
         }
     }
 
     /**
-     * Calculate unread notification count from notification data
+     * Update the desktop and mobile notification badges
      */
-    calculateUnreadNotifications(notifications) {
-        try {
-            if (!Array.isArray(notifications)) return 0;
-
-            const lastVisit = localStorage.getItem('lastNotificationVisit');
-            const lastVisitDate = lastVisit ? new Date(lastVisit) : new Date(0);
-            
-            let unreadCount = 0;
-
-            for (const notification of notifications) {
-                // Count new offers
-                if (notification.offers && Array.isArray(notification.offers)) {
-                    const newOffers = notification.offers.filter(offer => 
-                        new Date(offer.created_at) > lastVisitDate
-                    );
-                    unreadCount += newOffers.length;
-                }
-
-                // Count new responses
-                if (notification.responses && Array.isArray(notification.responses)) {
-                    const newResponses = notification.responses.filter(response => 
-                        new Date(response.created_at) > lastVisitDate
-                    );
-                    unreadCount += newResponses.length;
-                }
+    setNotificationBadge(unreadCount) {
+        const label = unreadCount > 99 ? '99+' : unreadCount;
+
+        ['notificationCount', 'mobileNotificationCount'].forEach(id => {
+            const badge = document.getElementById(id);
+            if (!badge) return;
+
+            if (unreadCount > 0) {
+                badge.textContent = label;
+                badge.style.display = 'inline';
+            } else {
+                badge.style.display = 'none';
+            }
+        });
+    }
 
-                // Count status changes
-                if (notification.status_changed_at && 
-                    new Date(notification.status_changed_at) > lastVisitDate) {
-                    unreadCount += 1;
-                }
+    /**
+     * Open the real-time socket (the one chat uses on social-service) so badges
+     * and pages update as soon as something happens. Counts are only polled
+     * while the socket is down.
+     */
+    connectRealtime() {
+        const token = this.authManager.getToken();
+        if (!token || this.realtimeSocket) return;
+
+        this.realtimeSocket = new WebSocket(`ws://localhost:5008/ws?token=${encodeURIComponent(token)}`);
+
+        this.realtimeSocket.onopen = () => {
+            this.realtimeConnected = true;
+            this.realtimeRetryDelay = 1000;
+            this.stopFallbackPolling();
+            // Catch up on anything missed while disconnected
+            this.loadUnreadCounts();
+            window.dispatchEvent(new CustomEvent('kampung:realtime', { detail: { connected: true } }));
+        };
+
+        this.realtimeSocket.onmessage = (event) => {
+            try {
+                this.handleRealtimeMessage(JSON.parse(event.data));
+            } catch (error) {
+                console.error('Error handling real-time message:', error);
+            }
+        };
+
+        this.realtimeSocket.onclose = () => {
+            const wasConnected = this.realtimeConnected;
+            this.realtimeSocket = null;
+            this.realtimeConnected = false;
+            this.startFallbackPolling();
+            if (wasConnected) {
+                window.dispatchEvent(new CustomEvent('kampung:realtime', { detail: { connected: false } }));
             }
 
-            return unreadCount;
-        } catch (error) {
-            console.error('Error calculating unread notifications:', error);
-            return 0;
+            setTimeout(() => this.connectRealtime(), this.realtimeRetryDelay);
+            this.realtimeRetryDelay = Math.min(this.realtimeRetryDelay * 2, 30000);
+        };
+    }
+
+    /**
+     * Apply a pushed event to the header, then re-dispatch it as a
+     * `kampung:<type>` window event for the page to react to
+     */
+    handleRealtimeMessage(data) {
+        switch (data.type) {
+            case 'notification':
+            case 'unread_count':
+                this.setNotificationBadge(data.unreadCount);
+                break;
+            case 'new_message':
+            case 'messages_marked_read':
+            case 'friend_request':
+                this.loadUnreadCounts();
+                break;
         }
+
+        window.dispatchEvent(new CustomEvent(`kampung:${data.type}`, { detail: data }));
+    }
+
+    startFallbackPolling() {
+        if (this.fallbackPoller) return;
+        this.fallbackPoller = setInterval(() => this.loadUnreadCounts(), 30000);
+    }
+
+    stopFallbackPolling() {
+        if (!this.fallbackPoller) return;
+        clearInterval(this.fallbackPoller);
+        this.fallbackPoller = null;
     }
 
     /**
@@ -1,6 +1,7 @@
 // Global variables
 let currentUser = null;
 let notificationsPoller = null;
+let refreshTimer = null;
 const expandedThreads = new Set();
 let currentFilter = 'all-requests';
 
@@ -28,7 +29,7 @@ async function markAsRead(notificationId) {
     try {
         const authManager = await waitForAuthManager();
         await authManager.authenticatedFetch(
-            `http://localhost:5002/notifications/${notificationId}/read`,
+            `http://localhost:5004/notifications/${notificationId}/read`,
             { method: 'POST' }
         );
         loadNotifications(); // Refresh the list
@@ -112,6 +113,22 @@ async function loadEmailPreferences() {
             const repliesEl = document.getElementById('notifyReplies');
             if (repliesEl) repliesEl.checked = data.preferences?.replies ?? true;
 
+            document.querySelectorAll('[data-delivery]').forEach(select => {
+                select.value = data.delivery?.[select.dataset.delivery] || 'instant';
+            });
+
+            loadUrgentChannel(data);
+
+            const quietHoursEl = document.getElementById('quietHoursEnabled');
+            if (quietHoursEl) {
+                quietHoursEl.checked = !!data.quietHours;
+                if (data.quietHours) {
+                    document.getElementById('quietHoursStart').value = data.quietHours.start;
+                    document.getElementById('quietHoursEnd').value = data.quietHours.end;
+                }
+                showQuietHoursRange(quietHoursEl.checked);
+            }
+
             document.getElementById('emailPreferences').style.display = data.enabled ? 'block' : 'none';
         }
     } catch (err) {
@@ -119,6 +136,31 @@ async function loadEmailPreferences() {
     }
 }
 
+// SMS and chat need a mobile number and a configured channel; offer only what can be used
+function loadUrgentChannel(data) {
+    const select = document.getElementById('urgentChannel');
+    if (!select) return;
+
+    for (const option of select.options) {
+        if (option.value === 'email') continue;
+        option.disabled = !data.phone || data.availableChannels?.[option.value] === false;
+    }
+    select.value = data.urgentChannel || 'email';
+
+    const help = document.getElementById('urgentChannelHelp');
+    if (help) {
+        help.textContent = data.phone
+            ? `Text messages go to ${data.phone}. Emergency alerts are sent even during quiet hours.`
+            : 'Add a mobile number in your profile to get urgent alerts by SMS or chat app.';
+    }
+}
+
+// The range inputs only make sense while quiet hours are on
+function showQuietHoursRange(visible) {
+    const range = document.getElementById('quietHoursRange');
+    if (range) range.style.setProperty('display', visible ? 'flex' : 'none', 'important');
+}
+
 // Save email preferences
 async function saveEmailPreferences() {
     try {
@@ -133,9 +175,28 @@ async function saveEmailPreferences() {
                 newOffers: (document.getElementById('notifyNewOffers') ? document.getElementById('notifyNewOffers').checked : true),
                 requestUpdates: (document.getElementById('notifyRequestUpdates') ? document.getElementById('notifyRequestUpdates').checked : true),
                 replies: (document.getElementById('notifyReplies') ? document.getElementById('notifyReplies').checked : true)
-            }
+            },
+            delivery: {}
         };
 
+        document.querySelectorAll('[data-delivery]').forEach(select => {
+            preferences.delivery[select.dataset.delivery] = select.value;
+        });
+
+        const urgentChannelEl = document.getElementById('urgentChannel');
+        if (urgentChannelEl) {
+            preferences.urgentChannel = urgentChannelEl.value;
+            preferences.sms = urgentChannelEl.value === 'sms';
+            preferences.chat = urgentChannelEl.value === 'chat';
+        }
+
+        const quietHoursEl = document.getElementById('quietHoursEnabled');
+        if (quietHoursEl) {
+            preferences.quietHours = quietHoursEl.checked
+                ? { start: document.getElementById('quietHoursStart').value, end: document.getElementById('quietHoursEnd').value }
+                : null;
+        }
+
         const response = await authManager.authenticatedFetch('http://localhost:5004/notification-preferences', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
@@ -1098,6 +1159,18 @@ document.addEventListener('DOMContentLoaded', async () => {
             });
         }
 
+        // Digest frequency, quiet hours and the urgent channel are auto-saved like the toggle above
+        document.querySelectorAll('[data-delivery], #quietHoursStart, #quietHoursEnd, #urgentChannel').forEach(el => {
+            el.addEventListener('change', saveEmailPreferences);
+        });
+        const quietHoursToggleEl = document.getElementById('quietHoursEnabled');
+        if (quietHoursToggleEl) {
+            quietHoursToggleEl.addEventListener('change', function() {
+                showQuietHoursRange(this.checked);
+                saveEmailPreferences();
+            });
+        }
+
         // Role-based visibility
         try {
             const pendingResponseBtn = document.getElementById('filter-pending-response');
@@ -1127,12 +1200,21 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         }
 
-        // Start auto-refresh polling - but ONLY if we're not already polling
-        // Poll every 30 seconds to reduce API load
-        if (!notificationsPoller) {
-            notificationsPoller = setInterval(() => {
-                refreshMatchedRequests();
-            }, 30000);
+        // Offers, matches and notifications are pushed over the header's socket;
+        // poll every 30 seconds only while it is disconnected
+        ['kampung:notification', 'kampung:offer_made', 'kampung:match_updated'].forEach(type => {
+            window.addEventListener(type, scheduleRefresh);
+        });
+        window.addEventListener('kampung:realtime', (event) => {
+            if (event.detail.connected) {
+                stopPolling();
+                scheduleRefresh(); // catch up on anything missed while disconnected
+            } else {
+                startPolling();
+            }
+        });
+        if (!window.HeaderManager?.realtimeConnected) {
+            startPolling();
         }
     } catch (err) {
         console.error('Error initializing page:', err);
@@ -1155,13 +1237,29 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 });
 
-// Clean up the poller when navigating away
-window.addEventListener('beforeunload', () => {
+function startPolling() {
+    if (!notificationsPoller) {
+        notificationsPoller = setInterval(() => {
+            refreshMatchedRequests();
+        }, 30000);
+    }
+}
+
+function stopPolling() {
     if (notificationsPoller) {
         clearInterval(notificationsPoller);
         notificationsPoller = null;
     }
-});
+}
+
+// Pushes often come in bursts (a match notifies both sides), so refresh once per burst
+function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => refreshMatchedRequests(), 300);
+}
+
+// Clean up the poller when navigating away
+window.addEventListener('beforeunload', stopPolling);
 
 // Make functions globally accessible for onclick handlers
 window.filterNotifications = filterNotifications;
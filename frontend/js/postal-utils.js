@@ -101,4 +101,84 @@ function getAreaFromPostalCode(postalCode) {
     };
 
     return sectorMap[sector] || null;
-}
\ No newline at end of file
+}
+
+// Approximate centroid of every postal sector (first two digits), good to
+// within a few hundred metres. Sector 74 is not in use.
+const SECTOR_CENTROIDS = {
+    1: [1.2800, 103.8530], 2: [1.2780, 103.8470], 3: [1.2935, 103.8570],
+    4: [1.2840, 103.8510], 5: [1.2830, 103.8440], 6: [1.2810, 103.8490],
+    7: [1.2765, 103.8440], 8: [1.2790, 103.8400], 9: [1.2620, 103.8220],
+    10: [1.2780, 103.8110], 11: [1.2850, 103.7860], 12: [1.3150, 103.7650],
+    13: [1.3060, 103.7780], 14: [1.2940, 103.8050], 15: [1.2860, 103.8180],
+    16: [1.2860, 103.8300], 17: [1.2920, 103.8500], 18: [1.2990, 103.8560],
+    19: [1.3025, 103.8630], 20: [1.3070, 103.8520], 21: [1.3120, 103.8560],
+    22: [1.3030, 103.8370], 23: [1.2970, 103.8360], 24: [1.3060, 103.8250],
+    25: [1.3120, 103.8080], 26: [1.3220, 103.8140], 27: [1.3110, 103.7960],
+    28: [1.3230, 103.8280], 29: [1.3190, 103.8400], 30: [1.3205, 103.8435],
+    31: [1.3340, 103.8500], 32: [1.3330, 103.8560], 33: [1.3230, 103.8640],
+    34: [1.3320, 103.8690], 35: [1.3370, 103.8750], 36: [1.3260, 103.8890],
+    37: [1.3280, 103.8830], 38: [1.3160, 103.8880], 39: [1.3110, 103.8740],
+    40: [1.3220, 103.8940], 41: [1.3200, 103.9030], 42: [1.3090, 103.9030],
+    43: [1.3030, 103.9070], 44: [1.3030, 103.9130], 45: [1.3130, 103.9210],
+    46: [1.3240, 103.9290], 47: [1.3210, 103.9410], 48: [1.3140, 103.9520],
+    49: [1.3650, 103.9820], 50: [1.3890, 103.9880], 51: [1.3720, 103.9490],
+    52: [1.3530, 103.9450], 53: [1.3610, 103.8880], 54: [1.3920, 103.8950],
+    55: [1.3640, 103.8660], 56: [1.3700, 103.8460], 57: [1.3510, 103.8490],
+    58: [1.3450, 103.7740], 59: [1.3310, 103.7810], 60: [1.3400, 103.7350],
+    61: [1.3340, 103.7200], 62: [1.3420, 103.7050], 63: [1.3200, 103.6550],
+    64: [1.3500, 103.7060], 65: [1.3500, 103.7590], 66: [1.3780, 103.7650],
+    67: [1.3830, 103.7470], 68: [1.3920, 103.7420], 69: [1.4300, 103.7170],
+    70: [1.3750, 103.7150], 71: [1.4180, 103.7100], 72: [1.4370, 103.7860],
+    73: [1.4360, 103.7800], 75: [1.4490, 103.8200], 76: [1.4290, 103.8350],
+    77: [1.3760, 103.8270], 78: [1.3970, 103.8180], 79: [1.4040, 103.8690],
+    80: [1.4140, 103.8660], 81: [1.3560, 103.9870], 82: [1.4040, 103.9060],
+    83: [1.4100, 103.9100]
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Approximate centroid of a postal code
+ * @param {string|number} postalCode - The postal code to locate
+ * @returns {{lat: number, lng: number}|null} The centroid or null if not found/invalid
+ */
+function getPostalCentroid(postalCode) {
+    if (!postalCode) return null;
+    const postal = postalCode.toString().replace(/\D/g, '');
+    if (postal.length < 2) return null;
+
+    const centroid = SECTOR_CENTROIDS[parseInt(postal.substring(0, 2))];
+    return centroid ? { lat: centroid[0], lng: centroid[1] } : null;
+}
+
+/**
+ * Straight-line distance between two postal codes (haversine), rounded to 0.1 km
+ * @param {string|number} fromPostalCode - Starting postal code
+ * @param {string|number} toPostalCode - Destination postal code
+ * @returns {number|null} Distance in km or null if either is unknown
+ */
+function getDistanceKm(fromPostalCode, toPostalCode) {
+    const from = getPostalCentroid(fromPostalCode);
+    const to = getPostalCentroid(toPostalCode);
+    if (!from || !to) return null;
+
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return Math.round(EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)) * 10) / 10;
+}
+
+/**
+ * Short label for an approximate distance, e.g. "~2.1 km away"
+ * @param {number|null} km - Distance from getDistanceKm
+ * @returns {string|null} The label, or null if the distance is unknown
+ */
+function formatDistance(km) {
+    if (km === null || km === undefined || isNaN(km)) return null;
+    if (km < 0.5) return 'Under 500 m away';
+    return `~${Number(km).toFixed(1)} km away`;
+}
@@ -327,7 +327,7 @@ async function loadPastRatings() {
             </div>
         `;
 
-        const token = window.AuthManager.getToken();
+        const token = await window.AuthManager.getValidToken();
         const currentUser = window.AuthManager.getCurrentUser();
         console.log('Current user:', currentUser); // Debug log
         console.log('API URL:', `${API_URL}/ratings/my-ratings`); // Debug log